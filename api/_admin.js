@@ -0,0 +1,41 @@
+// api/_admin.js - Firebase admin access shared by the server routes (not a route itself)
+import { initializeApp, cert, getApps } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+
+// Uses the service account in FIREBASE_SERVICE_ACCOUNT (the JSON key), or
+// the emulator when FIRESTORE_EMULATOR_HOST is set
+export function getDb() {
+  if (!getApps().length) {
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      initializeApp({
+        credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)),
+      });
+    } else if (process.env.FIRESTORE_EMULATOR_HOST) {
+      initializeApp({ projectId: process.env.VITE_FIREBASE_PROJECT_ID });
+    } else {
+      return null;
+    }
+  }
+  return getFirestore();
+}
+
+// Vercel sends CRON_SECRET as a bearer token; without one configured only
+// local development may call these routes
+export function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return process.env.NODE_ENV === "development";
+  return req.headers.authorization === `Bearer ${secret}`;
+}
+
+// The signed-in user calling a route, from the Firebase ID token they send
+// as a bearer token; null when it's missing or invalid
+export async function verifyUser(req) {
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  if (!token || !getDb()) return null;
+  try {
+    return await getAuth().verifyIdToken(token);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,27 @@
+// api/_resend.js - Resend setup shared by the email routes (not a route itself)
+import { Resend } from "resend";
+
+export const EMAIL_FROM = "Prompt Teams <onboarding@resend.dev>";
+
+let resend = null;
+
+// Why email can't be sent right now, or null when Resend is configured
+export function emailConfigError() {
+  if (!process.env.RESEND_API_KEY) {
+    console.error("RESEND_API_KEY environment variable is not set");
+    return "Email service not configured";
+  }
+
+  if (!process.env.RESEND_API_KEY.startsWith("re_")) {
+    console.error("RESEND_API_KEY has invalid format");
+    return "Email service misconfigured";
+  }
+
+  return null;
+}
+
+// Created on first use, so routes can run (e.g. a dry run) without a key
+export function getResend() {
+  if (!resend) resend = new Resend(process.env.RESEND_API_KEY);
+  return resend;
+}
@@ -0,0 +1,196 @@
+// api/merge-tags.js - Rename or merge tags on every prompt in a team
+//
+// Called by owners and admins from the tag manager (see mergeTags in
+// src/lib/tags.js) with their Firebase ID token as a bearer token:
+// POST { teamId, sourceNames, targetName }. Prompts can be private to their
+// author or shared with chosen members, and the caller's own queries don't
+// reach those; renaming only what they can see would leave the rest with
+// tags the registry no longer has, so this runs with admin access.
+//
+// Each changed prompt gets a new version, like promptUpdateOperations in
+// src/lib/prompts.js, and a "prompt_updated" activity.
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb, verifyUser } from "./_admin.js";
+import { renameTags, tagKey } from "../src/utils/tags.js";
+import { versionSnapshot } from "../src/utils/promptVersions.js";
+
+// Prompts per batch; each takes up to four writes
+const PROMPTS_PER_BATCH = 100;
+
+// The writes renaming one prompt's tags, as (batch) => batch.set(...)
+function renameOperations(db, teamId, prompt, tags, { userId, changeNote }) {
+  const promptRef = db.doc(`teams/${teamId}/prompts/${prompt.id}`);
+  const versionRef = (version) =>
+    promptRef.collection("versions").doc(`${version}`);
+  const currentVersion = prompt.version || 0;
+  const nextVersion = (currentVersion || 1) + 1;
+  const now = FieldValue.serverTimestamp();
+  const operations = [];
+
+  // Prompts from before versioning keep their original state as version 1
+  if (currentVersion === 0) {
+    operations.push((batch) =>
+      batch.set(versionRef(1), {
+        ...versionSnapshot(prompt),
+        version: 1,
+        createdBy: prompt.createdBy || null,
+        createdAt: prompt.updatedAt || prompt.createdAt || now,
+        changeNote: "Initial version",
+      })
+    );
+  }
+
+  operations.push(
+    (batch) =>
+      batch.set(versionRef(nextVersion), {
+        ...versionSnapshot({ ...prompt, tags }),
+        version: nextVersion,
+        createdBy: userId,
+        createdAt: now,
+        changeNote,
+        restoredFrom: null,
+      }),
+    (batch) =>
+      batch.update(promptRef, {
+        tags,
+        version: nextVersion,
+        updatedAt: now,
+        updatedBy: userId,
+      }),
+    (batch) =>
+      batch.set(db.collection(`teams/${teamId}/activities`).doc(), {
+        type: "prompt_updated",
+        userId,
+        promptId: prompt.id,
+        metadata: { action: "updated" },
+        timestamp: now,
+      })
+  );
+  return operations;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use POST.`,
+    });
+  }
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  const caller = await verifyUser(req);
+  if (!caller) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const { teamId, sourceNames, targetName } = req.body || {};
+  const target = String(targetName || "").trim();
+  if (
+    typeof teamId !== "string" ||
+    !teamId ||
+    !Array.isArray(sourceNames) ||
+    sourceNames.length === 0 ||
+    !tagKey(target)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "teamId, sourceNames and targetName are required",
+    });
+  }
+
+  try {
+    // Only owners and admins manage tags, as in firestore.rules
+    const team = await db.doc(`teams/${teamId}`).get();
+    const role = team.exists ? team.get("members")?.[caller.uid] : null;
+    if (role !== "owner" && role !== "admin") {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const sources = [...new Set(sourceNames.map(String))];
+    const sourceKeys = new Set(sources.map(tagKey));
+    const targetKey = tagKey(target);
+    const changeNote =
+      sources.length === 1
+        ? `Renamed tag "${sources[0]}" to "${target}"`
+        : `Merged tags ${sources.map((n) => `"${n}"`).join(", ")} into "${target}"`;
+
+    const prompts = await db.collection(`teams/${teamId}/prompts`).get();
+    const changed = prompts.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .map((prompt) => ({
+        prompt,
+        tags: renameTags(prompt.tags, sources, target),
+      }))
+      .filter(({ tags }) => tags);
+
+    // Prompts first, so the registry only changes once they all have
+    for (let i = 0; i < changed.length; i += PROMPTS_PER_BATCH) {
+      const batch = db.batch();
+      changed.slice(i, i + PROMPTS_PER_BATCH).forEach(({ prompt, tags }) =>
+        renameOperations(db, teamId, prompt, tags, {
+          userId: caller.uid,
+          changeNote,
+        }).forEach((operation) => operation(batch))
+      );
+      await batch.commit();
+    }
+
+    // The registry keeps the target entry, or takes over the first
+    // source's colour and description, and drops the sources
+    const registry = await db.collection(`teams/${teamId}/tags`).get();
+    const existing = registry.docs.find((tag) => tag.id === targetKey);
+    const inherited = registry.docs.find((tag) => sourceKeys.has(tag.id));
+    const batch = db.batch();
+    batch.set(db.doc(`teams/${teamId}/tags/${targetKey}`), {
+      name: target,
+      color: existing?.get("color") || inherited?.get("color") || null,
+      description:
+        existing?.get("description") || inherited?.get("description") || "",
+      updatedBy: caller.uid,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    registry.docs
+      .filter((tag) => sourceKeys.has(tag.id) && tag.id !== targetKey)
+      .forEach((tag) => batch.delete(tag.ref));
+    await batch.commit();
+
+    console.log(
+      `Merged ${sources.length} tags into "${target}" on ${changed.length} prompts in team ${teamId}`
+    );
+    return res.status(200).json({ success: true, changed: changed.length });
+  } catch (error) {
+    console.error("Tag merge failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to update tags",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -0,0 +1,104 @@
+// api/migrate-user-profiles.js - One-time migration of user profiles for
+// the teammate-only profile rules
+//
+// Profiles are readable by teammates through the teams they list
+// (teamIds), and invites find users through the userEmails index. Clients
+// keep both up to date when their users sign in; this fills them in for
+// everyone at once, so users who haven't signed in since stay visible to
+// their teams and reachable by invites. Run it once after deploying the
+// rules:
+//
+//   curl -X POST -H "Authorization: Bearer $CRON_SECRET" \
+//     https://<app>/api/migrate-user-profiles
+//
+// Add `dryRun=1` to count the profiles without changing them. Running it
+// again only refreshes the same fields.
+import { getDb, isAuthorized } from "./_admin.js";
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use POST.`,
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const params = { ...req.query, ...(req.body || {}) };
+  const dryRun = ["1", "true", true].includes(params.dryRun);
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  try {
+    // uid -> IDs of the teams that list them as a member
+    const teamIds = new Map();
+    const teams = await db.collection("teams").get();
+    teams.docs.forEach((team) => {
+      Object.keys(team.get("members") || {}).forEach((uid) => {
+        teamIds.set(uid, [...(teamIds.get(uid) || []), team.id]);
+      });
+    });
+
+    const results = { teams: teams.size, profiles: 0, emails: 0 };
+    const writer = db.bulkWriter();
+    const users = await db.collection("users").get();
+
+    for (const user of users.docs) {
+      const email = String(user.get("email") || "")
+        .trim()
+        .toLowerCase();
+      // Addresses with a "/" can't name a document, so they aren't indexed
+      const indexed = email && !email.includes("/");
+
+      results.profiles += 1;
+      if (indexed) results.emails += 1;
+      if (dryRun) continue;
+
+      writer.update(user.ref, { teamIds: teamIds.get(user.id) || [] });
+      if (indexed) {
+        writer.set(db.doc(`userEmails/${email}`), { uid: user.id });
+      }
+    }
+
+    await writer.close();
+    console.log("Profile migration finished:", JSON.stringify(results));
+
+    return res.status(200).json({ success: true, dryRun, ...results });
+  } catch (error) {
+    console.error("Profile migration failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to migrate user profiles",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
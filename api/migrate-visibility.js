@@ -0,0 +1,113 @@
+// api/migrate-visibility.js - One-time migration of prompts saved before
+// visibility existed
+//
+// Those prompts have no `visibility` field, so the prompt queries (which ask
+// for visible prompts only) find them for their author alone. They were
+// always shared with the whole team, so this marks every one of them as
+// such, along with the copies of them in the trash (which admins list
+// through the same queries). Run it once after deploying the visibility
+// rules:
+//
+//   curl -X POST -H "Authorization: Bearer $CRON_SECRET" \
+//     https://<app>/api/migrate-visibility
+//
+// Add `dryRun=1` to count the prompts without changing them. Running it
+// again is harmless: prompts that have a visibility are left alone.
+import { getDb, isAuthorized } from "./_admin.js";
+import { visibilityFields } from "../src/utils/promptVisibility.js";
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use POST.`,
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const params = { ...req.query, ...(req.body || {}) };
+  const dryRun = ["1", "true", true].includes(params.dryRun);
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  try {
+    const results = { teams: 0, prompts: 0, migrated: 0, trashed: 0 };
+    const writer = db.bulkWriter();
+    const teams = await db.collection("teams").listDocuments();
+
+    for (const team of teams) {
+      const snapshot = await team.collection("prompts").get();
+      const legacy = snapshot.docs.filter(
+        (doc) => doc.get("visibility") === undefined
+      );
+
+      results.teams += 1;
+      results.prompts += snapshot.size;
+      results.migrated += legacy.length;
+
+      // Editors already treat these prompts as shared, so no new version
+      if (!dryRun) {
+        legacy.forEach((doc) =>
+          writer.update(doc.ref, visibilityFields("team"))
+        );
+      }
+
+      const trash = await team.collection("trash").get();
+      const legacyTrash = trash.docs.filter(
+        (doc) => doc.get("prompt.visibility") === undefined
+      );
+      results.trashed += legacyTrash.length;
+
+      if (!dryRun) {
+        const { visibility, sharedWith } = visibilityFields("team");
+        legacyTrash.forEach((doc) =>
+          writer.update(doc.ref, {
+            "prompt.visibility": visibility,
+            "prompt.sharedWith": sharedWith,
+          })
+        );
+      }
+    }
+
+    await writer.close();
+    console.log("Visibility migration finished:", JSON.stringify(results));
+
+    return res.status(200).json({ success: true, dryRun, ...results });
+  } catch (error) {
+    console.error("Visibility migration failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to migrate prompt visibility",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
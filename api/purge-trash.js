@@ -0,0 +1,95 @@
+// api/purge-trash.js - Purges trashed prompts past their team's retention
+//
+// Run daily by the cron in vercel.json: GET /api/purge-trash with
+// "Authorization: Bearer $CRON_SECRET". Each trashed prompt goes together
+// with the comments, ratings, versions and usage that came with it.
+//
+// Add `dryRun=1` to count the expired prompts without deleting them.
+import { Timestamp } from "firebase-admin/firestore";
+import { getDb, isAuthorized } from "./_admin.js";
+import { getTrashRetention } from "../src/utils/trash.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  // Vercel cron jobs use GET; POST is for manual runs
+  if (req.method !== "GET" && req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use GET or POST.`,
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const params = { ...req.query, ...(req.body || {}) };
+  const dryRun = ["1", "true", true].includes(params.dryRun);
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  try {
+    const results = { teams: 0, purged: 0 };
+    const writer = db.bulkWriter();
+    const teams = await db.collection("teams").get();
+
+    for (const team of teams.docs) {
+      const retentionDays = getTrashRetention(team.data());
+      if (!(retentionDays > 0)) continue;
+
+      const cutoff = Timestamp.fromMillis(Date.now() - retentionDays * DAY_MS);
+      const expired = await team.ref
+        .collection("trash")
+        .where("deletedAt", "<", cutoff)
+        .get();
+
+      results.teams += 1;
+      results.purged += expired.size;
+
+      if (!dryRun) {
+        for (const doc of expired.docs) {
+          await db.recursiveDelete(doc.ref, writer);
+        }
+      }
+    }
+
+    await writer.close();
+    console.log("Trash purge finished:", JSON.stringify(results));
+
+    return res.status(200).json({ success: true, dryRun, ...results });
+  } catch (error) {
+    console.error("Trash purge failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to purge expired trash",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -0,0 +1,517 @@
+// api/send-digest.js - Daily or weekly email digest of team activity
+//
+// Run by the crons in vercel.json: GET /api/send-digest?frequency=daily
+// (or weekly) with "Authorization: Bearer $CRON_SECRET". Users opt in from
+// the notification settings, which store `emailDigest` on users/{uid}.
+//
+// Add `dryRun=1` to render the digests without sending anything; with
+// `userId` as well the response is that user's email HTML, ready to open
+// in a browser, whether or not they opted in.
+import { Timestamp } from "firebase-admin/firestore";
+import { getDb, isAuthorized } from "./_admin.js";
+import { EMAIL_FROM, emailConfigError, getResend } from "./_resend.js";
+import { canViewPrompt } from "../src/utils/promptVisibility.js";
+
+const PERIODS = {
+  daily: { label: "Daily", days: 1 },
+  weekly: { label: "Weekly", days: 7 },
+};
+
+// Most activities read per team, and most top-rated prompts listed
+const ACTIVITY_LIMIT = 500;
+const TOP_RATED_LIMIT = 5;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Keeps the newest activity for each prompt (activities come newest first)
+function latestPerPrompt(activities) {
+  const seen = new Set();
+  return activities.filter((activity) => {
+    if (seen.has(activity.promptId)) return false;
+    seen.add(activity.promptId);
+    return true;
+  });
+}
+
+/**
+ * A team's activities since `since`, newest first, with the prompts they
+ * refer to keyed by ID. Prompts that were deleted since are left out.
+ */
+async function loadTeamActivity(db, teamId, since) {
+  const snapshot = await db
+    .collection(`teams/${teamId}/activities`)
+    .where("timestamp", ">=", since)
+    .orderBy("timestamp", "desc")
+    .limit(ACTIVITY_LIMIT)
+    .get();
+  const activities = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((activity) => activity.promptId);
+
+  const promptIds = [...new Set(activities.map((a) => a.promptId))];
+  const promptDocs = promptIds.length
+    ? await db.getAll(
+        ...promptIds.map((id) => db.doc(`teams/${teamId}/prompts/${id}`))
+      )
+    : [];
+  const prompts = new Map(
+    promptDocs
+      .filter((doc) => doc.exists)
+      .map((doc) => [doc.id, { id: doc.id, ...doc.data() }])
+  );
+
+  return { activities, prompts };
+}
+
+/**
+ * What one team's section of a user's digest holds: prompts others created
+ * or updated, the best rated of the prompts rated in the period, and new
+ * comments on prompts the user wrote or favorited (their watched prompts).
+ * Only prompts the user can see count; null when there's nothing to tell.
+ */
+function buildTeamDigest(userId, watched, { activities, prompts }) {
+  const visible = (activity) =>
+    canViewPrompt(prompts.get(activity.promptId), userId);
+  const byOthers = (type) =>
+    activities.filter(
+      (a) => a.type === type && a.userId !== userId && visible(a)
+    );
+  const withTitle = (activity) => ({
+    promptId: activity.promptId,
+    title:
+      prompts.get(activity.promptId)?.title ||
+      activity.promptTitle ||
+      "Untitled Prompt",
+  });
+
+  const created = latestPerPrompt(byOthers("prompt_created")).map(withTitle);
+  const createdIds = new Set(created.map((p) => p.promptId));
+  const updated = latestPerPrompt(byOthers("prompt_updated"))
+    .filter((a) => !createdIds.has(a.promptId))
+    .map(withTitle);
+
+  const topRated = latestPerPrompt(
+    activities.filter((a) => a.type === "prompt_rated" && visible(a))
+  )
+    .map((a) => prompts.get(a.promptId))
+    .filter((prompt) => prompt.stats?.totalRatings > 0)
+    .sort(
+      (a, b) =>
+        b.stats.averageRating - a.stats.averageRating ||
+        b.stats.totalRatings - a.stats.totalRatings
+    )
+    .slice(0, TOP_RATED_LIMIT)
+    .map((prompt) => ({
+      promptId: prompt.id,
+      title: prompt.title || "Untitled Prompt",
+      averageRating: prompt.stats.averageRating,
+      totalRatings: prompt.stats.totalRatings,
+    }));
+
+  const commentsByPrompt = new Map();
+  for (const activity of byOthers("comment_added")) {
+    const prompt = prompts.get(activity.promptId);
+    if (prompt.createdBy !== userId && !watched.has(prompt.id)) continue;
+
+    const entry = commentsByPrompt.get(prompt.id) || {
+      ...withTitle(activity),
+      yours: prompt.createdBy === userId,
+      count: 0,
+      commenterIds: new Set(),
+    };
+    entry.count += 1;
+    entry.commenterIds.add(activity.userId);
+    commentsByPrompt.set(prompt.id, entry);
+  }
+  const comments = [...commentsByPrompt.values()];
+
+  if (
+    created.length + updated.length + topRated.length + comments.length ===
+    0
+  ) {
+    return null;
+  }
+  return { created, updated, topRated, comments };
+}
+
+async function loadNames(db, userIds, names) {
+  const missing = [...userIds].filter((id) => !names.has(id));
+  if (missing.length === 0) return;
+
+  const docs = await db.getAll(...missing.map((id) => db.doc(`users/${id}`)));
+  for (const doc of docs) {
+    const data = doc.data() || {};
+    names.set(doc.id, data.name || data.email || "A teammate");
+  }
+}
+
+function formatRating(prompt) {
+  return `${prompt.averageRating.toFixed(1)}★ from ${prompt.totalRatings} ${
+    prompt.totalRatings === 1 ? "rating" : "ratings"
+  }`;
+}
+
+function formatComments(entry, names) {
+  const who = [...entry.commenterIds].map((id) => names.get(id));
+  return `${entry.count} new ${entry.count === 1 ? "comment" : "comments"}${
+    entry.yours ? " on your prompt" : ""
+  } from ${who.join(", ")}`;
+}
+
+function renderSectionHtml(icon, heading, items) {
+  if (items.length === 0) return "";
+  return `
+            <h3 style="font-size: 15px; margin: 20px 0 8px 0; color: #2c3e50;">${icon} ${heading}</h3>
+            <ul style="margin: 0; padding-left: 20px; color: #34495e; font-size: 14px; line-height: 1.8;">
+              ${items
+                .map(
+                  ({ title, detail }) =>
+                    `<li><strong>${escapeHtml(title)}</strong>${
+                      detail
+                        ? ` <span style="color: #7f8c8d;">— ${escapeHtml(detail)}</span>`
+                        : ""
+                    }</li>`
+                )
+                .join("\n              ")}
+            </ul>`;
+}
+
+// Sections of a team digest as { icon, heading, items: [{ title, detail }] }
+function digestSections(digest, names) {
+  return [
+    {
+      icon: "🆕",
+      heading: "New prompts",
+      items: digest.created.map(({ title }) => ({ title })),
+    },
+    {
+      icon: "✏️",
+      heading: "Updated prompts",
+      items: digest.updated.map(({ title }) => ({ title })),
+    },
+    {
+      icon: "⭐",
+      heading: "Top rated",
+      items: digest.topRated.map((p) => ({
+        title: p.title,
+        detail: formatRating(p),
+      })),
+    },
+    {
+      icon: "💬",
+      heading: "Comments on prompts you follow",
+      items: digest.comments.map((entry) => ({
+        title: entry.title,
+        detail: formatComments(entry, names),
+      })),
+    },
+  ];
+}
+
+function renderDigestEmail({ frequency, teams, names, appUrl }) {
+  const period = PERIODS[frequency];
+  const subject = `Your ${period.label.toLowerCase()} Prompt Teams digest`;
+
+  const teamsHtml = teams
+    .map(
+      ({ teamName, digest }) => `
+          <div style="background: white; padding: 25px 30px; border-radius: 12px; margin-bottom: 20px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+            <h2 style="font-size: 20px; margin: 0; color: #764ba2;">${escapeHtml(teamName)}</h2>${digestSections(
+              digest,
+              names
+            )
+              .map(({ icon, heading, items }) =>
+                renderSectionHtml(icon, heading, items)
+              )
+              .join("")}
+          </div>`
+    )
+    .join("");
+
+  const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${subject}</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+
+          <!-- Header -->
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 30px; box-shadow: 0 4px 12px rgba(102, 126, 234, 0.4);">
+            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700; text-shadow: 0 2px 4px rgba(0,0,0,0.2);">
+              ${period.label} digest
+            </h1>
+            <p style="color: rgba(255,255,255,0.85); margin: 8px 0 0 0; font-size: 15px;">
+              What happened in your teams over the last ${
+                period.days === 1 ? "day" : `${period.days} days`
+              }
+            </p>
+          </div>
+${teamsHtml}
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 40px 0;">
+            <a href="${escapeHtml(appUrl)}"
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                      color: white;
+                      padding: 18px 40px;
+                      text-decoration: none;
+                      border-radius: 10px;
+                      font-weight: 700;
+                      font-size: 16px;
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);">
+              Open Prompt Teams
+            </a>
+          </div>
+
+          <!-- Footer -->
+          <div style="text-align: center; margin-top: 40px; padding-top: 20px; border-top: 2px solid #e1e8ed;">
+            <p style="font-size: 13px; color: #95a5a6; margin: 0 0 8px 0;">
+              You're receiving this because you turned on the ${period.label.toLowerCase()} digest. Change it under 🔔 Notifications → Settings.
+            </p>
+            <p style="font-size: 12px; color: #bdc3c7; margin: 0;">
+              Sent by <strong>Prompt Teams</strong>
+            </p>
+          </div>
+        </body>
+        </html>
+      `;
+
+  const text = [
+    `Your ${period.label.toLowerCase()} Prompt Teams digest`,
+    ...teams.flatMap(({ teamName, digest }) => [
+      "",
+      teamName,
+      ...digestSections(digest, names)
+        .filter(({ items }) => items.length > 0)
+        .flatMap(({ heading, items }) => [
+          `${heading}:`,
+          ...items.map(
+            ({ title, detail }) => `- ${title}${detail ? ` (${detail})` : ""}`
+          ),
+        ]),
+    ]),
+    "",
+    `Open Prompt Teams: ${appUrl}`,
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * The digest email for one user, or null when nothing happened in their
+ * teams. `caches` keeps each team's activity and commenters' names for the
+ * next user.
+ */
+async function buildUserDigest(db, user, frequency, since, caches) {
+  const [teamsSnapshot, favoritesSnapshot] = await Promise.all([
+    db.collection("teams").where(`members.${user.id}`, "!=", null).get(),
+    db.collection(`users/${user.id}/favorites`).get(),
+  ]);
+  const watched = new Set(
+    favoritesSnapshot.docs.map((doc) => doc.data().promptId || doc.id)
+  );
+
+  const teams = [];
+  for (const teamDoc of teamsSnapshot.docs) {
+    if (!caches.teamActivity.has(teamDoc.id)) {
+      caches.teamActivity.set(
+        teamDoc.id,
+        loadTeamActivity(db, teamDoc.id, since)
+      );
+    }
+    const digest = buildTeamDigest(
+      user.id,
+      watched,
+      await caches.teamActivity.get(teamDoc.id)
+    );
+    if (digest) {
+      teams.push({ teamName: teamDoc.data().name || "Your team", digest });
+    }
+  }
+  if (teams.length === 0) return null;
+
+  await loadNames(
+    db,
+    teams.flatMap(({ digest }) =>
+      digest.comments.flatMap((entry) => [...entry.commenterIds])
+    ),
+    caches.names
+  );
+
+  return renderDigestEmail({
+    frequency,
+    teams,
+    names: caches.names,
+    appUrl: caches.appUrl,
+  });
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  // Vercel cron jobs use GET; POST is for manual runs
+  if (req.method !== "GET" && req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use GET or POST.`,
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const params = { ...req.query, ...(req.body || {}) };
+  const frequency = params.frequency;
+  const dryRun = ["1", "true", true].includes(params.dryRun);
+  const userId = params.userId || null;
+
+  if (!PERIODS[frequency]) {
+    return res.status(400).json({
+      success: false,
+      error: 'frequency must be "daily" or "weekly"',
+    });
+  }
+
+  if (!dryRun) {
+    const configError = emailConfigError();
+    if (configError) {
+      return res.status(500).json({ success: false, error: configError });
+    }
+  }
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  try {
+    const since = Timestamp.fromMillis(
+      Date.now() - PERIODS[frequency].days * 24 * 60 * 60 * 1000
+    );
+    const caches = {
+      teamActivity: new Map(),
+      names: new Map(),
+      appUrl: process.env.APP_URL || `https://${req.headers.host}`,
+    };
+
+    // Only users who opted in to this frequency, unless previewing one user
+    let users;
+    if (userId) {
+      const userDoc = await db.doc(`users/${userId}`).get();
+      if (!userDoc.exists) {
+        return res
+          .status(404)
+          .json({ success: false, error: "User not found" });
+      }
+      users = [{ id: userDoc.id, ...userDoc.data() }];
+      if (!dryRun && users[0].emailDigest !== frequency) users = [];
+    } else {
+      const snapshot = await db
+        .collection("users")
+        .where("emailDigest", "==", frequency)
+        .get();
+      users = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    }
+
+    console.log(
+      `Building ${frequency} digests for ${users.length} users${
+        dryRun ? " (dry run)" : ""
+      }`
+    );
+
+    const digests = [];
+    const results = { sent: 0, empty: 0, failed: 0 };
+
+    for (const user of users) {
+      if (!user.email) {
+        results.empty += 1;
+        continue;
+      }
+
+      try {
+        const email = await buildUserDigest(db, user, frequency, since, caches);
+        if (!email) {
+          results.empty += 1;
+          continue;
+        }
+
+        if (dryRun) {
+          digests.push({ userId: user.id, to: user.email, ...email });
+          continue;
+        }
+
+        await getResend().emails.send({
+          from: EMAIL_FROM,
+          to: user.email,
+          ...email,
+        });
+        results.sent += 1;
+      } catch (error) {
+        console.error(`Digest for user ${user.id} failed:`, error.message);
+        results.failed += 1;
+      }
+    }
+
+    if (dryRun && userId) {
+      if (digests.length === 0) {
+        return res.status(200).json({
+          success: true,
+          dryRun: true,
+          message: "Nothing to report for this user in the period",
+        });
+      }
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(digests[0].html);
+    }
+
+    console.log("Digest run finished:", JSON.stringify(results));
+
+    return res.status(200).json({
+      success: true,
+      dryRun,
+      frequency,
+      ...results,
+      ...(dryRun ? { digests } : {}),
+    });
+  } catch (error) {
+    console.error("Digest run failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to send digests",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -1,7 +1,5 @@
 // api/send-invite.js - Complete Fixed Version with Enhanced Error Handling
-import { Resend } from "resend";
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+import { EMAIL_FROM, emailConfigError, getResend } from "./_resend.js";
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -46,29 +44,20 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check if Resend API key is configured
-    if (!process.env.RESEND_API_KEY) {
-      console.error("RESEND_API_KEY environment variable is not set");
-      return res.status(500).json({ 
-        success: false, 
-        error: "Email service not configured" 
-      });
-    }
-
-    // Validate API key format
-    if (!process.env.RESEND_API_KEY.startsWith('re_')) {
-      console.error("RESEND_API_KEY has invalid format");
+    // Check that the Resend API key is configured and well-formed
+    const configError = emailConfigError();
+    if (configError) {
       return res.status(500).json({ 
         success: false, 
-        error: "Email service misconfigured" 
+        error: configError 
       });
     }
 
     console.log(`Attempting to send email to: ${to} for team: ${teamName}`);
 
     // Send email with Resend
-    const emailData = await resend.emails.send({
-      from: "Prompt Teams <onboarding@resend.dev>",
+    const emailData = await getResend().emails.send({
+      from: EMAIL_FROM,
       to: to,
       subject: `You've been invited to join ${teamName}`,
       html: `
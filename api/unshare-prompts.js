@@ -0,0 +1,115 @@
+// api/unshare-prompts.js - Take prompts out of their team's share links
+//
+// Called from src/lib/shareLinks.js (unsharePrompts) with the caller's
+// Firebase ID token as a bearer token, after a prompt is deleted or stops
+// being shared with the whole team: POST { teamId, promptIds }. Share links
+// are managed by owners and admins, but any member may delete their own
+// prompt or make it private, so this runs with admin access. It goes by
+// the prompts as stored, so callers can't unshare prompts the team shares.
+//
+// Links left without prompts are revoked.
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb, verifyUser } from "./_admin.js";
+import { isShareable, withoutPrompts } from "../src/utils/shareLinks.js";
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept"
+  );
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    console.log(`Method ${req.method} not allowed`);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${req.method} Not Allowed. Use POST.`,
+    });
+  }
+
+  const db = getDb();
+  if (!db) {
+    console.error("FIREBASE_SERVICE_ACCOUNT environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Database not configured",
+    });
+  }
+
+  const caller = await verifyUser(req);
+  if (!caller) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  const { teamId, promptIds } = req.body || {};
+  if (
+    typeof teamId !== "string" ||
+    !teamId ||
+    !Array.isArray(promptIds) ||
+    promptIds.length === 0 ||
+    !promptIds.every((id) => typeof id === "string" && id)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "teamId and promptIds are required",
+    });
+  }
+
+  try {
+    const team = await db.doc(`teams/${teamId}`).get();
+    if (!team.exists || !team.get("members")?.[caller.uid]) {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const prompts = await db.getAll(
+      ...promptIds.map((id) => db.doc(`teams/${teamId}/prompts/${id}`))
+    );
+    const unshared = prompts
+      .filter((doc) => !isShareable(doc.exists ? doc.data() : null))
+      .map((doc) => doc.id);
+
+    let updated = 0;
+    if (unshared.length > 0) {
+      const links = await db
+        .collection("shareLinks")
+        .where("teamId", "==", teamId)
+        .get();
+      const batch = db.batch();
+
+      links.docs.forEach((doc) => {
+        const remaining = withoutPrompts(doc.data(), unshared);
+        if (!remaining) return;
+
+        const now = FieldValue.serverTimestamp();
+        const revoke =
+          remaining.promptIds.length === 0 && !doc.get("revoked")
+            ? { revoked: true, revokedBy: caller.uid, revokedAt: now }
+            : {};
+        batch.update(doc.ref, { ...remaining, snapshotAt: now, ...revoke });
+        updated += 1;
+      });
+      await batch.commit();
+    }
+
+    return res.status(200).json({ success: true, updated });
+  } catch (error) {
+    console.error("Unsharing prompts failed");
+    console.error("Error message:", error.message);
+    console.error("Error stack:", error.stack);
+
+    return res.status(500).json({
+      success: false,
+      error: "Failed to update share links",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -1,19 +1,14 @@
 // src/App.jsx - Complete version updated to match demo AI interface
 import { useEffect, useState } from "react";
-import { db } from "./lib/firebase";
-import {
-  collection,
-  addDoc,
-  serverTimestamp,
-  onSnapshot,
-  query,
-  where,
-  deleteDoc,
-  doc,
-  getDoc,
-  getDocs,
-} from "firebase/firestore";
 import { useAuth } from "./context/AuthContext";
+import {
+  subscribeUserTeams,
+  getTeam,
+  createTeam as createTeamDoc,
+  deleteTeam as deleteTeamDoc,
+  countTeamPrompts,
+} from "./lib/teams";
+import { getUserProfile, setProfileTeams } from "./lib/user";
 import PromptList from "./components/PromptList";
 import TeamInviteForm from "./components/TeamInviteForm";
 import MyInvites from "./components/MyInvites";
@@ -21,6 +16,13 @@ import TeamMembers from "./components/TeamMembers";
 import FavoritesList from "./components/Favorites";
 import { TeamAnalytics } from "./components/PromptAnalytics";
 import ActivityFeed from "./components/ActivityFeed";
+import TrashBin from "./components/TrashBin";
+import ShareLinksManager from "./components/ShareLinks";
+import { DuplicatesReport } from "./components/DuplicatePrompts";
+import LintReport from "./components/PromptLint";
+import TagManager from "./components/TagManager";
+import NotificationCenter from "./components/NotificationCenter";
+import useNotifications from "./hooks/useNotifications";
 
 // Enhanced Sign In Component - matching demo style
 const SignInScreen = ({ onSignIn }) => (
@@ -345,6 +347,8 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [activeView, setActiveView] = useState("prompts");
   const [teamStats, setTeamStats] = useState({});
+  const [focusPrompt, setFocusPrompt] = useState(null);
+  const { notifications, unreadCount, actors } = useNotifications(user?.uid);
 
   // Helper function to get user initials
   function getUserInitials(name, email) {
@@ -398,15 +402,9 @@ export default function App() {
       return;
     }
 
-    const q = query(
-      collection(db, "teams"),
-      where(`members.${user.uid}`, "!=", null)
-    );
-
-    const unsub = onSnapshot(
-      q,
-      (snap) => {
-        const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const unsub = subscribeUserTeams(
+      user.uid,
+      (data) => {
         setTeams(data);
 
         if (data.length > 0 && !activeTeam && activeView !== "favorites") {
@@ -431,6 +429,19 @@ export default function App() {
     return () => unsub();
   }, [user, activeTeam, activeView]);
 
+  // List the user's teams on their profile, which lets teammates read it
+  const teamIdsKey = teams
+    .map((t) => t.id)
+    .sort()
+    .join(",");
+  useEffect(() => {
+    if (!user || loading) return;
+
+    setProfileTeams(user.uid, teamIdsKey ? teamIdsKey.split(",") : []).catch(
+      (error) => console.error("Error saving profile teams:", error)
+    );
+  }, [user, loading, teamIdsKey]);
+
   // Load current user's role for the active team
   useEffect(() => {
     if (!activeTeam || !user) {
@@ -440,10 +451,8 @@ export default function App() {
 
     async function fetchRole() {
       try {
-        const teamRef = doc(db, "teams", activeTeam);
-        const teamSnap = await getDoc(teamRef);
-        if (teamSnap.exists()) {
-          const data = teamSnap.data();
+        const data = await getTeam(activeTeam);
+        if (data) {
           setRole(data.members?.[user.uid] || "member");
         } else {
           setRole(null);
@@ -468,9 +477,8 @@ export default function App() {
         for (const uid of Object.keys(team.members || {})) {
           if (!avatarResults[uid]) {
             try {
-              const snap = await getDoc(doc(db, "users", uid));
-              if (snap.exists()) {
-                const userData = snap.data();
+              const userData = await getUserProfile(uid);
+              if (userData) {
                 avatarResults[uid] = {
                   avatar: userData.avatar,
                   name: userData.name,
@@ -485,9 +493,7 @@ export default function App() {
 
         // Load team stats
         try {
-          const promptsQuery = collection(db, "teams", team.id, "prompts");
-          const promptsSnapshot = await getDocs(promptsQuery);
-          const promptCount = promptsSnapshot.size;
+          const promptCount = await countTeamPrompts(team.id, user.uid);
 
           statsResults[team.id] = {
             memberCount: Object.keys(team.members || {}).length,
@@ -506,21 +512,14 @@ export default function App() {
       setTeamStats(statsResults);
     }
 
-    if (teams.length > 0) loadTeamData();
-  }, [teams]);
+    if (teams.length > 0 && user) loadTeamData();
+  }, [teams, user]);
 
   // Create new team
   async function createTeam(name) {
     if (!name || !user) return;
     try {
-      await addDoc(collection(db, "teams"), {
-        name,
-        ownerId: user.uid,
-        members: {
-          [user.uid]: "owner",
-        },
-        createdAt: serverTimestamp(),
-      });
+      await createTeamDoc(user.uid, name);
     } catch (error) {
       console.error("Error creating team:", error);
       alert("Failed to create team. Please try again.");
@@ -545,7 +544,7 @@ export default function App() {
 
     if (confirm(confirmMessage)) {
       try {
-        await deleteDoc(doc(db, "teams", teamId));
+        await deleteTeamDoc(teamId);
         if (activeTeam === teamId) {
           setActiveTeam(null);
           setActiveView("prompts");
@@ -598,6 +597,29 @@ export default function App() {
     }
   }
 
+  // Open a prompt in another team, e.g. from a copied prompt's source badge
+  function openPrompt(teamId, promptId) {
+    setActiveTeam(teamId);
+    setActiveView("prompts");
+    setFocusPrompt({ teamId, promptId });
+  }
+
+  // Go to whatever a notification is about
+  function openNotification(notification) {
+    if (notification.type === "invite") {
+      document
+        .getElementById("my-invites")
+        ?.scrollIntoView({ behavior: "smooth" });
+    } else if (!teams.some((team) => team.id === notification.teamId)) {
+      return;
+    } else if (notification.promptId) {
+      openPrompt(notification.teamId, notification.promptId);
+    } else {
+      setActiveTeam(notification.teamId);
+      setActiveView("members");
+    }
+  }
+
   // Check permissions
   function canManageTeam() {
     return role === "owner";
@@ -887,32 +909,51 @@ export default function App() {
               ) : null}
             </div>
 
-            {/* View Toggle */}
-            {activeTeamObj && (
-              <div className="glass-card p-1 rounded-lg">
-                {["prompts", "members", "analytics", "activity"].map((view) => (
-                  <button
-                    key={view}
-                    onClick={() => setActiveView(view)}
-                    className={`px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 capitalize ${
-                      activeView === view
-                        ? "text-primary-foreground"
-                        : "hover:text-foreground"
-                    }`}
-                    style={
-                      activeView === view
-                        ? {
-                            backgroundColor: "var(--primary)",
-                            color: "var(--primary-foreground)",
-                          }
-                        : { color: "var(--muted-foreground)" }
-                    }
-                  >
-                    {view}
-                  </button>
-                ))}
-              </div>
-            )}
+            <div className="flex items-center gap-4">
+              {/* View Toggle */}
+              {activeTeamObj && (
+                <div className="glass-card p-1 rounded-lg">
+                  {[
+                    "prompts",
+                    "members",
+                    "analytics",
+                    "activity",
+                    "tags",
+                    "duplicates",
+                    "lint",
+                    ...(canManageMembers() ? ["sharing", "trash"] : []),
+                  ].map((view) => (
+                    <button
+                      key={view}
+                      onClick={() => setActiveView(view)}
+                      className={`px-4 py-2 text-sm font-medium rounded-md transition-all duration-200 capitalize ${
+                        activeView === view
+                          ? "text-primary-foreground"
+                          : "hover:text-foreground"
+                      }`}
+                      style={
+                        activeView === view
+                          ? {
+                              backgroundColor: "var(--primary)",
+                              color: "var(--primary-foreground)",
+                            }
+                          : { color: "var(--muted-foreground)" }
+                      }
+                    >
+                      {view}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <NotificationCenter
+                userId={user.uid}
+                notifications={notifications}
+                unreadCount={unreadCount}
+                actors={actors}
+                onOpen={openNotification}
+              />
+            </div>
           </div>
         </div>
 
@@ -923,7 +964,18 @@ export default function App() {
         >
           {activeTeamObj && activeView === "prompts" && (
             <>
-              <PromptList activeTeam={activeTeamObj.id} userRole={role} />
+              <PromptList
+                activeTeam={activeTeamObj.id}
+                userRole={role}
+                teams={teams}
+                onOpenPrompt={openPrompt}
+                focusPromptId={
+                  focusPrompt?.teamId === activeTeamObj.id
+                    ? focusPrompt.promptId
+                    : null
+                }
+                onFocusHandled={() => setFocusPrompt(null)}
+              />
 
               {canManageMembers() && (
                 <TeamInviteForm
@@ -954,6 +1006,38 @@ export default function App() {
             <ActivityFeed teamId={activeTeamObj.id} />
           )}
 
+          {activeTeamObj && activeView === "tags" && (
+            <TagManager teamId={activeTeamObj.id} userRole={role} />
+          )}
+
+          {activeTeamObj && activeView === "duplicates" && (
+            <DuplicatesReport
+              teamId={activeTeamObj.id}
+              onOpenPrompt={openPrompt}
+            />
+          )}
+
+          {activeTeamObj && activeView === "lint" && (
+            <LintReport
+              teamId={activeTeamObj.id}
+              teamData={activeTeamObj}
+              userRole={role}
+              onOpenPrompt={openPrompt}
+            />
+          )}
+
+          {activeTeamObj && activeView === "sharing" && canManageMembers() && (
+            <ShareLinksManager teamId={activeTeamObj.id} userRole={role} />
+          )}
+
+          {activeTeamObj && activeView === "trash" && canManageMembers() && (
+            <TrashBin
+              teamId={activeTeamObj.id}
+              teamData={activeTeamObj}
+              userRole={role}
+            />
+          )}
+
           {activeView === "favorites" && !activeTeam && <FavoritesList />}
 
           {!activeTeamObj && activeView !== "favorites" && (
@@ -989,7 +1073,11 @@ export default function App() {
           )}
         </div>
 
-        <MyInvites />
+        <MyInvites
+          refreshKey={
+            notifications.filter((n) => n.type === "invite").length
+          }
+        />
       </div>
     </div>
   );
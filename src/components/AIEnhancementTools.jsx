@@ -1,5 +1,6 @@
 // src/components/AIEnhancementTools.jsx - Enhanced AI Tools Implementation
 import { useState, useEffect } from "react";
+import { detectSignals } from "../utils/promptLint";
 
 // AI Enhancement Service
 class AIEnhancementService {
@@ -55,11 +56,8 @@ class AIEnhancementService {
     const words = text.trim().split(/\s+/).length;
     const sentences = text.split(/[.!?]+/).filter(Boolean).length;
     const avgWordsPerSentence = sentences > 0 ? words / sentences : 0;
-    const hasInstructions = /please|must|should|need to|required|ensure|make sure/i.test(text);
-    const hasExamples = /example|for instance|such as|like|e\.g\.|i\.e\./i.test(text);
-    const hasContext = /context|background|about|regarding|concerning/i.test(text);
-    const hasConstraints = /don't|avoid|without|except|only|limit|maximum|minimum/i.test(text);
-    const hasFormat = /format|structure|organize|list|table|bullet|numbered/i.test(text);
+    const { hasInstructions, hasExamples, hasContext, hasConstraints, hasFormat } =
+      detectSignals(text);
     
     let complexity = 0;
     let level = "Simple";
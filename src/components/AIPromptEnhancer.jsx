@@ -1,7 +1,8 @@
 // src/components/AIPromptEnhancer.jsx - FIXED VERSION (No Infinite Loop)
 import { useState } from 'react';
+import Markdown, { MarkdownToggle } from './Markdown';
 
-export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose }) {
+export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose, onEnhanced }) {
   const [enhancementType, setEnhancementType] = useState('general');
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
@@ -109,6 +110,7 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
       console.log('📝 Enhanced length:', data.enhanced.length);
 
       setResult(data);
+      onEnhanced?.(data);
       showNotification('✨ Prompt enhanced successfully!', 'success');
 
     } catch (err) {
@@ -226,9 +228,11 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
           <div className="glass-card p-4 rounded-xl border border-white/10">
             <h3 className="font-semibold text-slate-100 mb-2">Original Prompt:</h3>
             <div className="p-3 rounded-lg bg-slate-800/50 border border-slate-700 max-h-48 overflow-y-auto">
-              <pre className="whitespace-pre-wrap text-sm text-slate-200">
-                {prompt?.text || 'No prompt text'}
-              </pre>
+              <Markdown
+                text={prompt?.text || 'No prompt text'}
+                rawClassName="whitespace-pre-wrap text-sm"
+                className="text-slate-200"
+              />
             </div>
             <div className="mt-2 text-xs text-slate-400">
               {prompt?.text?.length || 0} characters
@@ -289,14 +293,19 @@ export default function AIPromptEnhancer({ prompt, onApply, onSaveAsNew, onClose
                     <span>✨</span>
                     <span>Enhanced Prompt:</span>
                   </h3>
-                  <span className="text-xs px-2 py-1 rounded bg-green-500/20 text-green-300">
-                    {result.provider?.toUpperCase() || 'AI'}
-                  </span>
+                  <div className="flex items-center gap-2">
+                    <MarkdownToggle />
+                    <span className="text-xs px-2 py-1 rounded bg-green-500/20 text-green-300">
+                      {result.provider?.toUpperCase() || 'AI'}
+                    </span>
+                  </div>
                 </div>
                 <div className="p-3 rounded-lg bg-slate-800/50 border border-green-700/30 max-h-64 overflow-y-auto">
-                  <pre className="whitespace-pre-wrap text-sm text-slate-200">
-                    {result.enhanced}
-                  </pre>
+                  <Markdown
+                    text={result.enhanced}
+                    rawClassName="whitespace-pre-wrap text-sm"
+                    className="text-slate-200"
+                  />
                 </div>
                 <div className="mt-2 flex items-center justify-between text-xs text-slate-400">
                   <span>{result.enhanced?.length || 0} characters</span>
@@ -1,76 +1,51 @@
 // src/components/ActivityFeed.jsx - Complete Updated to match demo UI
 import { useState, useEffect } from "react";
-import { db } from "../lib/firebase";
-import {
-  collection,
-  query,
-  orderBy,
-  limit,
-  onSnapshot,
-  getDoc,
-  doc,
-  serverTimestamp,
-  addDoc,
-} from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
-
-// Activity Logger utility for creating activity records
+import { canViewPrompt } from "../utils/promptVisibility";
+import { logActivity, subscribeActivities } from "../lib/activities";
+import { listPrompts } from "../lib/prompts";
+import { getUserProfiles } from "../lib/user";
+
+// Activity Logger utility for creating activity records; prompts log their
+// own creation and updates (see src/lib/prompts). Prompt titles are not
+// stored: every member reads the activity log, including activity on
+// prompts they may not see, so the feed looks titles up when it shows them
 export const ActivityLogger = {
-  async logPromptCreated(teamId, userId, promptId, promptTitle) {
+  async logMemberJoined(teamId, userId, memberName) {
     try {
-      await addDoc(collection(db, "teams", teamId, "activities"), {
-        type: "prompt_created",
+      await logActivity(teamId, {
+        type: "member_joined",
         userId,
-        promptId,
-        promptTitle,
-        timestamp: serverTimestamp(),
-        metadata: { action: "created" },
+        metadata: { memberName },
       });
     } catch (error) {
-      console.error("Error logging prompt creation:", error);
+      console.error("Error logging member join:", error);
     }
   },
 
-  async logPromptUpdated(teamId, userId, promptId, promptTitle) {
+  async logPromptRated(teamId, userId, promptId, rating) {
     try {
-      await addDoc(collection(db, "teams", teamId, "activities"), {
-        type: "prompt_updated",
+      await logActivity(teamId, {
+        type: "prompt_rated",
         userId,
         promptId,
-        promptTitle,
-        timestamp: serverTimestamp(),
-        metadata: { action: "updated" },
-      });
-    } catch (error) {
-      console.error("Error logging prompt update:", error);
-    }
-  },
-
-  async logMemberJoined(teamId, userId, memberName) {
-    try {
-      await addDoc(collection(db, "teams", teamId, "activities"), {
-        type: "member_joined",
-        userId,
-        timestamp: serverTimestamp(),
-        metadata: { memberName },
+        metadata: { rating },
       });
     } catch (error) {
-      console.error("Error logging member join:", error);
+      console.error("Error logging rating:", error);
     }
   },
 
-  async logPromptRated(teamId, userId, promptId, promptTitle, rating) {
+  async logCommentAdded(teamId, userId, promptId, commentId) {
     try {
-      await addDoc(collection(db, "teams", teamId, "activities"), {
-        type: "prompt_rated",
+      await logActivity(teamId, {
+        type: "comment_added",
         userId,
         promptId,
-        promptTitle,
-        timestamp: serverTimestamp(),
-        metadata: { rating },
+        metadata: { commentId },
       });
     } catch (error) {
-      console.error("Error logging rating:", error);
+      console.error("Error logging comment:", error);
     }
   },
 };
@@ -90,32 +65,17 @@ export default function ActivityFeed({ teamId }) {
     }
 
     // Try to load from activities collection, fallback to generating from prompts
-    const activitiesRef = collection(db, "teams", teamId, "activities");
-    const q = query(activitiesRef, orderBy("timestamp", "desc"), limit(100));
-
-    const unsub = onSnapshot(
-      q,
-      async (snapshot) => {
+    const unsub = subscribeActivities(
+      teamId,
+      100,
+      async (activityDocs) => {
         let activityItems = [];
 
-        if (snapshot.empty) {
+        if (activityDocs.length === 0) {
           // Fallback: Generate activities from prompts collection
-          const promptsRef = collection(db, "teams", teamId, "prompts");
-          const promptsQuery = query(
-            promptsRef,
-            orderBy("createdAt", "desc"),
-            limit(50)
-          );
-
-          const promptsSnapshot = await new Promise((resolve, reject) => {
-            const unsubPrompts = onSnapshot(promptsQuery, resolve, reject);
-            return unsubPrompts;
-          });
-
-          const promptData = promptsSnapshot.docs.map((doc) => ({
-            id: doc.id,
-            ...doc.data(),
-          }));
+          const promptData = (
+            await listPrompts(teamId, user?.uid, { limit: 50 })
+          ).filter((prompt) => canViewPrompt(prompt, user?.uid));
 
           const userIds = new Set();
 
@@ -169,42 +129,35 @@ export default function ActivityFeed({ teamId }) {
           });
 
           // Load user profiles
-          const profiles = {};
-          for (const userId of userIds) {
-            try {
-              const userDoc = await getDoc(doc(db, "users", userId));
-              if (userDoc.exists()) {
-                profiles[userId] = userDoc.data();
-              }
-            } catch (error) {
-              console.error("Error loading user profile:", error);
-            }
-          }
-          setUserProfiles(profiles);
+          setUserProfiles(await getUserProfiles(userIds));
         } else {
-          // Use real activities collection
-          activityItems = snapshot.docs.map((doc) => ({
-            id: doc.id,
-            ...doc.data(),
-          }));
+          // Use real activities collection. Activities don't store prompt
+          // titles, so they reveal nothing about prompts the current user
+          // may not see; those (and deleted prompts) are left out here
+          const visiblePrompts = new Map(
+            (await listPrompts(teamId, user?.uid))
+              .filter((p) => canViewPrompt(p, user?.uid))
+              .map((p) => [p.id, p])
+          );
+
+          activityItems = activityDocs
+            .filter(
+              (activity) =>
+                !activity.promptId || visiblePrompts.has(activity.promptId)
+            )
+            .map((activity) =>
+              activity.promptId
+                ? {
+                    ...activity,
+                    promptTitle: visiblePrompts.get(activity.promptId).title,
+                  }
+                : activity
+            );
 
           // Load user profiles for activities
-          const userIds = new Set(
-            activityItems.map((a) => a.userId).filter(Boolean)
+          setUserProfiles(
+            await getUserProfiles(activityItems.map((a) => a.userId))
           );
-          const profiles = {};
-
-          for (const userId of userIds) {
-            try {
-              const userDoc = await getDoc(doc(db, "users", userId));
-              if (userDoc.exists()) {
-                profiles[userId] = userDoc.data();
-              }
-            } catch (error) {
-              console.error("Error loading user profile:", error);
-            }
-          }
-          setUserProfiles(profiles);
         }
 
         // Sort by timestamp
@@ -224,7 +177,7 @@ export default function ActivityFeed({ teamId }) {
     );
 
     return () => unsub();
-  }, [teamId]);
+  }, [teamId, user?.uid]);
 
   // Filter activities based on selected filters
   const filteredActivities = activities.filter((activity) => {
@@ -283,6 +236,8 @@ export default function ActivityFeed({ teamId }) {
         return "🗑️";
       case "prompt_rated":
         return "⭐";
+      case "comment_added":
+        return "💬";
       case "member_joined":
         return "👋";
       case "member_left":
@@ -304,6 +259,8 @@ export default function ActivityFeed({ teamId }) {
         return "var(--destructive)";
       case "prompt_rated":
         return "#fbbf24"; // yellow
+      case "comment_added":
+        return "var(--accent)";
       case "member_joined":
         return "var(--primary)";
       case "member_left":
@@ -387,6 +344,27 @@ export default function ActivityFeed({ teamId }) {
             </span>
           </span>
         );
+      case "comment_added":
+        return (
+          <span>
+            <span
+              className="font-medium"
+              style={{ color: "var(--foreground)" }}
+            >
+              {userName}
+            </span>
+            <span style={{ color: "var(--muted-foreground)" }}>
+              {" "}
+              commented on{" "}
+            </span>
+            <span
+              className="font-medium"
+              style={{ color: "var(--foreground)" }}
+            >
+              "{activity.promptTitle}"
+            </span>
+          </span>
+        );
       case "member_joined":
         return (
           <span>
@@ -1,16 +1,24 @@
 // src/components/AdvancedSearch.jsx - Updated to match PromptList UI style
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
+import { PROMPT_STATUSES, getPromptStatus } from "../utils/promptStatus";
+import { TagChip } from "./TagManager";
+import { countTags, parseTags, tagKey } from "../utils/tags";
+
+// Tag chips shown under the tag filter
+const TAG_COUNT_LIMIT = 12;
 
 export default function AdvancedSearch({
   prompts,
   onFilteredResults,
   teamMembers = {},
+  tagRegistry = [],
   isExpanded = false,
   onToggleExpanded,
 }) {
   const [filters, setFilters] = useState({
     search: "",
     author: "all",
+    status: "all",
     tags: "",
     dateRange: "all",
     sortBy: "newest",
@@ -20,6 +28,11 @@ export default function AdvancedSearch({
 
   const [showAdvanced, setShowAdvanced] = useState(isExpanded);
 
+  const tagCounts = useMemo(
+    () => countTags(prompts, tagRegistry),
+    [prompts, tagRegistry]
+  );
+
   // Apply filters whenever filters or prompts change
   useEffect(() => {
     const filteredPrompts = applyFilters(prompts);
@@ -48,18 +61,21 @@ export default function AdvancedSearch({
       );
     }
 
-    // Tag filter
+    // Status filter
+    if (filters.status !== "all") {
+      filtered = filtered.filter(
+        (prompt) => getPromptStatus(prompt) === filters.status
+      );
+    }
+
+    // Tag filter - "seo" also finds "SEO" and "s.e.o"
     if (filters.tags.trim()) {
-      const searchTags = filters.tags
-        .toLowerCase()
-        .split(",")
-        .map((t) => t.trim())
-        .filter(Boolean);
+      const searchTags = parseTags(filters.tags).map(tagKey);
       filtered = filtered.filter(
         (prompt) =>
           Array.isArray(prompt.tags) &&
           searchTags.some((searchTag) =>
-            prompt.tags.some((tag) => tag.toLowerCase().includes(searchTag))
+            prompt.tags.some((tag) => tagKey(tag).includes(searchTag))
           )
       );
     }
@@ -142,6 +158,18 @@ export default function AdvancedSearch({
     return filtered;
   }
 
+  function isTagFiltered(tag) {
+    return parseTags(filters.tags).some((t) => tagKey(t) === tag.key);
+  }
+
+  function toggleTagFilter(tag) {
+    const current = parseTags(filters.tags);
+    const next = isTagFiltered(tag)
+      ? current.filter((t) => tagKey(t) !== tag.key)
+      : [...current, tag.name];
+    handleFilterChange("tags", next.join(", "));
+  }
+
   function handleFilterChange(key, value) {
     setFilters((prev) => ({ ...prev, [key]: value }));
   }
@@ -150,6 +178,7 @@ export default function AdvancedSearch({
     setFilters({
       search: "",
       author: "all",
+      status: "all",
       tags: "",
       dateRange: "all",
       sortBy: "newest",
@@ -162,6 +191,7 @@ export default function AdvancedSearch({
     return (
       filters.search !== "" ||
       filters.author !== "all" ||
+      filters.status !== "all" ||
       filters.tags !== "" ||
       filters.dateRange !== "all" ||
       filters.sortBy !== "newest" ||
@@ -290,6 +320,28 @@ export default function AdvancedSearch({
               </select>
             </div>
 
+            {/* Status Filter */}
+            <div>
+              <label 
+                className="block text-sm font-medium mb-2"
+                style={{ color: "var(--foreground)" }}
+              >
+                🚦 Status
+              </label>
+              <select
+                value={filters.status}
+                onChange={(e) => handleFilterChange("status", e.target.value)}
+                className="form-input w-full"
+              >
+                <option value="all">All Statuses</option>
+                {Object.entries(PROMPT_STATUSES).map(([value, status]) => (
+                  <option key={value} value={value}>
+                    {status.icon} {status.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Date Range */}
             <div>
               <label 
@@ -403,6 +455,30 @@ export default function AdvancedSearch({
             </div>
           </div>
 
+          {/* Tag Counts - click a tag to add it to or remove it from the filter */}
+          {tagCounts.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              {tagCounts.slice(0, TAG_COUNT_LIMIT).map((tag) => (
+                <TagChip
+                  key={tag.key}
+                  name={tag.name}
+                  registry={tagRegistry}
+                  count={tag.count}
+                  active={isTagFiltered(tag)}
+                  onClick={() => toggleTagFilter(tag)}
+                />
+              ))}
+              {tagCounts.length > TAG_COUNT_LIMIT && (
+                <span
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  +{tagCounts.length - TAG_COUNT_LIMIT} more
+                </span>
+              )}
+            </div>
+          )}
+
           {/* Clear Filters */}
           {hasActiveFilters() && (
             <div 
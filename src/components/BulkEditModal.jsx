@@ -0,0 +1,696 @@
+// src/components/BulkEditModal.jsx - Editing tags, visibility, status, folder, team and owner of many prompts at once
+import { useState, useMemo } from "react";
+import {
+  bulkEditPrompts,
+  movePromptToTeam,
+  movedPromptOwnership,
+} from "../lib/prompts";
+import { sendNotifications, statusNotification } from "../lib/notifications";
+import { TagChip, TagInput } from "./TagManager";
+import VisibilityPicker from "./PromptVisibility";
+import { buildFolderTree, folderOptions } from "../utils/folderTree";
+import { canonicalTags, countTags, parseTags, tagKey } from "../utils/tags";
+import {
+  PROMPT_VISIBILITY,
+  getPromptVisibility,
+  visibilityFields,
+} from "../utils/promptVisibility";
+import {
+  PROMPT_STATUSES,
+  STATUS_TRANSITIONS,
+  getPromptStatus,
+} from "../utils/promptStatus";
+
+const BULK_ACTIONS = [
+  { id: "add-tags", label: "Add tags", icon: "🏷️" },
+  { id: "remove-tags", label: "Remove tags", icon: "✂️" },
+  { id: "visibility", label: "Set visibility", icon: "👥" },
+  { id: "status", label: "Change status", icon: "🔄" },
+  { id: "folder", label: "Move to folder", icon: "📁" },
+  { id: "team", label: "Move to team", icon: "🚚" },
+  { id: "owner", label: "Reassign owner", icon: "👤" },
+];
+
+function memberName(teamMembers, uid) {
+  const member = teamMembers[uid];
+  return member?.name || member?.email || "Unknown";
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
+// Why a write failed, in words for the failure report
+function failureReason(error) {
+  if (error?.code === "permission-denied") {
+    return "You don't have permission to change this prompt";
+  }
+  return error?.message || "Unknown error";
+}
+
+// The transition taking a prompt to `target` that this user may make
+function pickTransition(prompt, target, comment, canTransitionPrompt) {
+  const from = getPromptStatus(prompt);
+  const candidates = STATUS_TRANSITIONS.filter(
+    (t) => t.from === from && t.to === target
+  );
+  const allowed = candidates.filter((t) => canTransitionPrompt(prompt, t));
+  const transition =
+    allowed.find((t) => !t.requiresComment) || (comment.trim() && allowed[0]);
+
+  if (transition) return { transition };
+  if (allowed.length > 0) {
+    return { reason: `${allowed[0].label} needs a comment` };
+  }
+  if (candidates.length > 0) {
+    return { reason: `Only owners and admins can ${candidates[0].label}` };
+  }
+  return {
+    reason: `Can't go from ${PROMPT_STATUSES[from].label} to ${PROMPT_STATUSES[target].label}`,
+  };
+}
+
+/**
+ * Work out what each prompt needs for the chosen action:
+ * { edits: [{ prompt, updates, transition }], skipped, rejected, changeNote }.
+ * Skipped prompts already match; rejected ones can't be changed by this user.
+ */
+function planBulkEdit(action, prompts, values, context) {
+  const { tagRegistry, canTransitionPrompt } = context;
+  const edits = [];
+  const skipped = [];
+  const rejected = [];
+  let changeNote = "";
+
+  prompts.forEach((prompt) => {
+    switch (action) {
+      case "add-tags": {
+        const tags = canonicalTags(
+          [...(prompt.tags || []), ...values.addTags],
+          tagRegistry
+        );
+        if (sameList(tags, prompt.tags)) skipped.push(prompt);
+        else edits.push({ prompt, updates: { tags } });
+        changeNote = `Bulk edit: added tags ${values.addTags.join(", ")}`;
+        break;
+      }
+      case "remove-tags": {
+        const tags = (prompt.tags || []).filter(
+          (tag) => !values.removeKeys.includes(tagKey(tag))
+        );
+        if (sameList(tags, prompt.tags)) skipped.push(prompt);
+        else edits.push({ prompt, updates: { tags } });
+        changeNote = "Bulk edit: removed tags";
+        break;
+      }
+      case "visibility": {
+        const fields = visibilityFields(
+          values.visibility,
+          values.sharedWith.filter((uid) => uid !== prompt.createdBy)
+        );
+        if (
+          getPromptVisibility(prompt) === fields.visibility &&
+          sameList(prompt.sharedWith, fields.sharedWith)
+        ) {
+          skipped.push(prompt);
+        } else {
+          edits.push({ prompt, updates: fields });
+        }
+        changeNote = `Bulk edit: visibility set to ${
+          PROMPT_VISIBILITY[values.visibility].label
+        }`;
+        break;
+      }
+      case "status": {
+        if (getPromptStatus(prompt) === values.status) {
+          skipped.push(prompt);
+          break;
+        }
+        const { transition, reason } = pickTransition(
+          prompt,
+          values.status,
+          values.comment,
+          canTransitionPrompt
+        );
+        if (transition) edits.push({ prompt, transition });
+        else rejected.push({ prompt, reason });
+        break;
+      }
+      case "folder": {
+        if ((prompt.folderId || null) === values.folderId) skipped.push(prompt);
+        else edits.push({ prompt, updates: { folderId: values.folderId } });
+        break;
+      }
+      case "owner": {
+        if (prompt.createdBy === values.ownerId) skipped.push(prompt);
+        else edits.push({ prompt, updates: { createdBy: values.ownerId } });
+        break;
+      }
+    }
+  });
+
+  return { edits, skipped, rejected, changeNote };
+}
+
+// Modal for bulk edits. Opened only when the user may edit every selected
+// prompt (see canBulkDelete); status changes are still checked per prompt
+// and reassigning owners is left to owners and admins.
+export default function BulkEditModal({
+  prompts,
+  teamId,
+  teamName,
+  teams = [],
+  folders = [],
+  teamMembers = {},
+  tagRegistry = [],
+  usedTags = [],
+  userId,
+  userRole,
+  canTransitionPrompt,
+  onComplete,
+  onClose,
+}) {
+  const targetTeams = teams.filter((t) => t.id !== teamId);
+  const canReassign = userRole === "owner" || userRole === "admin";
+  const actions = BULK_ACTIONS.filter(
+    (a) =>
+      (a.id !== "team" || targetTeams.length > 0) &&
+      (a.id !== "owner" || canReassign)
+  );
+
+  const [action, setAction] = useState("add-tags");
+  const [addTagsInput, setAddTagsInput] = useState("");
+  const [removeKeys, setRemoveKeys] = useState([]);
+  const [visibility, setVisibility] = useState({
+    visibility: "team",
+    sharedWith: [],
+  });
+  const [status, setStatus] = useState("approved");
+  const [comment, setComment] = useState("");
+  const [folderId, setFolderId] = useState("root");
+  const [targetTeamId, setTargetTeamId] = useState(targetTeams[0]?.id || "");
+  const [ownerId, setOwnerId] = useState(userId);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const selectedTags = useMemo(
+    () => countTags(prompts, tagRegistry),
+    [prompts, tagRegistry]
+  );
+
+  const addTags = parseTags(addTagsInput);
+  // Tag edits send these back to review unless the user is a reviewer
+  const approvedCount = canReassign
+    ? 0
+    : prompts.filter((p) => getPromptStatus(p) === "approved").length;
+  const targetTeam = targetTeams.find((t) => t.id === targetTeamId);
+
+  // What a move to the chosen team resets, beyond the status
+  const moveResets = useMemo(() => {
+    const counts = { authors: 0, private: 0 };
+    for (const prompt of prompts) {
+      const moved = movedPromptOwnership(prompt, targetTeam, userId);
+      if (moved.createdBy !== prompt.createdBy) counts.authors += 1;
+      if (getPromptVisibility(prompt) === "members") counts.private += 1;
+    }
+    return counts;
+  }, [prompts, targetTeam, userId]);
+
+  const isReady =
+    (action === "add-tags" && addTags.length > 0) ||
+    (action === "remove-tags" && removeKeys.length > 0) ||
+    (action === "team" && targetTeamId) ||
+    (action === "owner" && ownerId) ||
+    ["visibility", "status", "folder"].includes(action);
+
+  function toggleRemoveKey(key) {
+    setRemoveKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  }
+
+  // Prompts move between teams one at a time: each is a copy plus a trash move
+  async function moveToTeam() {
+    const source = { teamId, teamName };
+    const succeeded = [];
+    const failed = [];
+
+    for (const prompt of prompts) {
+      try {
+        await movePromptToTeam(userId, prompt, source, targetTeamId);
+        succeeded.push(prompt.id);
+      } catch (error) {
+        console.error("Error moving prompt to team:", error);
+        failed.push({ id: prompt.id, error });
+      }
+      setProgress({
+        done: succeeded.length + failed.length,
+        total: prompts.length,
+      });
+    }
+
+    return { succeeded, failed, skipped: [], rejected: [] };
+  }
+
+  async function applyEdits() {
+    const { edits, skipped, rejected, changeNote } = planBulkEdit(
+      action,
+      prompts,
+      {
+        addTags,
+        removeKeys,
+        ...visibility,
+        status,
+        comment,
+        folderId: folderId === "root" ? null : folderId,
+        ownerId,
+      },
+      { tagRegistry, canTransitionPrompt }
+    );
+
+    setProgress({ done: 0, total: edits.length });
+    const result = await bulkEditPrompts(teamId, edits, {
+      userId,
+      changeNote,
+      comment,
+      canReview: canReassign,
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    result.failed.forEach(({ error }) =>
+      console.error("Error in bulk edit:", error)
+    );
+
+    const notifications = edits
+      .filter(
+        (edit) => edit.transition && result.succeeded.includes(edit.prompt.id)
+      )
+      .map((edit) =>
+        statusNotification(teamId, edit.prompt, edit.transition, {
+          actorId: userId,
+          comment,
+        })
+      )
+      .filter(Boolean);
+    try {
+      await sendNotifications(notifications);
+    } catch (error) {
+      console.error("Error notifying prompt authors:", error);
+    }
+
+    return { ...result, skipped, rejected };
+  }
+
+  async function handleApply() {
+    if (!isReady) return;
+    if (
+      action === "team" &&
+      !confirm(
+        `Move ${prompts.length} prompts to ${
+          targetTeam?.name
+        }? They will be saved there as drafts and moved to this team's trash.${
+          moveResets.authors > 0
+            ? ` You will become the author of ${moveResets.authors} of them.`
+            : ""
+        }${
+          moveResets.private > 0
+            ? ` ${moveResets.private} shared with chosen members will become private.`
+            : ""
+        }`
+      )
+    ) {
+      return;
+    }
+
+    setIsRunning(true);
+    setReport(null);
+    try {
+      const result =
+        action === "team" ? await moveToTeam() : await applyEdits();
+      const byId = new Map(prompts.map((p) => [p.id, p]));
+      const summary = {
+        action,
+        total: prompts.length,
+        succeeded: result.succeeded,
+        skipped: result.skipped,
+        failures: [
+          ...result.rejected,
+          ...result.failed.map(({ id, error }) => ({
+            prompt: byId.get(id),
+            reason: failureReason(error),
+          })),
+        ],
+      };
+      setReport(summary);
+      onComplete?.(summary);
+    } catch (error) {
+      console.error("Bulk edit error:", error);
+      alert("Failed to apply the bulk edit. Please try again.");
+    } finally {
+      setIsRunning(false);
+      setProgress(null);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
+      <div
+        className="glass-card w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        style={{ border: "1px solid var(--border)" }}
+      >
+        <div className="p-6 space-y-6">
+          {/* Header */}
+          <div className="flex items-center gap-3">
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "var(--primary)" }}
+            >
+              <span
+                className="text-lg"
+                style={{ color: "var(--primary-foreground)" }}
+              >
+                ✏️
+              </span>
+            </div>
+            <div className="flex-1">
+              <h3
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                Bulk Edit
+              </h3>
+              <p
+                className="text-sm"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {prompts.length} selected{" "}
+                {prompts.length === 1 ? "prompt" : "prompts"}
+              </p>
+            </div>
+          </div>
+
+          {/* Action */}
+          <div className="flex flex-wrap gap-2">
+            {actions.map((a) => (
+              <button
+                key={a.id}
+                onClick={() => {
+                  setAction(a.id);
+                  setReport(null);
+                }}
+                disabled={isRunning}
+                className={`${
+                  action === a.id ? "btn-primary" : "btn-secondary"
+                } px-3 py-1.5 text-sm`}
+              >
+                {a.icon} {a.label}
+              </button>
+            ))}
+          </div>
+
+          {/* Options */}
+          <div className="space-y-3">
+            {action === "add-tags" && (
+              <>
+                <TagInput
+                  id="bulk-add-tags"
+                  value={addTagsInput}
+                  onChange={setAddTagsInput}
+                  registry={tagRegistry}
+                  usedTags={usedTags}
+                  disabled={isRunning}
+                  placeholder="Tags to add, comma separated"
+                />
+                {addTags.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {canonicalTags(addTags, tagRegistry).map((tag) => (
+                      <TagChip key={tag} name={tag} registry={tagRegistry} />
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+
+            {action === "remove-tags" &&
+              (selectedTags.length === 0 ? (
+                <p
+                  className="text-sm"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  The selected prompts have no tags.
+                </p>
+              ) : (
+                <>
+                  <p
+                    className="text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    Pick the tags to remove. Counts are selected prompts with
+                    the tag.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {selectedTags.map((tag) => (
+                      <TagChip
+                        key={tag.key}
+                        name={tag.name}
+                        registry={tagRegistry}
+                        count={tag.count}
+                        active={removeKeys.includes(tag.key)}
+                        onClick={() => !isRunning && toggleRemoveKey(tag.key)}
+                      />
+                    ))}
+                  </div>
+                </>
+              ))}
+
+            {["add-tags", "remove-tags"].includes(action) &&
+              approvedCount > 0 && (
+                <p className="text-xs" style={{ color: "#eab308" }}>
+                  ⚠️ {approvedCount} approved{" "}
+                  {approvedCount === 1 ? "prompt goes" : "prompts go"} back to
+                  review if their tags change.
+                </p>
+              )}
+
+            {action === "visibility" && (
+              <VisibilityPicker
+                visibility={visibility.visibility}
+                sharedWith={visibility.sharedWith}
+                onChange={setVisibility}
+                teamMembers={teamMembers}
+                currentUserId={userId}
+                disabled={isRunning}
+              />
+            )}
+
+            {action === "status" && (
+              <>
+                <select
+                  className="form-input"
+                  value={status}
+                  onChange={(e) => setStatus(e.target.value)}
+                  disabled={isRunning}
+                >
+                  {Object.entries(PROMPT_STATUSES).map(([value, s]) => (
+                    <option key={value} value={value}>
+                      {s.icon} {s.label}
+                    </option>
+                  ))}
+                </select>
+                <textarea
+                  className="form-input"
+                  rows={2}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  disabled={isRunning}
+                  placeholder="Review comment (required to reject prompts in review)"
+                />
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  Each prompt follows the review workflow: prompts that can't
+                  reach this status from where they are, or that need a
+                  reviewer, are listed in the report.
+                </p>
+              </>
+            )}
+
+            {action === "folder" && (
+              <select
+                className="form-input"
+                value={folderId}
+                onChange={(e) => setFolderId(e.target.value)}
+                disabled={isRunning}
+              >
+                <option value="root">📂 Unfiled (top level)</option>
+                {folderOptions(buildFolderTree(folders)).map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {action === "team" && (
+              <>
+                <select
+                  className="form-input"
+                  value={targetTeamId}
+                  onChange={(e) => setTargetTeamId(e.target.value)}
+                  disabled={isRunning}
+                >
+                  {targetTeams.map((team) => (
+                    <option key={team.id} value={team.id}>
+                      {team.name}
+                    </option>
+                  ))}
+                </select>
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  Moved prompts start as drafts in the destination team, so
+                  approved prompts need approving there again. Versions,
+                  comments and ratings stay with the originals in this team's
+                  trash.
+                </p>
+                {moveResets.authors > 0 && (
+                  <p className="text-xs" style={{ color: "#eab308" }}>
+                    ⚠️ You will become the author of {moveResets.authors}{" "}
+                    {moveResets.authors === 1 ? "prompt" : "prompts"}: their
+                    authors aren't in {targetTeam?.name}, or you aren't an owner
+                    or admin there.
+                  </p>
+                )}
+                {moveResets.private > 0 && (
+                  <p className="text-xs" style={{ color: "#eab308" }}>
+                    ⚠️ {moveResets.private} shared with chosen members{" "}
+                    {moveResets.private === 1 ? "becomes" : "become"} private
+                    (&quot;Only me&quot;), as those members may not be in{" "}
+                    {targetTeam?.name}.
+                  </p>
+                )}
+              </>
+            )}
+
+            {action === "owner" && (
+              <>
+                <select
+                  className="form-input"
+                  value={ownerId}
+                  onChange={(e) => setOwnerId(e.target.value)}
+                  disabled={isRunning}
+                >
+                  {Object.keys(teamMembers).map((uid) => (
+                    <option key={uid} value={uid}>
+                      {memberName(teamMembers, uid)}
+                      {uid === userId ? " (you)" : ""}
+                    </option>
+                  ))}
+                </select>
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  The new owner can edit and delete the prompts. Private prompts
+                  become private to them.
+                </p>
+              </>
+            )}
+          </div>
+
+          {/* Progress */}
+          {progress && (
+            <div className="space-y-1">
+              <div
+                className="h-2 rounded-full overflow-hidden"
+                style={{ backgroundColor: "var(--muted)" }}
+              >
+                <div
+                  className="h-full transition-all duration-300"
+                  style={{
+                    width: `${
+                      progress.total
+                        ? (progress.done / progress.total) * 100
+                        : 0
+                    }%`,
+                    backgroundColor: "var(--primary)",
+                  }}
+                />
+              </div>
+              <p className="text-xs" style={{ color: "var(--primary)" }}>
+                Updating {progress.done} / {progress.total}...
+              </p>
+            </div>
+          )}
+
+          {/* Report */}
+          {report && (
+            <div
+              className="p-3 rounded-lg border space-y-2 text-sm"
+              style={{
+                backgroundColor: "var(--muted)",
+                borderColor:
+                  report.failures.length > 0
+                    ? "var(--destructive)"
+                    : "var(--border)",
+                color: "var(--foreground)",
+              }}
+            >
+              <div>
+                ✅ Updated {report.succeeded.length} of {report.total}
+                {report.skipped.length > 0 && (
+                  <span style={{ color: "var(--muted-foreground)" }}>
+                    {" "}
+                    · {report.skipped.length} already up to date
+                  </span>
+                )}
+              </div>
+              {report.failures.length > 0 && (
+                <div className="space-y-1">
+                  <div style={{ color: "var(--destructive)" }}>
+                    {report.failures.length} not changed:
+                  </div>
+                  {report.failures.map(({ prompt, reason }) => (
+                    <div
+                      key={prompt.id}
+                      className="flex justify-between gap-3 text-xs"
+                    >
+                      <span className="truncate">{prompt.title}</span>
+                      <span
+                        className="flex-shrink-0"
+                        style={{ color: "var(--muted-foreground)" }}
+                      >
+                        {reason}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleApply}
+              disabled={isRunning || !isReady}
+              className="btn-primary px-6 py-2.5 flex items-center gap-2 disabled:opacity-50"
+            >
+              {isRunning && <div className="neo-spinner w-4 h-4"></div>}
+              Apply
+            </button>
+            <button
+              onClick={onClose}
+              disabled={isRunning}
+              className="btn-secondary px-6 py-2.5"
+            >
+              {report ? "Done" : "Cancel"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
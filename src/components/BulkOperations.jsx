@@ -1,5 +1,6 @@
 // src/components/BulkOperations.jsx - Cyberpunk Neon Blue Theme
 import { useState } from "react";
+import { buildFolderTree, folderOptions } from "../utils/folderTree";
 
 export default function BulkOperations({
   prompts,
@@ -7,11 +8,17 @@ export default function BulkOperations({
   onSelectionChange,
   onBulkDelete,
   onBulkExport,
+  onBulkMove,
+  onBulkCopy,
+  onBulkShare,
+  onBulkEdit,
+  folders = [],
   userRole,
   userId,
 }) {
   const [isExporting, setIsExporting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isMoving, setIsMoving] = useState(false);
 
   // Check if user can perform bulk operations
   function canBulkDelete() {
@@ -56,8 +63,8 @@ export default function BulkOperations({
 
     const confirmMessage =
       selectionStats.ownedByOthers > 0
-        ? `Delete ${selectionStats.total} prompts? This includes ${selectionStats.ownedByOthers} prompts created by other team members. This cannot be undone.`
-        : `Delete ${selectionStats.total} selected prompts? This cannot be undone.`;
+        ? `Move ${selectionStats.total} prompts to the trash? This includes ${selectionStats.ownedByOthers} prompts created by other team members. Owners and admins can restore them from the trash.`
+        : `Move ${selectionStats.total} selected prompts to the trash? Owners and admins can restore them from the trash.`;
 
     if (!confirm(confirmMessage)) return;
 
@@ -73,6 +80,26 @@ export default function BulkOperations({
     }
   }
 
+  // Handle bulk move; moving follows the same own-vs-all rule as deleting
+  async function handleBulkMove(value) {
+    if (value === "") return;
+    if (!canBulkDelete()) {
+      alert("You can only move prompts you created or have admin permissions.");
+      return;
+    }
+
+    setIsMoving(true);
+    try {
+      await onBulkMove(selectedPrompts, value === "root" ? null : value);
+      onSelectionChange([]);
+    } catch (error) {
+      console.error("Bulk move error:", error);
+      alert("Failed to move prompts. Please try again.");
+    } finally {
+      setIsMoving(false);
+    }
+  }
+
   // Handle bulk export
   async function handleBulkExport(format) {
     setIsExporting(true);
@@ -203,6 +230,61 @@ export default function BulkOperations({
             </button>
           </div>
 
+          {/* Move to Folder */}
+          {onBulkMove && canBulkDelete() && (
+            <div className="flex items-center gap-2">
+              {isMoving && <div className="neo-spinner w-3 h-3"></div>}
+              <select
+                value=""
+                onChange={(e) => handleBulkMove(e.target.value)}
+                disabled={isMoving}
+                className="form-input text-sm py-1.5"
+              >
+                <option value="">Move to folder…</option>
+                <option value="root">📂 Unfiled (top level)</option>
+                {folderOptions(buildFolderTree(folders)).map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Bulk Edit: tags, visibility, status, folder, team and owner */}
+          {onBulkEdit && canBulkDelete() && (
+            <button
+              onClick={() => onBulkEdit(selectedPrompts)}
+              className="btn-secondary text-sm px-3 py-1.5 flex items-center gap-1"
+            >
+              ✏️ Bulk edit…
+            </button>
+          )}
+
+          {/* Copy to Team */}
+          {onBulkCopy && (
+            <button
+              onClick={() =>
+                onBulkCopy(prompts.filter((p) => selectedPrompts.includes(p.id)))
+              }
+              className="btn-secondary text-sm px-3 py-1.5 flex items-center gap-1"
+            >
+              🍴 Copy to team…
+            </button>
+          )}
+
+          {/* Share Link */}
+          {onBulkShare && (userRole === "owner" || userRole === "admin") && (
+            <button
+              onClick={() =>
+                onBulkShare(prompts.filter((p) => selectedPrompts.includes(p.id)))
+              }
+              className="btn-secondary text-sm px-3 py-1.5 flex items-center gap-1"
+            >
+              🔗 Share link…
+            </button>
+          )}
+
           {/* Delete Option */}
           {canBulkDelete() && (
             <button
@@ -217,7 +299,7 @@ export default function BulkOperations({
 
           {!canBulkDelete() && selectionStats.ownedByOthers > 0 && (
             <span className="text-xs ml-2" style={{ color: '#eab308' }}>
-              Cannot delete prompts created by others
+              Cannot edit or delete prompts created by others
             </span>
           )}
         </div>
@@ -0,0 +1,157 @@
+// src/components/CommentAnchors.jsx - Prompt text with inline comment highlights, and the quotes threads are anchored to
+import { useRef, useState } from "react";
+import { annotateText } from "../utils/commentAnchors";
+
+// Character offset of a point inside `container`, counting only its text
+function textOffset(container, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(container);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+/**
+ * The prompt text with the spans of open threads highlighted. Selecting
+ * text offers to start a thread on it; clicking a highlight picks its thread.
+ * `ranges` is [{ start, end, threadId }].
+ */
+export function AnnotatedPromptText({
+  text,
+  ranges,
+  activeThreadId,
+  onSelectThread,
+  onCommentOnSelection,
+}) {
+  const containerRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+
+  function handleMouseUp() {
+    const current = window.getSelection();
+    const container = containerRef.current;
+    if (
+      !current ||
+      current.isCollapsed ||
+      !container?.contains(current.anchorNode) ||
+      !container.contains(current.focusNode)
+    ) {
+      setSelection(null);
+      return;
+    }
+
+    const range = current.getRangeAt(0);
+    const start = textOffset(
+      container,
+      range.startContainer,
+      range.startOffset
+    );
+    const end = textOffset(container, range.endContainer, range.endOffset);
+    setSelection(text.slice(start, end).trim() ? { start, end } : null);
+  }
+
+  const quote = selection
+    ? text.slice(selection.start, selection.end).trim()
+    : "";
+
+  return (
+    <div className="space-y-2">
+      <pre
+        ref={containerRef}
+        onMouseUp={handleMouseUp}
+        className="whitespace-pre-wrap text-sm leading-relaxed font-mono p-4 rounded-lg border"
+        style={{
+          backgroundColor: "var(--muted)",
+          borderColor: "var(--border)",
+          color: "var(--foreground)",
+        }}
+      >
+        {annotateText(text, ranges).map((segment, index) =>
+          segment.threadIds.length > 0 ? (
+            <mark
+              key={index}
+              onClick={() => onSelectThread(segment.threadIds[0])}
+              className="cursor-pointer rounded-sm"
+              style={{
+                backgroundColor: segment.threadIds.includes(activeThreadId)
+                  ? "rgba(234, 179, 8, 0.45)"
+                  : "rgba(234, 179, 8, 0.2)",
+                color: "inherit",
+              }}
+              title={`${segment.threadIds.length} ${
+                segment.threadIds.length === 1 ? "thread" : "threads"
+              } on this text`}
+            >
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )
+        )}
+      </pre>
+
+      {selection ? (
+        <div className="flex items-center gap-2 text-xs">
+          <button
+            onClick={() => {
+              onCommentOnSelection(selection.start, selection.end);
+              setSelection(null);
+              window.getSelection()?.removeAllRanges();
+            }}
+            className="btn-primary text-xs px-3 py-1.5"
+          >
+            💬 Comment on selection
+          </button>
+          <span
+            className="truncate"
+            style={{ color: "var(--muted-foreground)" }}
+          >
+            “{quote.length > 60 ? `${quote.slice(0, 60)}…` : quote}”
+          </span>
+        </div>
+      ) : (
+        <p className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+          Select part of the prompt to comment on it
+        </p>
+      )}
+    </div>
+  );
+}
+
+// The text a thread is about, flagged when it moved or no longer exists
+export function AnchorQuote({ anchor, location, active = false, onClick }) {
+  const orphaned = location?.status === "orphaned";
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="w-full text-left px-3 py-2 rounded-lg border-l-4 text-xs space-y-1"
+      style={{
+        borderColor: orphaned ? "#eab308" : "var(--primary)",
+        backgroundColor: active
+          ? "rgba(234, 179, 8, 0.15)"
+          : "rgba(0, 200, 255, 0.05)",
+      }}
+      title={orphaned ? undefined : "Show in the prompt"}
+    >
+      <span
+        className="block font-mono whitespace-pre-wrap"
+        style={{
+          color: "var(--muted-foreground)",
+          textDecoration: orphaned ? "line-through" : "none",
+        }}
+      >
+        “{anchor.quote}”
+      </span>
+      {orphaned && (
+        <span className="block" style={{ color: "#eab308" }}>
+          ⚠️ Orphaned - this text was changed or removed in a later edit
+        </span>
+      )}
+      {location?.status === "moved" && (
+        <span className="block" style={{ color: "var(--muted-foreground)" }}>
+          The prompt was edited since; the comment followed its text
+        </span>
+      )}
+    </button>
+  );
+}
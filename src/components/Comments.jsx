@@ -1,19 +1,159 @@
 // src/components/Comments.jsx - Updated to match PromptList UI style
-import { useState, useEffect } from "react";
-import { db } from "../lib/firebase";
-import {
-  collection,
-  addDoc,
-  onSnapshot,
-  serverTimestamp,
-  deleteDoc,
-  doc,
-  updateDoc,
-  getDoc,
-  orderBy,
-  query,
-} from "firebase/firestore";
+import { useState, useEffect, useRef } from "react";
 import { useAuth } from "../context/AuthContext";
+import {
+  subscribeComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  setThreadResolved,
+  toggleReaction,
+  syncCommentStats,
+  COMMENT_REACTIONS,
+} from "../lib/comments";
+import { getUserProfiles } from "../lib/user";
+import { notifyUsers, sendNotifications } from "../lib/notifications";
+import {
+  activeMentionQuery,
+  insertMention,
+  mentionPlainText,
+  parseMentions,
+  suggestMembers,
+} from "../utils/mentions";
+import { createAnchor, locateAnchor } from "../utils/commentAnchors";
+import { AnnotatedPromptText, AnchorQuote } from "./CommentAnchors";
+import Markdown, { MarkdownToggle } from "./Markdown";
+import { ActivityLogger } from "./ActivityFeed";
+
+// An @mention shown as a chip, named as the member is now
+export function MentionChip({ uid, name, members = {} }) {
+  return (
+    <span
+      className="inline-block px-1.5 rounded font-medium"
+      style={{
+        backgroundColor: "rgba(0, 200, 255, 0.2)",
+        color: "var(--primary)",
+      }}
+      title={members[uid]?.email || undefined}
+    >
+      @{members[uid]?.name || name}
+    </span>
+  );
+}
+
+// Textarea that offers team members to @mention while typing
+export function MentionTextarea({
+  value,
+  onChange,
+  members = {},
+  currentUserId,
+  ...props
+}) {
+  const textareaRef = useRef(null);
+  const [caret, setCaret] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [dismissedAt, setDismissedAt] = useState(null);
+
+  const mention = caret === null ? null : activeMentionQuery(value, caret);
+  const suggestions =
+    mention && mention.start !== dismissedAt
+      ? suggestMembers(mention.query, members, {
+          exclude: currentUserId ? [currentUserId] : [],
+        })
+      : [];
+
+  function trackCaret(e) {
+    setCaret(e.target.selectionStart);
+  }
+
+  function choose(member) {
+    const next = insertMention(value, mention, caret, member);
+    onChange(next.text);
+    setCaret(next.caret);
+    setHighlighted(0);
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  }
+
+  function handleKeyDown(e) {
+    if (suggestions.length === 0) return;
+    const index = Math.min(highlighted, suggestions.length - 1);
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlighted(
+        (index + step + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      choose(suggestions[index]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setDismissedAt(mention.start);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          trackCaret(e);
+          setHighlighted(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onKeyUp={trackCaret}
+        onClick={trackCaret}
+        onBlur={() => setCaret(null)}
+        {...props}
+      />
+      {suggestions.length > 0 && (
+        <div
+          className="absolute left-0 mt-1 w-64 rounded-lg border shadow-lg z-10 py-1"
+          style={{
+            backgroundColor: "var(--card)",
+            borderColor: "var(--border)",
+          }}
+        >
+          {suggestions.map((member, i) => (
+            <button
+              key={member.uid}
+              type="button"
+              // Keep focus in the textarea so the caret stays put
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(member);
+              }}
+              className="w-full text-left px-3 py-1.5 text-sm"
+              style={{
+                backgroundColor:
+                  i === Math.min(highlighted, suggestions.length - 1)
+                    ? "rgba(0, 200, 255, 0.15)"
+                    : "transparent",
+                color: "var(--foreground)",
+              }}
+            >
+              <div className="font-medium">@{member.name}</div>
+              {member.email && member.email !== member.name && (
+                <div
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {member.email}
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
 // Comments hook
 export function useComments(teamId, promptId) {
@@ -28,36 +168,12 @@ export function useComments(teamId, promptId) {
       return;
     }
 
-    const q = query(
-      collection(db, "teams", teamId, "prompts", promptId, "comments"),
-      orderBy("createdAt", "asc")
-    );
-
-    const unsub = onSnapshot(
-      q,
-      async (snap) => {
-        const commentData = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const unsub = subscribeComments(
+      teamId,
+      promptId,
+      async (commentData) => {
         setComments(commentData);
-
-        const authorIds = [
-          ...new Set(commentData.map((c) => c.createdBy).filter(Boolean)),
-        ];
-        const profilesData = {};
-
-        for (const authorId of authorIds) {
-          if (!profilesData[authorId]) {
-            try {
-              const userDoc = await getDoc(doc(db, "users", authorId));
-              if (userDoc.exists()) {
-                profilesData[authorId] = userDoc.data();
-              }
-            } catch (error) {
-              console.error("Error loading comment author profile:", error);
-            }
-          }
-        }
-
-        setProfiles(profilesData);
+        setProfiles(await getUserProfiles(commentData.map((c) => c.createdBy)));
         setLoading(false);
       },
       (error) => {
@@ -72,6 +188,68 @@ export function useComments(teamId, promptId) {
   return { comments, loading, profiles };
 }
 
+// Reaction counts on a comment, plus a picker to add one
+function ReactionBar({ reactions = {}, members, currentUserId, onReact }) {
+  const [showPicker, setShowPicker] = useState(false);
+  const used = COMMENT_REACTIONS.filter((r) => reactions[r.key]?.length > 0);
+
+  return (
+    <div className="relative flex flex-wrap items-center gap-1">
+      {used.map((reaction) => {
+        const uids = reactions[reaction.key];
+        const reacted = uids.includes(currentUserId);
+        return (
+          <button
+            key={reaction.key}
+            onClick={() => onReact(reaction.key, reacted)}
+            className="px-2 py-0.5 rounded-full border text-xs transition-all duration-200 hover:scale-105"
+            style={{
+              borderColor: reacted ? "var(--primary)" : "var(--border)",
+              backgroundColor: reacted ? "rgba(0, 200, 255, 0.15)" : "var(--secondary)",
+              color: "var(--foreground)",
+            }}
+            title={`${reaction.label}: ${uids
+              .map((uid) => members[uid]?.name || members[uid]?.email || "Former member")
+              .join(", ")}`}
+          >
+            {reaction.emoji} {uids.length}
+          </button>
+        );
+      })}
+
+      <button
+        onClick={() => setShowPicker(!showPicker)}
+        className="px-2 py-0.5 rounded-full border text-xs transition-all duration-200 hover:scale-105"
+        style={{ borderColor: "var(--border)", color: "var(--muted-foreground)" }}
+        title="Add reaction"
+      >
+        ☺+
+      </button>
+
+      {showPicker && (
+        <div
+          className="absolute left-0 top-full mt-1 z-10 flex gap-1 p-1 rounded-lg border shadow-lg"
+          style={{ backgroundColor: "var(--card)", borderColor: "var(--border)" }}
+        >
+          {COMMENT_REACTIONS.map((reaction) => (
+            <button
+              key={reaction.key}
+              onClick={() => {
+                onReact(reaction.key, !!reactions[reaction.key]?.includes(currentUserId));
+                setShowPicker(false);
+              }}
+              className="w-8 h-8 rounded-lg text-base transition-all duration-200 hover:scale-110"
+              title={reaction.label}
+            >
+              {reaction.emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Individual comment component
 export function Comment({
   comment,
@@ -80,6 +258,9 @@ export function Comment({
   onEdit,
   canModify,
   onReply,
+  onReact,
+  members = {},
+  currentUserId,
 }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(comment.text);
@@ -223,9 +404,11 @@ export function Comment({
 
         {isEditing ? (
           <div className="space-y-3">
-            <textarea
+            <MentionTextarea
               value={editText}
-              onChange={(e) => setEditText(e.target.value)}
+              onChange={setEditText}
+              members={members}
+              currentUserId={currentUserId}
               className="form-input resize-none"
               rows={3}
               placeholder="Edit your comment..."
@@ -251,12 +434,15 @@ export function Comment({
           </div>
         ) : (
           <div>
-            <p className="text-sm whitespace-pre-wrap leading-relaxed" style={{ color: "var(--foreground)" }}>
-              {comment.text}
-            </p>
+            <Markdown
+              text={comment.text}
+              renderMention={(mention) => <MentionChip {...mention} members={members} />}
+              rawClassName="text-sm whitespace-pre-wrap leading-relaxed"
+              style={{ color: "var(--foreground)" }}
+            />
 
-            {!comment.parentId && (
-              <div className="mt-3">
+            <div className="mt-3 flex flex-wrap items-center gap-3">
+              {!comment.parentId && (
                 <button
                   onClick={() => setShowReplyForm(!showReplyForm)}
                   className="text-xs font-semibold transition-all duration-200 hover:underline"
@@ -264,8 +450,16 @@ export function Comment({
                 >
                   💬 Reply
                 </button>
-              </div>
-            )}
+              )}
+              {onReact && (
+                <ReactionBar
+                  reactions={comment.reactions}
+                  members={members}
+                  currentUserId={currentUserId}
+                  onReact={(key, reacted) => onReact(comment.id, key, reacted)}
+                />
+              )}
+            </div>
           </div>
         )}
 
@@ -279,6 +473,8 @@ export function Comment({
               onCancel={() => setShowReplyForm(false)}
               placeholder={`Reply to ${profile?.name || "user"}...`}
               submitText="Reply"
+              members={members}
+              currentUserId={currentUserId}
             />
           </div>
         )}
@@ -294,9 +490,13 @@ export function CommentForm({
   placeholder = "Add a comment...",
   submitText = "Comment",
   autoFocus = false,
+  members = {},
+  currentUserId,
 }) {
   const [text, setText] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Mentions count by their display name, not the stored token
+  const length = mentionPlainText(text).length;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -315,9 +515,11 @@ export function CommentForm({
 
   return (
     <form onSubmit={handleSubmit} className="space-y-3">
-      <textarea
+      <MentionTextarea
         value={text}
-        onChange={(e) => setText(e.target.value)}
+        onChange={setText}
+        members={members}
+        currentUserId={currentUserId}
         placeholder={placeholder}
         className="form-input resize-none"
         rows={3}
@@ -328,16 +530,16 @@ export function CommentForm({
         <div className="text-xs" style={{ color: "var(--muted-foreground)" }}>
           <span
             className={`font-medium ${
-              text.length > 400
+              length > 400
                 ? "text-yellow-500"
-                : text.length > 450
+                : length > 450
                 ? "text-red-500"
                 : ""
             }`}
           >
-            {text.length}/500
+            {length}/500
           </span>
-          <span className="ml-1">characters</span>
+          <span className="ml-1">characters · @ to mention · Markdown supported</span>
         </div>
         <div className="flex gap-2">
           {onCancel && (
@@ -352,7 +554,7 @@ export function CommentForm({
           )}
           <button
             type="submit"
-            disabled={!text.trim() || isSubmitting || text.length > 500}
+            disabled={!text.trim() || isSubmitting || length > 500}
             className="btn-primary text-xs px-4 py-2 flex items-center gap-2"
           >
             {isSubmitting && <div className="neo-spinner w-3 h-3"></div>}
@@ -365,40 +567,130 @@ export function CommentForm({
 }
 
 // Main comments component
-export default function Comments({ teamId, promptId, userRole }) {
+export default function Comments({
+  teamId,
+  promptId,
+  promptTitle = "",
+  userRole,
+  teamMembers = {},
+  promptText = "",
+  promptVersion = 1,
+  promptAuthorId = null,
+  promptStats = {},
+}) {
   const { user } = useAuth();
   const { comments, loading, profiles } = useComments(teamId, promptId);
   const [showCommentForm, setShowCommentForm] = useState(false);
+  const [pendingAnchor, setPendingAnchor] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [expandedThreads, setExpandedThreads] = useState({});
+
+  // The prompt's author and team admins decide when a discussion is done
+  const canResolve =
+    !!user &&
+    (user.uid === promptAuthorId ||
+      userRole === "owner" ||
+      userRole === "admin");
+
+  // Prompts commented on before the counters existed get them when an
+  // owner or admin views them; others only step the counters with a comment
+  const canSyncStats = userRole === "owner" || userRole === "admin";
+  const openThreads = comments.filter((c) => !c.parentId && !c.resolved).length;
+  useEffect(() => {
+    if (loading || !teamId || !promptId || !canSyncStats) return;
+    if (promptStats?.comments === comments.length && promptStats?.openThreads === openThreads) return;
+
+    syncCommentStats(teamId, promptId, comments).catch((error) =>
+      console.error("Error syncing comment counts:", error)
+    );
+  }, [loading, teamId, promptId, canSyncStats, comments, openThreads, promptStats?.comments, promptStats?.openThreads]);
 
-  async function handleAddComment(text, parentId = null) {
+  // Only current team members can be mentioned
+  function mentionsIn(text) {
+    return parseMentions(text).filter((uid) => uid in teamMembers);
+  }
+
+  // A failed notification shouldn't fail the comment that was just saved
+  async function notifyMentioned(userIds, commentId, text) {
+    const recipients = userIds.filter((uid) => uid !== user.uid);
+    if (recipients.length === 0) return;
+
+    try {
+      await notifyUsers(recipients, {
+        type: "mention",
+        teamId,
+        promptId,
+        promptTitle,
+        commentId,
+        actorId: user.uid,
+        excerpt: mentionPlainText(text).slice(0, 140),
+      });
+    } catch (error) {
+      console.error("Error notifying mentioned members:", error);
+    }
+  }
+
+  async function handleAddComment(text, parentId = null, anchor = null) {
     if (!teamId || !promptId || !user) return;
 
+    const mentions = mentionsIn(text);
     try {
-      await addDoc(
-        collection(db, "teams", teamId, "prompts", promptId, "comments"),
-        {
-          text,
-          createdBy: user.uid,
-          createdAt: serverTimestamp(),
-          parentId: parentId || null,
-        }
+      const commentId = await addComment(teamId, promptId, {
+        text,
+        createdBy: user.uid,
+        parentId,
+        mentions,
+        anchor,
+      });
+      await ActivityLogger.logCommentAdded(
+        teamId,
+        user.uid,
+        promptId,
+        commentId
       );
+      await notifyMentioned(mentions, commentId, text);
+      if (parentId) await notifyReply(parentId, commentId, text, mentions);
     } catch (error) {
       console.error("Error adding comment:", error);
       throw error;
     }
   }
 
+  // The thread's author hears about replies, unless already @mentioned in it
+  async function notifyReply(parentId, commentId, text, mentions) {
+    const parent = comments.find((c) => c.id === parentId);
+    if (!parent || mentions.includes(parent.createdBy)) return;
+
+    try {
+      await sendNotifications([
+        {
+          userId: parent.createdBy,
+          type: "reply",
+          teamId,
+          promptId,
+          promptTitle,
+          commentId,
+          actorId: user.uid,
+          excerpt: mentionPlainText(text).slice(0, 140),
+        },
+      ]);
+    } catch (error) {
+      console.error("Error notifying comment author:", error);
+    }
+  }
+
+  // Members newly mentioned in an edit are notified; earlier ones aren't again
   async function handleEditComment(commentId, newText) {
     if (!teamId || !promptId) return;
 
+    const previous = comments.find((c) => c.id === commentId)?.mentions || [];
+    const mentions = mentionsIn(newText);
     try {
-      await updateDoc(
-        doc(db, "teams", teamId, "prompts", promptId, "comments", commentId),
-        {
-          text: newText,
-          updatedAt: serverTimestamp(),
-        }
+      await updateComment(teamId, promptId, commentId, newText, mentions);
+      await notifyMentioned(
+        mentions.filter((uid) => !previous.includes(uid)),
+        commentId,
+        newText
       );
     } catch (error) {
       console.error("Error editing comment:", error);
@@ -410,9 +702,7 @@ export default function Comments({ teamId, promptId, userRole }) {
     if (!confirm("Are you sure you want to delete this comment?")) return;
 
     try {
-      await deleteDoc(
-        doc(db, "teams", teamId, "prompts", promptId, "comments", commentId)
-      );
+      await deleteComment(teamId, promptId, commentId);
     } catch (error) {
       console.error("Error deleting comment:", error);
       alert("Failed to delete comment. Please try again.");
@@ -423,6 +713,45 @@ export default function Comments({ teamId, promptId, userRole }) {
     await handleAddComment(text, parentId);
   }
 
+  async function handleReact(commentId, reactionKey, reacted) {
+    try {
+      await toggleReaction(teamId, promptId, commentId, reactionKey, user.uid, reacted);
+    } catch (error) {
+      console.error("Error updating reaction:", error);
+      alert("Failed to update your reaction. Please try again.");
+    }
+  }
+
+  async function handleResolve(commentId, resolved) {
+    try {
+      await setThreadResolved(teamId, promptId, commentId, resolved, user.uid);
+      setExpandedThreads((prev) => ({ ...prev, [commentId]: false }));
+    } catch (error) {
+      console.error("Error updating thread:", error);
+      alert("Failed to update the thread. Please try again.");
+    }
+  }
+
+  function handleCommentOnSelection(start, end) {
+    const anchor = createAnchor(promptText, start, end, promptVersion);
+    if (!anchor) return;
+    setPendingAnchor(anchor);
+    setShowCommentForm(false);
+  }
+
+  function displayName(uid) {
+    const profile = profiles[uid] || teamMembers[uid];
+    return profile?.name || profile?.email || "a teammate";
+  }
+
+  function selectThread(threadId) {
+    setActiveThreadId(threadId);
+    setExpandedThreads((prev) => ({ ...prev, [threadId]: true }));
+    document
+      .getElementById(`comment-thread-${threadId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  }
+
   function canModifyComment(comment) {
     if (!user || !comment) return false;
     return (
@@ -437,6 +766,7 @@ export default function Comments({ teamId, promptId, userRole }) {
       acc.push({
         ...comment,
         replies: comments.filter((c) => c.parentId === comment.id),
+        location: comment.anchor ? locateAnchor(promptText, comment.anchor) : null,
       });
     }
     return acc;
@@ -444,6 +774,15 @@ export default function Comments({ teamId, promptId, userRole }) {
 
   const topLevelComments = organizedComments;
   const commentCount = comments.length;
+  const resolvedCount = topLevelComments.filter((c) => c.resolved).length;
+  const orphanedCount = topLevelComments.filter(
+    (c) => !c.resolved && c.location?.status === "orphaned"
+  ).length;
+
+  // Only open threads whose text still exists are highlighted
+  const anchorRanges = topLevelComments
+    .filter((c) => !c.resolved && c.location && c.location.status !== "orphaned")
+    .map((c) => ({ start: c.location.start, end: c.location.end, threadId: c.id }));
 
   if (loading) {
     return (
@@ -468,17 +807,30 @@ export default function Comments({ teamId, promptId, userRole }) {
                 {commentCount}
               </span>
             </h3>
+            {resolvedCount > 0 && (
+              <span className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+                {topLevelComments.length - resolvedCount} open · {resolvedCount} resolved
+              </span>
+            )}
+            {orphanedCount > 0 && (
+              <span className="text-xs" style={{ color: "#eab308" }}>
+                ⚠️ {orphanedCount} orphaned
+              </span>
+            )}
           </div>
 
-          {!showCommentForm && (
-            <button
-              onClick={() => setShowCommentForm(true)}
-              className="btn-primary text-sm px-4 py-2"
-            >
-              <span className="mr-2">+</span>
-              Add Comment
-            </button>
-          )}
+          <div className="flex items-center gap-2">
+            <MarkdownToggle />
+            {!showCommentForm && (
+              <button
+                onClick={() => setShowCommentForm(true)}
+                className="btn-primary text-sm px-4 py-2"
+              >
+                <span className="mr-2">+</span>
+                Add Comment
+              </button>
+            )}
+          </div>
         </div>
       </div>
 
@@ -491,9 +843,41 @@ export default function Comments({ teamId, promptId, userRole }) {
               setShowCommentForm(false);
             }}
             onCancel={() => setShowCommentForm(false)}
-            placeholder="Share your thoughts about this prompt..."
+            placeholder="Share your thoughts about this prompt... Type @ to mention a teammate"
             autoFocus={true}
+            members={teamMembers}
+            currentUserId={user?.uid}
+          />
+        </div>
+      )}
+
+      {/* Inline review: comment on a span of the prompt text */}
+      {promptText && (
+        <div className="p-6 border-b space-y-4" style={{ borderColor: "var(--border)" }}>
+          <AnnotatedPromptText
+            text={promptText}
+            ranges={anchorRanges}
+            activeThreadId={activeThreadId}
+            onSelectThread={selectThread}
+            onCommentOnSelection={handleCommentOnSelection}
           />
+
+          {pendingAnchor && (
+            <div className="space-y-3">
+              <AnchorQuote anchor={pendingAnchor} />
+              <CommentForm
+                onSubmit={async (text) => {
+                  await handleAddComment(text, null, pendingAnchor);
+                  setPendingAnchor(null);
+                }}
+                onCancel={() => setPendingAnchor(null)}
+                placeholder="Comment on the selected text..."
+                autoFocus={true}
+                members={teamMembers}
+                currentUserId={user?.uid}
+              />
+            </div>
+          )}
         </div>
       )}
 
@@ -511,34 +895,97 @@ export default function Comments({ teamId, promptId, userRole }) {
           </div>
         ) : (
           <div className="space-y-4">
-            {topLevelComments.map((comment) => (
-              <div key={comment.id}>
-                <Comment
-                  comment={comment}
-                  profile={profiles[comment.createdBy]}
-                  onDelete={handleDeleteComment}
-                  onEdit={handleEditComment}
-                  onReply={handleReply}
-                  canModify={canModifyComment(comment)}
-                />
-
-                {/* Replies */}
-                {comment.replies && comment.replies.length > 0 && (
-                  <div className="mt-4 space-y-4">
-                    {comment.replies.map((reply) => (
-                      <Comment
-                        key={reply.id}
-                        comment={reply}
-                        profile={profiles[reply.createdBy]}
-                        onDelete={handleDeleteComment}
-                        onEdit={handleEditComment}
-                        canModify={canModifyComment(reply)}
-                      />
-                    ))}
-                  </div>
-                )}
-              </div>
-            ))}
+            {topLevelComments.map((comment) =>
+              comment.resolved && !expandedThreads[comment.id] ? (
+                <div
+                  key={comment.id}
+                  id={`comment-thread-${comment.id}`}
+                  className="flex items-center justify-between gap-3 px-4 py-2 rounded-lg border text-xs"
+                  style={{ borderColor: "var(--border)", color: "var(--muted-foreground)" }}
+                >
+                  <span className="truncate">
+                    ✅ Resolved
+                    {comment.resolvedBy && ` by ${displayName(comment.resolvedBy)}`}
+                    {" · "}
+                    {mentionPlainText(comment.anchor?.quote || comment.text).slice(0, 60)}
+                    {comment.replies.length > 0 &&
+                      ` · ${comment.replies.length} ${comment.replies.length === 1 ? "reply" : "replies"}`}
+                  </span>
+                  <button
+                    onClick={() => setExpandedThreads((prev) => ({ ...prev, [comment.id]: true }))}
+                    className="flex-shrink-0 hover:underline"
+                    style={{ color: "var(--primary)" }}
+                  >
+                    Show
+                  </button>
+                </div>
+              ) : (
+                <div key={comment.id} id={`comment-thread-${comment.id}`} className="space-y-3">
+                  {comment.anchor && (
+                    <AnchorQuote
+                      anchor={comment.anchor}
+                      location={comment.location}
+                      active={activeThreadId === comment.id}
+                      onClick={() => setActiveThreadId(comment.id)}
+                    />
+                  )}
+
+                  <Comment
+                    comment={comment}
+                    profile={profiles[comment.createdBy]}
+                    onDelete={handleDeleteComment}
+                    onEdit={handleEditComment}
+                    onReply={handleReply}
+                    onReact={handleReact}
+                    canModify={canModifyComment(comment)}
+                    members={teamMembers}
+                    currentUserId={user?.uid}
+                  />
+
+                  {/* Replies */}
+                  {comment.replies && comment.replies.length > 0 && (
+                    <div className="mt-4 space-y-4">
+                      {comment.replies.map((reply) => (
+                        <Comment
+                          key={reply.id}
+                          comment={reply}
+                          profile={profiles[reply.createdBy]}
+                          onDelete={handleDeleteComment}
+                          onEdit={handleEditComment}
+                          onReact={handleReact}
+                          canModify={canModifyComment(reply)}
+                          members={teamMembers}
+                          currentUserId={user?.uid}
+                        />
+                      ))}
+                    </div>
+                  )}
+
+                  {(canResolve || comment.resolved) && (
+                    <div className="flex items-center gap-3 text-xs">
+                      {comment.resolved && (
+                        <button
+                          onClick={() => setExpandedThreads((prev) => ({ ...prev, [comment.id]: false }))}
+                          className="hover:underline"
+                          style={{ color: "var(--muted-foreground)" }}
+                        >
+                          Collapse
+                        </button>
+                      )}
+                      {canResolve && (
+                        <button
+                          onClick={() => handleResolve(comment.id, !comment.resolved)}
+                          className="hover:underline"
+                          style={{ color: "var(--primary)" }}
+                        >
+                          {comment.resolved ? "↩️ Reopen thread" : "✅ Resolve thread"}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )
+            )}
           </div>
         )}
       </div>
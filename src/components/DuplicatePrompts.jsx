@@ -0,0 +1,577 @@
+// src/components/DuplicatePrompts.jsx - Near-duplicate review on save/import and the team duplicates report
+import { useState, useEffect, useMemo } from "react";
+import { useAuth } from "../context/AuthContext";
+import { subscribePrompts } from "../lib/prompts";
+import { getTeam } from "../lib/teams";
+import { getUserProfiles } from "../lib/user";
+import { DiffView } from "./PromptVersionHistory";
+import { StatusBadge } from "./PromptStatus";
+import { canViewPrompt } from "../utils/promptVisibility";
+import {
+  DUPLICATE_THRESHOLD,
+  findDuplicateClusters,
+  mergePromptValues,
+} from "../utils/similarity";
+
+function formatScore(score) {
+  return `${Math.round(score * 100)}%`;
+}
+
+function TagList({ tags }) {
+  if (!tags?.length) {
+    return (
+      <span className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+        No tags
+      </span>
+    );
+  }
+  return (
+    <div className="flex flex-wrap gap-1">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="px-2 py-0.5 rounded-full text-xs"
+          style={{
+            backgroundColor: "var(--secondary)",
+            color: "var(--muted-foreground)",
+          }}
+        >
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Two prompts side by side; the right-hand text is diffed against the left
+function SideBySide({ left, right, leftLabel, rightLabel }) {
+  const columns = [
+    { label: leftLabel, prompt: left, diff: false },
+    { label: rightLabel, prompt: right, diff: true },
+  ];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {columns.map(({ label, prompt, diff }, index) => (
+        <div
+          key={index}
+          className="p-3 rounded-lg border space-y-2 min-w-0"
+          style={{
+            backgroundColor: "var(--muted)",
+            borderColor: "var(--border)",
+          }}
+        >
+          <div
+            className="text-xs font-medium"
+            style={{ color: "var(--muted-foreground)" }}
+          >
+            {label}
+          </div>
+          <div
+            className="font-semibold text-sm flex items-center gap-2 flex-wrap"
+            style={{ color: "var(--foreground)" }}
+          >
+            <span>{prompt.title || "Untitled Prompt"}</span>
+            {prompt.id && <StatusBadge prompt={prompt} />}
+          </div>
+          {diff ? (
+            <DiffView
+              oldText={left.text || ""}
+              newText={prompt.text || ""}
+              className="text-xs"
+            />
+          ) : (
+            <pre
+              className="whitespace-pre-wrap text-xs font-mono p-4 rounded-lg border"
+              style={{
+                backgroundColor: "var(--muted)",
+                borderColor: "var(--border)",
+                color: "var(--foreground)",
+              }}
+            >
+              {prompt.text}
+            </pre>
+          )}
+          <TagList tags={prompt.tags} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Shown before saving or importing a prompt that looks like one already in
+ * the library. Resolves with one of:
+ *   { action: "merge", match, values } - fold it into the existing prompt
+ *   { action: "link", match }          - save it, linked as a variant
+ *   { action: "save" }                 - save it anyway
+ *   { action: "skip" }                 - leave it out (imports only)
+ */
+export default function DuplicateReviewModal({
+  prompt,
+  matches,
+  canMerge,
+  progress = null,
+  allowSkip = false,
+  cancelLabel = "Back to Editing",
+  onResolve,
+  onCancel,
+}) {
+  const [selectedId, setSelectedId] = useState(matches[0].prompt.id);
+  const [textChoice, setTextChoice] = useState("existing");
+  const [manualText, setManualText] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const match = matches.find((m) => m.prompt.id === selectedId) || matches[0];
+  const existing = match.prompt;
+  const mergeAllowed = canMerge(existing);
+
+  function selectMatch(id) {
+    setSelectedId(id);
+    setTextChoice("existing");
+    setManualText("");
+  }
+
+  function mergedText() {
+    if (textChoice === "incoming") return prompt.text;
+    if (textChoice === "manual") return manualText;
+    return existing.text;
+  }
+
+  async function resolve(decision) {
+    setIsSaving(true);
+    try {
+      await onResolve(decision);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
+      <div
+        className="glass-card w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+        style={{ border: "1px solid var(--border)" }}
+      >
+        <div className="p-6 space-y-6">
+          {/* Header */}
+          <div className="flex items-center gap-3">
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "#eab308" }}
+            >
+              <span className="text-lg">👯</span>
+            </div>
+            <div className="flex-1">
+              <h3
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                Similar Prompt Found
+                {progress && (
+                  <span
+                    className="ml-2 text-sm font-normal"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    ({progress.index} of {progress.total})
+                  </span>
+                )}
+              </h3>
+              <p
+                className="text-sm"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                "{prompt.title}" is {formatScore(match.score)} similar to a
+                prompt already in this team
+              </p>
+            </div>
+          </div>
+
+          {/* Other matches */}
+          {matches.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {matches.map((m) => (
+                <button
+                  key={m.prompt.id}
+                  type="button"
+                  onClick={() => selectMatch(m.prompt.id)}
+                  disabled={isSaving}
+                  className="px-3 py-1 rounded-full border text-xs transition-colors"
+                  style={{
+                    borderColor:
+                      m.prompt.id === existing.id
+                        ? "var(--primary)"
+                        : "var(--border)",
+                    color:
+                      m.prompt.id === existing.id
+                        ? "var(--primary)"
+                        : "var(--muted-foreground)",
+                  }}
+                >
+                  {m.prompt.title} · {formatScore(m.score)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <SideBySide
+            left={existing}
+            right={prompt}
+            leftLabel="Already in library"
+            rightLabel={allowSkip ? "Being imported" : "Your new prompt"}
+          />
+
+          {/* Merge options */}
+          <div
+            className="p-4 rounded-lg border space-y-3"
+            style={{ borderColor: "var(--border)" }}
+          >
+            <h4
+              className="text-sm font-semibold"
+              style={{ color: "var(--foreground)" }}
+            >
+              Merge into "{existing.title}"
+            </h4>
+            {mergeAllowed ? (
+              <>
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  Tags, template variables and examples are combined. The
+                  existing prompt gets a new version; nothing new is added to
+                  the library.
+                </p>
+                <div
+                  className="flex items-center gap-4 text-sm flex-wrap"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {[
+                    ["existing", "Keep existing text"],
+                    ["incoming", "Use new text"],
+                    ["manual", "Edit by hand"],
+                  ].map(([value, label]) => (
+                    <label
+                      key={value}
+                      className="flex items-center gap-2 cursor-pointer"
+                    >
+                      <input
+                        type="radio"
+                        name="merge-text"
+                        checked={textChoice === value}
+                        onChange={() => {
+                          setTextChoice(value);
+                          if (value === "manual" && !manualText) {
+                            setManualText(existing.text || "");
+                          }
+                        }}
+                        disabled={isSaving}
+                        style={{ accentColor: "var(--primary)" }}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+                {textChoice === "manual" && (
+                  <textarea
+                    rows={6}
+                    className="form-input resize-y"
+                    value={manualText}
+                    onChange={(e) => setManualText(e.target.value)}
+                    disabled={isSaving}
+                    style={{
+                      fontFamily: "JetBrains Mono, monospace",
+                      fontSize: "0.875rem",
+                    }}
+                  />
+                )}
+                <button
+                  type="button"
+                  onClick={() =>
+                    resolve({
+                      action: "merge",
+                      match,
+                      values: mergePromptValues(
+                        existing,
+                        prompt,
+                        mergedText().trim()
+                      ),
+                    })
+                  }
+                  disabled={isSaving || !mergedText().trim()}
+                  className="btn-primary px-4 py-2 text-sm flex items-center gap-2"
+                >
+                  {isSaving && <div className="neo-spinner w-4 h-4"></div>}
+                  Merge into Existing
+                </button>
+              </>
+            ) : (
+              <p
+                className="text-xs"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                Only the author of "{existing.title}" or a team admin can merge
+                into it. You can still link your prompt to it as a variant.
+              </p>
+            )}
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex items-center gap-3 flex-wrap">
+            <button
+              type="button"
+              onClick={() => resolve({ action: "link", match })}
+              disabled={isSaving}
+              className="btn-secondary px-4 py-2 text-sm"
+              title="Save it and mark it as a deliberate variant, so it is left out of the duplicates report"
+            >
+              🔗 Save as Linked Variant
+            </button>
+            <button
+              type="button"
+              onClick={() => resolve({ action: "save" })}
+              disabled={isSaving}
+              className="btn-secondary px-4 py-2 text-sm"
+            >
+              Save Anyway
+            </button>
+            {allowSkip && (
+              <button
+                type="button"
+                onClick={() => resolve({ action: "skip" })}
+                disabled={isSaving}
+                className="btn-secondary px-4 py-2 text-sm"
+              >
+                Skip
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isSaving}
+              className="btn-secondary px-4 py-2 text-sm ml-auto"
+            >
+              {cancelLabel}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const THRESHOLD_OPTIONS = [0.6, 0.7, 0.8, 0.9];
+
+// Team-wide list of existing clusters of similar prompts
+export function DuplicatesReport({ teamId, onOpenPrompt }) {
+  const { user } = useAuth();
+  const [prompts, setPrompts] = useState([]);
+  const [teamMembers, setTeamMembers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [threshold, setThreshold] = useState(DUPLICATE_THRESHOLD);
+  const [comparing, setComparing] = useState(null);
+
+  useEffect(() => {
+    if (!teamId || !user) return;
+
+    setLoading(true);
+    const unsub = subscribePrompts(
+      teamId,
+      user.uid,
+      (allPrompts) => {
+        setPrompts(allPrompts.filter((p) => canViewPrompt(p, user.uid)));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading prompts:", error);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId, user]);
+
+  useEffect(() => {
+    async function loadMembers() {
+      if (!teamId) return;
+
+      try {
+        const teamData = await getTeam(teamId);
+        if (!teamData) return;
+
+        setTeamMembers(
+          await getUserProfiles(Object.keys(teamData.members || {}))
+        );
+      } catch (error) {
+        console.error("Error loading team members:", error);
+      }
+    }
+
+    loadMembers();
+  }, [teamId]);
+
+  const clusters = useMemo(
+    () => findDuplicateClusters(prompts, { threshold }),
+    [prompts, threshold]
+  );
+
+  const duplicateCount = clusters.reduce(
+    (sum, cluster) => sum + cluster.prompts.length - 1,
+    0
+  );
+
+  if (loading) {
+    return (
+      <div className="glass-card p-12 text-center">
+        <div className="neo-spinner w-8 h-8 mx-auto mb-4"></div>
+        <p style={{ color: "var(--muted-foreground)" }}>
+          Looking for similar prompts...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="glass-card p-6">
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <div>
+            <h2
+              className="text-2xl font-bold mb-2"
+              style={{ color: "var(--foreground)" }}
+            >
+              Duplicates Report
+            </h2>
+            <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+              {clusters.length === 0
+                ? `No similar prompts among ${prompts.length} prompts`
+                : `${clusters.length} ${
+                    clusters.length === 1 ? "group" : "groups"
+                  } of similar prompts, ${duplicateCount} possible ${
+                    duplicateCount === 1 ? "duplicate" : "duplicates"
+                  }`}
+            </p>
+          </div>
+          <label
+            className="flex items-center gap-2 text-sm"
+            style={{ color: "var(--muted-foreground)" }}
+          >
+            At least
+            <select
+              className="form-input py-1 w-auto"
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+            >
+              {THRESHOLD_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {formatScore(value)}
+                </option>
+              ))}
+            </select>
+            similar
+          </label>
+        </div>
+      </div>
+
+      {clusters.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          <div className="text-5xl mb-4">✨</div>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            Every prompt in this team is distinct at this similarity level.
+            Prompts saved as linked variants are not listed.
+          </p>
+        </div>
+      ) : (
+        clusters.map((cluster) => (
+          <div key={cluster.prompts[0].id} className="glass-card p-6 space-y-4">
+            <div className="flex items-center justify-between gap-2 flex-wrap">
+              <h3
+                className="font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                {cluster.prompts.length} similar prompts
+              </h3>
+              <span
+                className="px-2 py-0.5 rounded-full text-xs"
+                style={{
+                  backgroundColor: "rgba(234, 179, 8, 0.1)",
+                  color: "#eab308",
+                }}
+              >
+                up to {formatScore(cluster.score)} similar
+              </span>
+            </div>
+
+            <ul className="space-y-2">
+              {cluster.prompts.map((prompt) => {
+                const author = teamMembers[prompt.createdBy];
+                return (
+                  <li
+                    key={prompt.id}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg border"
+                    style={{
+                      backgroundColor: "var(--muted)",
+                      borderColor: "var(--border)",
+                    }}
+                  >
+                    <div className="min-w-0">
+                      <div
+                        className="font-medium text-sm flex items-center gap-2 flex-wrap"
+                        style={{ color: "var(--foreground)" }}
+                      >
+                        <span className="truncate">{prompt.title}</span>
+                        <StatusBadge prompt={prompt} />
+                      </div>
+                      <div
+                        className="text-xs"
+                        style={{ color: "var(--muted-foreground)" }}
+                      >
+                        By {author?.name || author?.email || "Unknown"}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => onOpenPrompt?.(teamId, prompt.id)}
+                      className="btn-secondary px-3 py-1 text-xs flex-shrink-0"
+                    >
+                      Open
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="space-y-2">
+              {cluster.pairs.map((pair) => {
+                const key = `${pair.a.id}-${pair.b.id}`;
+                const open = comparing === key;
+                return (
+                  <div key={key}>
+                    <button
+                      onClick={() => setComparing(open ? null : key)}
+                      className="text-xs hover:underline"
+                      style={{ color: "var(--primary)" }}
+                    >
+                      {open ? "▾" : "▸"} Compare "{pair.a.title}" and "
+                      {pair.b.title}" ({formatScore(pair.score)})
+                    </button>
+                    {open && (
+                      <div className="mt-2">
+                        <SideBySide
+                          left={pair.a}
+                          right={pair.b}
+                          leftLabel={pair.a.title}
+                          rightLabel={pair.b.title}
+                        />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
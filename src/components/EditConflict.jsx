@@ -0,0 +1,282 @@
+// src/components/EditConflict.jsx - Three-way comparison shown when a prompt changed while being edited
+import { useState, useMemo } from "react";
+import { DiffView } from "./PromptVersionHistory";
+import { threeWayMerge, changedFields } from "../utils/merge";
+import { PROMPT_VISIBILITY } from "../utils/promptVisibility";
+
+const FIELD_LABELS = {
+  title: "Title",
+  text: "Prompt Content",
+  tags: "Tags",
+  variables: "Template Variables",
+  examples: "Examples",
+  visibility: "Visibility",
+  sharedWith: "Shared With",
+};
+
+// Fields that can be resolved by editing the text by hand
+const EDITABLE_FIELDS = ["title", "text"];
+
+function formatValue(field, value, teamMembers) {
+  switch (field) {
+    case "tags":
+      return (value || []).map((t) => `#${t}`).join(" ") || "No tags";
+    case "variables":
+      return (value || []).map((v) => `{{${v.name}}}`).join(" ") || "None";
+    case "examples":
+      return (
+        (value || [])
+          .map((ex, i) => `${i + 1}. ${ex.output || ex.input || "(empty)"}`)
+          .join("\n") || "None"
+      );
+    case "visibility":
+      return PROMPT_VISIBILITY[value]?.label || value;
+    case "sharedWith":
+      return (
+        (value || [])
+          .map(
+            (uid) => teamMembers[uid]?.name || teamMembers[uid]?.email || uid
+          )
+          .join(", ") || "Nobody"
+      );
+    default:
+      return value || "";
+  }
+}
+
+function Column({ label, children, highlight }) {
+  return (
+    <div
+      className="p-3 rounded-lg border space-y-1 min-w-0"
+      style={{
+        backgroundColor: "var(--muted)",
+        borderColor: highlight ? "var(--primary)" : "var(--border)",
+      }}
+    >
+      <div
+        className="text-xs font-medium"
+        style={{ color: "var(--muted-foreground)" }}
+      >
+        {label}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+export default function EditConflictResolver({
+  base,
+  theirs,
+  yours,
+  theirsVersion,
+  baseVersion,
+  theirsAuthor,
+  teamMembers = {},
+  isSaving = false,
+  onSave,
+  onCancel,
+}) {
+  const { merged, conflicts } = useMemo(
+    () => threeWayMerge(base, theirs, yours),
+    [base, theirs, yours]
+  );
+  const theirChanges = changedFields(base, theirs).filter(
+    (f) => !conflicts.includes(f)
+  );
+
+  // Per conflicting field: "yours", "theirs" or "manual"
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map((f) => [f, "yours"]))
+  );
+  const [manual, setManual] = useState(() =>
+    Object.fromEntries(conflicts.map((f) => [f, yours[f]]))
+  );
+
+  function resolvedValues() {
+    const values = { ...merged };
+    conflicts.forEach((field) => {
+      if (choices[field] === "theirs") values[field] = theirs[field];
+      else if (choices[field] === "manual") values[field] = manual[field];
+      else values[field] = yours[field];
+    });
+    return values;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div
+        className="p-4 rounded-lg border text-sm"
+        style={{
+          backgroundColor: "rgba(234, 179, 8, 0.1)",
+          borderColor: "#eab308",
+          color: "var(--foreground)",
+        }}
+      >
+        ⚠️ {theirsAuthor || "Someone"} saved version {theirsVersion} while you
+        were editing version {baseVersion}.
+        {theirChanges.length > 0 && (
+          <span style={{ color: "var(--muted-foreground)" }}>
+            {" "}
+            Their changes to{" "}
+            {theirChanges.map((f) => FIELD_LABELS[f]).join(", ")} will be kept.
+          </span>
+        )}
+        {conflicts.length === 0 && (
+          <span style={{ color: "var(--muted-foreground)" }}>
+            {" "}
+            Your changes don't overlap and can be merged automatically.
+          </span>
+        )}
+      </div>
+
+      {conflicts.map((field) => (
+        <div key={field} className="space-y-3">
+          <h4
+            className="text-sm font-semibold"
+            style={{ color: "var(--foreground)" }}
+          >
+            {FIELD_LABELS[field]} — changed by both of you
+          </h4>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <Column label={`Base (v${baseVersion})`}>
+              <pre
+                className="whitespace-pre-wrap text-xs font-mono"
+                style={{ color: "var(--foreground)" }}
+              >
+                {formatValue(field, base[field], teamMembers)}
+              </pre>
+            </Column>
+            <Column
+              label={`Theirs (v${theirsVersion})`}
+              highlight={choices[field] === "theirs"}
+            >
+              {field === "text" || field === "title" ? (
+                <DiffView
+                  oldText={base[field] || ""}
+                  newText={theirs[field] || ""}
+                  className="text-xs"
+                />
+              ) : (
+                <pre
+                  className="whitespace-pre-wrap text-xs font-mono"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {formatValue(field, theirs[field], teamMembers)}
+                </pre>
+              )}
+            </Column>
+            <Column label="Yours" highlight={choices[field] === "yours"}>
+              {field === "text" || field === "title" ? (
+                <DiffView
+                  oldText={base[field] || ""}
+                  newText={yours[field] || ""}
+                  className="text-xs"
+                />
+              ) : (
+                <pre
+                  className="whitespace-pre-wrap text-xs font-mono"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {formatValue(field, yours[field], teamMembers)}
+                </pre>
+              )}
+            </Column>
+          </div>
+
+          <div
+            className="flex items-center gap-4 text-sm flex-wrap"
+            style={{ color: "var(--foreground)" }}
+          >
+            {["theirs", "yours"]
+              .concat(EDITABLE_FIELDS.includes(field) ? ["manual"] : [])
+              .map((choice) => (
+                <label
+                  key={choice}
+                  className="flex items-center gap-2 cursor-pointer"
+                >
+                  <input
+                    type="radio"
+                    name={`conflict-${field}`}
+                    checked={choices[field] === choice}
+                    onChange={() =>
+                      setChoices((prev) => ({ ...prev, [field]: choice }))
+                    }
+                    disabled={isSaving}
+                    style={{ accentColor: "var(--primary)" }}
+                  />
+                  {choice === "theirs"
+                    ? "Keep theirs"
+                    : choice === "yours"
+                      ? "Keep yours"
+                      : "Merge by hand"}
+                </label>
+              ))}
+          </div>
+
+          {choices[field] === "manual" &&
+            (field === "text" ? (
+              <textarea
+                rows={8}
+                className="form-input resize-y"
+                value={manual[field] || ""}
+                onChange={(e) =>
+                  setManual((prev) => ({ ...prev, [field]: e.target.value }))
+                }
+                disabled={isSaving}
+                style={{
+                  fontFamily: "JetBrains Mono, monospace",
+                  fontSize: "0.875rem",
+                }}
+              />
+            ) : (
+              <input
+                type="text"
+                className="form-input"
+                value={manual[field] || ""}
+                onChange={(e) =>
+                  setManual((prev) => ({ ...prev, [field]: e.target.value }))
+                }
+                disabled={isSaving}
+                maxLength={100}
+              />
+            ))}
+        </div>
+      ))}
+
+      {/* Action Buttons */}
+      <div className="flex items-center gap-3 flex-wrap">
+        <button
+          onClick={() => onSave(resolvedValues())}
+          disabled={isSaving}
+          className="btn-primary px-6 py-2.5 flex items-center gap-2"
+        >
+          {isSaving && <div className="neo-spinner w-4 h-4"></div>}
+          Save Merged
+        </button>
+        <button
+          onClick={() => {
+            if (
+              confirm(
+                `Overwrite version ${theirsVersion} with your version? Their changes stay in the history.`
+              )
+            ) {
+              onSave(yours);
+            }
+          }}
+          disabled={isSaving}
+          className="btn-danger px-6 py-2.5"
+        >
+          Overwrite with Mine
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={isSaving}
+          className="btn-secondary px-6 py-2.5"
+        >
+          Back to Editing
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,54 @@
 // src/components/EditPromptModal.jsx
 import React, { useState, useEffect } from "react";
+import { VariableEditor } from "./TemplateVariables";
+import { syncVariables, extractVariables } from "../utils/templateVariables";
+import VisibilityPicker from "./PromptVisibility";
+import EditConflictResolver from "./EditConflict";
+import { ExampleEditor } from "./PromptExamples";
+import { cleanExamples } from "../utils/promptExamples";
+import { LintViolations } from "./PromptLint";
+import { TagChip, TagInput } from "./TagManager";
+import { canonicalTags, parseTags } from "../utils/tags";
+import { lintPrompt, blockingViolations } from "../utils/promptLint";
+import {
+  getPromptVisibility,
+  visibilityFields,
+} from "../utils/promptVisibility";
 
-export default function EditPromptModal({ open, prompt, onClose, onSave }) {
+// The fields the editor can change, in the shape they are saved
+function editableFields(prompt) {
+  return {
+    title: prompt.title || "",
+    text: prompt.text || "",
+    tags: Array.isArray(prompt.tags) ? prompt.tags : [],
+    variables: prompt.variables || [],
+    examples: prompt.examples || [],
+    ...visibilityFields(getPromptVisibility(prompt), prompt.sharedWith || []),
+  };
+}
+
+export default function EditPromptModal({
+  open,
+  prompt,
+  latestPrompt,
+  onClose,
+  onSave,
+  teamMembers = {},
+  currentUserId,
+  needsReapproval = false,
+  lintRules,
+  tagRegistry = [],
+  usedTags = [],
+}) {
   const [title, setTitle] = useState("");
   const [tags, setTags] = useState("");
   const [text, setText] = useState("");
+  const [variables, setVariables] = useState([]);
+  const [examples, setExamples] = useState([]);
+  const [changeNote, setChangeNote] = useState("");
+  const [access, setAccess] = useState({ visibility: "team", sharedWith: [] });
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [conflict, setConflict] = useState(null);
 
   useEffect(() => {
     if (prompt) {
@@ -16,40 +59,94 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
           : (prompt.tags || "").toString()
       );
       setText(prompt.text || "");
+      setVariables(prompt.variables || []);
+      setExamples(prompt.examples || []);
+      setAccess({
+        visibility: getPromptVisibility(prompt),
+        sharedWith: prompt.sharedWith || [],
+      });
     } else {
       setTitle("");
       setTags("");
       setText("");
+      setVariables([]);
+      setExamples([]);
+      setAccess({ visibility: "team", sharedWith: [] });
     }
+    setChangeNote("");
+    setConflict(null);
   }, [prompt]);
 
   if (!open) return null;
 
-  async function handleSave() {
-    if (!title.trim() || !text.trim()) {
-      alert("Please fill in both title and prompt text");
-      return;
-    }
+  const baseVersion = prompt?.version || 1;
+  const latestVersion = latestPrompt?.version || 1;
+  const changedSinceOpened = latestPrompt && latestVersion !== baseVersion;
 
+  // Checked as the user types; errors block saving
+  const violations = lintPrompt(
+    { text, examples: cleanExamples(examples, extractVariables(text)) },
+    lintRules
+  );
+
+  function memberName(uid) {
+    return teamMembers[uid]?.name || teamMembers[uid]?.email || null;
+  }
+
+  // `fromVersion` is the version these values were based on
+  async function saveValues(values, fromVersion) {
     setIsSubmitting(true);
 
     try {
       await onSave({
-        title: title.trim(),
-        tags: tags
-          .split(",")
-          .map((t) => t.trim())
-          .filter(Boolean),
-        text: text.trim(),
+        ...values,
+        changeNote: changeNote.trim(),
+        baseVersion: fromVersion,
       });
     } catch (error) {
-      console.error("Error saving prompt:", error);
-      alert("Failed to save prompt. Please try again.");
+      if (error.code === "edit-conflict") {
+        setConflict({
+          base: editableFields(prompt),
+          theirs: editableFields(error.current),
+          yours: values,
+          theirsVersion: error.current.version,
+          theirsAuthor: memberName(error.current.updatedBy),
+        });
+      } else {
+        console.error("Error saving prompt:", error);
+        alert("Failed to save prompt. Please try again.");
+      }
     } finally {
       setIsSubmitting(false);
     }
   }
 
+  async function handleSave() {
+    if (!title.trim() || !text.trim()) {
+      alert("Please fill in both title and prompt text");
+      return;
+    }
+
+    if (blockingViolations(violations).length > 0) {
+      alert("This prompt breaks your team's lint rules. Fix the errors first.");
+      return;
+    }
+
+    const { used, unused } = syncVariables(text, variables);
+
+    await saveValues(
+      {
+        title: title.trim(),
+        tags: canonicalTags(parseTags(tags), tagRegistry),
+        text: text.trim(),
+        variables: [...used, ...unused],
+        examples: cleanExamples(examples, extractVariables(text)),
+        ...visibilityFields(access.visibility, access.sharedWith),
+      },
+      baseVersion
+    );
+  }
+
   return (
     <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
       <div
@@ -81,178 +178,298 @@ export default function EditPromptModal({ open, prompt, onClose, onSave }) {
                 className="text-sm"
                 style={{ color: "var(--muted-foreground)" }}
               >
-                Update your prompt details
+                {conflict
+                  ? "Resolve conflicting changes"
+                  : "Update your prompt details"}
               </p>
             </div>
           </div>
 
-          {/* Form Fields */}
-          <div className="space-y-6">
-            {/* Title Input */}
-            <div className="space-y-2">
-              <label
-                htmlFor="edit-prompt-title"
-                className="block text-sm font-medium"
-                style={{ color: "var(--foreground)" }}
-              >
-                Title *
-              </label>
-              <input
-                id="edit-prompt-title"
-                type="text"
-                placeholder="Enter a descriptive title for your prompt"
-                className="form-input"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                required
-                disabled={isSubmitting}
-                maxLength={100}
-              />
-              <div
-                className="flex justify-between text-xs"
-                style={{ color: "var(--muted-foreground)" }}
-              >
-                <span>
-                  A clear, descriptive title helps others understand your
-                  prompt's purpose
-                </span>
-                <span>{title.length}/100</span>
-              </div>
-            </div>
+          {conflict ? (
+            <EditConflictResolver
+              key={conflict.theirsVersion}
+              base={conflict.base}
+              theirs={conflict.theirs}
+              yours={conflict.yours}
+              baseVersion={baseVersion}
+              theirsVersion={conflict.theirsVersion}
+              theirsAuthor={conflict.theirsAuthor}
+              teamMembers={teamMembers}
+              isSaving={isSubmitting}
+              onSave={(values) => saveValues(values, conflict.theirsVersion)}
+              onCancel={() => setConflict(null)}
+            />
+          ) : (
+            <>
+              {changedSinceOpened && (
+                <div
+                  className="p-3 rounded-lg border text-sm mb-6"
+                  style={{
+                    backgroundColor: "rgba(234, 179, 8, 0.1)",
+                    borderColor: "#eab308",
+                    color: "var(--foreground)",
+                  }}
+                >
+                  ⚠️ {memberName(latestPrompt.updatedBy) || "Someone"} saved
+                  version {latestVersion} since you started editing. You'll be
+                  able to merge their changes when you save.
+                </div>
+              )}
 
-            {/* Prompt Content */}
-            <div className="space-y-2">
-              <label
-                htmlFor="edit-prompt-text"
-                className="block text-sm font-medium"
-                style={{ color: "var(--foreground)" }}
-              >
-                Prompt Content *
-              </label>
-              <div className="relative">
-                <textarea
-                  id="edit-prompt-text"
-                  placeholder="Write your AI prompt here. Be specific about what you want the AI to do, provide context, and include any formatting instructions..."
-                  className="form-input min-h-32 resize-y"
-                  value={text}
-                  onChange={(e) => setText(e.target.value)}
-                  required
-                  disabled={isSubmitting}
-                  rows={8}
+              {needsReapproval && (
+                <div
+                  className="p-3 rounded-lg border text-sm mb-6"
                   style={{
-                    fontFamily: "JetBrains Mono, monospace",
-                    fontSize: "0.875rem",
+                    backgroundColor: "rgba(234, 179, 8, 0.1)",
+                    borderColor: "#eab308",
+                    color: "var(--foreground)",
                   }}
-                />
-              </div>
-              <div
-                className="flex justify-between text-xs"
-                style={{ color: "var(--muted-foreground)" }}
-              >
-                <span>
-                  Write clear, specific instructions for best AI performance
-                </span>
-                <span>
-                  {text.length} characters •{" "}
-                  {text.trim().split(/\s+/).filter(Boolean).length} words
-                </span>
-              </div>
-            </div>
+                >
+                  ⚠️ This prompt is approved. Changing its title, text, tags,
+                  variables or examples sends it back for review.
+                </div>
+              )}
 
-            {/* Tags Input */}
-            <div className="space-y-2">
-              <label
-                htmlFor="edit-prompt-tags"
-                className="block text-sm font-medium"
-                style={{ color: "var(--foreground)" }}
-              >
-                Tags
-              </label>
-              <input
-                id="edit-prompt-tags"
-                type="text"
-                placeholder="e.g. writing, creative, marketing, code"
-                className="form-input"
-                value={tags}
-                onChange={(e) => setTags(e.target.value)}
-                disabled={isSubmitting}
-              />
-              <div
-                className="text-xs"
-                style={{ color: "var(--muted-foreground)" }}
-              >
-                Add comma-separated tags to help organize and discover prompts
-              </div>
+              {/* Form Fields */}
+              <div className="space-y-6">
+                {/* Title Input */}
+                <div className="space-y-2">
+                  <label
+                    htmlFor="edit-prompt-title"
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Title *
+                  </label>
+                  <input
+                    id="edit-prompt-title"
+                    type="text"
+                    placeholder="Enter a descriptive title for your prompt"
+                    className="form-input"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    required
+                    disabled={isSubmitting}
+                    maxLength={100}
+                  />
+                  <div
+                    className="flex justify-between text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    <span>
+                      A clear, descriptive title helps others understand your
+                      prompt's purpose
+                    </span>
+                    <span>{title.length}/100</span>
+                  </div>
+                </div>
 
-              {/* Tag Preview */}
-              {tags.trim() && (
-                <div className="flex flex-wrap gap-2 mt-2">
-                  {tags.split(",").map((tag, index) => {
-                    const cleanTag = tag.trim();
-                    if (!cleanTag) return null;
-                    return (
-                      <span
-                        key={index}
-                        className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border"
-                        style={{
-                          backgroundColor: "var(--secondary)",
-                          color: "var(--secondary-foreground)",
-                          borderColor: "var(--border)",
-                        }}
-                      >
-                        #{cleanTag}
-                      </span>
-                    );
-                  })}
+                {/* Prompt Content */}
+                <div className="space-y-2">
+                  <label
+                    htmlFor="edit-prompt-text"
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Prompt Content *
+                  </label>
+                  <div className="relative">
+                    <textarea
+                      id="edit-prompt-text"
+                      placeholder="Write your AI prompt here. Be specific about what you want the AI to do, provide context, and include any formatting instructions..."
+                      className="form-input min-h-32 resize-y"
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                      required
+                      disabled={isSubmitting}
+                      rows={8}
+                      style={{
+                        fontFamily: "JetBrains Mono, monospace",
+                        fontSize: "0.875rem",
+                      }}
+                    />
+                  </div>
+                  <div
+                    className="flex justify-between text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    <span>
+                      Write clear, specific instructions for best AI performance
+                    </span>
+                    <span>
+                      {text.length} characters •{" "}
+                      {text.trim().split(/\s+/).filter(Boolean).length} words
+                    </span>
+                  </div>
+                  <LintViolations violations={violations} blocking />
                 </div>
-              )}
-            </div>
 
-            {/* Help Text */}
-            <div
-              className="p-4 rounded-lg border"
-              style={{
-                backgroundColor: "var(--secondary)",
-                borderColor: "var(--border)",
-              }}
-            >
-              <h4
-                className="text-sm font-medium mb-2"
-                style={{ color: "var(--foreground)" }}
-              >
-                💡 Tips for effective prompts:
-              </h4>
-              <ul
-                className="text-xs space-y-1"
-                style={{ color: "var(--muted-foreground)" }}
-              >
-                <li>• Be specific about the desired output format</li>
-                <li>• Provide relevant context and examples</li>
-                <li>• Use clear, actionable language</li>
-                <li>• Test your prompt before sharing with the team</li>
-              </ul>
-            </div>
-          </div>
+                {/* Template Variables */}
+                <div className="space-y-2">
+                  <label
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Template Variables
+                  </label>
+                  <VariableEditor
+                    text={text}
+                    variables={variables}
+                    onChange={setVariables}
+                    disabled={isSubmitting}
+                  />
+                </div>
 
-          {/* Action Buttons */}
-          <div className="flex items-center gap-3 pt-6">
-            <button
-              onClick={handleSave}
-              disabled={isSubmitting || !title.trim() || !text.trim()}
-              className="btn-primary px-6 py-2.5 flex items-center gap-2"
-            >
-              {isSubmitting && <div className="neo-spinner w-4 h-4"></div>}
-              <span>{isSubmitting ? "Updating..." : "Update Prompt"}</span>
-            </button>
+                {/* Examples */}
+                <div className="space-y-2">
+                  <label
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Examples
+                  </label>
+                  <ExampleEditor
+                    text={text}
+                    examples={examples}
+                    onChange={setExamples}
+                    disabled={isSubmitting}
+                  />
+                </div>
 
-            <button
-              onClick={onClose}
-              disabled={isSubmitting}
-              className="btn-secondary px-6 py-2.5"
-            >
-              Cancel
-            </button>
-          </div>
+                {/* Tags Input */}
+                <div className="space-y-2">
+                  <label
+                    htmlFor="edit-prompt-tags"
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Tags
+                  </label>
+                  <TagInput
+                    id="edit-prompt-tags"
+                    placeholder="e.g. writing, creative, marketing, code"
+                    value={tags}
+                    onChange={setTags}
+                    registry={tagRegistry}
+                    usedTags={usedTags}
+                    disabled={isSubmitting}
+                  />
+                  <div
+                    className="text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    Add comma-separated tags to help organize and discover
+                    prompts
+                  </div>
+
+                  {/* Tag Preview */}
+                  {tags.trim() && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {canonicalTags(parseTags(tags), tagRegistry).map(
+                        (tag) => (
+                          <TagChip
+                            key={tag}
+                            name={tag}
+                            registry={tagRegistry}
+                          />
+                        )
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {/* Visibility */}
+                <div className="space-y-2">
+                  <label
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Who can see this prompt
+                  </label>
+                  <VisibilityPicker
+                    visibility={access.visibility}
+                    sharedWith={access.sharedWith}
+                    onChange={setAccess}
+                    teamMembers={teamMembers}
+                    currentUserId={prompt?.createdBy || currentUserId}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                {/* Change Note */}
+                <div className="space-y-2">
+                  <label
+                    htmlFor="edit-prompt-change-note"
+                    className="block text-sm font-medium"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    Change Note
+                  </label>
+                  <input
+                    id="edit-prompt-change-note"
+                    type="text"
+                    placeholder="e.g. Tightened the output format instructions"
+                    className="form-input"
+                    value={changeNote}
+                    onChange={(e) => setChangeNote(e.target.value)}
+                    disabled={isSubmitting}
+                    maxLength={200}
+                  />
+                  <div
+                    className="text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    Saved with this version in the prompt history
+                  </div>
+                </div>
+
+                {/* Help Text */}
+                <div
+                  className="p-4 rounded-lg border"
+                  style={{
+                    backgroundColor: "var(--secondary)",
+                    borderColor: "var(--border)",
+                  }}
+                >
+                  <h4
+                    className="text-sm font-medium mb-2"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    💡 Tips for effective prompts:
+                  </h4>
+                  <ul
+                    className="text-xs space-y-1"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    <li>• Be specific about the desired output format</li>
+                    <li>• Provide relevant context and examples</li>
+                    <li>• Use clear, actionable language</li>
+                    <li>• Test your prompt before sharing with the team</li>
+                  </ul>
+                </div>
+              </div>
+
+              {/* Action Buttons */}
+              <div className="flex items-center gap-3 pt-6">
+                <button
+                  onClick={handleSave}
+                  disabled={isSubmitting || !title.trim() || !text.trim()}
+                  className="btn-primary px-6 py-2.5 flex items-center gap-2"
+                >
+                  {isSubmitting && <div className="neo-spinner w-4 h-4"></div>}
+                  <span>{isSubmitting ? "Updating..." : "Update Prompt"}</span>
+                </button>
+
+                <button
+                  onClick={onClose}
+                  disabled={isSubmitting}
+                  className="btn-secondary px-6 py-2.5"
+                >
+                  Cancel
+                </button>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
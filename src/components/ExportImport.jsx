@@ -1,7 +1,62 @@
 // src/components/ExportImport.jsx - Updated to match PromptList UI style
 import { useState } from "react";
+import { extractVariables } from "../utils/templateVariables";
+import { cleanExamples, exportExamples } from "../utils/promptExamples";
+import { canonicalTags, parseTags } from "../utils/tags";
+
+// Split CSV text into rows of cells. Quoted cells may contain commas,
+// line breaks and doubled quotes, as written by ExportUtils.exportAsCSV
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      rows.push([...row, cell.replace(/\r$/, "")]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  rows.push([...row, cell]);
+  return rows;
+}
 
-export default function ExportImport({ onImport, teamId, teamName, userRole }) {
+// Examples travel through CSV files as a JSON column
+function parseExamplesColumn(value) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+}
+
+export default function ExportImport({
+  onImport,
+  teamId,
+  teamName,
+  userRole,
+  tagRegistry = [],
+}) {
   const [importing, setImporting] = useState(false);
   const [dragActive, setDragActive] = useState(false);
 
@@ -45,14 +100,17 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
         .map((prompt) => ({
           title: String(prompt.title || "").trim() || "Untitled Prompt",
           text: String(prompt.text || "").trim() || "",
-          tags: Array.isArray(prompt.tags)
-            ? prompt.tags.filter((tag) => typeof tag === "string" && tag.trim())
-            : typeof prompt.tags === "string"
-            ? prompt.tags
-                .split(",")
-                .map((t) => t.trim())
-                .filter(Boolean)
-            : [],
+          examples: cleanExamples(
+            prompt.examples,
+            extractVariables(String(prompt.text || ""))
+          ),
+          // Spelled the way the team's tag registry spells them
+          tags: canonicalTags(
+            Array.isArray(prompt.tags)
+              ? prompt.tags.filter((tag) => typeof tag === "string")
+              : parseTags(prompt.tags),
+            tagRegistry
+          ),
         }))
         .filter((prompt) => prompt.text);
 
@@ -63,8 +121,9 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
       const confirmMessage = `Import ${validPrompts.length} prompts to "${teamName}"?`;
       if (!confirm(confirmMessage)) return;
 
-      await onImport(validPrompts);
-      alert(`Successfully imported ${validPrompts.length} prompts!`);
+      // onImport may return how many prompts it actually added
+      const imported = await onImport(validPrompts);
+      alert(`Successfully imported ${imported ?? validPrompts.length} prompts!`);
     } catch (error) {
       console.error("Import error:", error);
       alert("Import failed: " + (error.message || "Unknown error"));
@@ -74,10 +133,12 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
   }
 
   function parseCSV(text) {
-    const lines = text.split("\n").filter((line) => line.trim());
-    if (lines.length < 2) return [];
+    const rows = parseCSVRows(text).filter((row) =>
+      row.some((cell) => cell.trim())
+    );
+    if (rows.length < 2) return [];
 
-    const headers = lines[0].split(",").map((h) => h.trim().toLowerCase());
+    const headers = rows[0].map((h) => h.trim().toLowerCase());
     const titleIndex = headers.findIndex(
       (h) => h.includes("title") || h.includes("name")
     );
@@ -85,6 +146,7 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
       (h) => h.includes("text") || h.includes("content") || h.includes("prompt")
     );
     const tagsIndex = headers.findIndex((h) => h.includes("tag"));
+    const examplesIndex = headers.findIndex((h) => h.includes("example"));
 
     if (textIndex === -1) {
       throw new Error(
@@ -92,14 +154,14 @@ export default function ExportImport({ onImport, teamId, teamName, userRole }) {
       );
     }
 
-    return lines.slice(1).map((line) => {
-      const cols = line
-        .split(",")
-        .map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+    return rows.slice(1).map((row) => {
+      const cols = row.map((c) => c.trim());
       return {
         title: titleIndex >= 0 ? cols[titleIndex] : "",
         text: cols[textIndex] || "",
         tags: tagsIndex >= 0 ? cols[tagsIndex] : "",
+        examples:
+          examplesIndex >= 0 ? parseExamplesColumn(cols[examplesIndex]) : [],
       };
     });
   }
@@ -375,6 +437,10 @@ export const ExportUtils = {
         ? prompt.createdAt.toDate().toISOString()
         : null,
       author: prompt.createdBy,
+      visibility: prompt.visibility || "team",
+      examples: exportExamples(prompt.examples),
+      // Private notes, when exporting a favorites collection
+      ...(prompt.note ? { note: prompt.note } : {}),
     }));
 
     this.downloadFile(
@@ -386,13 +452,25 @@ export const ExportUtils = {
 
   // Export prompts as CSV
   exportAsCSV(prompts, filename = "prompts") {
-    const headers = ["title", "text", "tags", "created_date", "author"];
+    const headers = [
+      "title",
+      "text",
+      "tags",
+      "created_date",
+      "author",
+      "examples",
+    ];
     const rows = prompts.map((prompt) => [
       this.escapeCSV(prompt.title || ""),
       this.escapeCSV(prompt.text || ""),
       this.escapeCSV((prompt.tags || []).join(", ")),
       prompt.createdAt ? prompt.createdAt.toDate().toLocaleDateString() : "",
       prompt.createdBy || "",
+      this.escapeCSV(
+        prompt.examples?.length
+          ? JSON.stringify(exportExamples(prompt.examples))
+          : ""
+      ),
     ]);
 
     const csvContent = [
@@ -412,6 +490,18 @@ export const ExportUtils = {
         if (prompt.tags && prompt.tags.length > 0) {
           section += "\nTags: " + prompt.tags.join(", ");
         }
+        if (prompt.note) {
+          section += "\nNote: " + prompt.note;
+        }
+        (prompt.examples || []).forEach((example, index) => {
+          const values = Object.entries(example.variables || {});
+          const input = values.length
+            ? values.map(([name, value]) => `${name} = ${value}`).join(", ")
+            : example.input;
+          section += `\n\nExample ${index + 1}${
+            example.model ? ` (${example.model})` : ""
+          }\nInput: ${input}\nOutput: ${example.output}`;
+        });
         return section;
       })
       .join("\n\n---\n\n");
@@ -0,0 +1,259 @@
+// src/components/FavoriteCollections.jsx - Personal favorite collections and private notes
+import { useState } from "react";
+import {
+  createFavoriteCollection,
+  renameFavoriteCollection,
+  deleteFavoriteCollection,
+  setFavoriteNote,
+} from "../lib/favorites";
+import { FAVORITE_DRAG_TYPE } from "../utils/favorites";
+
+function hasFavorite(e) {
+  return Array.from(e.dataTransfer.types || []).includes(FAVORITE_DRAG_TYPE);
+}
+
+/**
+ * Collection tabs above the favorites list: "All", "Unsorted" and the
+ * user's collections. Favorite cards can be dropped on a collection (or on
+ * "Unsorted") to move them there.
+ */
+export function CollectionBar({
+  userId,
+  collections,
+  counts,
+  selected,
+  onSelect,
+  onMoveFavorite,
+}) {
+  const [newName, setNewName] = useState(null);
+  const [renaming, setRenaming] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const selectedCollection = collections.find((c) => c.id === selected);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    const name = (newName || "").trim();
+    setNewName(null);
+    if (!name) return;
+
+    try {
+      const collectionId = await createFavoriteCollection(userId, name);
+      onSelect(collectionId);
+    } catch (error) {
+      console.error("Error creating collection:", error);
+      alert("Failed to create the collection. Please try again.");
+    }
+  }
+
+  async function handleRename(e) {
+    e.preventDefault();
+    const name = renaming.trim();
+    setRenaming(null);
+    if (!name || name === selectedCollection.name) return;
+
+    try {
+      await renameFavoriteCollection(userId, selectedCollection.id, name);
+    } catch (error) {
+      console.error("Error renaming collection:", error);
+      alert("Failed to rename the collection. Please try again.");
+    }
+  }
+
+  async function handleDelete() {
+    if (
+      !confirm(
+        `Delete the collection "${selectedCollection.name}"? Its favorites move to Unsorted.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deleteFavoriteCollection(userId, selectedCollection.id);
+      onSelect("all");
+    } catch (error) {
+      console.error("Error deleting collection:", error);
+      alert("Failed to delete the collection. Please try again.");
+    }
+  }
+
+  function renderTab(key, label, collectionId) {
+    const isSelected = selected === key;
+    const droppable = key !== "all";
+
+    return (
+      <button
+        key={key}
+        onClick={() => onSelect(key)}
+        onDragOver={
+          droppable
+            ? (e) => {
+                if (!hasFavorite(e)) return;
+                e.preventDefault();
+                setDropTarget(key);
+              }
+            : undefined
+        }
+        onDragLeave={droppable ? () => setDropTarget(null) : undefined}
+        onDrop={
+          droppable
+            ? (e) => {
+                e.preventDefault();
+                setDropTarget(null);
+                const favoriteId = e.dataTransfer.getData(FAVORITE_DRAG_TYPE);
+                if (favoriteId) onMoveFavorite(favoriteId, collectionId);
+              }
+            : undefined
+        }
+        className="px-3 py-1.5 rounded-lg text-sm border transition-colors"
+        style={{
+          borderColor:
+            isSelected || dropTarget === key
+              ? "var(--primary)"
+              : "var(--border)",
+          backgroundColor:
+            isSelected || dropTarget === key
+              ? "rgba(0, 200, 255, 0.15)"
+              : "var(--card)",
+          color: isSelected ? "var(--primary)" : "var(--foreground)",
+        }}
+      >
+        {label}{" "}
+        <span style={{ color: "var(--muted-foreground)" }}>
+          {counts[key] || 0}
+        </span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {renderTab("all", "⭐ All")}
+        {renderTab("unsorted", "📥 Unsorted", null)}
+        {collections.map((collection) =>
+          renderTab(collection.id, `📚 ${collection.name}`, collection.id)
+        )}
+        {newName === null ? (
+          <button
+            onClick={() => setNewName("")}
+            className="px-3 py-1.5 text-sm hover:underline"
+            style={{ color: "var(--primary)" }}
+          >
+            + New collection
+          </button>
+        ) : (
+          <form onSubmit={handleCreate}>
+            <input
+              autoFocus
+              type="text"
+              className="form-input text-sm py-1"
+              placeholder="Collection name, Enter to save"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onBlur={() => setNewName(null)}
+              onKeyDown={(e) => e.key === "Escape" && setNewName(null)}
+            />
+          </form>
+        )}
+      </div>
+
+      {selectedCollection && (
+        <div
+          className="flex items-center gap-3 text-xs"
+          style={{ color: "var(--muted-foreground)" }}
+        >
+          {renaming === null ? (
+            <>
+              <button
+                onClick={() => setRenaming(selectedCollection.name)}
+                className="hover:underline"
+                style={{ color: "var(--primary)" }}
+              >
+                Rename
+              </button>
+              <button
+                onClick={handleDelete}
+                className="hover:underline"
+                style={{ color: "var(--destructive)" }}
+              >
+                Delete collection
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleRename}>
+              <input
+                autoFocus
+                type="text"
+                className="form-input text-sm py-1"
+                value={renaming}
+                onChange={(e) => setRenaming(e.target.value)}
+                onBlur={() => setRenaming(null)}
+                onKeyDown={(e) => e.key === "Escape" && setRenaming(null)}
+              />
+            </form>
+          )}
+          <span>Drag favorites to reorder them or onto a collection</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A private note on a favorite, only ever shown to its owner
+export function FavoriteNote({ userId, favorite }) {
+  const [draft, setDraft] = useState(null);
+  const note = favorite.note || "";
+
+  async function handleSave() {
+    const value = draft;
+    setDraft(null);
+    if (value === null || value.trim() === note) return;
+
+    try {
+      await setFavoriteNote(userId, favorite.id, value);
+    } catch (error) {
+      console.error("Error saving note:", error);
+      alert("Failed to save the note. Please try again.");
+    }
+  }
+
+  if (draft !== null) {
+    return (
+      <textarea
+        autoFocus
+        rows={2}
+        className="form-input text-sm"
+        placeholder="Only you can see this note"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={handleSave}
+        onKeyDown={(e) => e.key === "Escape" && setDraft(null)}
+      />
+    );
+  }
+
+  return note ? (
+    <button
+      onClick={() => setDraft(note)}
+      className="w-full text-left p-3 rounded-lg border text-sm whitespace-pre-wrap"
+      style={{
+        backgroundColor: "rgba(234, 179, 8, 0.05)",
+        borderColor: "rgba(234, 179, 8, 0.3)",
+        color: "var(--foreground)",
+      }}
+      title="Edit note"
+    >
+      📝 {note}
+    </button>
+  ) : (
+    <button
+      onClick={() => setDraft("")}
+      className="text-xs hover:underline"
+      style={{ color: "var(--muted-foreground)" }}
+    >
+      📝 Add a private note
+    </button>
+  );
+}
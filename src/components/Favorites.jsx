@@ -1,16 +1,28 @@
 // src/components/Favorites.jsx - FIXED VERSION
 import { useState, useEffect } from "react";
-import { db } from "../lib/firebase";
-import {
-  collection,
-  doc,
-  setDoc,
-  deleteDoc,
-  onSnapshot,
-  serverTimestamp,
-  getDoc,
-} from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
+import {
+  subscribeFavorites,
+  addFavorite,
+  removeFavorite,
+  removeFavorites,
+  favoriteReference,
+  moveFavoriteToCollection,
+  reorderFavorites,
+} from "../lib/favorites";
+import useFavoritePrompts from "../hooks/useFavoritePrompts";
+import useFavoriteCollections from "../hooks/useFavoriteCollections";
+import { CollectionBar, FavoriteNote } from "./FavoriteCollections";
+import { ExportUtils } from "./ExportImport";
+import Markdown, { MarkdownToggle } from "./Markdown";
+import {
+  FAVORITE_DRAG_TYPE,
+  countByCollection,
+  favoriteCollectionKey,
+  moveBefore,
+} from "../utils/favorites";
+import { getTeam } from "../lib/teams";
+import { getUserProfiles, saveUserProfile } from "../lib/user";
 
 // Hook: useFavorites
 export function useFavorites() {
@@ -26,20 +38,9 @@ export function useFavorites() {
     }
 
     setLoading(true);
-    const userFavoritesRef = collection(db, "users", user.uid, "favorites");
-
-    const unsub = onSnapshot(
-      userFavoritesRef,
-      (snap) => {
-        const favs = snap.docs.map((docSnap) => ({
-          id: docSnap.id,
-          ...docSnap.data(),
-        }));
-
-        favs.sort(
-          (a, b) => (b.addedAt?.toMillis() || 0) - (a.addedAt?.toMillis() || 0)
-        );
-
+    const unsub = subscribeFavorites(
+      user.uid,
+      (favs) => {
         setFavorites(favs);
         setLoading(false);
       },
@@ -56,9 +57,9 @@ export function useFavorites() {
   // ✅ FIXED: Get team name if missing
   async function getTeamName(teamId) {
     try {
-      const teamDoc = await getDoc(doc(db, "teams", teamId));
-      if (teamDoc.exists()) {
-        return teamDoc.data().name || "Unknown Team";
+      const team = await getTeam(teamId);
+      if (team) {
+        return team.name || "Unknown Team";
       }
       return "Unknown Team";
     } catch (error) {
@@ -79,24 +80,13 @@ export function useFavorites() {
       finalTeamName = await getTeamName(teamId);
     }
 
-    // ✅ FIXED: Validate all required fields
-    const favoriteData = {
-      promptId: prompt.id || null,
-      teamId: teamId || null,
-      teamName: finalTeamName || "Unknown Team",
-      title: prompt.title || "Untitled Prompt",
-      text: prompt.text || "",
-      tags: Array.isArray(prompt.tags) ? prompt.tags : [],
-      originalAuthor: prompt.createdBy || null,
-      addedAt: serverTimestamp(),
-      originalCreatedAt: prompt.createdAt || null,
-    };
+    // Favorites store a reference; the list reads the live prompt
+    const favoriteData = favoriteReference(prompt, teamId, finalTeamName);
 
     console.log("Adding favorite:", favoriteData);
 
     try {
-      const favoriteRef = doc(db, "users", user.uid, "favorites", prompt.id);
-      await setDoc(favoriteRef, favoriteData);
+      await addFavorite(user.uid, prompt.id, favoriteData);
     } catch (error) {
       console.error("Error adding favorite:", error);
       throw error;
@@ -107,8 +97,7 @@ export function useFavorites() {
     if (!user || !favoriteId) return;
     
     try {
-      const favoriteRef = doc(db, "users", user.uid, "favorites", favoriteId);
-      await deleteDoc(favoriteRef);
+      await removeFavorite(user.uid, favoriteId);
     } catch (error) {
       console.error("Error removing favorite:", error);
       throw error;
@@ -126,12 +115,25 @@ export function useFavorites() {
     }
   }
 
+  // Remove favorites whose prompt was deleted or can no longer be opened
+  async function cleanUpFavorites(favoriteIds) {
+    if (!user || favoriteIds.length === 0) return;
+
+    try {
+      await removeFavorites(user.uid, favoriteIds);
+    } catch (error) {
+      console.error("Error cleaning up favorites:", error);
+      throw error;
+    }
+  }
+
   return {
     favorites,
     loading,
     isFavorite: (promptId) => favorites.some((f) => f.id === promptId),
     addToFavorites,
     removeFromFavorites,
+    cleanUpFavorites,
     toggleFavorite,
   };
 }
@@ -157,17 +159,7 @@ export function FavoriteButton({
     setIsToggling(true);
     try {
       // ✅ FIXED: Ensure user profile exists
-      const userRef = doc(db, "users", user.uid);
-      await setDoc(
-        userRef,
-        {
-          name: user.displayName || "",
-          email: user.email || "",
-          avatar: user.photoURL || "",
-          updatedAt: serverTimestamp(),
-        },
-        { merge: true }
-      );
+      await saveUserProfile(user);
 
       await toggleFavorite(prompt, teamId, teamName);
 
@@ -224,37 +216,98 @@ export function FavoriteButton({
   );
 }
 
+// Labels for favorites whose prompt can't be shown any more
+const UNAVAILABLE_STATES = {
+  deleted: {
+    icon: "🗑️",
+    label: "Deleted",
+    message: "This prompt was deleted.",
+  },
+  inaccessible: {
+    icon: "🔒",
+    label: "No longer accessible",
+    message:
+      "You can't open this prompt any more - you may have left its team, or it is no longer shared with you.",
+  },
+};
+
 // Component: FavoritesList
 export default function FavoritesList() {
   const { user } = useAuth();
-  const { favorites, loading, removeFromFavorites } = useFavorites();
+  const { favorites, loading, removeFromFavorites, cleanUpFavorites } =
+    useFavorites();
+  const resolved = useFavoritePrompts(favorites, user?.uid);
+  const { collections } = useFavoriteCollections(user?.uid);
   const [profiles, setProfiles] = useState({});
   const [search, setSearch] = useState("");
+  const [isCleaningUp, setIsCleaningUp] = useState(false);
+  const [selectedView, setSelectedView] = useState("all");
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  // Fall back to all favorites when the selected collection is deleted
+  const view =
+    selectedView === "unsorted" ||
+    collections.some((c) => c.id === selectedView)
+      ? selectedView
+      : "all";
+  const viewName =
+    view === "all"
+      ? "All favorites"
+      : view === "unsorted"
+        ? "Unsorted"
+        : collections.find((c) => c.id === view).name;
+  const counts = countByCollection(favorites, collections);
+
+  // Each favorite as shown: the live prompt's fields once resolved, the
+  // stored copy until then (older favorites stored their text and tags)
+  const entries = favorites.map((favorite) => {
+    const { state = "loading", prompt = null } = resolved[favorite.id] || {};
+    const source = prompt || favorite;
+    return {
+      favorite,
+      state,
+      title: source.title,
+      text: state in UNAVAILABLE_STATES ? "" : source.text || "",
+      tags: Array.isArray(source.tags) ? source.tags : [],
+      author: prompt?.createdBy || favorite.originalAuthor,
+    };
+  });
+  const unavailable = entries.filter(
+    (entry) => entry.state in UNAVAILABLE_STATES
+  );
 
   // Load author profiles
+  const authorsKey = [
+    ...new Set(entries.map((e) => e.author).filter(Boolean)),
+  ].join(",");
   useEffect(() => {
     async function fetchProfiles() {
-      const authorIds = [
-        ...new Set(favorites.map((f) => f.originalAuthor).filter(Boolean)),
-      ];
-      const profilesData = {};
-
-      for (const authorId of authorIds) {
-        try {
-          const userDoc = await getDoc(doc(db, "users", authorId));
-          if (userDoc.exists()) {
-            profilesData[authorId] = userDoc.data();
-          }
-        } catch (error) {
-          console.error("Error loading author profile:", error);
-        }
-      }
+      setProfiles(await getUserProfiles(authorsKey.split(",")));
+    }
 
-      setProfiles(profilesData);
+    if (authorsKey) fetchProfiles();
+  }, [authorsKey]);
+
+  async function handleCleanUp() {
+    if (
+      !confirm(
+        `Remove ${unavailable.length} ${
+          unavailable.length === 1 ? "favorite" : "favorites"
+        } whose prompt was deleted or is no longer accessible?`
+      )
+    ) {
+      return;
     }
 
-    if (favorites.length > 0) fetchProfiles();
-  }, [favorites]);
+    setIsCleaningUp(true);
+    try {
+      await cleanUpFavorites(unavailable.map((entry) => entry.favorite.id));
+    } catch {
+      alert("Failed to clean up favorites. Please try again.");
+    } finally {
+      setIsCleaningUp(false);
+    }
+  }
 
   async function copyToClipboard(text) {
     try {
@@ -283,15 +336,73 @@ export default function FavoritesList() {
     }
   }
 
-  const filteredFavorites = favorites.filter((favorite) => {
+  // Favorites in the selected collection, in their custom order
+  const viewEntries = entries.filter(
+    (entry) =>
+      view === "all" ||
+      favoriteCollectionKey(entry.favorite, collections) === view
+  );
+
+  // Drag-and-drop reordering works within one collection, without a search
+  const canReorder = view !== "all" && !search.trim();
+
+  async function handleReorder(draggedId, targetId) {
+    if (draggedId === targetId) return;
+    const ids = viewEntries.map((entry) => entry.favorite.id);
+    if (!ids.includes(draggedId)) return;
+
+    try {
+      await reorderFavorites(user.uid, moveBefore(ids, draggedId, targetId));
+    } catch (error) {
+      console.error("Error reordering favorites:", error);
+      alert("Failed to reorder favorites. Please try again.");
+    }
+  }
+
+  async function handleMoveToCollection(favoriteId, collectionId) {
+    try {
+      await moveFavoriteToCollection(user.uid, favoriteId, collectionId);
+    } catch (error) {
+      console.error("Error moving favorite:", error);
+      alert("Failed to move the favorite. Please try again.");
+    }
+  }
+
+  // Export the collection being viewed: live prompts with their notes
+  function handleExport(format) {
+    const exported = viewEntries
+      .filter((entry) => entry.state === "live")
+      .map((entry) => ({
+        ...resolved[entry.favorite.id].prompt,
+        note: entry.favorite.note || "",
+      }));
+    if (exported.length === 0) {
+      alert("There are no available prompts to export in this collection.");
+      return;
+    }
+
+    const slug = viewName.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    const filename = `favorites-${slug}-${new Date().toISOString().split("T")[0]}`;
+    switch (format) {
+      case "json":
+        ExportUtils.exportAsJSON(exported, filename);
+        break;
+      case "csv":
+        ExportUtils.exportAsCSV(exported, filename);
+        break;
+      case "txt":
+        ExportUtils.exportAsTXT(exported, filename);
+        break;
+    }
+  }
+
+  const filteredFavorites = viewEntries.filter((entry) => {
     if (!search.trim()) return true;
     return (
-      favorite.title?.toLowerCase().includes(search.toLowerCase()) ||
-      favorite.text?.toLowerCase().includes(search.toLowerCase()) ||
-      (Array.isArray(favorite.tags) &&
-        favorite.tags.some((tag) =>
-          tag.toLowerCase().includes(search.toLowerCase())
-        ))
+      entry.title?.toLowerCase().includes(search.toLowerCase()) ||
+      entry.text.toLowerCase().includes(search.toLowerCase()) ||
+      entry.favorite.note?.toLowerCase().includes(search.toLowerCase()) ||
+      entry.tags.some((tag) => tag.toLowerCase().includes(search.toLowerCase()))
     );
   });
 
@@ -349,18 +460,72 @@ export default function FavoritesList() {
           </div>
         </div>
 
-        {/* Search */}
+        {/* Collections */}
         {favorites.length > 0 && (
-          <div className="relative">
-            <input
-              type="text"
-              placeholder="Search your favorites..."
-              value={search}
-              onChange={(e) => setSearch(e.target.value)}
-              className="search-input"
+          <div className="mb-4">
+            <CollectionBar
+              userId={user.uid}
+              collections={collections}
+              counts={counts}
+              selected={view}
+              onSelect={setSelectedView}
+              onMoveFavorite={handleMoveToCollection}
             />
           </div>
         )}
+
+        {/* Search and Export */}
+        {favorites.length > 0 && (
+          <div className="flex items-center gap-2 flex-wrap">
+            <div className="relative flex-1 min-w-[200px]">
+              <input
+                type="text"
+                placeholder="Search your favorites..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="search-input"
+              />
+            </div>
+            <select
+              value=""
+              onChange={(e) => e.target.value && handleExport(e.target.value)}
+              className="form-input text-sm py-1.5 w-auto"
+              title={`Export ${viewName}`}
+            >
+              <option value="">Export {viewName}…</option>
+              <option value="json">JSON</option>
+              <option value="csv">CSV</option>
+              <option value="txt">TXT</option>
+            </select>
+            <MarkdownToggle />
+          </div>
+        )}
+
+        {/* Cleanup */}
+        {unavailable.length > 0 && (
+          <div
+            className="mt-4 p-3 rounded-lg border flex items-center justify-between gap-3 flex-wrap text-sm"
+            style={{
+              backgroundColor: "rgba(234, 179, 8, 0.1)",
+              borderColor: "rgba(234, 179, 8, 0.3)",
+              color: "#eab308",
+            }}
+          >
+            <span>
+              ⚠️ {unavailable.length}{" "}
+              {unavailable.length === 1 ? "favorite points" : "favorites point"}{" "}
+              to a prompt that was deleted or is no longer accessible
+            </span>
+            <button
+              onClick={handleCleanUp}
+              disabled={isCleaningUp}
+              className="btn-secondary px-3 py-1 text-xs flex items-center gap-1 disabled:opacity-50"
+            >
+              {isCleaningUp && <div className="neo-spinner w-3 h-3"></div>}
+              Clean up
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Empty State */}
@@ -399,10 +564,14 @@ export default function FavoritesList() {
                 className="text-lg font-semibold mb-2"
                 style={{ color: "var(--foreground)" }}
               >
-                No matching favorites
+                {search.trim()
+                  ? "No matching favorites"
+                  : "This collection is empty"}
               </h3>
               <p style={{ color: "var(--muted-foreground)" }}>
-                Try adjusting your search terms
+                {search.trim()
+                  ? "Try adjusting your search terms"
+                  : "Drag favorites onto the collection, or pick it on a favorite"}
               </p>
             </>
           )}
@@ -410,13 +579,42 @@ export default function FavoritesList() {
       ) : (
         /* Favorites Grid */
         <div className="grid gap-4">
-          {filteredFavorites.map((favorite) => {
-            const author = profiles[favorite.originalAuthor];
+          {filteredFavorites.map((entry) => {
+            const { favorite } = entry;
+            const author = profiles[entry.author];
+            const unavailableState = UNAVAILABLE_STATES[entry.state];
+            const isDropTarget = canReorder && dropTargetId === favorite.id;
 
             return (
               <div
                 key={favorite.id}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(FAVORITE_DRAG_TYPE, favorite.id);
+                  e.dataTransfer.effectAllowed = "move";
+                }}
+                onDragOver={(e) => {
+                  if (!canReorder) return;
+                  e.preventDefault();
+                  setDropTargetId(favorite.id);
+                }}
+                onDragLeave={() => setDropTargetId(null)}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  setDropTargetId(null);
+                  const draggedId = e.dataTransfer.getData(FAVORITE_DRAG_TYPE);
+                  if (canReorder && draggedId) {
+                    handleReorder(draggedId, favorite.id);
+                  }
+                }}
                 className="glass-card p-6 hover:border-primary/50 transition-all duration-300"
+                style={{
+                  opacity: unavailableState ? 0.7 : 1,
+                  borderTop: isDropTarget
+                    ? "2px solid var(--primary)"
+                    : undefined,
+                  cursor: "grab",
+                }}
               >
                 {/* Header */}
                 <div className="flex items-start justify-between mb-4">
@@ -425,7 +623,7 @@ export default function FavoritesList() {
                       className="font-semibold text-lg mb-2"
                       style={{ color: "var(--foreground)" }}
                     >
-                      {favorite.title}
+                      {entry.title}
                     </h3>
                     <div
                       className="flex items-center gap-3 text-xs flex-wrap"
@@ -449,14 +647,45 @@ export default function FavoritesList() {
                         <span>📅</span>
                         <span>Saved: {formatDate(favorite.addedAt)}</span>
                       </div>
+                      {unavailableState && (
+                        <span
+                          className="px-2 py-0.5 rounded-full"
+                          style={{
+                            backgroundColor: "rgba(234, 179, 8, 0.1)",
+                            color: "#eab308",
+                          }}
+                        >
+                          {unavailableState.icon} {unavailableState.label}
+                        </span>
+                      )}
                     </div>
                   </div>
 
                   {/* Action Buttons */}
                   <div className="flex items-center gap-2 ml-4 flex-shrink-0">
+                    <select
+                      value={favoriteCollectionKey(favorite, collections)}
+                      onChange={(e) =>
+                        handleMoveToCollection(
+                          favorite.id,
+                          e.target.value === "unsorted" ? null : e.target.value
+                        )
+                      }
+                      className="form-input text-xs py-1 w-auto"
+                      title="Collection"
+                    >
+                      <option value="unsorted">📥 Unsorted</option>
+                      {collections.map((collection) => (
+                        <option key={collection.id} value={collection.id}>
+                          📚 {collection.name}
+                        </option>
+                      ))}
+                    </select>
+
                     <button
-                      onClick={() => copyToClipboard(favorite.text)}
-                      className="p-2 rounded-lg transition-colors"
+                      onClick={() => copyToClipboard(entry.text)}
+                      disabled={!entry.text}
+                      className="p-2 rounded-lg transition-colors disabled:opacity-50"
                       style={{
                         backgroundColor: "var(--secondary)",
                         color: "var(--foreground)",
@@ -489,19 +718,27 @@ export default function FavoritesList() {
                       borderColor: "var(--border)",
                     }}
                   >
-                    <pre
-                      className="whitespace-pre-wrap text-sm leading-relaxed font-mono"
-                      style={{ color: "var(--foreground)" }}
-                    >
-                      {favorite.text}
-                    </pre>
+                    {unavailableState ? (
+                      <p
+                        className="text-sm"
+                        style={{ color: "var(--muted-foreground)" }}
+                      >
+                        {unavailableState.message}
+                      </p>
+                    ) : (
+                      <Markdown
+                        text={entry.text}
+                        rawClassName="whitespace-pre-wrap text-sm leading-relaxed font-mono"
+                        style={{ color: "var(--foreground)" }}
+                      />
+                    )}
                   </div>
                 </div>
 
                 {/* Tags */}
-                {favorite.tags && favorite.tags.length > 0 && (
+                {entry.tags.length > 0 && (
                   <div className="flex flex-wrap gap-2">
-                    {favorite.tags.map((tag, index) => (
+                    {entry.tags.map((tag, index) => (
                       <span
                         key={index}
                         className="inline-block px-2 py-1 rounded-full text-xs font-medium border"
@@ -516,6 +753,11 @@ export default function FavoritesList() {
                     ))}
                   </div>
                 )}
+
+                {/* Private Note */}
+                <div className="mt-4">
+                  <FavoriteNote userId={user.uid} favorite={favorite} />
+                </div>
               </div>
             );
           })}
@@ -531,6 +773,7 @@ export default function FavoritesList() {
           >
             <span>
               {filteredFavorites.length} of {favorites.length} favorites shown
+              {view !== "all" && ` in ${viewName}`}
             </span>
             <span>
               Across {new Set(favorites.map((f) => f.teamId)).size} teams
@@ -0,0 +1,474 @@
+// src/components/FolderTree.jsx - Folder sidebar and breadcrumbs for the team prompt library
+import { useState } from "react";
+import {
+  createFolder,
+  renameFolder,
+  reorderFolders,
+  deleteFolder,
+} from "../lib/folders";
+import {
+  buildFolderTree,
+  getChildFolders,
+  getFolderPath,
+  canMoveFolder,
+  FOLDER_DRAG_TYPE,
+  PROMPT_DRAG_TYPE,
+  UNFILED,
+} from "../utils/folderTree";
+
+// Where a drag over a folder row lands: before it, inside it, or after it
+function dropPosition(e) {
+  const rect = e.currentTarget.getBoundingClientRect();
+  const offset = (e.clientY - rect.top) / rect.height;
+  if (offset < 0.25) return "before";
+  if (offset > 0.75) return "after";
+  return "inside";
+}
+
+function hasDragType(e, type) {
+  return Array.from(e.dataTransfer.types || []).includes(type);
+}
+
+export default function FolderTree({
+  teamId,
+  folders,
+  selectedFolderId,
+  onSelect,
+  promptCounts = {},
+  totalCount = 0,
+  onMovePrompts,
+  userId,
+  userRole,
+}) {
+  const [expanded, setExpanded] = useState({});
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+  const [creatingIn, setCreatingIn] = useState(undefined);
+  const [newFolderName, setNewFolderName] = useState("");
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const tree = buildFolderTree(folders);
+  const isAdmin = userRole === "owner" || userRole === "admin";
+
+  function canManage(folder) {
+    return isAdmin || folder.createdBy === userId;
+  }
+
+  function toggleExpanded(folderId) {
+    setExpanded((prev) => ({ ...prev, [folderId]: !prev[folderId] }));
+  }
+
+  function startCreate(parentId) {
+    setCreatingIn(parentId);
+    setNewFolderName("");
+    if (parentId) setExpanded((prev) => ({ ...prev, [parentId]: true }));
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!newFolderName.trim()) {
+      setCreatingIn(undefined);
+      return;
+    }
+
+    try {
+      const folderId = await createFolder(
+        teamId,
+        userId,
+        newFolderName,
+        creatingIn || null
+      );
+      onSelect(folderId);
+    } catch (error) {
+      console.error("Error creating folder:", error);
+      alert("Failed to create folder. Please try again.");
+    } finally {
+      setCreatingIn(undefined);
+      setNewFolderName("");
+    }
+  }
+
+  function startRename(folder) {
+    setRenamingId(folder.id);
+    setRenameValue(folder.name);
+  }
+
+  async function handleRename(e) {
+    e.preventDefault();
+    const folder = folders.find((f) => f.id === renamingId);
+    setRenamingId(null);
+    if (!folder || !renameValue.trim() || renameValue.trim() === folder.name) {
+      return;
+    }
+
+    try {
+      await renameFolder(teamId, folder.id, renameValue);
+    } catch (error) {
+      console.error("Error renaming folder:", error);
+      alert("Failed to rename folder. Please try again.");
+    }
+  }
+
+  async function handleDelete(folder) {
+    if (
+      !confirm(
+        `Delete folder "${folder.name}"? Its prompts and subfolders will move up one level.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await deleteFolder(teamId, userId, folder);
+      if (selectedFolderId === folder.id) onSelect(folder.parentId || null);
+    } catch (error) {
+      console.error("Error deleting folder:", error);
+      alert("Failed to delete folder. Please try again.");
+    }
+  }
+
+  // Move a dragged folder relative to a target folder (or to the top level)
+  async function moveFolder(folderId, target, position) {
+    const parentId =
+      position === "inside" ? target?.id || null : target?.parentId || null;
+
+    if (folderId === target?.id || !canMoveFolder(folders, folderId, parentId)) {
+      return;
+    }
+
+    const siblingIds = getChildFolders(folders, parentId)
+      .map((f) => f.id)
+      .filter((id) => id !== folderId);
+
+    if (position === "inside" || !target) {
+      siblingIds.push(folderId);
+    } else {
+      const index = siblingIds.indexOf(target.id);
+      siblingIds.splice(position === "after" ? index + 1 : index, 0, folderId);
+    }
+
+    try {
+      await reorderFolders(teamId, parentId, siblingIds);
+      if (parentId) setExpanded((prev) => ({ ...prev, [parentId]: true }));
+    } catch (error) {
+      console.error("Error moving folder:", error);
+      alert("Failed to move folder. Please try again.");
+    }
+  }
+
+  function handleDragOver(e, key) {
+    const isFolder = hasDragType(e, FOLDER_DRAG_TYPE);
+    if (!isFolder && !hasDragType(e, PROMPT_DRAG_TYPE)) {
+      return;
+    }
+    e.preventDefault();
+    // Prompts are always dropped into a folder, never beside it
+    const position = isFolder && key !== UNFILED ? dropPosition(e) : "inside";
+    if (dropTarget?.key !== key || dropTarget?.position !== position) {
+      setDropTarget({ key, position });
+    }
+  }
+
+  function handleDrop(e, folder) {
+    e.preventDefault();
+    const position = dropTarget?.position || "inside";
+    setDropTarget(null);
+
+    const draggedFolderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+    if (draggedFolderId) {
+      moveFolder(draggedFolderId, folder, folder ? position : "inside");
+      return;
+    }
+
+    const promptId = e.dataTransfer.getData(PROMPT_DRAG_TYPE);
+    if (promptId && onMovePrompts) {
+      onMovePrompts([promptId], folder?.id || null);
+    }
+  }
+
+  function renderNewFolderInput(depth) {
+    return (
+      <form
+        onSubmit={handleCreate}
+        className="py-1"
+        style={{ paddingLeft: `${depth * 16 + 8}px` }}
+      >
+        <input
+          autoFocus
+          type="text"
+          className="form-input text-sm py-1"
+          placeholder="Folder name, Enter to save"
+          value={newFolderName}
+          onChange={(e) => setNewFolderName(e.target.value)}
+          onBlur={() => setCreatingIn(undefined)}
+          onKeyDown={(e) => e.key === "Escape" && setCreatingIn(undefined)}
+        />
+      </form>
+    );
+  }
+
+  function renderFolder(node, depth) {
+    const isSelected = selectedFolderId === node.id;
+    const isExpanded = !!expanded[node.id];
+    const hasChildren = node.children.length > 0;
+    const manageable = canManage(node);
+    const drop = dropTarget?.key === node.id ? dropTarget.position : null;
+
+    return (
+      <div key={node.id}>
+        <div
+          draggable={manageable && renamingId !== node.id}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(FOLDER_DRAG_TYPE, node.id);
+            e.dataTransfer.effectAllowed = "move";
+          }}
+          onDragOver={(e) => handleDragOver(e, node.id)}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={(e) => handleDrop(e, node)}
+          onClick={() => onSelect(node.id)}
+          className="group flex items-center gap-1 pr-2 py-1.5 rounded-lg cursor-pointer text-sm transition-colors"
+          style={{
+            paddingLeft: `${depth * 16 + 4}px`,
+            backgroundColor:
+              isSelected || drop === "inside"
+                ? "rgba(0, 200, 255, 0.15)"
+                : "transparent",
+            color: isSelected ? "var(--primary)" : "var(--foreground)",
+            borderTop:
+              drop === "before"
+                ? "2px solid var(--primary)"
+                : "2px solid transparent",
+            borderBottom:
+              drop === "after"
+                ? "2px solid var(--primary)"
+                : "2px solid transparent",
+          }}
+        >
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleExpanded(node.id);
+            }}
+            className="w-4 text-xs"
+            style={{
+              color: "var(--muted-foreground)",
+              visibility: hasChildren ? "visible" : "hidden",
+            }}
+          >
+            {isExpanded ? "▾" : "▸"}
+          </button>
+
+          {renamingId === node.id ? (
+            <form
+              onSubmit={handleRename}
+              className="flex-1"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <input
+                autoFocus
+                type="text"
+                className="form-input text-sm py-0.5"
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onBlur={() => setRenamingId(null)}
+                onKeyDown={(e) => e.key === "Escape" && setRenamingId(null)}
+              />
+            </form>
+          ) : (
+            <>
+              <span className="flex-1 truncate">
+                {isExpanded ? "📂" : "📁"} {node.name}
+              </span>
+              <span
+                className="text-xs group-hover:hidden"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {promptCounts[node.id] || 0}
+              </span>
+              <span className="hidden group-hover:flex items-center gap-1 text-xs">
+                <button
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    startCreate(node.id);
+                  }}
+                  title="New subfolder"
+                >
+                  ➕
+                </button>
+                {manageable && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        startRename(node);
+                      }}
+                      title="Rename folder"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(node);
+                      }}
+                      title="Delete folder"
+                    >
+                      🗑️
+                    </button>
+                  </>
+                )}
+              </span>
+            </>
+          )}
+        </div>
+
+        {(isExpanded || creatingIn === node.id) && (
+          <div>
+            {isExpanded &&
+              node.children.map((child) => renderFolder(child, depth + 1))}
+            {creatingIn === node.id && renderNewFolderInput(depth + 1)}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  function renderRootItem(key, label, count, folderTarget) {
+    const isSelected = selectedFolderId === key;
+    const isDropping = dropTarget?.key === key;
+
+    return (
+      <div
+        onClick={() => onSelect(key)}
+        onDragOver={
+          folderTarget ? (e) => handleDragOver(e, UNFILED) : undefined
+        }
+        onDragLeave={folderTarget ? () => setDropTarget(null) : undefined}
+        onDrop={folderTarget ? (e) => handleDrop(e, null) : undefined}
+        className="flex items-center justify-between px-2 py-1.5 rounded-lg cursor-pointer text-sm transition-colors"
+        style={{
+          backgroundColor:
+            isSelected || isDropping ? "rgba(0, 200, 255, 0.15)" : "transparent",
+          color: isSelected ? "var(--primary)" : "var(--foreground)",
+        }}
+      >
+        <span>{label}</span>
+        <span className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+          {count}
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3
+          className="text-sm font-semibold"
+          style={{ color: "var(--foreground)" }}
+        >
+          Folders
+        </h3>
+        <button
+          type="button"
+          onClick={() => startCreate(null)}
+          className="text-xs px-2 py-1 rounded border transition-colors"
+          style={{
+            color: "var(--primary)",
+            borderColor: "var(--border)",
+          }}
+          title="New folder"
+        >
+          + New
+        </button>
+      </div>
+
+      <div className="space-y-0.5">
+        {renderRootItem(null, "🗂️ All Prompts", totalCount, false)}
+        {renderRootItem(UNFILED, "📄 Unfiled", promptCounts[UNFILED] || 0, true)}
+
+        {tree.map((node) => renderFolder(node, 0))}
+        {creatingIn === null && renderNewFolderInput(0)}
+      </div>
+
+      {folders.length > 0 && (
+        <p className="text-xs mt-3" style={{ color: "var(--muted-foreground)" }}>
+          Drag folders to reorder or nest them; drag prompts onto a folder to
+          move them
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Path to the selected folder plus its subfolders, shown above the prompt list
+export function FolderBreadcrumbs({ folders, folderId, onSelect }) {
+  const path = folderId && folderId !== UNFILED ? getFolderPath(folders, folderId) : [];
+  const subfolders =
+    folderId && folderId !== UNFILED ? getChildFolders(folders, folderId) : [];
+
+  if (!folderId) return null;
+
+  return (
+    <div className="glass-card px-4 py-3 space-y-2">
+      <nav
+        className="flex items-center gap-2 text-sm flex-wrap"
+        style={{ color: "var(--muted-foreground)" }}
+      >
+        <button
+          type="button"
+          onClick={() => onSelect(null)}
+          className="hover:underline"
+        >
+          All Prompts
+        </button>
+        {folderId === UNFILED && (
+          <>
+            <span>/</span>
+            <span style={{ color: "var(--foreground)" }}>Unfiled</span>
+          </>
+        )}
+        {path.map((folder, index) => (
+          <span key={folder.id} className="flex items-center gap-2">
+            <span>/</span>
+            {index === path.length - 1 ? (
+              <span style={{ color: "var(--foreground)" }}>{folder.name}</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onSelect(folder.id)}
+                className="hover:underline"
+              >
+                {folder.name}
+              </button>
+            )}
+          </span>
+        ))}
+      </nav>
+
+      {subfolders.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {subfolders.map((folder) => (
+            <button
+              key={folder.id}
+              type="button"
+              onClick={() => onSelect(folder.id)}
+              className="text-xs px-2 py-1 rounded-full border"
+              style={{
+                backgroundColor: "var(--secondary)",
+                color: "var(--secondary-foreground)",
+                borderColor: "var(--border)",
+              }}
+            >
+              📁 {folder.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
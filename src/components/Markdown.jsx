@@ -0,0 +1,235 @@
+// src/components/Markdown.jsx - Markdown rendering for prompt text and comments
+import { Fragment } from "react";
+import { parseMarkdown, highlightCode } from "../utils/markdown";
+import { splitMentions } from "../utils/mentions";
+import useMarkdownView from "../hooks/useMarkdownView";
+
+const TOKEN_STYLES = {
+  keyword: { color: "#c084fc" },
+  string: { color: "#86efac" },
+  number: { color: "#fbbf24" },
+  comment: { color: "var(--muted-foreground)", fontStyle: "italic" },
+};
+
+const HEADING_CLASSES = {
+  1: "text-xl font-bold",
+  2: "text-lg font-bold",
+  3: "text-base font-semibold",
+  4: "text-sm font-semibold",
+  5: "text-sm font-semibold",
+  6: "text-sm font-semibold",
+};
+
+function CodeBlock({ language, text }) {
+  return (
+    <div className="relative">
+      {language && (
+        <span
+          className="absolute top-1 right-2 text-[10px] uppercase tracking-wide"
+          style={{ color: "var(--muted-foreground)" }}
+        >
+          {language}
+        </span>
+      )}
+      <pre
+        className="p-3 rounded-lg border overflow-x-auto text-xs font-mono"
+        style={{
+          backgroundColor: "rgba(0, 0, 0, 0.3)",
+          borderColor: "var(--border)",
+        }}
+      >
+        <code>
+          {highlightCode(text, language).map((token, index) =>
+            TOKEN_STYLES[token.type] ? (
+              <span key={index} style={TOKEN_STYLES[token.type]}>
+                {token.text}
+              </span>
+            ) : (
+              <Fragment key={index}>{token.text}</Fragment>
+            )
+          )}
+        </code>
+      </pre>
+    </div>
+  );
+}
+
+function renderInline(nodes, renderMention) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case "mention":
+        return (
+          <Fragment key={index}>
+            {renderMention ? renderMention(node) : `@${node.name}`}
+          </Fragment>
+        );
+      case "code":
+        return (
+          <code
+            key={index}
+            className="px-1 py-0.5 rounded text-[0.9em] font-mono"
+            style={{ backgroundColor: "rgba(0, 0, 0, 0.25)" }}
+          >
+            {node.text}
+          </code>
+        );
+      case "strong":
+        return (
+          <strong key={index}>
+            {renderInline(node.children, renderMention)}
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={index}>{renderInline(node.children, renderMention)}</em>
+        );
+      case "strike":
+        return (
+          <del key={index}>{renderInline(node.children, renderMention)}</del>
+        );
+      case "link":
+        return (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline"
+            style={{ color: "var(--primary)" }}
+          >
+            {renderInline(node.children, renderMention)}
+          </a>
+        );
+      default:
+        return <Fragment key={index}>{node.text}</Fragment>;
+    }
+  });
+}
+
+function renderBlocks(blocks, renderMention) {
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case "heading": {
+        const Heading = `h${block.level}`;
+        return (
+          <Heading key={index} className={HEADING_CLASSES[block.level]}>
+            {renderInline(block.children, renderMention)}
+          </Heading>
+        );
+      }
+      case "code":
+        return (
+          <CodeBlock key={index} language={block.language} text={block.text} />
+        );
+      case "rule":
+        return (
+          <hr
+            key={index}
+            className="border-t"
+            style={{ borderColor: "var(--border)" }}
+          />
+        );
+      case "quote":
+        return (
+          <blockquote
+            key={index}
+            className="pl-3 border-l-4 space-y-2"
+            style={{
+              borderColor: "var(--border)",
+              color: "var(--muted-foreground)",
+            }}
+          >
+            {renderBlocks(block.children, renderMention)}
+          </blockquote>
+        );
+      case "list": {
+        const List = block.ordered ? "ol" : "ul";
+        return (
+          <List
+            key={index}
+            start={block.start ?? undefined}
+            className={`pl-5 space-y-1 ${
+              block.ordered ? "list-decimal" : "list-disc"
+            }`}
+          >
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex} className="space-y-1">
+                {renderBlocks(item, renderMention)}
+              </li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return (
+          <p key={index} className="whitespace-pre-wrap">
+            {renderInline(block.children, renderMention)}
+          </p>
+        );
+    }
+  });
+}
+
+/**
+ * Text rendered as Markdown, or shown as-is when the raw view is chosen.
+ * `renderMention({ name, uid })` renders @mentions in both views (as plain
+ * "@Name" in the rendered view otherwise); `rawClassName` styles the raw view.
+ */
+export default function Markdown({
+  text,
+  renderMention,
+  className = "",
+  rawClassName = "whitespace-pre-wrap text-sm font-mono",
+  style,
+}) {
+  const [view] = useMarkdownView();
+
+  if (view === "raw") {
+    return (
+      <pre className={`${rawClassName} ${className}`} style={style}>
+        {renderMention
+          ? splitMentions(text).map((segment, index) => (
+              <Fragment key={index}>
+                {segment.type === "mention"
+                  ? renderMention(segment)
+                  : segment.text}
+              </Fragment>
+            ))
+          : text}
+      </pre>
+    );
+  }
+
+  return (
+    <div
+      className={`text-sm leading-relaxed space-y-3 break-words ${className}`}
+      style={style}
+    >
+      {renderBlocks(parseMarkdown(text), renderMention)}
+    </div>
+  );
+}
+
+// Switches every Markdown view between rendered and raw text
+export function MarkdownToggle({ className = "" }) {
+  const [view, setView] = useMarkdownView();
+
+  return (
+    <button
+      type="button"
+      onClick={() => setView(view === "raw" ? "rendered" : "raw")}
+      className={`text-xs px-2 py-1 rounded-lg border transition-colors ${className}`}
+      style={{
+        borderColor: "var(--border)",
+        color: "var(--muted-foreground)",
+      }}
+      title={
+        view === "raw"
+          ? "Show formatted Markdown"
+          : "Show the raw Markdown text"
+      }
+    >
+      {view === "raw" ? "📝 Raw" : "✨ Formatted"}
+    </button>
+  );
+}
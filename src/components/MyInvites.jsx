@@ -1,18 +1,14 @@
 // src/components/MyInvites.jsx - FIXED VERSION
 import { useEffect, useState } from "react";
-import { db } from "../lib/firebase";
-import {
-  collectionGroup,
-  query,
-  where,
-  getDocs,
-  doc,
-  updateDoc,
-  writeBatch,
-} from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
+import {
+  getPendingInvitesForEmail,
+  joinTeamFromInvite,
+  declineInvite,
+} from "../lib/invites";
 
-export default function MyInvites() {
+// `refreshKey` reloads the invites, e.g. when an invite notification arrives
+export default function MyInvites({ refreshKey }) {
   const { user } = useAuth();
   const [invites, setInvites] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -28,36 +24,8 @@ export default function MyInvites() {
     async function loadInvites() {
       setLoading(true);
       try {
-        // Use collectionGroup to query all invites across all teams
-        const invitesQuery = query(
-          collectionGroup(db, "invites"),
-          where("email", "==", user.email.toLowerCase()),
-          where("status", "==", "pending")
-        );
-
-        const snapshot = await getDocs(invitesQuery);
-        
-        const allInvites = snapshot.docs.map((docSnap) => {
-          const data = docSnap.data();
-          // Extract teamId from document path: teams/{teamId}/invites/{inviteId}
-          const pathParts = docSnap.ref.path.split('/');
-          const teamId = pathParts[1];
-          
-          return {
-            id: docSnap.id,
-            teamId: teamId,
-            ...data,
-          };
-        });
-
-        // Sort by creation date, newest first
-        allInvites.sort((a, b) => {
-          const aTime = a.createdAt?.toMillis() || 0;
-          const bTime = b.createdAt?.toMillis() || 0;
-          return bTime - aTime;
-        });
-
-        setInvites(allInvites);
+        // Invites live under each team, so this searches all teams
+        setInvites(await getPendingInvitesForEmail(user.email));
       } catch (error) {
         console.error("Error loading invites:", error);
         // Don't show error to user - just log it
@@ -68,7 +36,7 @@ export default function MyInvites() {
     }
 
     loadInvites();
-  }, [user?.email]);
+  }, [user?.email, refreshKey]);
 
   // Accept invite handler
   async function handleAccept(invite) {
@@ -81,23 +49,7 @@ export default function MyInvites() {
     setProcessingInvites((prev) => new Set(prev.add(inviteKey)));
 
     try {
-      const batch = writeBatch(db);
-
-      // Add user to team members
-      const teamRef = doc(db, "teams", invite.teamId);
-      batch.update(teamRef, {
-        [`members.${user.uid}`]: invite.role || "member",
-      });
-
-      // Mark invite as accepted
-      const inviteRef = doc(db, "teams", invite.teamId, "invites", invite.id);
-      batch.update(inviteRef, {
-        status: "accepted",
-        acceptedAt: new Date(),
-        acceptedByUid: user.uid,
-      });
-
-      await batch.commit();
+      await joinTeamFromInvite(invite, user.uid);
 
       showNotification(
         `Successfully joined "${invite.teamName}" as ${invite.role || "member"}!`,
@@ -139,12 +91,7 @@ export default function MyInvites() {
     setProcessingInvites((prev) => new Set(prev.add(inviteKey)));
 
     try {
-      const inviteRef = doc(db, "teams", invite.teamId, "invites", invite.id);
-      await updateDoc(inviteRef, {
-        status: "rejected",
-        rejectedAt: new Date(),
-        rejectedByUid: user.uid,
-      });
+      await declineInvite(invite, user.uid);
 
       showNotification("Invite declined", "info");
       setInvites((prev) => prev.filter((inv) => inv.id !== invite.id));
@@ -242,7 +189,7 @@ export default function MyInvites() {
   }
 
   return (
-    <div className="p-6 border-t" style={{ borderColor: "var(--border)", backgroundColor: "var(--card)" }}>
+    <div id="my-invites" className="p-6 border-t" style={{ borderColor: "var(--border)", backgroundColor: "var(--card)" }}>
       {loading ? (
         <div className="flex items-center gap-3">
           <div className="neo-spinner w-4 h-4"></div>
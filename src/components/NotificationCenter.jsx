@@ -0,0 +1,322 @@
+// src/components/NotificationCenter.jsx - Inbox bell with unread badge, notification list and preferences
+import { useEffect, useState } from "react";
+import {
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_TYPES,
+  deleteNotification,
+  isNotificationEnabled,
+  markAllNotificationsRead,
+  markNotificationRead,
+  setEmailDigest,
+  setNotificationPreference,
+} from "../lib/notifications";
+import { getUserProfile } from "../lib/user";
+import { describeNotification } from "../utils/notifications";
+
+const TYPE_ICONS = Object.fromEntries(
+  NOTIFICATION_TYPES.map(({ type, icon }) => [type, icon])
+);
+
+function formatRelativeTime(timestamp) {
+  if (!timestamp) return "";
+
+  try {
+    const now = new Date();
+    const time = timestamp.toDate();
+    const diffMins = Math.floor((now - time) / (1000 * 60));
+    const diffHours = Math.floor(diffMins / 60);
+    const diffDays = Math.floor(diffHours / 24);
+
+    if (diffMins < 1) return "Just now";
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    if (diffDays < 7) return `${diffDays}d ago`;
+
+    return time.toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+  } catch {
+    return "";
+  }
+}
+
+// Which types of notification the user receives
+function NotificationPreferences({ userId }) {
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    getUserProfile(userId)
+      .then(setProfile)
+      .catch((error) => console.error("Error loading preferences:", error));
+  }, [userId]);
+
+  async function handleToggle(type, enabled) {
+    setProfile((prev) => ({
+      ...prev,
+      notificationPrefs: { ...prev?.notificationPrefs, [type]: enabled },
+    }));
+    try {
+      await setNotificationPreference(userId, type, enabled);
+    } catch (error) {
+      console.error("Error saving notification preference:", error);
+      alert("Failed to save your preference. Please try again.");
+      setProfile((prev) => ({
+        ...prev,
+        notificationPrefs: { ...prev?.notificationPrefs, [type]: !enabled },
+      }));
+    }
+  }
+
+  async function handleDigestChange(frequency) {
+    const previous = profile?.emailDigest;
+    setProfile((prev) => ({ ...prev, emailDigest: frequency }));
+    try {
+      await setEmailDigest(userId, frequency);
+    } catch (error) {
+      console.error("Error saving digest preference:", error);
+      alert("Failed to save your preference. Please try again.");
+      setProfile((prev) => ({ ...prev, emailDigest: previous }));
+    }
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      <p className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+        Choose what you want to be notified about
+      </p>
+      {NOTIFICATION_TYPES.map(({ type, icon, label }) => (
+        <label
+          key={type}
+          className="flex items-center gap-3 text-sm cursor-pointer"
+          style={{ color: "var(--foreground)" }}
+        >
+          <input
+            type="checkbox"
+            checked={isNotificationEnabled(profile, type)}
+            onChange={(e) => handleToggle(type, e.target.checked)}
+          />
+          <span>{icon}</span>
+          <span>{label}</span>
+        </label>
+      ))}
+      <label
+        className="flex items-center justify-between gap-3 pt-3 border-t text-sm"
+        style={{ borderColor: "var(--border)", color: "var(--foreground)" }}
+      >
+        <span>📧 Email digest of team activity</span>
+        <select
+          value={profile?.emailDigest || "off"}
+          onChange={(e) => handleDigestChange(e.target.value)}
+          className="form-input text-sm py-1 w-auto"
+        >
+          {DIGEST_FREQUENCIES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+/**
+ * Bell for the app header. `onOpen(notification)` takes the user to what a
+ * notification is about; opening one also marks it read.
+ */
+export default function NotificationCenter({
+  userId,
+  notifications,
+  unreadCount,
+  actors,
+  onOpen,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+
+  async function handleOpen(notification) {
+    setIsOpen(false);
+    onOpen?.(notification);
+    if (notification.read) return;
+
+    try {
+      await markNotificationRead(userId, notification.id);
+    } catch (error) {
+      console.error("Error marking notification read:", error);
+    }
+  }
+
+  async function handleMarkAllRead() {
+    try {
+      await markAllNotificationsRead(userId);
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      alert("Failed to mark notifications as read. Please try again.");
+    }
+  }
+
+  async function handleDelete(notificationId) {
+    try {
+      await deleteNotification(userId, notificationId);
+    } catch (error) {
+      console.error("Error deleting notification:", error);
+      alert("Failed to delete the notification. Please try again.");
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative w-10 h-10 rounded-lg flex items-center justify-center glass-card hover:border-primary/50 transition-all duration-200"
+        title={
+          unreadCount > 0
+            ? `${unreadCount} unread notifications`
+            : "Notifications"
+        }
+      >
+        <span className="text-lg">🔔</span>
+        {unreadCount > 0 && (
+          <span
+            className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full text-xs font-bold flex items-center justify-center"
+            style={{
+              backgroundColor: "var(--destructive)",
+              color: "var(--destructive-foreground)",
+            }}
+          >
+            {unreadCount > 9 ? "9+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setIsOpen(false)}
+          />
+          <div
+            className="absolute right-0 top-full mt-2 w-96 max-w-[90vw] max-h-[70vh] overflow-y-auto glass-card z-50"
+            style={{ border: "1px solid var(--border)" }}
+          >
+            <div
+              className="flex items-center justify-between gap-2 p-4 border-b"
+              style={{ borderColor: "var(--border)" }}
+            >
+              <h3
+                className="font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                {showPreferences ? "⚙️ Preferences" : "🔔 Notifications"}
+              </h3>
+              <div className="flex items-center gap-3 text-xs">
+                {!showPreferences && (
+                  <button
+                    onClick={handleMarkAllRead}
+                    disabled={unreadCount === 0}
+                    className="hover:underline disabled:opacity-50 disabled:no-underline"
+                    style={{ color: "var(--primary)" }}
+                  >
+                    Mark all read
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowPreferences(!showPreferences)}
+                  className="hover:underline"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {showPreferences ? "← Back" : "⚙️ Settings"}
+                </button>
+              </div>
+            </div>
+
+            {showPreferences ? (
+              <NotificationPreferences userId={userId} />
+            ) : notifications.length === 0 ? (
+              <div className="p-8 text-center">
+                <div className="text-3xl mb-2">🔕</div>
+                <p
+                  className="text-sm"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  You're all caught up
+                </p>
+              </div>
+            ) : (
+              <ul>
+                {notifications.map((notification) => {
+                  const actor = actors[notification.actorId];
+                  const detail = notification.excerpt || notification.comment;
+                  return (
+                    <li
+                      key={notification.id}
+                      className="group flex items-start gap-3 p-4 border-b cursor-pointer transition-colors hover:bg-white/5"
+                      style={{
+                        borderColor: "var(--border)",
+                        backgroundColor: notification.read
+                          ? "transparent"
+                          : "rgba(0, 200, 255, 0.05)",
+                      }}
+                      onClick={() => handleOpen(notification)}
+                    >
+                      <span className="text-lg flex-shrink-0">
+                        {TYPE_ICONS[notification.type] || "🔔"}
+                      </span>
+                      <div className="flex-1 min-w-0">
+                        <p
+                          className={`text-sm ${
+                            notification.read ? "" : "font-semibold"
+                          }`}
+                          style={{ color: "var(--foreground)" }}
+                        >
+                          {describeNotification(
+                            notification,
+                            actor?.name || actor?.email
+                          )}
+                        </p>
+                        {detail && (
+                          <p
+                            className="text-xs mt-1 truncate"
+                            style={{ color: "var(--muted-foreground)" }}
+                          >
+                            “{detail}”
+                          </p>
+                        )}
+                        <p
+                          className="text-xs mt-1"
+                          style={{ color: "var(--muted-foreground)" }}
+                        >
+                          {formatRelativeTime(notification.createdAt)}
+                        </p>
+                      </div>
+                      <div className="flex flex-col items-center gap-2 flex-shrink-0">
+                        {!notification.read && (
+                          <span
+                            className="w-2 h-2 rounded-full"
+                            style={{ backgroundColor: "var(--primary)" }}
+                          />
+                        )}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(notification.id);
+                          }}
+                          className="text-xs opacity-0 group-hover:opacity-100 transition-opacity"
+                          style={{ color: "var(--muted-foreground)" }}
+                          title="Delete notification"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
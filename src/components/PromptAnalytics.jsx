@@ -1,24 +1,20 @@
 // src/components/PromptAnalytics.jsx - Updated to match demo UI
 import { useState, useEffect, useMemo } from "react";
-import { db } from "../lib/firebase";
-import {
-  collection,
-  doc,
-  setDoc,
-  deleteDoc,
-  onSnapshot,
-  serverTimestamp,
-  increment,
-  updateDoc,
-  getDoc,
-  query,
-  orderBy,
-  limit,
-} from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
-
-// Hook for prompt ratings
-export function usePromptRating(teamId, promptId) {
+import {
+  subscribeRatings,
+  ratePrompt as saveRating,
+  removeRating as deleteRating,
+} from "../lib/ratings";
+import { subscribePrompts } from "../lib/prompts";
+import { openThreadCount } from "../lib/comments";
+import { sendNotifications } from "../lib/notifications";
+import { canViewPrompt } from "../utils/promptVisibility";
+import { ActivityLogger } from "./ActivityFeed";
+
+// Hook for prompt ratings; with `prompt` ({ createdBy, title }) its author
+// is notified of new ratings
+export function usePromptRating(teamId, promptId, prompt = null) {
   const { user } = useAuth();
   const [ratings, setRatings] = useState([]);
   const [userRating, setUserRating] = useState(null);
@@ -33,18 +29,10 @@ export function usePromptRating(teamId, promptId) {
     }
 
     try {
-      const ratingsRef = collection(
-        db,
-        "teams",
+      const unsub = subscribeRatings(
         teamId,
-        "prompts",
         promptId,
-        "ratings"
-      );
-      const unsub = onSnapshot(
-        ratingsRef,
-        (snap) => {
-          const ratingsData = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        (ratingsData) => {
           setRatings(ratingsData);
 
           const userRatingData = ratingsData.find(
@@ -78,115 +66,43 @@ export function usePromptRating(teamId, promptId) {
     if (!user || !teamId || !promptId || rating < 1 || rating > 5) return;
 
     try {
-      const ratingRef = doc(
-        db,
-        "teams",
-        teamId,
-        "prompts",
-        promptId,
-        "ratings",
-        user.uid
-      );
-      await setDoc(ratingRef, {
-        userId: user.uid,
-        rating: rating,
-        createdAt: serverTimestamp(),
-      });
-
-      const promptRef = doc(db, "teams", teamId, "prompts", promptId);
-      const promptSnap = await getDoc(promptRef);
-
-      if (promptSnap.exists()) {
-        const currentStats = promptSnap.data().stats || {};
-        const currentRatings = currentStats.ratings || {
-          1: 0,
-          2: 0,
-          3: 0,
-          4: 0,
-          5: 0,
-        };
-
-        if (userRating) {
-          currentRatings[userRating] = Math.max(
-            0,
-            (currentRatings[userRating] || 0) - 1
-          );
-        }
-
-        currentRatings[rating] = (currentRatings[rating] || 0) + 1;
-
-        const totalRatings = Object.values(currentRatings).reduce(
-          (sum, count) => sum + count,
-          0
-        );
-        const weightedSum = Object.entries(currentRatings).reduce(
-          (sum, [star, count]) => sum + parseInt(star) * count,
-          0
-        );
-        const newAverage = totalRatings > 0 ? weightedSum / totalRatings : 0;
-
-        await updateDoc(promptRef, {
-          "stats.ratings": currentRatings,
-          "stats.totalRatings": totalRatings,
-          "stats.averageRating": newAverage,
-          "stats.lastRated": serverTimestamp(),
-        });
-      }
+      await saveRating(teamId, promptId, user.uid, rating);
     } catch (error) {
       console.error("Error rating prompt:", error);
       throw error;
     }
+
+    await ActivityLogger.logPromptRated(
+      teamId,
+      user.uid,
+      promptId,
+      rating
+    );
+
+    if (prompt?.createdBy) {
+      try {
+        await sendNotifications([
+          {
+            userId: prompt.createdBy,
+            type: "rating",
+            teamId,
+            promptId,
+            promptTitle: prompt.title || "",
+            rating,
+            actorId: user.uid,
+          },
+        ]);
+      } catch (error) {
+        console.error("Error notifying prompt author:", error);
+      }
+    }
   }
 
   async function removeRating() {
     if (!user || !teamId || !promptId || !userRating) return;
 
     try {
-      const ratingRef = doc(
-        db,
-        "teams",
-        teamId,
-        "prompts",
-        promptId,
-        "ratings",
-        user.uid
-      );
-      await deleteDoc(ratingRef);
-
-      const promptRef = doc(db, "teams", teamId, "prompts", promptId);
-      const promptSnap = await getDoc(promptRef);
-
-      if (promptSnap.exists()) {
-        const currentStats = promptSnap.data().stats || {};
-        const currentRatings = currentStats.ratings || {
-          1: 0,
-          2: 0,
-          3: 0,
-          4: 0,
-          5: 0,
-        };
-
-        currentRatings[userRating] = Math.max(
-          0,
-          (currentRatings[userRating] || 0) - 1
-        );
-
-        const totalRatings = Object.values(currentRatings).reduce(
-          (sum, count) => sum + count,
-          0
-        );
-        const weightedSum = Object.entries(currentRatings).reduce(
-          (sum, [star, count]) => sum + parseInt(star) * count,
-          0
-        );
-        const newAverage = totalRatings > 0 ? weightedSum / totalRatings : 0;
-
-        await updateDoc(promptRef, {
-          "stats.ratings": currentRatings,
-          "stats.totalRatings": totalRatings,
-          "stats.averageRating": newAverage,
-        });
-      }
+      await deleteRating(teamId, promptId, user.uid);
     } catch (error) {
       console.error("Error removing rating:", error);
       throw error;
@@ -250,31 +166,47 @@ export function StarRating({
   );
 }
 
+// Views, copies and AI enhancement runs on a prompt card. Each person
+// counts once per day, see lib/usage
+export function PromptUsage({ stats = {} }) {
+  return (
+    <span title="Views, copies and AI enhancements - counted once per person per day">
+      👁 {stats.views || 0} · 📋 {stats.copies || 0} · ✨{" "}
+      {stats.enhancements || 0}
+    </span>
+  );
+}
+
 // Team analytics dashboard
 export function TeamAnalytics({ teamId }) {
+  const { user } = useAuth();
+  const userId = user?.uid;
   const [analytics, setAnalytics] = useState({
     totalPrompts: 0,
     totalViews: 0,
     totalCopies: 0,
     totalComments: 0,
+    totalOpenThreads: 0,
     averageRating: 0,
     topPrompts: [],
+    openDiscussions: [],
     recentActivity: [],
   });
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    if (!teamId) {
+    if (!teamId || !userId) {
       setLoading(false);
       return;
     }
 
-    const promptsRef = collection(db, "teams", teamId, "prompts");
-    const unsub = onSnapshot(
-      promptsRef,
-      async (snap) => {
+    const unsub = subscribePrompts(
+      teamId,
+      userId,
+      async (prompts) => {
         try {
-          const allPrompts = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+          // Only count prompts the current user is allowed to see
+          const allPrompts = prompts.filter((p) => canViewPrompt(p, userId));
 
           const totals = allPrompts.reduce(
             (acc, prompt) => {
@@ -284,6 +216,7 @@ export function TeamAnalytics({ teamId }) {
                 totalViews: acc.totalViews + (stats.views || 0),
                 totalCopies: acc.totalCopies + (stats.copies || 0),
                 totalComments: acc.totalComments + (stats.comments || 0),
+                totalOpenThreads: acc.totalOpenThreads + openThreadCount(prompt),
                 totalRatings: acc.totalRatings + (stats.totalRatings || 0),
                 ratingSum:
                   acc.ratingSum +
@@ -295,11 +228,18 @@ export function TeamAnalytics({ teamId }) {
               totalViews: 0,
               totalCopies: 0,
               totalComments: 0,
+              totalOpenThreads: 0,
               totalRatings: 0,
               ratingSum: 0,
             }
           );
 
+          // Prompts with unresolved comment threads, busiest first
+          const openDiscussions = allPrompts
+            .filter((p) => openThreadCount(p) > 0)
+            .sort((a, b) => openThreadCount(b) - openThreadCount(a))
+            .slice(0, 10);
+
           const topPrompts = allPrompts
             .filter((p) => p.stats?.averageRating > 0)
             .sort(
@@ -315,6 +255,7 @@ export function TeamAnalytics({ teamId }) {
                 ? totals.ratingSum / totals.totalRatings
                 : 0,
             topPrompts,
+            openDiscussions,
           });
 
           setLoading(false);
@@ -330,7 +271,7 @@ export function TeamAnalytics({ teamId }) {
     );
 
     return () => unsub();
-  }, [teamId]);
+  }, [teamId, userId]);
 
   if (loading) {
     return (
@@ -435,6 +376,8 @@ export function TeamAnalytics({ teamId }) {
           </div>
           <div className="text-sm" style={{ color: "var(--muted-foreground)" }}>
             Comments
+            {analytics.totalOpenThreads > 0 &&
+              ` · ${analytics.totalOpenThreads} open`}
           </div>
         </div>
 
@@ -502,7 +445,8 @@ export function TeamAnalytics({ teamId }) {
                       className="text-sm"
                       style={{ color: "var(--muted-foreground)" }}
                     >
-                      {prompt.stats?.totalCopies || 0} copies •{" "}
+                      {prompt.stats?.views || 0} views •{" "}
+                      {prompt.stats?.copies || 0} copies •{" "}
                       {prompt.stats?.comments || 0} comments
                     </div>
                   </div>
@@ -520,6 +464,44 @@ export function TeamAnalytics({ teamId }) {
         </div>
       )}
 
+      {/* Open Discussions */}
+      {analytics.openDiscussions.length > 0 && (
+        <div className="glass-card p-6">
+          <h4
+            className="font-semibold mb-4"
+            style={{ color: "var(--foreground)" }}
+          >
+            🗣️ Open Discussions
+          </h4>
+          <div className="space-y-2">
+            {analytics.openDiscussions.map((prompt) => (
+              <div
+                key={prompt.id}
+                className="flex items-center justify-between p-3 rounded-lg border"
+                style={{
+                  backgroundColor: "var(--secondary)",
+                  borderColor: "var(--border)",
+                }}
+              >
+                <span
+                  className="font-medium truncate"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {prompt.title}
+                </span>
+                <span
+                  className="ml-4 flex-shrink-0 text-sm"
+                  style={{ color: "#eab308" }}
+                >
+                  💬 {openThreadCount(prompt)} open{" "}
+                  {openThreadCount(prompt) === 1 ? "thread" : "threads"}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Usage Insights */}
       <div className="grid md:grid-cols-2 gap-6">
         <div className="glass-card p-6">
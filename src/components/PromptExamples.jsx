@@ -0,0 +1,242 @@
+// src/components/PromptExamples.jsx - Editing and showing example input/output pairs for prompts
+import { useState, useMemo } from "react";
+import { extractVariables } from "../utils/templateVariables";
+import { OUTPUT_KINDS, createExample } from "../utils/promptExamples";
+
+const labelStyle = { color: "var(--muted-foreground)" };
+
+// Example editor shown in PromptForm and EditPromptModal
+export function ExampleEditor({
+  text,
+  examples = [],
+  onChange,
+  disabled = false,
+}) {
+  const variableNames = useMemo(() => extractVariables(text), [text]);
+
+  function updateExample(id, changes) {
+    onChange(examples.map((ex) => (ex.id === id ? { ...ex, ...changes } : ex)));
+  }
+
+  function updateVariable(example, name, value) {
+    updateExample(example.id, {
+      variables: { ...example.variables, [name]: value },
+    });
+  }
+
+  function removeExample(id) {
+    onChange(examples.filter((ex) => ex.id !== id));
+  }
+
+  return (
+    <div className="space-y-3">
+      {examples.map((example, index) => (
+        <div
+          key={example.id}
+          className="p-3 rounded-lg border space-y-2"
+          style={{
+            backgroundColor: "var(--card)",
+            borderColor: "var(--border)",
+          }}
+        >
+          <div className="flex items-center justify-between">
+            <span
+              className="text-sm font-medium"
+              style={{ color: "var(--foreground)" }}
+            >
+              Example {index + 1}
+            </span>
+            <button
+              type="button"
+              onClick={() => removeExample(example.id)}
+              disabled={disabled}
+              className="text-xs hover:underline"
+              style={{ color: "var(--destructive)" }}
+            >
+              Remove
+            </button>
+          </div>
+
+          {/* Input: variable values, or free text for prompts without variables */}
+          {variableNames.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {variableNames.map((name) => (
+                <label key={name} className="space-y-1">
+                  <code className="text-xs font-mono" style={labelStyle}>
+                    {`{{${name}}}`}
+                  </code>
+                  <input
+                    type="text"
+                    className="form-input text-sm"
+                    value={example.variables[name] || ""}
+                    onChange={(e) =>
+                      updateVariable(example, name, e.target.value)
+                    }
+                    disabled={disabled}
+                  />
+                </label>
+              ))}
+            </div>
+          ) : (
+            <textarea
+              rows={3}
+              placeholder="Sample input given along with the prompt"
+              className="form-input text-sm resize-y"
+              value={example.input}
+              onChange={(e) =>
+                updateExample(example.id, { input: e.target.value })
+              }
+              disabled={disabled}
+            />
+          )}
+
+          <div className="flex items-center gap-4 text-xs flex-wrap">
+            {Object.entries(OUTPUT_KINDS).map(([kind, { label }]) => (
+              <label
+                key={kind}
+                className="flex items-center gap-2 cursor-pointer"
+                style={{ color: "var(--foreground)" }}
+              >
+                <input
+                  type="radio"
+                  name={`output-kind-${example.id}`}
+                  checked={example.outputKind === kind}
+                  onChange={() =>
+                    updateExample(example.id, { outputKind: kind })
+                  }
+                  disabled={disabled}
+                  style={{ accentColor: "var(--primary)" }}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <textarea
+            rows={4}
+            placeholder="What the model should answer, or did answer"
+            className="form-input text-sm resize-y"
+            value={example.output}
+            onChange={(e) =>
+              updateExample(example.id, { output: e.target.value })
+            }
+            disabled={disabled}
+            style={{
+              fontFamily: "JetBrains Mono, monospace",
+              fontSize: "0.8125rem",
+            }}
+          />
+          <input
+            type="text"
+            placeholder="Model that produced it (optional), e.g. gpt-4o"
+            className="form-input text-sm"
+            value={example.model}
+            onChange={(e) =>
+              updateExample(example.id, { model: e.target.value })
+            }
+            disabled={disabled}
+          />
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...examples, createExample(variableNames)])}
+        disabled={disabled}
+        className="btn-secondary px-4 py-2 text-sm"
+      >
+        + Add Example
+      </button>
+      {examples.length === 0 && (
+        <div className="text-xs" style={labelStyle}>
+          Show what a good result looks like with sample input and output
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Collapsed list of a prompt's examples, shown on prompt cards
+export default function ExampleList({ examples = [] }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (examples.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="text-sm font-medium flex items-center gap-2 hover:underline"
+        style={{ color: "var(--foreground)" }}
+      >
+        <span>{expanded ? "▾" : "▸"}</span>
+        🧪 {examples.length} {examples.length === 1 ? "example" : "examples"}
+      </button>
+
+      {expanded &&
+        examples.map((example, index) => {
+          const values = Object.entries(example.variables || {});
+          return (
+            <div
+              key={example.id || index}
+              className="p-3 rounded-lg border space-y-2 text-sm"
+              style={{
+                backgroundColor: "var(--muted)",
+                borderColor: "var(--border)",
+              }}
+            >
+              <div className="text-xs font-medium" style={labelStyle}>
+                Input
+              </div>
+              {values.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {values.map(([name, value]) => (
+                    <span
+                      key={name}
+                      className="px-2 py-0.5 rounded text-xs font-mono"
+                      style={{
+                        backgroundColor: "rgba(0, 200, 255, 0.2)",
+                        color: "var(--primary)",
+                      }}
+                    >
+                      {name} = {value || "—"}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <pre
+                  className="whitespace-pre-wrap text-xs font-mono"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {example.input || "—"}
+                </pre>
+              )}
+              <div
+                className="text-xs font-medium flex items-center gap-2"
+                style={labelStyle}
+              >
+                {OUTPUT_KINDS[example.outputKind]?.label || "Output"}
+                {example.model && (
+                  <span
+                    className="px-2 py-0.5 rounded-full border"
+                    style={{ borderColor: "var(--border)" }}
+                  >
+                    {example.model}
+                  </span>
+                )}
+              </div>
+              <pre
+                className="whitespace-pre-wrap text-xs font-mono p-3 rounded border"
+                style={{
+                  backgroundColor: "var(--card)",
+                  borderColor: "var(--border)",
+                  color: "var(--foreground)",
+                }}
+              >
+                {example.output || "—"}
+              </pre>
+            </div>
+          );
+        })}
+    </div>
+  );
+}
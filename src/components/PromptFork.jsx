@@ -0,0 +1,221 @@
+// src/components/PromptFork.jsx - Copying prompts between teams and showing where a copy came from
+import { useState, useEffect } from "react";
+import { copyPromptToTeam, getPrompt } from "../lib/prompts";
+
+// Badge on a copied prompt linking back to its source, with a notice when the source moved on
+export function ForkBadge({ forkedFrom, onOpenSource }) {
+  const [source, setSource] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadSource() {
+      try {
+        const prompt = await getPrompt(forkedFrom.teamId, forkedFrom.promptId);
+        if (!cancelled) setSource(prompt);
+      } catch {
+        // No longer a member of the source team
+        if (!cancelled) setSource(null);
+      }
+    }
+
+    loadSource();
+    return () => {
+      cancelled = true;
+    };
+  }, [forkedFrom.teamId, forkedFrom.promptId]);
+
+  const sourceVersion = source?.version || 1;
+  const hasChanged = source && sourceVersion > (forkedFrom.version || 1);
+
+  return (
+    <span className="inline-flex items-center gap-2 flex-wrap">
+      <button
+        type="button"
+        onClick={() =>
+          source && onOpenSource?.(forkedFrom.teamId, forkedFrom.promptId)
+        }
+        disabled={!source}
+        className="px-2 py-0.5 rounded-full border text-xs hover:underline disabled:no-underline"
+        style={{
+          backgroundColor: "rgba(0, 200, 255, 0.1)",
+          borderColor: "rgba(0, 200, 255, 0.3)",
+          color: "var(--primary)",
+        }}
+        title={
+          source === null
+            ? "The source prompt was deleted or you no longer have access"
+            : `Open "${forkedFrom.title}" in ${forkedFrom.teamName}`
+        }
+      >
+        🍴 Copied from {forkedFrom.teamName || "another team"} (v
+        {forkedFrom.version || 1})
+      </button>
+      {hasChanged && (
+        <span
+          className="px-2 py-0.5 rounded-full text-xs"
+          style={{
+            backgroundColor: "rgba(234, 179, 8, 0.1)",
+            color: "#eab308",
+          }}
+        >
+          Source updated to v{sourceVersion} since copy
+        </span>
+      )}
+      {source === null && (
+        <span className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+          Source unavailable
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Modal for copying one or more prompts into another team the user belongs to
+export default function CopyToTeamModal({
+  prompts,
+  teams,
+  sourceTeamId,
+  sourceTeamName,
+  userId,
+  onCopied,
+  onClose,
+}) {
+  const targetTeams = teams.filter((t) => t.id !== sourceTeamId);
+  const [targetTeamId, setTargetTeamId] = useState(targetTeams[0]?.id || "");
+  const [isCopying, setIsCopying] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  async function handleCopy() {
+    if (!targetTeamId) return;
+
+    setIsCopying(true);
+    setProgress(0);
+    let copied = 0;
+    let failed = 0;
+
+    for (const prompt of prompts) {
+      try {
+        await copyPromptToTeam(
+          userId,
+          prompt,
+          { teamId: sourceTeamId, teamName: sourceTeamName },
+          targetTeamId
+        );
+        copied++;
+      } catch (error) {
+        console.error("Error copying prompt:", error);
+        failed++;
+      }
+      setProgress(copied + failed);
+    }
+
+    setIsCopying(false);
+    const targetTeam = targetTeams.find((t) => t.id === targetTeamId);
+    onCopied({ copied, failed, teamName: targetTeam?.name || "team" });
+  }
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
+      <div
+        className="glass-card w-full max-w-md max-h-[90vh] overflow-y-auto"
+        style={{ border: "1px solid var(--border)" }}
+      >
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex items-center gap-3 mb-6">
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "var(--primary)" }}
+            >
+              <span
+                className="text-lg"
+                style={{ color: "var(--primary-foreground)" }}
+              >
+                🍴
+              </span>
+            </div>
+            <div className="flex-1">
+              <h3
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                Copy to Team
+              </h3>
+              <p
+                className="text-sm"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {prompts.length === 1
+                  ? prompts[0].title
+                  : `${prompts.length} prompts`}
+              </p>
+            </div>
+          </div>
+
+          {targetTeams.length === 0 ? (
+            <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+              You are not a member of any other team. Create or join another
+              team to copy prompts into it.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              <label
+                htmlFor="copy-target-team"
+                className="block text-sm font-medium"
+                style={{ color: "var(--foreground)" }}
+              >
+                Destination team
+              </label>
+              <select
+                id="copy-target-team"
+                className="form-input"
+                value={targetTeamId}
+                onChange={(e) => setTargetTeamId(e.target.value)}
+                disabled={isCopying}
+              >
+                {targetTeams.map((team) => (
+                  <option key={team.id} value={team.id}>
+                    {team.name}
+                  </option>
+                ))}
+              </select>
+              <p
+                className="text-xs"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                Copies keep a link to the original and show when it has been
+                updated. Comments and ratings are not copied.
+              </p>
+            </div>
+          )}
+
+          {isCopying && (
+            <p className="text-sm mt-4" style={{ color: "var(--primary)" }}>
+              Copying {progress} / {prompts.length}...
+            </p>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex items-center gap-3 pt-6">
+            <button
+              onClick={handleCopy}
+              disabled={isCopying || !targetTeamId}
+              className="btn-primary px-6 py-2.5 flex items-center gap-2 disabled:opacity-50"
+            >
+              {isCopying && <div className="neo-spinner w-4 h-4"></div>}
+              Copy
+            </button>
+            <button
+              onClick={onClose}
+              disabled={isCopying}
+              className="btn-secondary px-6 py-2.5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
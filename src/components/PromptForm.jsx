@@ -1,15 +1,38 @@
 // src/components/PromptForm.jsx - Updated to match demo UI
 import { useState, useEffect } from "react";
+import { VariableEditor } from "./TemplateVariables";
+import { syncVariables, extractVariables } from "../utils/templateVariables";
+import { ExampleEditor } from "./PromptExamples";
+import { cleanExamples } from "../utils/promptExamples";
+import { LintViolations } from "./PromptLint";
+import { TagChip, TagInput } from "./TagManager";
+import { canonicalTags, parseTags } from "../utils/tags";
+import { lintPrompt, blockingViolations } from "../utils/promptLint";
+import VisibilityPicker from "./PromptVisibility";
+import {
+  getPromptVisibility,
+  visibilityFields,
+} from "../utils/promptVisibility";
+
+const DEFAULT_ACCESS = { visibility: "team", sharedWith: [] };
 
 export default function PromptForm({
   onSubmit,
   editingPrompt,
   onUpdate,
   onCancel,
+  teamMembers = {},
+  currentUserId,
+  lintRules,
+  tagRegistry = [],
+  usedTags = [],
 }) {
   const [title, setTitle] = useState("");
   const [text, setText] = useState("");
   const [tags, setTags] = useState("");
+  const [variables, setVariables] = useState([]);
+  const [examples, setExamples] = useState([]);
+  const [access, setAccess] = useState(DEFAULT_ACCESS);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   useEffect(() => {
@@ -17,13 +40,28 @@ export default function PromptForm({
       setTitle(editingPrompt.title || "");
       setText(editingPrompt.text || "");
       setTags((editingPrompt.tags || []).join(", "));
+      setVariables(editingPrompt.variables || []);
+      setExamples(editingPrompt.examples || []);
+      setAccess({
+        visibility: getPromptVisibility(editingPrompt),
+        sharedWith: editingPrompt.sharedWith || [],
+      });
     } else {
       setTitle("");
       setText("");
       setTags("");
+      setVariables([]);
+      setExamples([]);
+      setAccess(DEFAULT_ACCESS);
     }
   }, [editingPrompt]);
 
+  // Checked as the user types; errors block saving
+  const violations = lintPrompt(
+    { text, examples: cleanExamples(examples, extractVariables(text)) },
+    lintRules
+  );
+
   async function handleSubmit(e) {
     e.preventDefault();
 
@@ -32,28 +70,39 @@ export default function PromptForm({
       return;
     }
 
+    if (blockingViolations(violations).length > 0) {
+      alert("This prompt breaks your team's lint rules. Fix the errors first.");
+      return;
+    }
+
     setIsSubmitting(true);
 
+    const { used, unused } = syncVariables(text, variables);
     const prompt = {
       title: title.trim(),
       text: text.trim(),
-      tags: tags
-        .split(",")
-        .map((t) => t.trim())
-        .filter(Boolean),
+      tags: canonicalTags(parseTags(tags), tagRegistry),
+      variables: [...used, ...unused],
+      examples: cleanExamples(examples, extractVariables(text)),
+      ...visibilityFields(access.visibility, access.sharedWith),
     };
 
     try {
+      let saved;
       if (editingPrompt && onUpdate) {
-        await onUpdate(editingPrompt.id, prompt);
+        saved = await onUpdate(editingPrompt.id, prompt);
       } else if (onSubmit) {
-        await onSubmit(prompt);
+        saved = await onSubmit(prompt);
       }
 
-      if (!editingPrompt) {
+      // onSubmit returns false when the user went back to editing
+      if (!editingPrompt && saved !== false) {
         setTitle("");
         setText("");
         setTags("");
+        setVariables([]);
+        setExamples([]);
+        setAccess(DEFAULT_ACCESS);
       }
     } catch (error) {
       console.error("Error submitting prompt:", error);
@@ -67,6 +116,9 @@ export default function PromptForm({
     setTitle("");
     setText("");
     setTags("");
+    setVariables([]);
+    setExamples([]);
+    setAccess(DEFAULT_ACCESS);
     if (onCancel) {
       onCancel();
     }
@@ -177,6 +229,39 @@ export default function PromptForm({
               {text.trim().split(/\s+/).filter(Boolean).length} words
             </span>
           </div>
+          <LintViolations violations={violations} blocking />
+        </div>
+
+        {/* Template Variables */}
+        <div className="space-y-2">
+          <label
+            className="block text-sm font-medium"
+            style={{ color: "var(--foreground)" }}
+          >
+            Template Variables
+          </label>
+          <VariableEditor
+            text={text}
+            variables={variables}
+            onChange={setVariables}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {/* Examples */}
+        <div className="space-y-2">
+          <label
+            className="block text-sm font-medium"
+            style={{ color: "var(--foreground)" }}
+          >
+            Examples
+          </label>
+          <ExampleEditor
+            text={text}
+            examples={examples}
+            onChange={setExamples}
+            disabled={isSubmitting}
+          />
         </div>
 
         {/* Tags Input */}
@@ -188,13 +273,13 @@ export default function PromptForm({
           >
             Tags
           </label>
-          <input
+          <TagInput
             id="prompt-tags"
-            type="text"
             placeholder="e.g. writing, creative, marketing, code"
-            className="form-input"
             value={tags}
-            onChange={(e) => setTags(e.target.value)}
+            onChange={setTags}
+            registry={tagRegistry}
+            usedTags={usedTags}
             disabled={isSubmitting}
           />
           <div className="text-xs" style={{ color: "var(--muted-foreground)" }}>
@@ -204,27 +289,31 @@ export default function PromptForm({
           {/* Tag Preview */}
           {tags.trim() && (
             <div className="flex flex-wrap gap-2 mt-2">
-              {tags.split(",").map((tag, index) => {
-                const cleanTag = tag.trim();
-                if (!cleanTag) return null;
-                return (
-                  <span
-                    key={index}
-                    className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border"
-                    style={{
-                      backgroundColor: "var(--secondary)",
-                      color: "var(--secondary-foreground)",
-                      borderColor: "var(--border)",
-                    }}
-                  >
-                    #{cleanTag}
-                  </span>
-                );
-              })}
+              {canonicalTags(parseTags(tags), tagRegistry).map((tag) => (
+                <TagChip key={tag} name={tag} registry={tagRegistry} />
+              ))}
             </div>
           )}
         </div>
 
+        {/* Visibility */}
+        <div className="space-y-2">
+          <label
+            className="block text-sm font-medium"
+            style={{ color: "var(--foreground)" }}
+          >
+            Who can see this prompt
+          </label>
+          <VisibilityPicker
+            visibility={access.visibility}
+            sharedWith={access.sharedWith}
+            onChange={setAccess}
+            teamMembers={teamMembers}
+            currentUserId={currentUserId}
+            disabled={isSubmitting}
+          />
+        </div>
+
         {/* Action Buttons */}
         <div className="flex items-center gap-3 pt-4">
           <button
@@ -244,7 +333,7 @@ export default function PromptForm({
             </span>
           </button>
 
-          {isEditing && (
+          {(isEditing || onCancel) && (
             <button
               type="button"
               onClick={handleCancel}
@@ -262,6 +351,8 @@ export default function PromptForm({
                 setTitle("");
                 setText("");
                 setTags("");
+                setVariables([]);
+                setExamples([]);
               }}
               disabled={isSubmitting}
               className="px-4 py-2.5 text-sm transition-colors rounded-lg"
@@ -0,0 +1,401 @@
+// src/components/PromptLint.jsx - Inline lint results, team rule settings and the team lint report
+import { useState, useEffect, useMemo } from "react";
+import { useAuth } from "../context/AuthContext";
+import { subscribePrompts } from "../lib/prompts";
+import { setLintRule } from "../lib/teams";
+import { getUserProfiles } from "../lib/user";
+import { StatusBadge } from "./PromptStatus";
+import { canViewPrompt } from "../utils/promptVisibility";
+import {
+  SEVERITIES,
+  lintPrompt,
+  resolveLintRules,
+  getLintRule,
+} from "../utils/promptLint";
+
+function SeverityIcon({ severity }) {
+  const { icon, label } = SEVERITIES[severity];
+  return (
+    <span title={label} aria-label={label}>
+      {icon}
+    </span>
+  );
+}
+
+// Lint results shown under the prompt text in PromptForm and EditPromptModal.
+// `blocking` explains that errors stop the prompt from being saved.
+export function LintViolations({ violations, blocking = false }) {
+  if (violations.length === 0) return null;
+
+  const errors = violations.filter((v) => v.severity === "error").length;
+
+  return (
+    <div
+      className="p-3 rounded-lg border space-y-1"
+      style={{
+        backgroundColor: "var(--muted)",
+        borderColor: errors > 0 ? "var(--destructive)" : "var(--border)",
+      }}
+    >
+      {violations.map((violation) => (
+        <div
+          key={violation.ruleId}
+          className="flex items-start gap-2 text-xs"
+          style={{ color: SEVERITIES[violation.severity].color }}
+        >
+          <SeverityIcon severity={violation.severity} />
+          <span>{violation.message}</span>
+        </div>
+      ))}
+      {blocking && errors > 0 && (
+        <div
+          className="text-xs pt-1"
+          style={{ color: "var(--muted-foreground)" }}
+        >
+          Fix the {errors === 1 ? "error" : "errors"} above before saving - your
+          team requires it.
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Owner controls for turning rules on and off and tuning them
+export function LintSettings({ teamId, lintRules }) {
+  const [savingRule, setSavingRule] = useState(null);
+  const rules = useMemo(() => resolveLintRules(lintRules), [lintRules]);
+
+  async function saveRule(rule, changes) {
+    setSavingRule(rule.id);
+    try {
+      await setLintRule(teamId, rule.id, {
+        enabled: rule.enabled,
+        severity: rule.severity,
+        options: rule.values,
+        ...changes,
+      });
+    } catch (error) {
+      console.error("Error saving lint rule:", error);
+      alert("Failed to update the rule. Please try again.");
+    } finally {
+      setSavingRule(null);
+    }
+  }
+
+  async function resetRule(rule) {
+    setSavingRule(rule.id);
+    try {
+      await setLintRule(teamId, rule.id, null);
+    } catch (error) {
+      console.error("Error resetting lint rule:", error);
+      alert("Failed to reset the rule. Please try again.");
+    } finally {
+      setSavingRule(null);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      {rules.map((rule) => {
+        const isSaving = savingRule === rule.id;
+        return (
+          <div
+            key={rule.id}
+            className="p-3 rounded-lg border flex items-center justify-between gap-4 flex-wrap"
+            style={{
+              backgroundColor: "var(--muted)",
+              borderColor: "var(--border)",
+              opacity: rule.enabled ? 1 : 0.6,
+            }}
+          >
+            <label className="flex items-start gap-3 cursor-pointer min-w-0">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => saveRule(rule, { enabled: e.target.checked })}
+                disabled={isSaving}
+                className="mt-1"
+                style={{ accentColor: "var(--primary)" }}
+              />
+              <div className="min-w-0">
+                <div
+                  className="text-sm font-medium"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {rule.label}{" "}
+                  <code
+                    className="text-xs font-mono"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    {rule.id}
+                  </code>
+                </div>
+                <div
+                  className="text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {rule.description}
+                </div>
+              </div>
+            </label>
+
+            <div className="flex items-center gap-3 flex-wrap">
+              {rule.options.map((option) => (
+                <label
+                  key={option.key}
+                  className="flex items-center gap-2 text-xs"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {option.label}
+                  <input
+                    type="number"
+                    min={0}
+                    defaultValue={rule.values[option.key]}
+                    key={rule.values[option.key]}
+                    onBlur={(e) => {
+                      const value = Number(e.target.value);
+                      if (value === rule.values[option.key]) return;
+                      if (!Number.isFinite(value) || value < 0) {
+                        e.target.value = rule.values[option.key];
+                        return;
+                      }
+                      saveRule(rule, {
+                        options: { ...rule.values, [option.key]: value },
+                      });
+                    }}
+                    disabled={isSaving || !rule.enabled}
+                    className="form-input text-xs py-1 w-20"
+                  />
+                </label>
+              ))}
+              <select
+                value={rule.severity}
+                onChange={(e) => saveRule(rule, { severity: e.target.value })}
+                disabled={isSaving || !rule.enabled}
+                className="form-input text-xs py-1 w-auto"
+              >
+                {Object.entries(SEVERITIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {lintRules?.[rule.id] && (
+                <button
+                  onClick={() => resetRule(rule)}
+                  disabled={isSaving}
+                  className="text-xs hover:underline"
+                  style={{ color: "var(--primary)" }}
+                >
+                  Reset
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Team-wide report of prompts breaking the team's rules
+export default function LintReport({
+  teamId,
+  teamData,
+  userRole,
+  onOpenPrompt,
+}) {
+  const { user } = useAuth();
+  const [prompts, setPrompts] = useState([]);
+  const [teamMembers, setTeamMembers] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [minSeverity, setMinSeverity] = useState("warning");
+  const [showSettings, setShowSettings] = useState(false);
+
+  const lintRules = teamData?.lintRules;
+  const isOwner = userRole === "owner";
+
+  useEffect(() => {
+    if (!teamId || !user) return;
+
+    setLoading(true);
+    const unsub = subscribePrompts(
+      teamId,
+      user.uid,
+      (allPrompts) => {
+        setPrompts(allPrompts.filter((p) => canViewPrompt(p, user.uid)));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading prompts:", error);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId, user]);
+
+  useEffect(() => {
+    async function loadMembers() {
+      try {
+        setTeamMembers(
+          await getUserProfiles(Object.keys(teamData?.members || {}))
+        );
+      } catch (error) {
+        console.error("Error loading team members:", error);
+      }
+    }
+
+    loadMembers();
+  }, [teamData?.members]);
+
+  const results = useMemo(() => {
+    const maxRank = SEVERITIES[minSeverity].rank;
+    return prompts
+      .map((prompt) => ({
+        prompt,
+        violations: lintPrompt(prompt, lintRules).filter(
+          (v) => SEVERITIES[v.severity].rank <= maxRank
+        ),
+      }))
+      .filter((result) => result.violations.length > 0)
+      .sort(
+        (a, b) =>
+          SEVERITIES[a.violations[0].severity].rank -
+            SEVERITIES[b.violations[0].severity].rank ||
+          b.violations.length - a.violations.length
+      );
+  }, [prompts, lintRules, minSeverity]);
+
+  // How many prompts break each rule
+  const ruleCounts = useMemo(() => {
+    const counts = {};
+    results.forEach(({ violations }) =>
+      violations.forEach((v) => {
+        counts[v.ruleId] = (counts[v.ruleId] || 0) + 1;
+      })
+    );
+    return Object.entries(counts).sort(([, a], [, b]) => b - a);
+  }, [results]);
+
+  if (loading) {
+    return (
+      <div className="glass-card p-12 text-center">
+        <div className="neo-spinner w-8 h-8 mx-auto mb-4"></div>
+        <p style={{ color: "var(--muted-foreground)" }}>Checking prompts...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="glass-card p-6 space-y-4">
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <div>
+            <h2
+              className="text-2xl font-bold mb-2"
+              style={{ color: "var(--foreground)" }}
+            >
+              Lint Report
+            </h2>
+            <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+              {results.length === 0
+                ? `All ${prompts.length} prompts pass the team's rules`
+                : `${results.length} of ${prompts.length} prompts break the team's rules`}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <label
+              className="flex items-center gap-2 text-sm"
+              style={{ color: "var(--muted-foreground)" }}
+            >
+              Show
+              <select
+                className="form-input py-1 w-auto"
+                value={minSeverity}
+                onChange={(e) => setMinSeverity(e.target.value)}
+              >
+                <option value="error">Errors only</option>
+                <option value="warning">Errors and warnings</option>
+                <option value="info">Everything</option>
+              </select>
+            </label>
+            {isOwner && (
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="btn-secondary px-4 py-2 text-sm"
+              >
+                {showSettings ? "Hide Rules" : "⚙️ Configure Rules"}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {showSettings && isOwner && (
+          <LintSettings teamId={teamId} lintRules={lintRules} />
+        )}
+
+        {ruleCounts.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {ruleCounts.map(([ruleId, count]) => (
+              <span
+                key={ruleId}
+                className="px-2 py-0.5 rounded-full text-xs border"
+                style={{
+                  borderColor: "var(--border)",
+                  color: "var(--muted-foreground)",
+                }}
+              >
+                {getLintRule(ruleId)?.label || ruleId}: {count}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {results.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          <div className="text-5xl mb-4">✅</div>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            No prompts break the team's rules at this level.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {results.map(({ prompt, violations }) => {
+            const author = teamMembers[prompt.createdBy];
+            return (
+              <div key={prompt.id} className="glass-card p-4 space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div
+                      className="font-medium flex items-center gap-2 flex-wrap"
+                      style={{ color: "var(--foreground)" }}
+                    >
+                      <span className="truncate">{prompt.title}</span>
+                      <StatusBadge prompt={prompt} />
+                    </div>
+                    <div
+                      className="text-xs"
+                      style={{ color: "var(--muted-foreground)" }}
+                    >
+                      By {author?.name || author?.email || "Unknown"}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onOpenPrompt?.(teamId, prompt.id)}
+                    className="btn-secondary px-3 py-1 text-xs flex-shrink-0"
+                  >
+                    Open
+                  </button>
+                </div>
+                <LintViolations violations={violations} />
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
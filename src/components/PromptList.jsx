@@ -1,25 +1,51 @@
 // src/components/PromptList.jsx - Fixed SVG Icons
-import { useState, useEffect } from "react";
-import { db } from "../lib/firebase";
-import {
-  collection,
-  onSnapshot,
-  query,
-  orderBy,
-  getDoc,
-  doc,
-} from "firebase/firestore";
+import { useState, useEffect, useMemo } from "react";
 import { useAuth } from "../context/AuthContext";
-import { savePrompt, updatePrompt, deletePrompt } from "../lib/prompts";
+import {
+  subscribePrompts,
+  savePrompt,
+  updatePrompt,
+  deletePrompt,
+  setPromptStatus,
+} from "../lib/prompts";
+import { getTeam } from "../lib/teams";
+import { getUserProfiles } from "../lib/user";
 import EditPromptModal from "./EditPromptModal";
 import Comments from "./Comments";
+import { openThreadCount } from "../lib/comments";
+import { sendNotifications, statusNotification } from "../lib/notifications";
+import Markdown, { MarkdownToggle } from "./Markdown";
 import { FavoriteButton } from "./Favorites";
 import { CompactAITools } from "./AIModelTools";
+import { PromptUsage } from "./PromptAnalytics";
+import { recordUsage } from "../lib/usage";
 import AdvancedSearch from "./AdvancedSearch";
+import { TagChip } from "./TagManager";
+import useTags from "../hooks/useTags";
+import { countTags } from "../utils/tags";
 import BulkOperations, { PromptSelector } from "./BulkOperations";
+import BulkEditModal from "./BulkEditModal";
 import ExportImport, { ExportUtils } from "./ExportImport";
 import usePagination, { PaginationControls } from "../hooks/usePagination";
 import AIPromptEnhancer from "./AIPromptEnhancer";
+import PromptVersionHistory from "./PromptVersionHistory";
+import PromptForm from "./PromptForm";
+import TemplateFillModal from "./TemplateVariables";
+import { extractVariables } from "../utils/templateVariables";
+import FolderTree, { FolderBreadcrumbs } from "./FolderTree";
+import useFolders from "../hooks/useFolders";
+import { movePromptsToFolder } from "../lib/folders";
+import { PROMPT_DRAG_TYPE, UNFILED } from "../utils/folderTree";
+import CopyToTeamModal, { ForkBadge } from "./PromptFork";
+import { CreateShareLinkModal } from "./ShareLinks";
+import PromptStatusPanel, { StatusBadge } from "./PromptStatus";
+import useTeamRole from "../hooks/useTeamRole";
+import { getPromptStatus } from "../utils/promptStatus";
+import { VisibilityBadge } from "./PromptVisibility";
+import { canViewPrompt } from "../utils/promptVisibility";
+import DuplicateReviewModal from "./DuplicatePrompts";
+import { findSimilarPrompts } from "../utils/similarity";
+import ExampleList from "./PromptExamples";
 
 // SVG Icon Component
 function Icon({ name, className = "w-5 h-5" }) {
@@ -48,6 +74,12 @@ function Icon({ name, className = "w-5 h-5" }) {
     chevronDown: (
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
     ),
+    fork: (
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+    ),
+    link: (
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+    ),
     document: (
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
     ),
@@ -66,22 +98,87 @@ function Icon({ name, className = "w-5 h-5" }) {
   );
 }
 
-export default function PromptList({ activeTeam, userRole }) {
+// Usage counts are best-effort and never interrupt the user
+function trackUsage(teamId, promptId, userId, event) {
+  recordUsage(teamId, promptId, userId, event).catch((error) =>
+    console.error(`Error recording ${event}:`, error)
+  );
+}
+
+export default function PromptList({
+  activeTeam,
+  userRole,
+  teams = [],
+  onOpenPrompt,
+  focusPromptId,
+  onFocusHandled,
+}) {
   const { user } = useAuth();
   const [prompts, setPrompts] = useState([]);
   const [filteredPrompts, setFilteredPrompts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [newPrompt, setNewPrompt] = useState({ title: "", tags: "", text: "" });
   const [editingPrompt, setEditingPrompt] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [expandedPromptId, setExpandedPromptId] = useState(null);
   const [showComments, setShowComments] = useState({});
+  const [showHistory, setShowHistory] = useState({});
   const [selectedPrompts, setSelectedPrompts] = useState([]);
   const [teamMembers, setTeamMembers] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [teamName, setTeamName] = useState("");
   const [showAIEnhancer, setShowAIEnhancer] = useState(false);
   const [currentPromptForAI, setCurrentPromptForAI] = useState(null);
+  const [templatePrompt, setTemplatePrompt] = useState(null);
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [copyPrompts, setCopyPrompts] = useState(null);
+  const [sharePrompts, setSharePrompts] = useState(null);
+  const [bulkEditIds, setBulkEditIds] = useState(null);
+  const [duplicateReview, setDuplicateReview] = useState(null);
+  const { folders } = useFolders(activeTeam);
+  const { canTransitionPrompt, getAvailableTransitions, canEditAllPrompts } =
+    useTeamRole(activeTeam);
+
+  // Fall back to all prompts when the selected folder is deleted or belongs to another team
+  const activeFolderId =
+    selectedFolderId === UNFILED ||
+    folders.some((f) => f.id === selectedFolderId)
+      ? selectedFolderId
+      : null;
+
+  // Prompts in the selected folder; search and filters apply on top of these
+  const folderPrompts = useMemo(() => {
+    if (!activeFolderId) return prompts;
+    if (activeFolderId === UNFILED) {
+      // Includes prompts left pointing at a deleted folder, as in promptCounts
+      const folderIds = new Set(folders.map((f) => f.id));
+      return prompts.filter((p) => !p.folderId || !folderIds.has(p.folderId));
+    }
+    return prompts.filter((p) => p.folderId === activeFolderId);
+  }, [prompts, folders, activeFolderId]);
+
+  const promptCounts = useMemo(() => {
+    const folderIds = new Set(folders.map((f) => f.id));
+    return prompts.reduce((counts, p) => {
+      // Prompts pointing at a missing folder are treated as unfiled
+      const key = p.folderId && folderIds.has(p.folderId) ? p.folderId : UNFILED;
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+  }, [prompts, folders]);
+
+  // Registered tags, plus every tag in use, for chips and autocomplete
+  const { tags: tagRegistry } = useTags(activeTeam);
+  const usedTags = useMemo(
+    () => countTags(prompts, tagRegistry).map((tag) => tag.name),
+    [prompts, tagRegistry]
+  );
+
+  // The team's prompt-lint settings, checked in the create and edit forms
+  const lintRules = teams.find((t) => t.id === activeTeam)?.lintRules;
+
+  // New prompts are created in the folder currently being viewed
+  const targetFolderId =
+    activeFolderId && activeFolderId !== UNFILED ? activeFolderId : null;
 
   const pagination = usePagination(filteredPrompts, 10);
 
@@ -94,19 +191,11 @@ export default function PromptList({ activeTeam, userRole }) {
     }
 
     setLoading(true);
-    const q = query(
-      collection(db, "teams", activeTeam, "prompts"),
-      orderBy("createdAt", "desc")
-    );
-
-    const unsub = onSnapshot(
-      q,
-      (snap) => {
-        const data = snap.docs.map((d) => ({
-          id: d.id,
-          teamId: activeTeam,
-          ...d.data(),
-        }));
+    const unsub = subscribePrompts(
+      activeTeam,
+      user.uid,
+      (allPrompts) => {
+        const data = allPrompts.filter((p) => canViewPrompt(p, user.uid));
         setPrompts(data);
         setFilteredPrompts(data);
         setLoading(false);
@@ -118,7 +207,7 @@ export default function PromptList({ activeTeam, userRole }) {
     );
 
     return () => unsub();
-  }, [activeTeam]);
+  }, [activeTeam, user.uid]);
 
   // Load team name
   useEffect(() => {
@@ -129,9 +218,9 @@ export default function PromptList({ activeTeam, userRole }) {
       }
 
       try {
-        const teamDoc = await getDoc(doc(db, "teams", activeTeam));
-        if (teamDoc.exists()) {
-          setTeamName(teamDoc.data().name || "Unknown Team");
+        const team = await getTeam(activeTeam);
+        if (team) {
+          setTeamName(team.name || "Unknown Team");
         }
       } catch (error) {
         console.error("Error loading team name:", error);
@@ -148,25 +237,12 @@ export default function PromptList({ activeTeam, userRole }) {
       if (!activeTeam) return;
 
       try {
-        const teamDoc = await getDoc(doc(db, "teams", activeTeam));
-        if (!teamDoc.exists()) return;
-
-        const teamData = teamDoc.data();
-        const memberIds = Object.keys(teamData.members || {});
-        const profiles = {};
-
-        for (const memberId of memberIds) {
-          try {
-            const userDoc = await getDoc(doc(db, "users", memberId));
-            if (userDoc.exists()) {
-              profiles[memberId] = userDoc.data();
-            }
-          } catch (error) {
-            console.error("Error loading member profile:", error);
-          }
-        }
+        const teamData = await getTeam(activeTeam);
+        if (!teamData) return;
 
-        setTeamMembers(profiles);
+        setTeamMembers(
+          await getUserProfiles(Object.keys(teamData.members || {}))
+        );
       } catch (error) {
         console.error("Error loading team members:", error);
       }
@@ -175,47 +251,124 @@ export default function PromptList({ activeTeam, userRole }) {
     loadMembers();
   }, [activeTeam]);
 
+  // Expanding a prompt, here or from elsewhere, counts as viewing it
+  useEffect(() => {
+    if (!activeTeam || !expandedPromptId) return;
+    trackUsage(activeTeam, expandedPromptId, user.uid, "views");
+  }, [activeTeam, expandedPromptId, user.uid]);
+
+  // Jump to a prompt opened from elsewhere, e.g. a copied prompt's source badge
+  useEffect(() => {
+    if (!focusPromptId || !prompts.some((p) => p.id === focusPromptId)) return;
+
+    setSelectedFolderId(null);
+    setExpandedPromptId(focusPromptId);
+    pagination.goToItemPage(focusPromptId);
+    onFocusHandled?.();
+    setTimeout(() => {
+      document
+        .getElementById(`prompt-${focusPromptId}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "start" });
+    }, 100);
+  }, [focusPromptId, prompts, pagination, onFocusHandled]);
+
   function handleFilteredResults(filtered) {
     setFilteredPrompts(filtered);
   }
 
-  async function handleCreate(e) {
-    e.preventDefault();
-    if (!newPrompt.title.trim() || !newPrompt.text.trim()) {
-      alert("Title and prompt text are required");
-      return;
+  // Ask the user what to do with a prompt that resembles existing ones;
+  // resolves with the decision from DuplicateReviewModal, or "cancel"
+  function reviewDuplicates(prompt, matches, options = {}) {
+    return new Promise((resolve) => {
+      setDuplicateReview({ prompt, matches, options, resolve });
+    });
+  }
+
+  function finishDuplicateReview(decision) {
+    duplicateReview.resolve(decision);
+    setDuplicateReview(null);
+  }
+
+  // Save a new prompt according to the duplicate review decision.
+  // Merging updates the existing prompt instead of adding one.
+  async function saveReviewedPrompt(prompt, decision) {
+    const { action, match, values } = decision;
+
+    if (action === "merge") {
+      await updatePrompt(activeTeam, match.prompt.id, values, {
+        userId: user.uid,
+        canReview: canEditAllPrompts(),
+        changeNote: `Merged similar prompt "${prompt.title}"`,
+        baseVersion: match.prompt.version || 1,
+      });
+      return match.prompt.id;
+    }
+
+    const promptId = await savePrompt(
+      user.uid,
+      action === "link"
+        ? {
+            ...prompt,
+            linkedPrompts: [
+              { promptId: match.prompt.id, title: match.prompt.title || "" },
+            ],
+          }
+        : prompt,
+      activeTeam
+    );
+    return promptId;
+  }
+
+  async function handleCreate(prompt) {
+    const matches = findSimilarPrompts(prompt, prompts);
+    let decision = { action: "save" };
+    if (matches.length > 0) {
+      decision = await reviewDuplicates(prompt, matches);
+      // Returning false keeps the form open with the user's input
+      if (decision.action === "cancel") return false;
     }
 
     try {
-      await savePrompt(
-        user.uid,
-        {
-          title: newPrompt.title.trim(),
-          text: newPrompt.text.trim(),
-          tags: newPrompt.tags
-            .split(",")
-            .map((t) => t.trim())
-            .filter(Boolean),
-        },
-        activeTeam
+      await saveReviewedPrompt(
+        { ...prompt, folderId: targetFolderId },
+        decision
       );
 
-      setNewPrompt({ title: "", tags: "", text: "" });
       setShowCreateForm(false);
-      showNotification("Prompt created successfully!", "success");
+      showNotification(
+        decision.action === "merge"
+          ? `Merged into "${decision.match.prompt.title}"`
+          : "Prompt created successfully!",
+        "success"
+      );
     } catch (error) {
       console.error("Error creating prompt:", error);
-      showNotification("Failed to create prompt", "error");
+      showNotification(
+        error.code === "edit-conflict"
+          ? "The existing prompt changed meanwhile - please try again"
+          : "Failed to create prompt",
+        "error"
+      );
     }
   }
 
-  async function handleUpdate(promptId, updates) {
+  async function handleUpdate(
+    promptId,
+    { changeNote, baseVersion, ...updates }
+  ) {
     try {
-      await updatePrompt(activeTeam, promptId, updates);
+      await updatePrompt(activeTeam, promptId, updates, {
+        userId: user.uid,
+        changeNote,
+        baseVersion,
+        canReview: canEditAllPrompts(),
+      });
       setShowEditModal(false);
       setEditingPrompt(null);
       showNotification("Prompt updated successfully!", "success");
     } catch (error) {
+      // Let the edit modal offer a merge
+      if (error.code === "edit-conflict") throw error;
       console.error("Error updating prompt:", error);
       showNotification("Failed to update prompt", "error");
     }
@@ -234,20 +387,37 @@ export default function PromptList({ activeTeam, userRole }) {
       return;
     }
 
-    if (!confirm("Are you sure you want to delete this prompt?")) return;
+    if (
+      !confirm(
+        "Move this prompt to the trash? Team owners and admins can restore it."
+      )
+    )
+      return;
 
     try {
-      await deletePrompt(activeTeam, promptId);
-      showNotification("Prompt deleted", "success");
+      await deletePrompt(activeTeam, promptId, user.uid);
+      showNotification("Prompt moved to trash", "success");
     } catch (error) {
       console.error("Error deleting prompt:", error);
       showNotification("Failed to delete prompt", "error");
     }
   }
 
-  async function handleCopy(text) {
+  // Prompts with {{variables}} open the fill-in form before copying
+  function handleCopy(prompt) {
+    if (extractVariables(prompt.text).length > 0) {
+      setTemplatePrompt(prompt);
+      return;
+    }
+    copyText(prompt.text, prompt);
+  }
+
+  // Filled-in templates are copied from the template modal
+  async function copyText(text, prompt = templatePrompt) {
     try {
       await navigator.clipboard.writeText(text);
+      if (prompt) trackUsage(activeTeam, prompt.id, user.uid, "copies");
+      setTemplatePrompt(null);
       showNotification("Copied to clipboard!", "success");
     } catch (error) {
       console.error("Error copying to clipboard:", error);
@@ -262,6 +432,13 @@ export default function PromptList({ activeTeam, userRole }) {
     }));
   }
 
+  function toggleHistory(promptId) {
+    setShowHistory((prev) => ({
+      ...prev,
+      [promptId]: !prev[promptId],
+    }));
+  }
+
   function handleSelectionChange(promptId, isSelected) {
     setSelectedPrompts((prev) =>
       isSelected ? [...prev, promptId] : prev.filter((id) => id !== promptId)
@@ -270,15 +447,96 @@ export default function PromptList({ activeTeam, userRole }) {
 
   async function handleBulkDelete(promptIds) {
     try {
-      await Promise.all(promptIds.map((id) => deletePrompt(activeTeam, id)));
+      await Promise.all(
+        promptIds.map((id) => deletePrompt(activeTeam, id, user.uid))
+      );
       setSelectedPrompts([]);
-      showNotification(`Deleted ${promptIds.length} prompts`, "success");
+      showNotification(
+        `Moved ${promptIds.length} prompts to trash`,
+        "success"
+      );
     } catch (error) {
       console.error("Bulk delete error:", error);
       showNotification("Some prompts failed to delete", "error");
     }
   }
 
+  async function handleMovePrompts(promptIds, folderId) {
+    const movable = promptIds.filter((id) => {
+      const prompt = prompts.find((p) => p.id === id);
+      return prompt && canEditPrompt(prompt) && prompt.folderId !== folderId;
+    });
+    if (movable.length === 0) return;
+
+    try {
+      await movePromptsToFolder(activeTeam, movable, folderId);
+      setSelectedPrompts([]);
+      const folder = folders.find((f) => f.id === folderId);
+      showNotification(
+        `Moved ${movable.length} ${
+          movable.length === 1 ? "prompt" : "prompts"
+        } to ${folder ? folder.name : "Unfiled"}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error moving prompts:", error);
+      showNotification("Failed to move prompts", "error");
+    }
+  }
+
+  function handleCopied({ copied, failed, teamName: targetName }) {
+    setCopyPrompts(null);
+    setSelectedPrompts([]);
+    showNotification(
+      `Copied ${copied} ${copied === 1 ? "prompt" : "prompts"} to ${targetName}${
+        failed > 0 ? `, ${failed} failed` : ""
+      }`,
+      failed > 0 ? "error" : "success"
+    );
+  }
+
+  // Failed prompts stay selected so the edit can be retried on them
+  function handleBulkEdited({ succeeded, failures }) {
+    setSelectedPrompts((prev) => prev.filter((id) => !succeeded.includes(id)));
+    showNotification(
+      `Updated ${succeeded.length} ${
+        succeeded.length === 1 ? "prompt" : "prompts"
+      }${failures.length > 0 ? `, ${failures.length} not changed` : ""}`,
+      failures.length > 0 ? "error" : "success"
+    );
+  }
+
+  async function handleStatusTransition(prompt, transition, details) {
+    if (!canTransitionPrompt(prompt, transition)) {
+      alert("You don't have permission to change this prompt's status");
+      return;
+    }
+
+    try {
+      await setPromptStatus(activeTeam, prompt.id, transition, {
+        userId: user.uid,
+        ...details,
+      });
+      showNotification(`${transition.label}: ${prompt.title}`, "success");
+    } catch (error) {
+      console.error("Error changing prompt status:", error);
+      showNotification("Failed to change status", "error");
+      return;
+    }
+
+    const notification = statusNotification(activeTeam, prompt, transition, {
+      actorId: user.uid,
+      comment: details?.comment,
+    });
+    if (notification) {
+      try {
+        await sendNotifications([notification]);
+      } catch (error) {
+        console.error("Error notifying prompt author:", error);
+      }
+    }
+  }
+
   function handleBulkExport(promptsToExport, format) {
     const filename = `prompts-${new Date().toISOString().split("T")[0]}`;
     switch (format) {
@@ -295,28 +553,64 @@ export default function PromptList({ activeTeam, userRole }) {
     showNotification(`Exported ${promptsToExport.length} prompts`, "success");
   }
 
+  // Returns the number of prompts added or merged, for ExportImport's summary
   async function handleImport(importedPrompts) {
     let successCount = 0;
+    let mergedCount = 0;
+    let skippedCount = 0;
     let failCount = 0;
 
-    for (const prompt of importedPrompts) {
+    // Prompts earlier in the same file count as part of the library
+    const library = [...prompts];
+
+    for (const [index, prompt] of importedPrompts.entries()) {
+      const matches = findSimilarPrompts(prompt, library);
+      let decision = { action: "save" };
+      if (matches.length > 0) {
+        decision = await reviewDuplicates(prompt, matches, {
+          progress: { index: index + 1, total: importedPrompts.length },
+          allowSkip: true,
+          cancelLabel: "Stop Import",
+        });
+        if (decision.action === "cancel") break;
+        if (decision.action === "skip") {
+          skippedCount++;
+          continue;
+        }
+      }
+
       try {
-        await savePrompt(user.uid, prompt, activeTeam);
-        successCount++;
+        const promptId = await saveReviewedPrompt(
+          { ...prompt, folderId: targetFolderId },
+          decision
+        );
+        if (decision.action === "merge") {
+          mergedCount++;
+        } else {
+          successCount++;
+          library.push({ ...prompt, id: promptId });
+        }
       } catch (error) {
         console.error("Import error:", error);
         failCount++;
       }
     }
 
-    if (successCount > 0) {
+    if (successCount + mergedCount > 0) {
+      const details = [
+        mergedCount > 0 && `${mergedCount} merged`,
+        skippedCount > 0 && `${skippedCount} skipped`,
+        failCount > 0 && `${failCount} failed`,
+      ].filter(Boolean);
       showNotification(
         `Imported ${successCount} prompts${
-          failCount > 0 ? `, ${failCount} failed` : ""
+          details.length > 0 ? `, ${details.join(", ")}` : ""
         }`,
-        successCount > failCount ? "success" : "error"
+        successCount + mergedCount > failCount ? "success" : "error"
       );
     }
+
+    return successCount + mergedCount;
   }
 
   function handleAIEnhance(prompt) {
@@ -326,16 +620,32 @@ export default function PromptList({ activeTeam, userRole }) {
 
   async function handleApplyAIEnhancement(enhancedPrompt) {
     try {
-      await updatePrompt(activeTeam, enhancedPrompt.id, {
-        text: enhancedPrompt.text,
-        title: enhancedPrompt.title,
-      });
+      await updatePrompt(
+        activeTeam,
+        enhancedPrompt.id,
+        {
+          text: enhancedPrompt.text,
+          title: enhancedPrompt.title,
+        },
+        {
+          userId: user.uid,
+          changeNote: "Applied AI enhancement",
+          // Enhancing takes a while; don't overwrite edits made meanwhile
+          baseVersion: enhancedPrompt.version || 1,
+          canReview: canEditAllPrompts(),
+        }
+      );
       setShowAIEnhancer(false);
       setCurrentPromptForAI(null);
       showNotification("AI enhancement applied!", "success");
     } catch (error) {
       console.error("Error applying enhancement:", error);
-      showNotification("Failed to apply enhancement", "error");
+      showNotification(
+        error.code === "edit-conflict"
+          ? "The prompt changed while it was being enhanced - please enhance it again"
+          : "Failed to apply enhancement",
+        "error"
+      );
     }
   }
 
@@ -347,6 +657,7 @@ export default function PromptList({ activeTeam, userRole }) {
           title: enhancedPrompt.title,
           text: enhancedPrompt.text,
           tags: enhancedPrompt.tags || [],
+          folderId: currentPromptForAI?.folderId || null,
         },
         activeTeam
       );
@@ -366,13 +677,18 @@ export default function PromptList({ activeTeam, userRole }) {
       info: "ℹ",
     };
 
+    // Messages hold prompt titles, folder and team names, so they are set
+    // as text, never as HTML
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-2";
+    [icons[type] || icons.info, message].forEach((text) => {
+      const span = document.createElement("span");
+      span.textContent = text;
+      row.appendChild(span);
+    });
+
     const notification = document.createElement("div");
-    notification.innerHTML = `
-      <div class="flex items-center gap-2">
-        <span>${icons[type] || icons.info}</span>
-        <span>${message}</span>
-      </div>
-    `;
+    notification.appendChild(row);
     notification.className =
       "fixed top-4 right-4 glass-card px-4 py-3 rounded-lg z-50 text-sm transition-opacity duration-300";
     notification.style.cssText = `
@@ -491,359 +807,510 @@ export default function PromptList({ activeTeam, userRole }) {
 
       {/* Create Prompt Form */}
       {showCreateForm && (
-        <div className="glass-card p-6">
-          <h3
-            className="text-lg font-semibold mb-4"
-            style={{ color: "var(--foreground)" }}
-          >
-            Create New Prompt
-          </h3>
-          <form onSubmit={handleCreate} className="space-y-4">
-            <div>
-              <label
-                className="block text-sm font-medium mb-2"
-                style={{ color: "var(--foreground)" }}
-              >
-                Title *
-              </label>
-              <input
-                type="text"
-                placeholder="e.g., Blog Post Generator"
-                className="form-input"
-                value={newPrompt.title}
-                onChange={(e) =>
-                  setNewPrompt({ ...newPrompt, title: e.target.value })
-                }
-                required
-              />
-            </div>
-
-            <div>
-              <label
-                className="block text-sm font-medium mb-2"
-                style={{ color: "var(--foreground)" }}
-              >
-                Prompt Text *
-              </label>
-              <textarea
-                placeholder="Enter your prompt here..."
-                className="form-input min-h-[150px]"
-                value={newPrompt.text}
-                onChange={(e) =>
-                  setNewPrompt({ ...newPrompt, text: e.target.value })
-                }
-                required
-              />
-              <p
-                className="text-xs mt-1"
-                style={{ color: "var(--muted-foreground)" }}
-              >
-                {newPrompt.text.length} characters
-              </p>
-            </div>
-
-            <div>
-              <label
-                className="block text-sm font-medium mb-2"
-                style={{ color: "var(--foreground)" }}
-              >
-                Tags (comma separated)
-              </label>
-              <input
-                type="text"
-                placeholder="e.g., writing, creative, marketing"
-                className="form-input"
-                value={newPrompt.tags}
-                onChange={(e) =>
-                  setNewPrompt({ ...newPrompt, tags: e.target.value })
-                }
-              />
-            </div>
-
-            <div className="flex gap-3">
-              <button type="submit" className="btn-primary px-6 py-2">
-                Create Prompt
-              </button>
-              <button
-                type="button"
-                onClick={() => setShowCreateForm(false)}
-                className="btn-secondary px-6 py-2"
-              >
-                Cancel
-              </button>
-            </div>
-          </form>
-        </div>
-      )}
-
-      {/* Advanced Search */}
-      <AdvancedSearch
-        prompts={prompts}
-        onFilteredResults={handleFilteredResults}
-        teamMembers={teamMembers}
-      />
-
-      {/* Bulk Operations */}
-      {prompts.length > 0 && (
-        <BulkOperations
-          prompts={filteredPrompts}
-          selectedPrompts={selectedPrompts}
-          onSelectionChange={setSelectedPrompts}
-          onBulkDelete={handleBulkDelete}
-          onBulkExport={handleBulkExport}
-          userRole={userRole}
-          userId={user.uid}
+        <PromptForm
+          onSubmit={handleCreate}
+          onCancel={() => setShowCreateForm(false)}
+          teamMembers={teamMembers}
+          currentUserId={user.uid}
+          lintRules={lintRules}
+          tagRegistry={tagRegistry}
+          usedTags={usedTags}
         />
       )}
 
-      {/* Pagination Controls */}
-      {filteredPrompts.length > 0 && (
-        <PaginationControls
-          pagination={pagination}
-          showPageSizeSelector={true}
-          showSearch={false}
-        />
-      )}
+      <div className="flex flex-col lg:flex-row gap-6">
+        {/* Folder Sidebar */}
+        <aside className="lg:w-64 flex-shrink-0">
+          <FolderTree
+            teamId={activeTeam}
+            folders={folders}
+            selectedFolderId={activeFolderId}
+            onSelect={setSelectedFolderId}
+            promptCounts={promptCounts}
+            totalCount={prompts.length}
+            onMovePrompts={handleMovePrompts}
+            userId={user.uid}
+            userRole={userRole}
+          />
+        </aside>
+
+        <div className="flex-1 min-w-0 space-y-6">
+          {/* Breadcrumbs */}
+          <FolderBreadcrumbs
+            folders={folders}
+            folderId={activeFolderId}
+            onSelect={setSelectedFolderId}
+          />
 
-      {/* Prompts List */}
-      {pagination.currentItems.length === 0 ? (
-        <div className="glass-card p-12 text-center">
-          <Icon
-            name="document"
-            className="mx-auto mb-4 w-16 h-16"
-            style={{ color: "var(--muted-foreground)" }}
+          {/* Advanced Search */}
+          <AdvancedSearch
+            prompts={folderPrompts}
+            onFilteredResults={handleFilteredResults}
+            teamMembers={teamMembers}
+            tagRegistry={tagRegistry}
           />
-          <h3
-            className="text-lg font-semibold mb-2"
-            style={{ color: "var(--foreground)" }}
-          >
-            {pagination.isFiltered ? "No matching prompts" : "No prompts yet"}
-          </h3>
-          <p style={{ color: "var(--muted-foreground)" }}>
-            {pagination.isFiltered
-              ? "Try adjusting your search filters"
-              : "Create your first prompt to get started"}
-          </p>
-          {pagination.isFiltered && (
-            <button
-              onClick={pagination.clearSearch}
-              className="btn-secondary mt-4"
-            >
-              Clear Filters
-            </button>
+
+          {/* Bulk Operations */}
+          {prompts.length > 0 && (
+            <BulkOperations
+              prompts={filteredPrompts}
+              selectedPrompts={selectedPrompts}
+              onSelectionChange={setSelectedPrompts}
+              onBulkDelete={handleBulkDelete}
+              onBulkExport={handleBulkExport}
+              onBulkMove={handleMovePrompts}
+              onBulkCopy={teams.length > 1 ? setCopyPrompts : undefined}
+              onBulkShare={setSharePrompts}
+              onBulkEdit={setBulkEditIds}
+              folders={folders}
+              userRole={userRole}
+              userId={user.uid}
+            />
           )}
-        </div>
-      ) : (
-        <div className="space-y-4">
-          {pagination.currentItems.map((prompt) => {
-            const author = teamMembers[prompt.createdBy];
-            const isExpanded = expandedPromptId === prompt.id;
-            const isSelected = selectedPrompts.includes(prompt.id);
-
-            return (
-              <div
-                key={prompt.id}
-                className="glass-card p-6 transition-all duration-300 hover:border-primary/50"
+
+          {/* Pagination Controls */}
+          {filteredPrompts.length > 0 && (
+            <PaginationControls
+              pagination={pagination}
+              showPageSizeSelector={true}
+              showSearch={false}
+            />
+          )}
+
+          {/* Prompts List */}
+          {pagination.currentItems.length === 0 ? (
+            <div className="glass-card p-12 text-center">
+              <Icon
+                name="document"
+                className="mx-auto mb-4 w-16 h-16"
+                style={{ color: "var(--muted-foreground)" }}
+              />
+              <h3
+                className="text-lg font-semibold mb-2"
+                style={{ color: "var(--foreground)" }}
               >
-                {/* Header */}
-                <div className="flex items-start justify-between mb-4">
-                  <div className="flex items-start gap-3 flex-1">
-                    <PromptSelector
-                      promptId={prompt.id}
-                      isSelected={isSelected}
-                      onSelectionChange={handleSelectionChange}
-                      className="mt-1"
-                    />
-
-                    <UserAvatar
-                      src={author?.avatar}
-                      name={author?.name}
-                      email={author?.email}
-                      className="mt-1"
-                    />
-
-                    <div className="flex-1 min-w-0">
-                      <h3
-                        className="text-lg font-semibold mb-1"
-                        style={{ color: "var(--foreground)" }}
-                      >
-                        {prompt.title}
-                      </h3>
-                      <div
-                        className="flex items-center gap-3 text-xs flex-wrap"
-                        style={{ color: "var(--muted-foreground)" }}
-                      >
-                        <span>
-                          By {author?.name || author?.email || "Unknown"}
-                        </span>
-                        <span>•</span>
-                        <span>{formatDate(prompt.createdAt)}</span>
-                        <span>•</span>
-                        <span>{prompt.text?.length || 0} chars</span>
+                {pagination.isFiltered
+                  ? "No matching prompts"
+                  : activeFolderId
+                  ? "This folder is empty"
+                  : "No prompts yet"}
+              </h3>
+              <p style={{ color: "var(--muted-foreground)" }}>
+                {pagination.isFiltered
+                  ? "Try adjusting your search filters"
+                  : "Create your first prompt to get started"}
+              </p>
+              {pagination.isFiltered && (
+                <button
+                  onClick={pagination.clearSearch}
+                  className="btn-secondary mt-4"
+                >
+                  Clear Filters
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {pagination.currentItems.map((prompt) => {
+                const author = teamMembers[prompt.createdBy];
+                const isExpanded = expandedPromptId === prompt.id;
+                const isSelected = selectedPrompts.includes(prompt.id);
+                const folder =
+                  !activeFolderId && prompt.folderId
+                    ? folders.find((f) => f.id === prompt.folderId)
+                    : null;
+
+                return (
+                  <div
+                    key={prompt.id}
+                    id={`prompt-${prompt.id}`}
+                    draggable={canEditPrompt(prompt)}
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData(PROMPT_DRAG_TYPE, prompt.id);
+                      e.dataTransfer.effectAllowed = "move";
+                    }}
+                    className="glass-card p-6 transition-all duration-300 hover:border-primary/50"
+                    style={
+                      getPromptStatus(prompt) === "deprecated"
+                        ? { opacity: 0.75 }
+                        : undefined
+                    }
+                  >
+                    {/* Header */}
+                    <div className="flex items-start justify-between mb-4">
+                      <div className="flex items-start gap-3 flex-1">
+                        <PromptSelector
+                          promptId={prompt.id}
+                          isSelected={isSelected}
+                          onSelectionChange={handleSelectionChange}
+                          className="mt-1"
+                        />
+
+                        <UserAvatar
+                          src={author?.avatar}
+                          name={author?.name}
+                          email={author?.email}
+                          className="mt-1"
+                        />
+
+                        <div className="flex-1 min-w-0">
+                          <h3
+                            className="text-lg font-semibold mb-1 flex items-center gap-2 flex-wrap"
+                            style={{ color: "var(--foreground)" }}
+                          >
+                            <span>{prompt.title}</span>
+                            <StatusBadge prompt={prompt} />
+                            <VisibilityBadge
+                              prompt={prompt}
+                              teamMembers={teamMembers}
+                            />
+                          </h3>
+                          <div
+                            className="flex items-center gap-3 text-xs flex-wrap"
+                            style={{ color: "var(--muted-foreground)" }}
+                          >
+                            <span>
+                              By {author?.name || author?.email || "Unknown"}
+                            </span>
+                            <span>•</span>
+                            <span>{formatDate(prompt.createdAt)}</span>
+                            <span>•</span>
+                            <span>{prompt.text?.length || 0} chars</span>
+                            {folder && (
+                              <>
+                                <span>•</span>
+                                <button
+                                  onClick={() => setSelectedFolderId(folder.id)}
+                                  className="hover:underline"
+                                >
+                                  📁 {folder.name}
+                                </button>
+                              </>
+                            )}
+                            {extractVariables(prompt.text).length > 0 && (
+                              <>
+                                <span>•</span>
+                                <span>
+                                  🧩 {extractVariables(prompt.text).length}{" "}
+                                  variables
+                                </span>
+                              </>
+                            )}
+                            <span>•</span>
+                            <PromptUsage stats={prompt.stats} />
+                            {openThreadCount(prompt) > 0 && (
+                              <>
+                                <span>•</span>
+                                <span
+                                  style={{ color: "#eab308" }}
+                                  title="Unresolved comment threads"
+                                >
+                                  💬 {openThreadCount(prompt)} open{" "}
+                                  {openThreadCount(prompt) === 1
+                                    ? "thread"
+                                    : "threads"}
+                                </span>
+                              </>
+                            )}
+                          </div>
+                          {prompt.forkedFrom && (
+                            <div className="mt-2">
+                              <ForkBadge
+                                forkedFrom={prompt.forkedFrom}
+                                onOpenSource={onOpenPrompt}
+                              />
+                            </div>
+                          )}
+                          {prompt.linkedPrompts?.length > 0 && (
+                            <div className="mt-2 flex items-center gap-2 flex-wrap text-xs">
+                              {prompt.linkedPrompts.map((link) => (
+                                <button
+                                  key={link.promptId}
+                                  onClick={() =>
+                                    onOpenPrompt?.(activeTeam, link.promptId)
+                                  }
+                                  className="px-2 py-0.5 rounded-full border hover:underline"
+                                  style={{
+                                    borderColor: "var(--border)",
+                                    color: "var(--muted-foreground)",
+                                  }}
+                                  title="Saved as a deliberate variant of this prompt"
+                                >
+                                  🔗 Variant of {link.title || "another prompt"}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          {getPromptStatus(prompt) === "deprecated" && (
+                            <p
+                              className="mt-2 text-xs"
+                              style={{ color: "var(--destructive)" }}
+                            >
+                              ⛔ Deprecated
+                              {prompt.replacedBy && (
+                                <>
+                                  {" "}— use{" "}
+                                  <button
+                                    onClick={() =>
+                                      onOpenPrompt?.(activeTeam, prompt.replacedBy.promptId)
+                                    }
+                                    className="underline"
+                                  >
+                                    {prompt.replacedBy.title || "the replacement"}
+                                  </button>{" "}
+                                  instead
+                                </>
+                              )}
+                            </p>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  </div>
 
-                  {/* Action Buttons */}
-                  <div className="flex items-center gap-2 ml-4">
-                    <FavoriteButton
-                      prompt={prompt}
-                      teamId={activeTeam}
-                      teamName={teamName}
-                      size="small"
-                    />
-
-                    <button
-                      onClick={() => handleAIEnhance(prompt)}
-                      className="p-2 rounded-lg transition-all duration-200 hover:scale-110"
-                      style={{
-                        backgroundColor: "var(--primary)",
-                        color: "var(--primary-foreground)",
-                      }}
-                      title="Enhance with AI"
-                    >
-                      <Icon name="sparkles" className="w-5 h-5" />
-                    </button>
-
-                    <button
-                      onClick={() => handleCopy(prompt.text)}
-                      className="p-2 rounded-lg transition-colors"
-                      style={{
-                        backgroundColor: "var(--secondary)",
-                        color: "var(--foreground)",
-                      }}
-                      title="Copy to clipboard"
-                    >
-                      <Icon name="copy" className="w-5 h-5" />
-                    </button>
-
-                    {canEditPrompt(prompt) && (
-                      <>
+                      {/* Action Buttons */}
+                      <div className="flex items-center gap-2 ml-4">
+                        <FavoriteButton
+                          prompt={prompt}
+                          teamId={activeTeam}
+                          teamName={teamName}
+                          size="small"
+                        />
+
                         <button
-                          onClick={() => {
-                            setEditingPrompt(prompt);
-                            setShowEditModal(true);
+                          onClick={() => handleAIEnhance(prompt)}
+                          className="p-2 rounded-lg transition-all duration-200 hover:scale-110"
+                          style={{
+                            backgroundColor: "var(--primary)",
+                            color: "var(--primary-foreground)",
                           }}
+                          title="Enhance with AI"
+                        >
+                          <Icon name="sparkles" className="w-5 h-5" />
+                        </button>
+
+                        <button
+                          onClick={() => handleCopy(prompt)}
                           className="p-2 rounded-lg transition-colors"
                           style={{
                             backgroundColor: "var(--secondary)",
                             color: "var(--foreground)",
                           }}
-                          title="Edit prompt"
+                          title={
+                            extractVariables(prompt.text).length > 0
+                              ? "Fill in variables and copy"
+                              : "Copy to clipboard"
+                          }
                         >
-                          <Icon name="edit" className="w-5 h-5" />
+                          <Icon name="copy" className="w-5 h-5" />
                         </button>
 
+                        {teams.length > 1 && (
+                          <button
+                            onClick={() => setCopyPrompts([prompt])}
+                            className="p-2 rounded-lg transition-colors"
+                            style={{
+                              backgroundColor: "var(--secondary)",
+                              color: "var(--foreground)",
+                            }}
+                            title="Copy to team…"
+                          >
+                            <Icon name="fork" className="w-5 h-5" />
+                          </button>
+                        )}
+
+                        {(userRole === "owner" || userRole === "admin") && (
+                          <button
+                            onClick={() => setSharePrompts([prompt])}
+                            className="p-2 rounded-lg transition-colors"
+                            style={{
+                              backgroundColor: "var(--secondary)",
+                              color: "var(--foreground)",
+                            }}
+                            title="Create public share link"
+                          >
+                            <Icon name="link" className="w-5 h-5" />
+                          </button>
+                        )}
+
+                        {canEditPrompt(prompt) && (
+                          <>
+                            <button
+                              onClick={() => {
+                                setEditingPrompt(prompt);
+                                setShowEditModal(true);
+                              }}
+                              className="p-2 rounded-lg transition-colors"
+                              style={{
+                                backgroundColor: "var(--secondary)",
+                                color: "var(--foreground)",
+                              }}
+                              title="Edit prompt"
+                            >
+                              <Icon name="edit" className="w-5 h-5" />
+                            </button>
+
+                            <button
+                              onClick={() => handleDelete(prompt.id)}
+                              className="p-2 rounded-lg transition-colors"
+                              style={{
+                                backgroundColor: "var(--destructive)",
+                                color: "var(--destructive-foreground)",
+                              }}
+                              title="Delete prompt"
+                            >
+                              <Icon name="trash" className="w-5 h-5" />
+                            </button>
+                          </>
+                        )}
+
                         <button
-                          onClick={() => handleDelete(prompt.id)}
+                          onClick={() =>
+                            setExpandedPromptId(isExpanded ? null : prompt.id)
+                          }
                           className="p-2 rounded-lg transition-colors"
                           style={{
-                            backgroundColor: "var(--destructive)",
-                            color: "var(--destructive-foreground)",
+                            backgroundColor: "var(--secondary)",
+                            color: "var(--foreground)",
                           }}
-                          title="Delete prompt"
+                          title={isExpanded ? "Collapse" : "Expand"}
                         >
-                          <Icon name="trash" className="w-5 h-5" />
+                          <Icon
+                            name={isExpanded ? "chevronUp" : "chevronDown"}
+                            className="w-5 h-5"
+                          />
                         </button>
-                      </>
-                    )}
-
-                    <button
-                      onClick={() =>
-                        setExpandedPromptId(isExpanded ? null : prompt.id)
-                      }
-                      className="p-2 rounded-lg transition-colors"
-                      style={{
-                        backgroundColor: "var(--secondary)",
-                        color: "var(--foreground)",
-                      }}
-                      title={isExpanded ? "Collapse" : "Expand"}
-                    >
-                      <Icon
-                        name={isExpanded ? "chevronUp" : "chevronDown"}
-                        className="w-5 h-5"
-                      />
-                    </button>
-                  </div>
-                </div>
+                      </div>
+                    </div>
 
-                {/* Prompt Text Preview */}
-                <div className="mb-4">
-                  <div
-                    className="p-4 rounded-lg border"
-                    style={{
-                      backgroundColor: "var(--muted)",
-                      borderColor: "var(--border)",
-                    }}
-                  >
-                    <pre
-                      className={`whitespace-pre-wrap text-sm font-mono ${
-                        !isExpanded ? "line-clamp-3" : ""
-                      }`}
-                      style={{ color: "var(--foreground)" }}
-                    >
-                      {prompt.text}
-                    </pre>
-                  </div>
-                </div>
-
-                {/* Tags */}
-                {prompt.tags && prompt.tags.length > 0 && (
-                  <div className="flex flex-wrap gap-2 mb-4">
-                    {prompt.tags.map((tag, index) => (
-                      <span
-                        key={index}
-                        className="inline-block px-2 py-1 rounded-full text-xs font-medium border"
+                    {/* Prompt Text Preview */}
+                    <div className="mb-4">
+                      {isExpanded && (
+                        <div className="flex justify-end mb-2">
+                          <MarkdownToggle />
+                        </div>
+                      )}
+                      <div
+                        className="p-4 rounded-lg border"
                         style={{
-                          backgroundColor: "var(--secondary)",
-                          color: "var(--secondary-foreground)",
+                          backgroundColor: "var(--muted)",
                           borderColor: "var(--border)",
                         }}
                       >
-                        #{tag}
-                      </span>
-                    ))}
-                  </div>
-                )}
+                        <Markdown
+                          text={prompt.text}
+                          rawClassName={`whitespace-pre-wrap text-sm font-mono ${
+                            !isExpanded ? "line-clamp-3" : ""
+                          }`}
+                          className={
+                            !isExpanded ? "max-h-24 overflow-hidden" : ""
+                          }
+                          style={{ color: "var(--foreground)" }}
+                        />
+                      </div>
+                    </div>
 
-                {/* Expanded Content */}
-                {isExpanded && (
-                  <div
-                    className="space-y-4 border-t pt-4"
-                    style={{ borderColor: "var(--border)" }}
-                  >
-                    <CompactAITools text={prompt.text} />
-
-                    <button
-                      onClick={() => toggleComments(prompt.id)}
-                      className="btn-secondary w-full py-2 text-sm"
-                    >
-                      {showComments[prompt.id] ? "Hide" : "Show"} Comments
-                    </button>
-
-                    {showComments[prompt.id] && (
-                      <Comments
-                        teamId={activeTeam}
-                        promptId={prompt.id}
-                        userRole={userRole}
-                      />
+                    {/* Tags */}
+                    {prompt.tags && prompt.tags.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mb-4">
+                        {prompt.tags.map((tag, index) => (
+                          <TagChip
+                            key={index}
+                            name={tag}
+                            registry={tagRegistry}
+                          />
+                        ))}
+                      </div>
+                    )}
+
+                    {/* Examples */}
+                    {prompt.examples?.length > 0 && (
+                      <div className="mb-4">
+                        <ExampleList examples={prompt.examples} />
+                      </div>
+                    )}
+
+                    {/* Expanded Content */}
+                    {isExpanded && (
+                      <div
+                        className="space-y-4 border-t pt-4"
+                        style={{ borderColor: "var(--border)" }}
+                      >
+                        <PromptStatusPanel
+                          prompt={prompt}
+                          transitions={getAvailableTransitions(prompt)}
+                          prompts={prompts}
+                          teamMembers={teamMembers}
+                          onTransition={(transition, details) =>
+                            handleStatusTransition(prompt, transition, details)
+                          }
+                          onOpenPrompt={(promptId) =>
+                            onOpenPrompt?.(activeTeam, promptId)
+                          }
+                        />
+
+                        <CompactAITools text={prompt.text} />
+
+                        <button
+                          onClick={() => toggleComments(prompt.id)}
+                          className="btn-secondary w-full py-2 text-sm"
+                        >
+                          {showComments[prompt.id] ? "Hide" : "Show"} Comments
+                        </button>
+
+                        {showComments[prompt.id] && (
+                          <Comments
+                            teamId={activeTeam}
+                            promptId={prompt.id}
+                            promptTitle={prompt.title}
+                            userRole={userRole}
+                            teamMembers={teamMembers}
+                            promptText={prompt.text}
+                            promptVersion={prompt.version}
+                            promptAuthorId={prompt.createdBy}
+                            promptStats={prompt.stats}
+                          />
+                        )}
+
+                        <button
+                          onClick={() => toggleHistory(prompt.id)}
+                          className="btn-secondary w-full py-2 text-sm"
+                        >
+                          {showHistory[prompt.id] ? "Hide" : "Show"} History
+                          {prompt.version > 1 && ` (v${prompt.version})`}
+                        </button>
+
+                        {showHistory[prompt.id] && (
+                          <PromptVersionHistory
+                            teamId={activeTeam}
+                            promptId={prompt.id}
+                            currentVersion={prompt.version}
+                            canRestore={canEditPrompt(prompt)}
+                            canReview={canEditAllPrompts()}
+                            onRestored={(version) =>
+                              showNotification(
+                                `Restored version ${version.version}`,
+                                "success"
+                              )
+                            }
+                          />
+                        )}
+                      </div>
                     )}
                   </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
-      )}
+                );
+              })}
+            </div>
+          )}
 
-      {/* Bottom Pagination */}
-      {filteredPrompts.length > 0 && (
-        <PaginationControls
-          pagination={pagination}
-          showPageSizeSelector={false}
-          showSearch={false}
-        />
-      )}
+          {/* Bottom Pagination */}
+          {filteredPrompts.length > 0 && (
+            <PaginationControls
+              pagination={pagination}
+              showPageSizeSelector={false}
+              showSearch={false}
+            />
+          )}
+        </div>
+      </div>
 
       {/* Import/Export */}
       <ExportImport
@@ -851,6 +1318,7 @@ export default function PromptList({ activeTeam, userRole }) {
         teamId={activeTeam}
         teamName={teamName}
         userRole={userRole}
+        tagRegistry={tagRegistry}
       />
 
       {/* Edit Modal */}
@@ -858,11 +1326,88 @@ export default function PromptList({ activeTeam, userRole }) {
         <EditPromptModal
           open={showEditModal}
           prompt={editingPrompt}
+          latestPrompt={prompts.find((p) => p.id === editingPrompt.id)}
           onClose={() => {
             setShowEditModal(false);
             setEditingPrompt(null);
           }}
           onSave={(updates) => handleUpdate(editingPrompt.id, updates)}
+          teamMembers={teamMembers}
+          currentUserId={user.uid}
+          needsReapproval={
+            !canEditAllPrompts() &&
+            getPromptStatus(editingPrompt) === "approved"
+          }
+          lintRules={lintRules}
+          tagRegistry={tagRegistry}
+          usedTags={usedTags}
+        />
+      )}
+
+      {/* Template Fill Modal */}
+      {templatePrompt && (
+        <TemplateFillModal
+          prompt={templatePrompt}
+          onCopy={copyText}
+          onClose={() => setTemplatePrompt(null)}
+        />
+      )}
+
+      {/* Copy to Team Modal */}
+      {copyPrompts && (
+        <CopyToTeamModal
+          prompts={copyPrompts}
+          teams={teams}
+          sourceTeamId={activeTeam}
+          sourceTeamName={teamName}
+          userId={user.uid}
+          onCopied={handleCopied}
+          onClose={() => setCopyPrompts(null)}
+        />
+      )}
+
+      {/* Bulk Edit Modal */}
+      {bulkEditIds && (
+        <BulkEditModal
+          prompts={prompts.filter((p) => bulkEditIds.includes(p.id))}
+          teamId={activeTeam}
+          teamName={teamName}
+          teams={teams}
+          folders={folders}
+          teamMembers={teamMembers}
+          tagRegistry={tagRegistry}
+          usedTags={usedTags}
+          userId={user.uid}
+          userRole={userRole}
+          canTransitionPrompt={canTransitionPrompt}
+          onComplete={handleBulkEdited}
+          onClose={() => setBulkEditIds(null)}
+        />
+      )}
+
+      {/* Share Link Modal */}
+      {sharePrompts && (
+        <CreateShareLinkModal
+          prompts={sharePrompts}
+          teamId={activeTeam}
+          teamName={teamName}
+          onClose={() => {
+            setSharePrompts(null);
+            setSelectedPrompts([]);
+          }}
+        />
+      )}
+
+      {/* Duplicate Review Modal */}
+      {duplicateReview && (
+        <DuplicateReviewModal
+          key={duplicateReview.options.progress?.index ?? "new"}
+          prompt={duplicateReview.prompt}
+          matches={duplicateReview.matches}
+          canMerge={canEditPrompt}
+          {...duplicateReview.options}
+          onResolve={finishDuplicateReview}
+          onCancel={() => finishDuplicateReview({ action: "cancel" })}
         />
       )}
 
@@ -872,6 +1417,14 @@ export default function PromptList({ activeTeam, userRole }) {
           prompt={currentPromptForAI}
           onApply={handleApplyAIEnhancement}
           onSaveAsNew={handleSaveAIAsNew}
+          onEnhanced={() =>
+            trackUsage(
+              activeTeam,
+              currentPromptForAI.id,
+              user.uid,
+              "enhancements"
+            )
+          }
           onClose={() => {
             setShowAIEnhancer(false);
             setCurrentPromptForAI(null);
@@ -0,0 +1,205 @@
+// src/components/PromptStatus.jsx - Status badge and review controls for the prompt approval workflow
+import { useState } from "react";
+import { PROMPT_STATUSES, getPromptStatus } from "../utils/promptStatus";
+
+export function StatusBadge({ prompt, className = "" }) {
+  const status = PROMPT_STATUSES[getPromptStatus(prompt)];
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium border ${className}`}
+      style={{
+        color: status.color,
+        borderColor: status.color,
+        backgroundColor: "var(--card)",
+      }}
+    >
+      {status.icon} {status.label}
+    </span>
+  );
+}
+
+const REVIEW_ACTION_LABELS = {
+  submit: "Submitted for review",
+  withdraw: "Withdrawn from review",
+  approve: "Approved",
+  reject: "Changes requested",
+  publish: "Approved",
+  deprecate: "Deprecated",
+  reinstate: "Reinstated",
+  edited: "Edited after approval",
+};
+
+/**
+ * Review controls shown in an expanded prompt: the last review note and
+ * buttons for each transition the current user may make.
+ */
+export default function PromptStatusPanel({
+  prompt,
+  transitions,
+  prompts = [],
+  teamMembers = {},
+  onTransition,
+  onOpenPrompt,
+}) {
+  const [pending, setPending] = useState(null);
+  const [comment, setComment] = useState("");
+  const [replacementId, setReplacementId] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const review = prompt.review;
+  const reviewer = review && teamMembers[review.by];
+  const replacementOptions = prompts.filter(
+    (p) => p.id !== prompt.id && getPromptStatus(p) !== "deprecated"
+  );
+
+  function startTransition(transition) {
+    setPending(transition);
+    setComment("");
+    setReplacementId("");
+  }
+
+  async function confirmTransition() {
+    if (pending.requiresComment && !comment.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await onTransition(pending, {
+        comment,
+        replacement: prompts.find((p) => p.id === replacementId) || null,
+      });
+      setPending(null);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div
+      className="p-4 rounded-lg border space-y-3"
+      style={{
+        backgroundColor: "var(--card)",
+        borderColor: "var(--border)",
+      }}
+    >
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-2 text-sm">
+          <span style={{ color: "var(--foreground)" }}>Status:</span>
+          <StatusBadge prompt={prompt} />
+        </div>
+
+        {!pending && transitions.length > 0 && (
+          <div className="flex items-center gap-2 flex-wrap">
+            {transitions.map((transition) => (
+              <button
+                key={transition.id}
+                onClick={() => startTransition(transition)}
+                className={`text-sm px-3 py-1.5 ${
+                  transition.id === "reject" || transition.id === "deprecate"
+                    ? "btn-danger"
+                    : transition.id === "approve" || transition.id === "publish"
+                    ? "btn-primary"
+                    : "btn-secondary"
+                }`}
+              >
+                {transition.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Latest review */}
+      {review && REVIEW_ACTION_LABELS[review.action] && (
+        <div className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+          {REVIEW_ACTION_LABELS[review.action]} by{" "}
+          {reviewer?.name || reviewer?.email || "Unknown"}
+          {review.comment && (
+            <p
+              className="mt-1 p-2 rounded italic"
+              style={{
+                backgroundColor: "var(--muted)",
+                color: "var(--foreground)",
+              }}
+            >
+              “{review.comment}”
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Replacement pointer for deprecated prompts */}
+      {getPromptStatus(prompt) === "deprecated" && prompt.replacedBy && (
+        <p className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+          Replaced by{" "}
+          <button
+            onClick={() => onOpenPrompt?.(prompt.replacedBy.promptId)}
+            className="underline"
+            style={{ color: "var(--primary)" }}
+          >
+            {prompt.replacedBy.title || "another prompt"}
+          </button>
+        </p>
+      )}
+
+      {/* Confirmation form for the chosen transition */}
+      {pending && (
+        <div className="space-y-3 pt-3 border-t" style={{ borderColor: "var(--border)" }}>
+          {pending.allowsReplacement && (
+            <div className="space-y-1">
+              <label
+                className="block text-sm font-medium"
+                style={{ color: "var(--foreground)" }}
+              >
+                Replacement prompt
+              </label>
+              <select
+                value={replacementId}
+                onChange={(e) => setReplacementId(e.target.value)}
+                className="form-input text-sm"
+                disabled={isSaving}
+              >
+                <option value="">No replacement</option>
+                {replacementOptions.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <textarea
+            rows={2}
+            className="form-input text-sm"
+            placeholder={
+              pending.requiresComment
+                ? "Explain what needs to change (required)"
+                : "Add a comment (optional)"
+            }
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            disabled={isSaving}
+          />
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={confirmTransition}
+              disabled={isSaving || (pending.requiresComment && !comment.trim())}
+              className="btn-primary text-sm px-4 py-1.5 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : pending.label}
+            </button>
+            <button
+              onClick={() => setPending(null)}
+              disabled={isSaving}
+              className="btn-secondary text-sm px-4 py-1.5"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,308 @@
+// src/components/PromptVersionHistory.jsx - Version history panel with word diffs
+import { useState, useMemo } from "react";
+import { useAuth } from "../context/AuthContext";
+import usePromptVersions from "../hooks/usePromptVersions";
+import { restorePromptVersion } from "../lib/prompts";
+import { diffWords, diffStats } from "../utils/diff";
+
+// Render a word-level diff between two strings
+export function DiffView({ oldText, newText, className = "" }) {
+  const parts = useMemo(() => diffWords(oldText, newText), [oldText, newText]);
+
+  return (
+    <pre
+      className={`whitespace-pre-wrap text-sm font-mono p-4 rounded-lg border ${className}`}
+      style={{
+        backgroundColor: "var(--muted)",
+        borderColor: "var(--border)",
+        color: "var(--foreground)",
+      }}
+    >
+      {parts.map((part, index) => {
+        if (part.type === "added") {
+          return (
+            <span
+              key={index}
+              style={{
+                backgroundColor: "rgba(34, 197, 94, 0.25)",
+                color: "#4ade80",
+              }}
+            >
+              {part.value}
+            </span>
+          );
+        }
+        if (part.type === "removed") {
+          return (
+            <span
+              key={index}
+              className="line-through"
+              style={{
+                backgroundColor: "rgba(239, 68, 68, 0.2)",
+                color: "#f87171",
+              }}
+            >
+              {part.value}
+            </span>
+          );
+        }
+        return <span key={index}>{part.value}</span>;
+      })}
+    </pre>
+  );
+}
+
+export default function PromptVersionHistory({
+  teamId,
+  promptId,
+  currentVersion,
+  canRestore = false,
+  canReview = false,
+  onRestored,
+}) {
+  const { user } = useAuth();
+  const { versions, profiles, loading } = usePromptVersions(teamId, promptId);
+  const [baseVersion, setBaseVersion] = useState(null);
+  const [compareVersion, setCompareVersion] = useState(null);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+
+  // Default comparison: previous version against the latest one
+  const latest = versions[0];
+  const base =
+    versions.find((v) => v.version === baseVersion) || versions[1] || latest;
+  const target =
+    versions.find((v) => v.version === compareVersion) || latest;
+
+  const stats = useMemo(
+    () => (base && target ? diffStats(diffWords(base.text, target.text)) : null),
+    [base, target]
+  );
+
+  async function handleRestore(version) {
+    if (!canRestore || !user) return;
+    if (
+      !confirm(
+        `Restore version ${version.version}? The current text will be kept in the history.`
+      )
+    )
+      return;
+
+    setRestoringVersion(version.version);
+    try {
+      const newVersion = await restorePromptVersion(
+        teamId,
+        promptId,
+        version,
+        user.uid,
+        { canReview }
+      );
+      setBaseVersion(null);
+      setCompareVersion(null);
+      if (onRestored) onRestored(version, newVersion);
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      alert("Failed to restore version. Please try again.");
+    } finally {
+      setRestoringVersion(null);
+    }
+  }
+
+  function formatDate(timestamp) {
+    if (!timestamp) return "";
+    try {
+      return timestamp.toDate().toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    } catch {
+      return "";
+    }
+  }
+
+  function authorName(uid) {
+    const profile = profiles[uid];
+    return profile?.name || profile?.email || "Unknown user";
+  }
+
+  if (loading) {
+    return (
+      <div className="glass-card p-6 text-center">
+        <div className="neo-spinner mx-auto mb-4"></div>
+        <span className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+          Loading history...
+        </span>
+      </div>
+    );
+  }
+
+  if (versions.length === 0) {
+    return (
+      <div className="glass-card p-6 text-center">
+        <div className="text-4xl mb-4">🕘</div>
+        <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+          No version history yet. A snapshot is saved every time this prompt is
+          edited.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="glass-card overflow-hidden">
+      {/* Header */}
+      <div className="p-6 border-b" style={{ borderColor: "var(--border)" }}>
+        <h3 className="font-bold" style={{ color: "var(--foreground)" }}>
+          🕘 Version History
+          <span
+            className="ml-2 px-2 py-1 text-xs rounded-full"
+            style={{
+              backgroundColor: "var(--secondary)",
+              color: "var(--foreground)",
+            }}
+          >
+            {versions.length}
+          </span>
+        </h3>
+      </div>
+
+      {/* Compare */}
+      {versions.length > 1 && base && target && (
+        <div
+          className="p-6 border-b space-y-4"
+          style={{ borderColor: "var(--border)" }}
+        >
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <span style={{ color: "var(--muted-foreground)" }}>Compare</span>
+            <select
+              value={base.version}
+              onChange={(e) => setBaseVersion(Number(e.target.value))}
+              className="form-input w-auto"
+            >
+              {versions.map((v) => (
+                <option key={v.id} value={v.version}>
+                  v{v.version}
+                </option>
+              ))}
+            </select>
+            <span style={{ color: "var(--muted-foreground)" }}>→</span>
+            <select
+              value={target.version}
+              onChange={(e) => setCompareVersion(Number(e.target.value))}
+              className="form-input w-auto"
+            >
+              {versions.map((v) => (
+                <option key={v.id} value={v.version}>
+                  v{v.version}
+                </option>
+              ))}
+            </select>
+            {stats && (
+              <span className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+                <span style={{ color: "#4ade80" }}>+{stats.added}</span>{" "}
+                <span style={{ color: "#f87171" }}>−{stats.removed}</span> words
+              </span>
+            )}
+          </div>
+
+          {base.title !== target.title && (
+            <div className="text-sm" style={{ color: "var(--foreground)" }}>
+              <span className="font-medium">Title: </span>
+              <span className="line-through" style={{ color: "#f87171" }}>
+                {base.title}
+              </span>{" "}
+              → <span style={{ color: "#4ade80" }}>{target.title}</span>
+            </div>
+          )}
+
+          {(base.tags || []).join(",") !== (target.tags || []).join(",") && (
+            <div className="text-sm" style={{ color: "var(--foreground)" }}>
+              <span className="font-medium">Tags: </span>
+              {(base.tags || []).map((t) => `#${t}`).join(" ") || "none"} →{" "}
+              {(target.tags || []).map((t) => `#${t}`).join(" ") || "none"}
+            </div>
+          )}
+
+          <DiffView oldText={base.text} newText={target.text} />
+        </div>
+      )}
+
+      {/* Versions List */}
+      <div className="p-6 space-y-3">
+        {versions.map((version) => {
+          const isCurrent = version.version === (currentVersion || latest.version);
+          const isRestoring = restoringVersion === version.version;
+
+          return (
+            <div
+              key={version.id}
+              className="flex items-start justify-between gap-4 p-4 rounded-lg border"
+              style={{
+                backgroundColor: "var(--card)",
+                borderColor: isCurrent ? "var(--primary)" : "var(--border)",
+              }}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 mb-1 flex-wrap">
+                  <span
+                    className="text-sm font-semibold"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    v{version.version}
+                  </span>
+                  {isCurrent && (
+                    <span
+                      className="px-2 py-0.5 text-xs rounded-full"
+                      style={{
+                        backgroundColor: "var(--primary)",
+                        color: "var(--primary-foreground)",
+                      }}
+                    >
+                      Current
+                    </span>
+                  )}
+                  {version.restoredFrom && (
+                    <span
+                      className="px-2 py-0.5 text-xs rounded-full"
+                      style={{
+                        backgroundColor: "var(--secondary)",
+                        color: "var(--secondary-foreground)",
+                      }}
+                    >
+                      ↩ from v{version.restoredFrom}
+                    </span>
+                  )}
+                </div>
+                <div
+                  className="text-xs mb-1"
+                  style={{ color: "var(--muted-foreground)" }}
+                >
+                  {authorName(version.createdBy)} •{" "}
+                  {formatDate(version.createdAt)}
+                </div>
+                {version.changeNote && (
+                  <p className="text-sm" style={{ color: "var(--foreground)" }}>
+                    {version.changeNote}
+                  </p>
+                )}
+              </div>
+
+              {canRestore && !isCurrent && (
+                <button
+                  onClick={() => handleRestore(version)}
+                  disabled={restoringVersion !== null}
+                  className="btn-secondary text-xs px-3 py-1.5 flex items-center gap-1 flex-shrink-0"
+                >
+                  {isRestoring && <div className="neo-spinner w-3 h-3"></div>}
+                  Restore
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
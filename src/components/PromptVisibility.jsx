@@ -0,0 +1,131 @@
+// src/components/PromptVisibility.jsx - Visibility picker and badge for prompts within a team
+import {
+  PROMPT_VISIBILITY,
+  getPromptVisibility,
+} from "../utils/promptVisibility";
+
+// Shown on prompt cards that are not visible to the whole team
+export function VisibilityBadge({ prompt, teamMembers = {} }) {
+  const visibility = getPromptVisibility(prompt);
+  if (visibility === "team") return null;
+
+  const option = PROMPT_VISIBILITY[visibility];
+  const sharedNames = (prompt.sharedWith || [])
+    .map((uid) => teamMembers[uid]?.name || teamMembers[uid]?.email)
+    .filter(Boolean);
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium border"
+      style={{
+        color: "var(--muted-foreground)",
+        borderColor: "var(--border)",
+        backgroundColor: "var(--card)",
+      }}
+      title={
+        visibility === "members" && sharedNames.length > 0
+          ? `Shared with ${sharedNames.join(", ")}`
+          : option.description
+      }
+    >
+      {option.icon}{" "}
+      {visibility === "members"
+        ? `${(prompt.sharedWith || []).length} members`
+        : option.label}
+    </span>
+  );
+}
+
+export default function VisibilityPicker({
+  visibility = "team",
+  sharedWith = [],
+  onChange,
+  teamMembers = {},
+  currentUserId,
+  disabled = false,
+}) {
+  const otherMembers = Object.entries(teamMembers).filter(
+    ([uid]) => uid !== currentUserId
+  );
+
+  function toggleMember(uid) {
+    onChange({
+      visibility,
+      sharedWith: sharedWith.includes(uid)
+        ? sharedWith.filter((id) => id !== uid)
+        : [...sharedWith, uid],
+    });
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        {Object.entries(PROMPT_VISIBILITY).map(([value, option]) => (
+          <label
+            key={value}
+            className="flex items-start gap-2 p-3 rounded-lg border cursor-pointer text-sm"
+            style={{
+              borderColor:
+                visibility === value ? "var(--primary)" : "var(--border)",
+              backgroundColor:
+                visibility === value ? "rgba(0, 200, 255, 0.1)" : "var(--card)",
+              color: "var(--foreground)",
+            }}
+          >
+            <input
+              type="radio"
+              name="prompt-visibility"
+              value={value}
+              checked={visibility === value}
+              onChange={() => onChange({ visibility: value, sharedWith })}
+              disabled={disabled}
+              className="mt-1"
+              style={{ accentColor: "var(--primary)" }}
+            />
+            <span>
+              <span className="font-medium">
+                {option.icon} {option.label}
+              </span>
+              <span
+                className="block text-xs"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {option.description}
+              </span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {visibility === "members" && (
+        <div
+          className="p-3 rounded-lg border space-y-2"
+          style={{ borderColor: "var(--border)" }}
+        >
+          {otherMembers.length === 0 ? (
+            <p className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+              There are no other members in this team yet
+            </p>
+          ) : (
+            otherMembers.map(([uid, member]) => (
+              <label
+                key={uid}
+                className="flex items-center gap-2 text-sm cursor-pointer"
+                style={{ color: "var(--foreground)" }}
+              >
+                <input
+                  type="checkbox"
+                  checked={sharedWith.includes(uid)}
+                  onChange={() => toggleMember(uid)}
+                  disabled={disabled}
+                  style={{ accentColor: "var(--primary)" }}
+                />
+                {member.name || member.email || uid}
+              </label>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
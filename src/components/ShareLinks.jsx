@@ -0,0 +1,425 @@
+// src/components/ShareLinks.jsx - Creating and managing public read-only share links
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import useShareLinks from "../hooks/useShareLinks";
+import {
+  createShareLink,
+  refreshShareLink,
+  revokeShareLink,
+  deleteShareLink,
+  getShareUrl,
+  isShareLinkActive,
+} from "../lib/shareLinks";
+
+const EXPIRY_OPTIONS = [
+  { value: 0, label: "Never expires" },
+  { value: 1, label: "1 day" },
+  { value: 7, label: "7 days" },
+  { value: 30, label: "30 days" },
+  { value: 90, label: "90 days" },
+];
+
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.error("Error copying to clipboard:", error);
+    return false;
+  }
+}
+
+function formatDate(timestamp) {
+  if (!timestamp) return "";
+  try {
+    return timestamp.toDate().toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+  } catch {
+    return "";
+  }
+}
+
+// Modal for creating a share link for one prompt or a set of prompts
+export function CreateShareLinkModal({
+  prompts,
+  teamId,
+  teamName,
+  onClose,
+}) {
+  const { user } = useAuth();
+  const [title, setTitle] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState(0);
+  const [isCreating, setIsCreating] = useState(false);
+  const [url, setUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const isCollection = prompts.length > 1;
+  const hasRestricted = prompts.some(
+    (p) => p.visibility && p.visibility !== "team"
+  );
+
+  async function handleCreate() {
+    if (isCollection && !title.trim()) return;
+
+    setIsCreating(true);
+    try {
+      const token = await createShareLink(teamId, teamName, user.uid, prompts, {
+        title,
+        expiresInDays,
+      });
+      setUrl(getShareUrl(token));
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      alert("Failed to create share link. Please try again.");
+    } finally {
+      setIsCreating(false);
+    }
+  }
+
+  async function handleCopy() {
+    setCopied(await copyToClipboard(url));
+  }
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
+      <div
+        className="glass-card w-full max-w-lg max-h-[90vh] overflow-y-auto"
+        style={{ border: "1px solid var(--border)" }}
+      >
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex items-center gap-3 mb-6">
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "var(--primary)" }}
+            >
+              <span
+                className="text-lg"
+                style={{ color: "var(--primary-foreground)" }}
+              >
+                🔗
+              </span>
+            </div>
+            <div className="flex-1">
+              <h3
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                Create Share Link
+              </h3>
+              <p
+                className="text-sm"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {isCollection
+                  ? `${prompts.length} prompts`
+                  : prompts[0]?.title}
+              </p>
+            </div>
+          </div>
+
+          {url ? (
+            <div className="space-y-3">
+              <p className="text-sm" style={{ color: "var(--foreground)" }}>
+                Anyone with this link can view{" "}
+                {isCollection ? "these prompts" : "this prompt"} without
+                signing in:
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  readOnly
+                  value={url}
+                  className="form-input text-sm flex-1"
+                  onFocus={(e) => e.target.select()}
+                />
+                <button onClick={handleCopy} className="btn-primary px-4 py-2">
+                  {copied ? "Copied!" : "Copy"}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <label
+                  htmlFor="share-title"
+                  className="block text-sm font-medium"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {isCollection ? "Collection name *" : "Page title"}
+                </label>
+                <input
+                  id="share-title"
+                  type="text"
+                  className="form-input"
+                  placeholder={
+                    isCollection
+                      ? "e.g. Onboarding prompts"
+                      : prompts[0]?.title || ""
+                  }
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  maxLength={100}
+                  disabled={isCreating}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <label
+                  htmlFor="share-expiry"
+                  className="block text-sm font-medium"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  Expiry
+                </label>
+                <select
+                  id="share-expiry"
+                  className="form-input"
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                  disabled={isCreating}
+                >
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {hasRestricted && (
+                <p className="text-xs" style={{ color: "#eab308" }}>
+                  ⚠️ Some of these prompts are not visible to the whole team.
+                  A public link shows them to anyone who has it.
+                </p>
+              )}
+
+              <p className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+                The link shows the prompts as they are now. Refresh it from
+                the Sharing view after making changes. You can revoke it at
+                any time.
+              </p>
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex items-center gap-3 pt-6">
+            {!url && (
+              <button
+                onClick={handleCreate}
+                disabled={isCreating || (isCollection && !title.trim())}
+                className="btn-primary px-6 py-2.5 flex items-center gap-2 disabled:opacity-50"
+              >
+                {isCreating && <div className="neo-spinner w-4 h-4"></div>}
+                Create Link
+              </button>
+            )}
+            <button onClick={onClose} className="btn-secondary px-6 py-2.5">
+              {url ? "Done" : "Cancel"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Team view listing share links with their view counts
+export default function ShareLinksManager({ teamId, userRole }) {
+  const { user } = useAuth();
+  const { links, loading } = useShareLinks(teamId);
+  const [busyId, setBusyId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const canManage = userRole === "owner" || userRole === "admin";
+
+  async function runAction(link, action, errorMessage) {
+    setBusyId(link.id);
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      alert(`${errorMessage}. Please try again.`);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleCopy(link) {
+    if (await copyToClipboard(getShareUrl(link.id))) {
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    }
+  }
+
+  function handleRevoke(link) {
+    if (!confirm(`Revoke the link for "${link.title}"? It will stop working.`)) {
+      return;
+    }
+    runAction(link, () => revokeShareLink(link.id, user.uid), "Failed to revoke link");
+  }
+
+  function handleDelete(link) {
+    if (!confirm(`Delete the link for "${link.title}" and its view count?`)) {
+      return;
+    }
+    runAction(link, () => deleteShareLink(link.id), "Failed to delete link");
+  }
+
+  function statusLabel(link) {
+    if (link.revoked) return { text: "Revoked", color: "var(--destructive)" };
+    if (!isShareLinkActive(link)) {
+      return { text: "Expired", color: "var(--muted-foreground)" };
+    }
+    return {
+      text: link.expiresAt
+        ? `Active until ${formatDate(link.expiresAt)}`
+        : "Active",
+      color: "#22c55e",
+    };
+  }
+
+  if (!canManage) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p style={{ color: "var(--muted-foreground)" }}>
+          Only team owners and admins can manage share links.
+        </p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <div className="neo-spinner mx-auto mb-4"></div>
+        <p style={{ color: "var(--muted-foreground)" }}>
+          Loading share links...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="glass-card p-6">
+        <h2
+          className="text-2xl font-bold mb-2"
+          style={{ color: "var(--foreground)" }}
+        >
+          Share Links
+        </h2>
+        <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+          Public read-only links to prompts in this team. Create them from the
+          prompt library.
+        </p>
+      </div>
+
+      {links.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          <div className="text-4xl mb-4">🔗</div>
+          <h3
+            className="text-lg font-semibold mb-2"
+            style={{ color: "var(--foreground)" }}
+          >
+            No share links yet
+          </h3>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            Use the share button on a prompt, or select several prompts to
+            share them as a collection
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {links.map((link) => {
+            const status = statusLabel(link);
+            const active = isShareLinkActive(link);
+            const isBusy = busyId === link.id;
+
+            return (
+              <div key={link.id} className="glass-card p-6">
+                <div className="flex items-start justify-between gap-4 flex-wrap">
+                  <div className="flex-1 min-w-0">
+                    <h3
+                      className="text-lg font-semibold mb-1"
+                      style={{ color: "var(--foreground)" }}
+                    >
+                      {link.kind === "collection" ? "📚" : "📄"} {link.title}
+                    </h3>
+                    <div
+                      className="flex items-center gap-3 text-xs flex-wrap"
+                      style={{ color: "var(--muted-foreground)" }}
+                    >
+                      <span style={{ color: status.color }}>{status.text}</span>
+                      <span>•</span>
+                      <span>
+                        {link.prompts?.length || 0}{" "}
+                        {link.prompts?.length === 1 ? "prompt" : "prompts"}
+                      </span>
+                      <span>•</span>
+                      <span>👁️ {link.viewCount || 0} views</span>
+                      <span>•</span>
+                      <span>Created {formatDate(link.createdAt)}</span>
+                      {link.snapshotAt && (
+                        <>
+                          <span>•</span>
+                          <span>Content from {formatDate(link.snapshotAt)}</span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-wrap">
+                    {active && (
+                      <>
+                        <button
+                          onClick={() => handleCopy(link)}
+                          className="btn-secondary text-sm px-3 py-1.5"
+                        >
+                          {copiedId === link.id ? "Copied!" : "Copy Link"}
+                        </button>
+                        <button
+                          onClick={() =>
+                            runAction(
+                              link,
+                              () => refreshShareLink(link),
+                              "Failed to refresh link"
+                            )
+                          }
+                          disabled={isBusy}
+                          className="btn-secondary text-sm px-3 py-1.5 disabled:opacity-50"
+                          title="Update the shared content from the current prompts"
+                        >
+                          Refresh
+                        </button>
+                        <button
+                          onClick={() => handleRevoke(link)}
+                          disabled={isBusy}
+                          className="btn-danger text-sm px-3 py-1.5 disabled:opacity-50"
+                        >
+                          Revoke
+                        </button>
+                      </>
+                    )}
+                    {!active && (
+                      <button
+                        onClick={() => handleDelete(link)}
+                        disabled={isBusy}
+                        className="btn-danger text-sm px-3 py-1.5 disabled:opacity-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
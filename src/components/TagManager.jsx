@@ -0,0 +1,565 @@
+// src/components/TagManager.jsx - Team tag registry: colours, descriptions, rename and merge
+import { useState, useEffect, useMemo } from "react";
+import { useAuth } from "../context/AuthContext";
+import useTags from "../hooks/useTags";
+import { subscribePrompts } from "../lib/prompts";
+import { saveTag, unregisterTag, mergeTags } from "../lib/tags";
+import { canViewPrompt } from "../utils/promptVisibility";
+import {
+  TAG_COLORS,
+  countTags,
+  findTag,
+  tagKey,
+  suggestTags,
+  completeTag,
+} from "../utils/tags";
+
+// A tag as shown on prompt cards, in its registered colour
+export function TagChip({ name, registry = [], count, onClick, active }) {
+  const tag = findTag(registry, name);
+  const color = tag?.color;
+
+  return (
+    <span
+      onClick={onClick}
+      title={tag?.description || undefined}
+      className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border ${
+        onClick ? "cursor-pointer" : ""
+      }`}
+      style={
+        color
+          ? {
+              backgroundColor: `${color}22`,
+              color,
+              borderColor: active ? color : `${color}66`,
+            }
+          : {
+              backgroundColor: "var(--secondary)",
+              color: "var(--secondary-foreground)",
+              borderColor: active ? "var(--primary)" : "var(--border)",
+            }
+      }
+    >
+      #{tag?.name || name}
+      {count !== undefined && <span className="opacity-70">{count}</span>}
+    </span>
+  );
+}
+
+// Comma-separated tag input that completes from the registry and tags in use
+export function TagInput({
+  id,
+  value,
+  onChange,
+  registry = [],
+  usedTags = [],
+  disabled,
+  placeholder,
+}) {
+  const [focused, setFocused] = useState(false);
+  const suggestions = focused ? suggestTags(value, registry, usedTags) : [];
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        placeholder={placeholder}
+        className="form-input"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        disabled={disabled}
+        autoComplete="off"
+      />
+      {suggestions.length > 0 && (
+        <div
+          className="absolute left-0 right-0 mt-1 rounded-lg border shadow-lg z-10 p-2 flex flex-wrap gap-2"
+          style={{
+            backgroundColor: "var(--card)",
+            borderColor: "var(--border)",
+          }}
+        >
+          {suggestions.map((name) => (
+            <button
+              key={name}
+              type="button"
+              // Keep focus in the input so the list stays open
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onChange(completeTag(value, name));
+              }}
+            >
+              <TagChip name={name} registry={registry} />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ColorPicker({ value, onChange, disabled }) {
+  return (
+    <div className="flex items-center gap-1">
+      {TAG_COLORS.map((color) => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onChange(value === color ? null : color)}
+          disabled={disabled}
+          className="w-5 h-5 rounded-full border-2"
+          style={{
+            backgroundColor: color,
+            borderColor: value === color ? "var(--foreground)" : "transparent",
+          }}
+          title={color}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function TagManager({ teamId, userRole }) {
+  const { user } = useAuth();
+  const { tags: registry, loading: tagsLoading } = useTags(teamId);
+  const [prompts, setPrompts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [newTag, setNewTag] = useState({
+    name: "",
+    color: null,
+    description: "",
+  });
+  const [progress, setProgress] = useState(null);
+
+  const canManage = userRole === "owner" || userRole === "admin";
+  const isBusy = progress !== null;
+
+  useEffect(() => {
+    if (!teamId || !user) return;
+
+    setLoading(true);
+    const unsub = subscribePrompts(
+      teamId,
+      user.uid,
+      (allPrompts) => {
+        setPrompts(allPrompts.filter((p) => canViewPrompt(p, user.uid)));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading prompts:", error);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId, user]);
+
+  // Tags in use plus registered tags no prompt uses yet
+  const rows = useMemo(() => {
+    const used = countTags(prompts, registry);
+    const unused = registry
+      .filter((tag) => !used.some((row) => row.key === tag.id))
+      .map((tag) => ({ key: tag.id, name: tag.name, variants: [], count: 0 }));
+    return [...used, ...unused];
+  }, [prompts, registry]);
+
+  const variantCount = rows.filter((row) => row.variants.length > 1).length;
+
+  // Returns whether the prompts were updated
+  async function runMerge(sourceNames, targetName) {
+    setProgress({ done: 0, total: 0 });
+    try {
+      const changed = await mergeTags(
+        teamId,
+        user.uid,
+        sourceNames,
+        targetName,
+        { onProgress: (done, total) => setProgress({ done, total }) }
+      );
+      setSelected([]);
+      setMergeTarget("");
+      alert(
+        `Updated ${changed} ${changed === 1 ? "prompt" : "prompts"} to use #${targetName.trim()}`
+      );
+      return true;
+    } catch (error) {
+      console.error("Error renaming tags:", error);
+      alert(
+        "Failed to update tags. Some prompts may not have changed - please try again."
+      );
+      return false;
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  async function handleSaveEdit(row) {
+    const name = editing.name.trim();
+    if (!name) return;
+
+    // Renaming onto another tag merges into it, which keeps its settings
+    const target = rows.find(
+      (other) => other.key !== row.key && other.key === tagKey(name)
+    );
+    if (name !== row.name) {
+      if (
+        target &&
+        !confirm(
+          `#${target.name} already exists. Merge #${row.name} into it on ${row.count} prompts?`
+        )
+      ) {
+        return;
+      }
+      const renamed = await runMerge([row.name, ...row.variants], name);
+      if (!renamed) return;
+    }
+
+    try {
+      if (!target) {
+        await saveTag(teamId, user.uid, {
+          name,
+          color: editing.color,
+          description: editing.description,
+        });
+      }
+      setEditing(null);
+    } catch (error) {
+      console.error("Error saving tag:", error);
+      alert("Failed to save the tag. Please try again.");
+    }
+  }
+
+  async function handleMergeSelected() {
+    const target = mergeTarget.trim();
+    if (!target || selected.length < 2) return;
+
+    const sources = rows
+      .filter((row) => selected.includes(row.key))
+      .flatMap((row) => [row.name, ...row.variants]);
+    const total = rows
+      .filter((row) => selected.includes(row.key))
+      .reduce((sum, row) => sum + row.count, 0);
+
+    if (
+      !confirm(
+        `Merge ${selected.length} tags into #${target}? Up to ${total} prompts will be updated.`
+      )
+    ) {
+      return;
+    }
+    await runMerge([...new Set(sources)], target);
+  }
+
+  async function handleRegister(e) {
+    e.preventDefault();
+    if (!newTag.name.trim()) return;
+
+    try {
+      await saveTag(teamId, user.uid, newTag);
+      setNewTag({ name: "", color: null, description: "" });
+    } catch (error) {
+      console.error("Error registering tag:", error);
+      alert("Failed to register the tag. Please try again.");
+    }
+  }
+
+  async function handleUnregister(row) {
+    if (
+      !confirm(
+        `Remove #${row.name} from the registry? Prompts keep the tag, without its colour and description.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await unregisterTag(teamId, row.key);
+    } catch (error) {
+      console.error("Error removing tag:", error);
+      alert("Failed to remove the tag. Please try again.");
+    }
+  }
+
+  function toggleSelected(row) {
+    const next = selected.includes(row.key)
+      ? selected.filter((key) => key !== row.key)
+      : [...selected, row.key];
+    setSelected(next);
+    // Default the merge target to the most used selected tag
+    const first = rows.find((r) => next.includes(r.key));
+    setMergeTarget(first?.name || "");
+  }
+
+  if (loading || tagsLoading) {
+    return (
+      <div className="glass-card p-12 text-center">
+        <div className="neo-spinner w-8 h-8 mx-auto mb-4"></div>
+        <p style={{ color: "var(--muted-foreground)" }}>Loading tags...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="glass-card p-6 space-y-4">
+        <div>
+          <h2
+            className="text-2xl font-bold mb-2"
+            style={{ color: "var(--foreground)" }}
+          >
+            Tags
+          </h2>
+          <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+            {rows.length} {rows.length === 1 ? "tag" : "tags"} •{" "}
+            {registry.length} registered
+            {variantCount > 0 && ` • ${variantCount} spelled more than one way`}
+          </p>
+        </div>
+
+        {canManage && (
+          <form
+            onSubmit={handleRegister}
+            className="flex items-center gap-3 flex-wrap"
+          >
+            <input
+              type="text"
+              placeholder="New tag"
+              className="form-input w-40"
+              value={newTag.name}
+              onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+              maxLength={40}
+            />
+            <input
+              type="text"
+              placeholder="Description (optional)"
+              className="form-input flex-1 min-w-48"
+              value={newTag.description}
+              onChange={(e) =>
+                setNewTag({ ...newTag, description: e.target.value })
+              }
+              maxLength={200}
+            />
+            <ColorPicker
+              value={newTag.color}
+              onChange={(color) => setNewTag({ ...newTag, color })}
+            />
+            <button
+              type="submit"
+              disabled={!newTag.name.trim()}
+              className="btn-primary px-4 py-2 text-sm"
+            >
+              Register Tag
+            </button>
+          </form>
+        )}
+
+        {progress && (
+          <div
+            className="flex items-center gap-2 text-sm"
+            style={{ color: "var(--muted-foreground)" }}
+          >
+            <div className="neo-spinner w-4 h-4"></div>
+            Updating prompts
+            {progress.total > 0 &&
+              ` (${progress.done}/${progress.total} writes)`}
+            ...
+          </div>
+        )}
+
+        {canManage && selected.length > 1 && (
+          <div
+            className="p-3 rounded-lg border flex items-center gap-3 flex-wrap"
+            style={{
+              backgroundColor: "var(--muted)",
+              borderColor: "var(--border)",
+            }}
+          >
+            <span className="text-sm" style={{ color: "var(--foreground)" }}>
+              Merge {selected.length} tags into
+            </span>
+            <input
+              type="text"
+              className="form-input w-48"
+              value={mergeTarget}
+              onChange={(e) => setMergeTarget(e.target.value)}
+              disabled={isBusy}
+            />
+            <button
+              onClick={handleMergeSelected}
+              disabled={isBusy || !mergeTarget.trim()}
+              className="btn-primary px-4 py-2 text-sm"
+            >
+              Merge
+            </button>
+            <button
+              onClick={() => setSelected([])}
+              disabled={isBusy}
+              className="btn-secondary px-4 py-2 text-sm"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          <div className="text-5xl mb-4">🏷️</div>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            No tags yet. Tags added to prompts show up here.
+          </p>
+        </div>
+      ) : (
+        <div className="glass-card p-4 space-y-2">
+          {rows.map((row) => {
+            const tag = findTag(registry, row.name);
+            const isEditing = editing?.key === row.key;
+            const otherSpellings = row.variants.filter((v) => v !== row.name);
+
+            return (
+              <div
+                key={row.key}
+                className="p-3 rounded-lg border space-y-2"
+                style={{
+                  backgroundColor: "var(--muted)",
+                  borderColor: selected.includes(row.key)
+                    ? "var(--primary)"
+                    : "var(--border)",
+                }}
+              >
+                <div className="flex items-center justify-between gap-3 flex-wrap">
+                  <div className="flex items-center gap-3 min-w-0">
+                    {canManage && (
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(row.key)}
+                        onChange={() => toggleSelected(row)}
+                        disabled={isBusy}
+                        style={{ accentColor: "var(--primary)" }}
+                      />
+                    )}
+                    <TagChip name={row.name} registry={registry} />
+                    <span
+                      className="text-xs"
+                      style={{ color: "var(--muted-foreground)" }}
+                    >
+                      {row.count} {row.count === 1 ? "prompt" : "prompts"}
+                      {!tag && " • not registered"}
+                    </span>
+                  </div>
+
+                  {canManage && !isEditing && (
+                    <div className="flex items-center gap-3 text-xs">
+                      {otherSpellings.length > 0 && (
+                        <button
+                          onClick={() =>
+                            runMerge([row.name, ...otherSpellings], row.name)
+                          }
+                          disabled={isBusy}
+                          className="hover:underline"
+                          style={{ color: "#eab308" }}
+                        >
+                          Use #{row.name} everywhere
+                        </button>
+                      )}
+                      <button
+                        onClick={() =>
+                          setEditing({
+                            key: row.key,
+                            name: row.name,
+                            color: tag?.color || null,
+                            description: tag?.description || "",
+                          })
+                        }
+                        disabled={isBusy}
+                        className="hover:underline"
+                        style={{ color: "var(--primary)" }}
+                      >
+                        {tag ? "Edit" : "Register"}
+                      </button>
+                      {tag && (
+                        <button
+                          onClick={() => handleUnregister(row)}
+                          disabled={isBusy}
+                          className="hover:underline"
+                          style={{ color: "var(--destructive)" }}
+                        >
+                          Unregister
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {otherSpellings.length > 0 && (
+                  <div className="text-xs" style={{ color: "#eab308" }}>
+                    Also spelled: {otherSpellings.join(", ")}
+                  </div>
+                )}
+                {tag?.description && !isEditing && (
+                  <div
+                    className="text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    {tag.description}
+                  </div>
+                )}
+
+                {isEditing && (
+                  <div className="flex items-center gap-3 flex-wrap">
+                    <input
+                      type="text"
+                      className="form-input w-40"
+                      value={editing.name}
+                      onChange={(e) =>
+                        setEditing({ ...editing, name: e.target.value })
+                      }
+                      maxLength={40}
+                      disabled={isBusy}
+                    />
+                    <input
+                      type="text"
+                      placeholder="Description (optional)"
+                      className="form-input flex-1 min-w-48"
+                      value={editing.description}
+                      onChange={(e) =>
+                        setEditing({ ...editing, description: e.target.value })
+                      }
+                      maxLength={200}
+                      disabled={isBusy}
+                    />
+                    <ColorPicker
+                      value={editing.color}
+                      onChange={(color) => setEditing({ ...editing, color })}
+                      disabled={isBusy}
+                    />
+                    <button
+                      onClick={() => handleSaveEdit(row)}
+                      disabled={isBusy || !editing.name.trim()}
+                      className="btn-primary px-3 py-1 text-xs"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setEditing(null)}
+                      disabled={isBusy}
+                      className="btn-secondary px-3 py-1 text-xs"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,7 @@
 // src/components/TeamInviteForm.jsx - FIXED VERSION
 import { useState } from "react";
-import { db } from "../lib/firebase";
-import { collection, doc, addDoc, serverTimestamp } from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
+import { addTeamInvite, notifyInvitee } from "../lib/invites";
 
 export default function TeamInviteForm({ teamId, teamName, role }) {
   const { user } = useAuth();
@@ -29,16 +28,22 @@ export default function TeamInviteForm({ teamId, teamName, role }) {
 
     try {
       // ✅ FIXED: Use consistent subcollection structure like other components
-      await addDoc(collection(db, "teams", teamId, "invites"), {
+      const invite = {
         teamId: teamId, // Store teamId for easier querying
         teamName: teamName,
-        email: email.trim().toLowerCase(),
+        email,
         role: inviteRole,
         invitedBy: user.uid,
         inviterName: user.displayName || user.email,
-        createdAt: serverTimestamp(),
-        status: "pending",
-      });
+      };
+      const inviteId = await addTeamInvite(teamId, invite);
+
+      // The invite is saved either way; the in-app notice is a bonus
+      try {
+        await notifyInvitee(teamId, inviteId, invite, user.uid);
+      } catch (notifyError) {
+        console.error("Error notifying invitee:", notifyError);
+      }
 
       // ✅ Optional: Try to send email, but don't fail if unavailable
       try {
@@ -1,18 +1,13 @@
 // src/components/TeamMembers.jsx - Updated to match demo UI
 import { useState, useEffect } from "react";
-import { db } from "../lib/firebase";
-import {
-  doc,
-  getDoc,
-  getDocs,
-  collection,
-  updateDoc,
-  deleteDoc,
-  query,
-  where,
-  onSnapshot,
-} from "firebase/firestore";
 import { useAuth } from "../context/AuthContext";
+import { setMemberRole, removeMember as removeTeamMember } from "../lib/teams";
+import { getUserProfile } from "../lib/user";
+import { sendNotifications } from "../lib/notifications";
+import {
+  subscribeTeamInvites,
+  cancelInvite as cancelTeamInvite,
+} from "../lib/invites";
 
 export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
   const { user } = useAuth();
@@ -33,12 +28,12 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
 
       for (const [uid, role] of Object.entries(teamData.members || {})) {
         try {
-          const userDoc = await getDoc(doc(db, "users", uid));
-          if (userDoc.exists()) {
+          const profile = await getUserProfile(uid);
+          if (profile) {
             memberProfiles.push({
+              ...profile,
               uid,
               role,
-              ...userDoc.data(),
             });
           } else {
             // User document doesn't exist, show basic info
@@ -77,28 +72,12 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
   useEffect(() => {
     if (!teamId) return;
 
-    const q = query(
-      collection(db, "team-invites"),
-      where("teamId", "==", teamId),
-      where("status", "==", "pending")
+    const unsub = subscribeTeamInvites(
+      teamId,
+      (invites) => setPendingInvites(invites),
+      (error) => console.error("Error loading pending invites:", error)
     );
 
-    const unsub = onSnapshot(q, (snapshot) => {
-      const invites = snapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
-
-      // Sort by creation date, newest first
-      invites.sort((a, b) => {
-        const aTime = a.createdAt?.toMillis() || 0;
-        const bTime = b.createdAt?.toMillis() || 0;
-        return bTime - aTime;
-      });
-
-      setPendingInvites(invites);
-    });
-
     return () => unsub();
   }, [teamId]);
 
@@ -110,12 +89,24 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
     setProcessingActions((prev) => new Set([...prev, actionKey]));
 
     try {
-      const teamRef = doc(db, "teams", teamId);
-      await updateDoc(teamRef, {
-        [`members.${memberUid}`]: newRole,
-      });
+      await setMemberRole(teamId, memberUid, newRole);
 
       showNotification(`Member role updated to ${newRole}`, "success");
+
+      try {
+        await sendNotifications([
+          {
+            userId: memberUid,
+            type: "role",
+            teamId,
+            teamName,
+            role: newRole,
+            actorId: user.uid,
+          },
+        ]);
+      } catch (notifyError) {
+        console.error("Error notifying member of role change:", notifyError);
+      }
     } catch (error) {
       console.error("Error updating member role:", error);
       showNotification("Failed to update member role", "error");
@@ -142,17 +133,7 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
     setProcessingActions((prev) => new Set([...prev, actionKey]));
 
     try {
-      const teamRef = doc(db, "teams", teamId);
-      const teamDoc = await getDoc(teamRef);
-
-      if (teamDoc.exists()) {
-        const currentMembers = { ...teamDoc.data().members };
-        delete currentMembers[memberUid];
-
-        await updateDoc(teamRef, {
-          members: currentMembers,
-        });
-      }
+      await removeTeamMember(teamId, memberUid);
 
       showNotification(
         `${member.name || member.email} removed from team`,
@@ -178,7 +159,8 @@ export default function TeamMembers({ teamId, teamName, userRole, teamData }) {
     setProcessingActions((prev) => new Set([...prev, actionKey]));
 
     try {
-      await deleteDoc(doc(db, "team-invites", inviteId));
+      const result = await cancelTeamInvite({ teamId, inviteId });
+      if (!result.success) throw new Error(result.error);
       showNotification("Invitation cancelled", "success");
     } catch (error) {
       console.error("Error cancelling invite:", error);
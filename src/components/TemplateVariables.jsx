@@ -0,0 +1,309 @@
+// src/components/TemplateVariables.jsx - Template variable highlighting, editing and fill-in form
+import { useState, useMemo } from "react";
+import {
+  syncVariables,
+  defaultValues,
+  missingRequired,
+  renderTemplate,
+  splitTemplate,
+} from "../utils/templateVariables";
+
+// Prompt text with {{variables}} highlighted
+export function VariableHighlight({ text, className = "" }) {
+  const segments = useMemo(() => splitTemplate(text), [text]);
+
+  return (
+    <pre
+      className={`whitespace-pre-wrap text-sm font-mono ${className}`}
+      style={{ color: "var(--foreground)" }}
+    >
+      {segments.map((segment, index) =>
+        segment.type === "variable" ? (
+          <span
+            key={index}
+            className="px-1 rounded"
+            style={{
+              backgroundColor: "rgba(0, 200, 255, 0.2)",
+              color: "var(--primary)",
+            }}
+          >
+            {segment.value}
+          </span>
+        ) : (
+          <span key={index}>{segment.value}</span>
+        )
+      )}
+    </pre>
+  );
+}
+
+// Metadata editor for the variables used in a prompt, shown in PromptForm and EditPromptModal
+export function VariableEditor({ text, variables = [], onChange, disabled = false }) {
+  const { used, unused } = useMemo(
+    () => syncVariables(text, variables),
+    [text, variables]
+  );
+
+  if (used.length === 0 && unused.length === 0) {
+    return (
+      <div className="text-xs" style={{ color: "var(--muted-foreground)" }}>
+        Tip: use {"{{variable_name}}"} placeholders to turn this prompt into a
+        fill-in template
+      </div>
+    );
+  }
+
+  function updateVariable(name, field, value) {
+    const next = [...used, ...unused].map((v) =>
+      v.name === name ? { ...v, [field]: value } : v
+    );
+    onChange(next);
+  }
+
+  function removeVariable(name) {
+    onChange([...used, ...unused].filter((v) => v.name !== name));
+  }
+
+  return (
+    <div className="space-y-3">
+      {/* Highlighted Preview */}
+      {used.length > 0 && (
+        <div
+          className="p-3 rounded-lg border"
+          style={{
+            backgroundColor: "var(--muted)",
+            borderColor: "var(--border)",
+          }}
+        >
+          <VariableHighlight text={text} />
+        </div>
+      )}
+
+      {/* Detected Variables */}
+      {used.map((variable) => (
+        <div
+          key={variable.name}
+          className="p-3 rounded-lg border space-y-2"
+          style={{
+            backgroundColor: "var(--card)",
+            borderColor: "var(--border)",
+          }}
+        >
+          <div className="flex items-center justify-between">
+            <code
+              className="text-sm font-mono px-2 py-0.5 rounded"
+              style={{
+                backgroundColor: "rgba(0, 200, 255, 0.2)",
+                color: "var(--primary)",
+              }}
+            >
+              {`{{${variable.name}}}`}
+            </code>
+            <label
+              className="flex items-center gap-2 text-xs cursor-pointer"
+              style={{ color: "var(--foreground)" }}
+            >
+              <input
+                type="checkbox"
+                checked={!!variable.required}
+                onChange={(e) =>
+                  updateVariable(variable.name, "required", e.target.checked)
+                }
+                disabled={disabled}
+                style={{ accentColor: "var(--primary)" }}
+              />
+              Required
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <input
+              type="text"
+              placeholder="Default value"
+              className="form-input text-sm"
+              value={variable.defaultValue || ""}
+              onChange={(e) =>
+                updateVariable(variable.name, "defaultValue", e.target.value)
+              }
+              disabled={disabled}
+            />
+            <input
+              type="text"
+              placeholder="Description"
+              className="form-input text-sm"
+              value={variable.description || ""}
+              onChange={(e) =>
+                updateVariable(variable.name, "description", e.target.value)
+              }
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      ))}
+
+      {/* Declared but unused */}
+      {unused.map((variable) => (
+        <div
+          key={variable.name}
+          className="flex items-center justify-between p-3 rounded-lg border text-xs"
+          style={{
+            backgroundColor: "rgba(234, 179, 8, 0.1)",
+            borderColor: "#eab308",
+            color: "#eab308",
+          }}
+        >
+          <span>
+            ⚠️ <code className="font-mono">{`{{${variable.name}}}`}</code> is
+            declared but not used in the prompt text
+          </span>
+          <button
+            type="button"
+            onClick={() => removeVariable(variable.name)}
+            disabled={disabled}
+            className="px-2 py-1 rounded border"
+            style={{ borderColor: "#eab308" }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Fill-in form shown before copying a prompt that contains variables
+export default function TemplateFillModal({ prompt, onCopy, onClose }) {
+  const { used } = useMemo(
+    () => syncVariables(prompt.text, prompt.variables || []),
+    [prompt.text, prompt.variables]
+  );
+  const [values, setValues] = useState(() => defaultValues(used));
+
+  const missing = missingRequired(used, values);
+  const rendered = renderTemplate(prompt.text, values);
+
+  function handleCopy() {
+    if (missing.length > 0) return;
+    onCopy(rendered);
+  }
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 p-4">
+      <div
+        className="glass-card w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        style={{ border: "1px solid var(--border)" }}
+      >
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex items-center gap-3 mb-6">
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ backgroundColor: "var(--primary)" }}
+            >
+              <span
+                className="text-lg"
+                style={{ color: "var(--primary-foreground)" }}
+              >
+                🧩
+              </span>
+            </div>
+            <div className="flex-1">
+              <h3
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                Fill in Template
+              </h3>
+              <p
+                className="text-sm"
+                style={{ color: "var(--muted-foreground)" }}
+              >
+                {prompt.title}
+              </p>
+            </div>
+          </div>
+
+          {/* Variable Fields */}
+          <div className="space-y-4">
+            {used.map((variable) => (
+              <div key={variable.name} className="space-y-1">
+                <label
+                  htmlFor={`template-var-${variable.name}`}
+                  className="block text-sm font-medium"
+                  style={{ color: "var(--foreground)" }}
+                >
+                  {variable.name}
+                  {variable.required && " *"}
+                </label>
+                <input
+                  id={`template-var-${variable.name}`}
+                  type="text"
+                  className="form-input"
+                  placeholder={variable.defaultValue || variable.name}
+                  value={values[variable.name] || ""}
+                  onChange={(e) =>
+                    setValues((prev) => ({
+                      ...prev,
+                      [variable.name]: e.target.value,
+                    }))
+                  }
+                />
+                {variable.description && (
+                  <p
+                    className="text-xs"
+                    style={{ color: "var(--muted-foreground)" }}
+                  >
+                    {variable.description}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Preview */}
+          <div className="mt-6 space-y-2">
+            <h4
+              className="text-sm font-medium"
+              style={{ color: "var(--foreground)" }}
+            >
+              Preview
+            </h4>
+            <div
+              className="p-4 rounded-lg border"
+              style={{
+                backgroundColor: "var(--muted)",
+                borderColor: "var(--border)",
+              }}
+            >
+              <VariableHighlight text={rendered} />
+            </div>
+            {missing.length > 0 && (
+              <p className="text-xs" style={{ color: "var(--destructive)" }}>
+                Required: {missing.join(", ")}
+              </p>
+            )}
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex items-center gap-3 pt-6">
+            <button
+              onClick={handleCopy}
+              disabled={missing.length > 0}
+              className="btn-primary px-6 py-2.5"
+            >
+              Copy Result
+            </button>
+            <button
+              onClick={() => onCopy(prompt.text)}
+              className="btn-secondary px-6 py-2.5"
+            >
+              Copy Raw Template
+            </button>
+            <button onClick={onClose} className="btn-secondary px-6 py-2.5">
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
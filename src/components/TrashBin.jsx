@@ -0,0 +1,315 @@
+// src/components/TrashBin.jsx - Per-team trash where owners and admins restore or purge deleted prompts
+import { useState, useEffect } from "react";
+import { useAuth } from "../context/AuthContext";
+import useTrash from "../hooks/useTrash";
+import {
+  restoreFromTrash,
+  purgeFromTrash,
+  setTrashRetention,
+} from "../lib/trash";
+import { getTrashRetention } from "../utils/trash";
+import { getUserProfiles } from "../lib/user";
+
+const RETENTION_OPTIONS = [
+  { value: 7, label: "7 days" },
+  { value: 14, label: "14 days" },
+  { value: 30, label: "30 days" },
+  { value: 60, label: "60 days" },
+  { value: 90, label: "90 days" },
+  { value: 0, label: "Never (purge manually)" },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashBin({ teamId, teamData, userRole }) {
+  const { user } = useAuth();
+  const { items, loading } = useTrash(teamId, user?.uid);
+  const [profiles, setProfiles] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [isEmptying, setIsEmptying] = useState(false);
+  const [savingRetention, setSavingRetention] = useState(false);
+
+  const retentionDays = getTrashRetention(teamData);
+  const canManage = userRole === "owner" || userRole === "admin";
+
+  // Load profiles of whoever deleted and authored the trashed prompts
+  useEffect(() => {
+    async function loadProfiles() {
+      const ids = new Set();
+      items.forEach((item) => {
+        if (item.deletedBy) ids.add(item.deletedBy);
+        if (item.prompt?.createdBy) ids.add(item.prompt.createdBy);
+      });
+
+      setProfiles(await getUserProfiles(ids));
+    }
+
+    if (items.length > 0) loadProfiles();
+  }, [items]);
+
+  function displayName(uid) {
+    const profile = profiles[uid];
+    return profile?.name || profile?.email || "Unknown user";
+  }
+
+  function formatDate(timestamp) {
+    if (!timestamp) return "Just now";
+    try {
+      return timestamp.toDate().toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      });
+    } catch {
+      return "";
+    }
+  }
+
+  function daysUntilPurge(item) {
+    if (!retentionDays || !item.deletedAt) return null;
+    const purgeAt = item.deletedAt.toMillis() + retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+  }
+
+  async function handleRestore(item) {
+    setBusyId(item.id);
+    try {
+      await restoreFromTrash(teamId, item.id);
+    } catch (error) {
+      console.error("Error restoring prompt:", error);
+      alert("Failed to restore prompt. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handlePurge(item) {
+    if (
+      !confirm(
+        `Permanently delete "${item.prompt?.title || "Untitled"}" with its comments and ratings? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setBusyId(item.id);
+    try {
+      await purgeFromTrash(teamId, item.id);
+    } catch (error) {
+      console.error("Error purging prompt:", error);
+      alert("Failed to delete prompt. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleEmptyTrash() {
+    if (
+      !confirm(
+        `Permanently delete all ${items.length} prompts in the trash? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setIsEmptying(true);
+    try {
+      for (const item of items) {
+        await purgeFromTrash(teamId, item.id);
+      }
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      alert("Failed to empty the trash. Please try again.");
+    } finally {
+      setIsEmptying(false);
+    }
+  }
+
+  async function handleRetentionChange(days) {
+    setSavingRetention(true);
+    try {
+      await setTrashRetention(teamId, days);
+    } catch (error) {
+      console.error("Error saving retention:", error);
+      alert("Failed to update retention period. Please try again.");
+    } finally {
+      setSavingRetention(false);
+    }
+  }
+
+  if (!canManage) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <p style={{ color: "var(--muted-foreground)" }}>
+          Only team owners and admins can view the trash.
+        </p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="glass-card p-8 text-center">
+        <div className="neo-spinner mx-auto mb-4"></div>
+        <p style={{ color: "var(--muted-foreground)" }}>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="glass-card p-6">
+        <div className="flex items-start justify-between gap-4 flex-wrap">
+          <div>
+            <h2
+              className="text-2xl font-bold mb-2"
+              style={{ color: "var(--foreground)" }}
+            >
+              Trash
+            </h2>
+            <p className="text-sm" style={{ color: "var(--muted-foreground)" }}>
+              {items.length} deleted {items.length === 1 ? "prompt" : "prompts"}
+              {retentionDays > 0
+                ? ` • permanently deleted after ${retentionDays} days`
+                : " • kept until purged manually"}
+            </p>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <label
+              className="text-sm flex items-center gap-2"
+              style={{ color: "var(--foreground)" }}
+            >
+              Keep for
+              <select
+                value={retentionDays}
+                onChange={(e) => handleRetentionChange(Number(e.target.value))}
+                disabled={savingRetention}
+                className="form-input text-sm py-1.5"
+              >
+                {RETENTION_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {items.length > 0 && (
+              <button
+                onClick={handleEmptyTrash}
+                disabled={isEmptying}
+                className="btn-danger text-sm px-3 py-1.5 flex items-center gap-1 disabled:opacity-50"
+              >
+                {isEmptying && <div className="neo-spinner w-3 h-3"></div>}
+                Empty Trash
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Trashed Prompts */}
+      {items.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          <div className="text-4xl mb-4">🗑️</div>
+          <h3
+            className="text-lg font-semibold mb-2"
+            style={{ color: "var(--foreground)" }}
+          >
+            Trash is empty
+          </h3>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            Deleted prompts appear here and can be restored
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map((item) => {
+            const remaining = daysUntilPurge(item);
+            const isBusy = busyId === item.id;
+
+            return (
+              <div key={item.id} className="glass-card p-6">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    <h3
+                      className="text-lg font-semibold mb-1"
+                      style={{ color: "var(--foreground)" }}
+                    >
+                      {item.prompt?.title || "Untitled"}
+                    </h3>
+                    <div
+                      className="flex items-center gap-3 text-xs flex-wrap"
+                      style={{ color: "var(--muted-foreground)" }}
+                    >
+                      <span>By {displayName(item.prompt?.createdBy)}</span>
+                      <span>•</span>
+                      <span>
+                        Deleted by {displayName(item.deletedBy)} on{" "}
+                        {formatDate(item.deletedAt)}
+                      </span>
+                      <span>•</span>
+                      <span>💬 {item.commentCount || 0}</span>
+                      <span>⭐ {item.ratingCount || 0}</span>
+                      {remaining !== null && (
+                        <>
+                          <span>•</span>
+                          <span
+                            style={{
+                              color:
+                                remaining <= 3 ? "var(--destructive)" : undefined,
+                            }}
+                          >
+                            {remaining === 0
+                              ? "Purged on next visit"
+                              : `Purged in ${remaining} ${
+                                  remaining === 1 ? "day" : "days"
+                                }`}
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handleRestore(item)}
+                      disabled={isBusy}
+                      className="btn-primary text-sm px-3 py-1.5 disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(item)}
+                      disabled={isBusy}
+                      className="btn-danger text-sm px-3 py-1.5 disabled:opacity-50"
+                    >
+                      Delete Forever
+                    </button>
+                  </div>
+                </div>
+
+                <div
+                  className="mt-4 p-4 rounded-lg border"
+                  style={{
+                    backgroundColor: "var(--muted)",
+                    borderColor: "var(--border)",
+                  }}
+                >
+                  <pre
+                    className="whitespace-pre-wrap text-sm font-mono line-clamp-3"
+                    style={{ color: "var(--foreground)" }}
+                  >
+                    {item.prompt?.text}
+                  </pre>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,8 +8,21 @@ import {
   setPersistence,
   browserLocalPersistence,
 } from "firebase/auth";
-import { auth, db } from "../lib/firebase";
-import { doc, setDoc, serverTimestamp } from "firebase/firestore";
+import { auth } from "../lib/firebase";
+import { saveUserProfile } from "../lib/user";
+import { isLocalBackend, LOCAL_USER } from "../lib/data/backend";
+import { seedDemoData } from "../lib/data/demoData";
+
+// Remembers that the demo user is signed in on the local data backends
+const LOCAL_SESSION_KEY = "prompt-teams-local-session";
+
+// Stand-in for Google sign-in when running without Firebase
+async function signInLocalUser() {
+  await saveUserProfile(LOCAL_USER);
+  await seedDemoData(LOCAL_USER);
+  localStorage.setItem(LOCAL_SESSION_KEY, "1");
+  return LOCAL_USER;
+}
 
 const AuthContext = createContext({});
 
@@ -23,6 +36,21 @@ export function AuthProvider({ children }) {
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    if (isLocalBackend) {
+      if (localStorage.getItem(LOCAL_SESSION_KEY)) {
+        signInLocalUser()
+          .then(setUser)
+          .catch((localError) => {
+            console.error("❌ Local sign-in error:", localError);
+            setError("Local sign-in failed");
+          })
+          .finally(() => setLoading(false));
+      } else {
+        setLoading(false);
+      }
+      return;
+    }
+
     console.log("🔥 AuthProvider: Setting up auth state listener");
     
     // Set persistence
@@ -36,16 +64,7 @@ export function AuthProvider({ children }) {
         try {
           if (user) {
             // User is signed in - update their profile
-            await setDoc(
-              doc(db, "users", user.uid),
-              {
-                name: user.displayName,
-                email: user.email,
-                avatar: user.photoURL,
-                lastSeen: serverTimestamp(),
-              },
-              { merge: true }
-            );
+            await saveUserProfile(user);
             console.log("✅ User profile updated");
           }
           
@@ -79,6 +98,13 @@ export function AuthProvider({ children }) {
       setError(null);
       setLoading(true);
 
+      if (isLocalBackend) {
+        const localUser = await signInLocalUser();
+        setUser(localUser);
+        setLoading(false);
+        return localUser;
+      }
+
       const provider = new GoogleAuthProvider();
       provider.addScope("email");
       provider.addScope("profile");
@@ -124,7 +150,11 @@ export function AuthProvider({ children }) {
       setError(null);
       setLoading(true);
 
-      await firebaseSignOut(auth);
+      if (isLocalBackend) {
+        localStorage.removeItem(LOCAL_SESSION_KEY);
+      } else {
+        await firebaseSignOut(auth);
+      }
       
       console.log("✅ Sign out successful");
       setUser(null);
@@ -0,0 +1,34 @@
+// src/hooks/useFavoriteCollections.js
+import { useEffect, useState } from "react";
+import { subscribeFavoriteCollections } from "../lib/favorites";
+
+export default function useFavoriteCollections(userId) {
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!userId) {
+      setCollections([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribeFavoriteCollections(
+      userId,
+      (data) => {
+        setCollections(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading favorite collections:", error);
+        setCollections([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [userId]);
+
+  return { collections, loading };
+}
@@ -0,0 +1,80 @@
+// src/hooks/useFavoritePrompts.js
+import { useEffect, useRef, useState } from "react";
+import { subscribeFavoritePrompt, refreshFavorite } from "../lib/favorites";
+import { canViewPrompt } from "../utils/promptVisibility";
+
+/**
+ * Resolve favorites to their live prompts: { [favoriteId]: { state, prompt } }
+ * with state "live", "deleted" (the prompt is gone or in the trash) or
+ * "inaccessible" (the user left the team, or the prompt is no longer shared
+ * with them). Favorites not resolved yet have no entry.
+ */
+export default function useFavoritePrompts(favorites, userId) {
+  const [resolved, setResolved] = useState({});
+
+  // Only resubscribe when the set of favorites changes; the stored titles
+  // change as refreshFavorite keeps them in step, so they are read apart
+  const refsKey = JSON.stringify(
+    favorites.map((f) => [f.id, f.teamId, f.promptId])
+  );
+  const storedTitles = useRef({});
+  useEffect(() => {
+    storedTitles.current = Object.fromEntries(
+      favorites.map((f) => [f.id, f.title])
+    );
+  }, [favorites]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const refs = JSON.parse(refsKey).map(([id, teamId, promptId]) => ({
+      id,
+      teamId,
+      promptId,
+    }));
+
+    function resolve(favoriteId, state, prompt = null) {
+      setResolved((prev) => ({ ...prev, [favoriteId]: { state, prompt } }));
+    }
+
+    const unsubs = refs.map((favorite) => {
+      if (!favorite.teamId) {
+        resolve(favorite.id, "deleted");
+        return () => {};
+      }
+
+      return subscribeFavoritePrompt(
+        favorite,
+        (prompt) => {
+          if (!prompt) {
+            resolve(favorite.id, "deleted");
+          } else if (!canViewPrompt(prompt, userId)) {
+            resolve(favorite.id, "inaccessible");
+          } else {
+            resolve(favorite.id, "live", prompt);
+            if (
+              prompt.title &&
+              prompt.title !== storedTitles.current[favorite.id]
+            ) {
+              refreshFavorite(userId, favorite.id, prompt).catch((error) =>
+                console.error("Error refreshing favorite:", error)
+              );
+            }
+          }
+        },
+        (error) => {
+          // Deleted prompts arrive as missing above; a refused read means
+          // the user left the team or the prompt is no longer shared
+          if (error.code !== "permission-denied") {
+            console.error("Error loading favorite prompt:", error);
+          }
+          resolve(favorite.id, "inaccessible");
+        }
+      );
+    });
+
+    return () => unsubs.forEach((unsub) => unsub());
+  }, [refsKey, userId]);
+
+  return resolved;
+}
@@ -0,0 +1,34 @@
+// src/hooks/useFolders.js
+import { useEffect, useState } from "react";
+import { subscribeFolders } from "../lib/folders";
+
+export default function useFolders(teamId) {
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!teamId) {
+      setFolders([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribeFolders(
+      teamId,
+      (data) => {
+        setFolders(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading folders:", error);
+        setFolders([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId]);
+
+  return { folders, loading };
+}
@@ -0,0 +1,37 @@
+// src/hooks/useMarkdownView.js
+import { useSyncExternalStore } from "react";
+
+const STORAGE_KEY = "markdownView";
+const listeners = new Set();
+
+function readView() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === "raw" ? "raw" : "rendered";
+  } catch {
+    return "rendered";
+  }
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Whether Markdown is shown "rendered" or "raw". One preference for every
+ * view, remembered across sessions: flipping it anywhere flips it everywhere.
+ */
+export default function useMarkdownView() {
+  const view = useSyncExternalStore(subscribe, readView);
+
+  function setView(next) {
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      console.error("Error saving Markdown view:", error);
+    }
+    listeners.forEach((listener) => listener());
+  }
+
+  return [view, setView];
+}
@@ -0,0 +1,59 @@
+// src/hooks/useNotifications.js
+import { useEffect, useState } from "react";
+import {
+  subscribeNotifications,
+  subscribeUnreadNotifications,
+} from "../lib/notifications";
+import { getUserProfiles } from "../lib/user";
+
+/**
+ * The user's recent notifications, newest first, with the profiles of
+ * whoever sent them: { notifications, unreadCount, actors, loading }.
+ * unreadCount covers all unread notifications, including older ones.
+ */
+export default function useNotifications(userId) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [actors, setActors] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([]);
+      setUnreadCount(0);
+      setLoading(false);
+      return;
+    }
+
+    const unsub = subscribeNotifications(
+      userId,
+      async (data) => {
+        setNotifications(data);
+        setLoading(false);
+        setActors(await getUserProfiles(data.map((n) => n.actorId)));
+      },
+      (error) => {
+        console.error("Error loading notifications:", error);
+        setLoading(false);
+      }
+    );
+
+    const unsubUnread = subscribeUnreadNotifications(
+      userId,
+      (unread) => setUnreadCount(unread.length),
+      (error) => console.error("Error counting unread notifications:", error)
+    );
+
+    return () => {
+      unsub();
+      unsubUnread();
+    };
+  }, [userId]);
+
+  return {
+    notifications,
+    unreadCount,
+    actors,
+    loading,
+  };
+}
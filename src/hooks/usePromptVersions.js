@@ -0,0 +1,38 @@
+// src/hooks/usePromptVersions.js
+import { useEffect, useState } from "react";
+import { subscribePromptVersions } from "../lib/prompts";
+import { getUserProfiles } from "../lib/user";
+
+export default function usePromptVersions(teamId, promptId) {
+  const [versions, setVersions] = useState([]);
+  const [profiles, setProfiles] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!teamId || !promptId) {
+      setVersions([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribePromptVersions(
+      teamId,
+      promptId,
+      async (versionData) => {
+        setVersions(versionData);
+        setProfiles(await getUserProfiles(versionData.map((v) => v.createdBy)));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading prompt versions:", error);
+        setVersions([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId, promptId]);
+
+  return { versions, profiles, loading };
+}
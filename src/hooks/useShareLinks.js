@@ -0,0 +1,34 @@
+// src/hooks/useShareLinks.js
+import { useEffect, useState } from "react";
+import { subscribeShareLinks } from "../lib/shareLinks";
+
+export default function useShareLinks(teamId) {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!teamId) {
+      setLinks([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribeShareLinks(
+      teamId,
+      (data) => {
+        setLinks(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading share links:", error);
+        setLinks([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId]);
+
+  return { links, loading };
+}
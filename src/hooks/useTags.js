@@ -0,0 +1,34 @@
+// src/hooks/useTags.js
+import { useEffect, useState } from "react";
+import { subscribeTags } from "../lib/tags";
+
+export default function useTags(teamId) {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!teamId) {
+      setTags([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribeTags(
+      teamId,
+      (data) => {
+        setTags(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading tags:", error);
+        setTags([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId]);
+
+  return { tags, loading };
+}
@@ -1,8 +1,8 @@
 // src/hooks/useTeamRole.js
 import { useEffect, useState } from "react";
-import { doc, onSnapshot } from "firebase/firestore";
-import { db } from "../lib/firebase";
+import { subscribeTeam } from "../lib/teams";
 import { useAuth } from "../context/AuthContext";
+import { getPromptStatus, getTransitionsFrom } from "../utils/promptStatus";
 
 export default function useTeamRole(teamId) {
   const { user } = useAuth();
@@ -23,9 +23,8 @@ export default function useTeamRole(teamId) {
     setLoading(true);
     setError(null);
     
-    const ref = doc(db, "teams", teamId);
-    const unsub = onSnapshot(ref, (snap) => {
-      if (!snap.exists()) {
+    const unsub = subscribeTeam(teamId, (data) => {
+      if (!data) {
         setRole(null);
         setTeamData(null);
         setError("Team not found or access denied");
@@ -33,7 +32,6 @@ export default function useTeamRole(teamId) {
         return;
       }
       
-      const data = snap.data();
       setTeamData(data);
       
       // Get user's role from members object
@@ -72,6 +70,20 @@ export default function useTeamRole(teamId) {
     return promptCreatorId === user.uid || canEditAllPrompts();
   };
 
+  // Check if user can move a prompt through a status transition
+  const canTransitionPrompt = (prompt, transition) => {
+    if (!user || !prompt || !transition) return false;
+    if (transition.from !== getPromptStatus(prompt)) return false;
+    if (transition.by === 'reviewer') return canEditAllPrompts();
+    return canEditPrompt(prompt.createdBy);
+  };
+
+  // Status transitions the user can make on a prompt right now
+  const getAvailableTransitions = (prompt) =>
+    getTransitionsFrom(getPromptStatus(prompt)).filter((t) =>
+      canTransitionPrompt(prompt, t)
+    );
+
   // Get role display information
   const getRoleInfo = () => {
     switch (role) {
@@ -128,6 +140,8 @@ export default function useTeamRole(teamId) {
     canInviteMembers,
     canEditPrompt,
     canDeletePrompt,
+    canTransitionPrompt,
+    getAvailableTransitions,
     isOwner,
     
     // Helper data
@@ -0,0 +1,35 @@
+// src/hooks/useTrash.js
+import { useEffect, useState } from "react";
+import { subscribeTrash } from "../lib/trash";
+
+export default function useTrash(teamId, userId) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!teamId || !userId) {
+      setItems([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsub = subscribeTrash(
+      teamId,
+      userId,
+      (data) => {
+        setItems(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error("Error loading trash:", error);
+        setItems([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsub();
+  }, [teamId, userId]);
+
+  return { items, loading };
+}
@@ -0,0 +1,52 @@
+// src/lib/activities.js
+import { store, commitInChunks } from "./data";
+
+function activitiesPath(teamId) {
+  return `teams/${teamId}/activities`;
+}
+
+// Record an activity such as { type: "prompt_created", userId, promptId }
+export async function logActivity(teamId, activity) {
+  return store.addDoc(activitiesPath(teamId), {
+    ...activity,
+    timestamp: store.serverTimestamp(),
+  });
+}
+
+/**
+ * Record that `userId` created or updated prompts, one activity each
+ * (`type` is "prompt_created" or "prompt_updated"). The prompts are already
+ * saved by then, so a failure here is reported but not thrown.
+ */
+export async function logPromptActivities(teamId, userId, type, promptIds) {
+  const action = type === "prompt_created" ? "created" : "updated";
+  try {
+    await commitInChunks(
+      promptIds.map(
+        (promptId) => (batch) =>
+          batch.set(
+            `${activitiesPath(teamId)}/${store.newId(activitiesPath(teamId))}`,
+            {
+              type,
+              userId,
+              promptId,
+              metadata: { action },
+              timestamp: store.serverTimestamp(),
+            }
+          )
+      )
+    );
+  } catch (error) {
+    console.error(`Error logging ${action} prompts:`, error);
+  }
+}
+
+// Listen to a team's most recent activities, newest first
+export function subscribeActivities(teamId, max, onNext, onError) {
+  return store.subscribeDocs(
+    activitiesPath(teamId),
+    { orderBy: [["timestamp", "desc"]], limit: max },
+    onNext,
+    onError
+  );
+}
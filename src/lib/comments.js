@@ -0,0 +1,164 @@
+// src/lib/comments.js
+import { store } from "./data";
+
+// Reactions are stored per key (reactions.like: [uid, ...]); the rules
+// only accept these keys
+export const COMMENT_REACTIONS = [
+  { key: "like", emoji: "👍", label: "Like" },
+  { key: "love", emoji: "❤️", label: "Love" },
+  { key: "laugh", emoji: "😄", label: "Funny" },
+  { key: "celebrate", emoji: "🎉", label: "Celebrate" },
+  { key: "thinking", emoji: "🤔", label: "Hmm" },
+  { key: "eyes", emoji: "👀", label: "Looking" },
+];
+
+function promptPath(teamId, promptId) {
+  return `teams/${teamId}/prompts/${promptId}`;
+}
+
+function commentsPath(teamId, promptId) {
+  return `${promptPath(teamId, promptId)}/comments`;
+}
+
+// A thread is open until its first comment is resolved
+function isOpenThread(comment) {
+  return !comment.parentId && !comment.resolved;
+}
+
+// Listen to a prompt's comments, oldest first
+export function subscribeComments(teamId, promptId, onNext, onError) {
+  return store.subscribeDocs(
+    commentsPath(teamId, promptId),
+    { orderBy: [["createdAt", "asc"]] },
+    onNext,
+    onError
+  );
+}
+
+/**
+ * `mentions` holds the uids @mentioned in the text (see utils/mentions).
+ * A thread's first comment may carry an `anchor` to a span of the prompt
+ * text (see utils/commentAnchors). The prompt's stats.comments and
+ * stats.openThreads counters are kept up to date with the comments, with
+ * stats.lastComment naming the comment each change counts so the security
+ * rules can check it.
+ */
+export async function addComment(
+  teamId,
+  promptId,
+  { text, createdBy, parentId = null, mentions = [], anchor = null }
+) {
+  const commentId = store.newId(commentsPath(teamId, promptId));
+  const batch = store.batch();
+
+  batch.set(`${commentsPath(teamId, promptId)}/${commentId}`, {
+    text,
+    mentions,
+    createdBy,
+    createdAt: store.serverTimestamp(),
+    parentId: parentId || null,
+    anchor: parentId ? null : anchor,
+  });
+  batch.update(promptPath(teamId, promptId), {
+    "stats.comments": store.increment(1),
+    ...(parentId ? {} : { "stats.openThreads": store.increment(1) }),
+    "stats.lastComment": commentId,
+  });
+
+  await batch.commit();
+  return commentId;
+}
+
+export async function updateComment(
+  teamId,
+  promptId,
+  commentId,
+  text,
+  mentions = []
+) {
+  await store.updateDoc(`${commentsPath(teamId, promptId)}/${commentId}`, {
+    text,
+    mentions,
+    updatedAt: store.serverTimestamp(),
+  });
+}
+
+export async function deleteComment(teamId, promptId, commentId) {
+  const commentPath = `${commentsPath(teamId, promptId)}/${commentId}`;
+
+  await store.runTransaction(async (transaction) => {
+    const comment = await transaction.get(commentPath);
+    if (!comment) return;
+
+    transaction.delete(commentPath);
+    transaction.update(promptPath(teamId, promptId), {
+      "stats.comments": store.increment(-1),
+      ...(isOpenThread(comment)
+        ? { "stats.openThreads": store.increment(-1) }
+        : {}),
+      "stats.lastComment": commentId,
+    });
+  });
+}
+
+// Resolve a thread (its first comment) or reopen it
+export async function setThreadResolved(
+  teamId,
+  promptId,
+  commentId,
+  resolved,
+  userId
+) {
+  const commentPath = `${commentsPath(teamId, promptId)}/${commentId}`;
+
+  await store.runTransaction(async (transaction) => {
+    const comment = await transaction.get(commentPath);
+    if (!comment || !!comment.resolved === resolved) return;
+
+    transaction.update(commentPath, {
+      resolved,
+      resolvedBy: resolved ? userId : null,
+      resolvedAt: resolved ? store.serverTimestamp() : null,
+    });
+    transaction.update(promptPath(teamId, promptId), {
+      "stats.openThreads": store.increment(resolved ? -1 : 1),
+      "stats.lastComment": commentId,
+    });
+  });
+}
+
+/**
+ * Add or remove the user's reaction to a comment. Each reaction key holds
+ * the uids that reacted with it.
+ */
+export async function toggleReaction(
+  teamId,
+  promptId,
+  commentId,
+  reactionKey,
+  userId,
+  reacted
+) {
+  await store.updateDoc(`${commentsPath(teamId, promptId)}/${commentId}`, {
+    [`reactions.${reactionKey}`]: reacted
+      ? store.arrayRemove(userId)
+      : store.arrayUnion(userId),
+  });
+}
+
+/**
+ * Reset the prompt's comment counters from its comments, for prompts whose
+ * comments predate the counters (or whose counters drifted). Only owners
+ * and admins may; other members only step them along with a comment.
+ */
+export async function syncCommentStats(teamId, promptId, comments) {
+  await store.updateDoc(promptPath(teamId, promptId), {
+    "stats.comments": comments.length,
+    "stats.openThreads": comments.filter(isOpenThread).length,
+  });
+}
+
+// Open (unresolved) discussion threads on a prompt
+export function openThreadCount(prompt) {
+  return Math.max(0, prompt?.stats?.openThreads || 0);
+}
@@ -0,0 +1,20 @@
+// src/lib/data/backend.js - Which data backend the app runs against
+//
+// VITE_DATA_BACKEND=firestore (default) uses the Firebase project from .env.
+// VITE_DATA_BACKEND=memory keeps all data in memory until the page reloads,
+// and VITE_DATA_BACKEND=local keeps it in localStorage. Both run without a
+// Firebase project, signed in as LOCAL_USER - for demos and UI tests.
+export const DATA_BACKEND = import.meta.env.VITE_DATA_BACKEND || "firestore";
+
+export const isLocalBackend =
+  DATA_BACKEND === "memory" || DATA_BACKEND === "local";
+
+// Key the "local" backend saves its data under
+export const LOCAL_STORAGE_KEY = "prompt-teams-data";
+
+export const LOCAL_USER = {
+  uid: "local-user",
+  displayName: "Demo User",
+  email: "demo@example.com",
+  photoURL: null,
+};
@@ -0,0 +1,35 @@
+// src/lib/data/demoData.js - Starter content for the local data backends
+import { store } from "./index";
+import { createTeam } from "../teams";
+import { savePrompt } from "../prompts";
+
+const DEMO_PROMPTS = [
+  {
+    title: "Summarize a document",
+    text: "Summarize the following {{document_type}} in {{length}} bullet points for a busy executive. Focus on decisions and open questions.\n\n{{content}}",
+    tags: ["writing", "summary"],
+  },
+  {
+    title: "Code review checklist",
+    text: "Review this {{language}} code. List bugs first, then readability issues, then suggestions. Quote the lines you refer to.\n\n{{code}}",
+    tags: ["code", "review"],
+  },
+  {
+    title: "Product launch tweet",
+    text: "Write three tweet options announcing {{product}}. Keep each under 280 characters, friendly and without hashtags.",
+    tags: ["marketing", "social"],
+  },
+];
+
+// Give a first-time local user a team with a few prompts to explore
+export async function seedDemoData(user) {
+  const teams = await store.getDocs("teams", {
+    where: [[`members.${user.uid}`, "!=", null]],
+  });
+  if (teams.length > 0) return;
+
+  const teamId = await createTeam(user.uid, "Demo Team");
+  for (const prompt of DEMO_PROMPTS) {
+    await savePrompt(user.uid, { ...prompt, status: "approved" }, teamId);
+  }
+}
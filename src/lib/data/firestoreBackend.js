@@ -0,0 +1,158 @@
+// src/lib/data/firestoreBackend.js - Document store backed by Cloud Firestore
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  Timestamp,
+} from "firebase/firestore";
+
+// "teams/abc/prompts" -> ["teams", "abc", "prompts"]
+function segments(path) {
+  return path.split("/").filter(Boolean);
+}
+
+function fromSnapshot(snap) {
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+function fromQuerySnapshot(snap) {
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// Collection group results also carry the ID of the document they are
+// nested under, e.g. the team of teams/{teamId}/invites/{inviteId}
+function fromGroupSnapshot(snap) {
+  return snap.docs.map((d) => ({
+    id: d.id,
+    parentId: d.ref.parent.parent?.id || null,
+    ...d.data(),
+  }));
+}
+
+export function createFirestoreBackend(db) {
+  const docRef = (path) => doc(db, ...segments(path));
+
+  function buildQuery(
+    source,
+    { where: filters = [], orderBy: order = [], limit: max } = {}
+  ) {
+    const constraints = [
+      ...filters.map(([field, op, value]) => where(field, op, value)),
+      ...order.map(([field, direction = "asc"]) => orderBy(field, direction)),
+    ];
+    if (max) constraints.push(limit(max));
+    return constraints.length ? query(source, ...constraints) : source;
+  }
+
+  const collectionQuery = (path, options) =>
+    buildQuery(collection(db, ...segments(path)), options);
+
+  return {
+    name: "firestore",
+
+    newId(collectionPath) {
+      return doc(collection(db, ...segments(collectionPath))).id;
+    },
+
+    async getDoc(path) {
+      return fromSnapshot(await getDoc(docRef(path)));
+    },
+
+    async getDocs(collectionPath, options) {
+      return fromQuerySnapshot(
+        await getDocs(collectionQuery(collectionPath, options))
+      );
+    },
+
+    async getGroup(collectionId, options) {
+      return fromGroupSnapshot(
+        await getDocs(buildQuery(collectionGroup(db, collectionId), options))
+      );
+    },
+
+    subscribeDoc(path, onNext, onError) {
+      return onSnapshot(
+        docRef(path),
+        (snap) => onNext(fromSnapshot(snap)),
+        onError
+      );
+    },
+
+    subscribeDocs(collectionPath, options, onNext, onError) {
+      return onSnapshot(
+        collectionQuery(collectionPath, options),
+        (snap) => onNext(fromQuerySnapshot(snap)),
+        onError
+      );
+    },
+
+    async addDoc(collectionPath, data) {
+      const ref = await addDoc(
+        collection(db, ...segments(collectionPath)),
+        data
+      );
+      return ref.id;
+    },
+
+    setDoc(path, data, options = {}) {
+      return setDoc(docRef(path), data, options);
+    },
+
+    updateDoc(path, updates) {
+      return updateDoc(docRef(path), updates);
+    },
+
+    deleteDoc(path) {
+      return deleteDoc(docRef(path));
+    },
+
+    batch() {
+      const batch = writeBatch(db);
+      return {
+        set: (path, data, options = {}) =>
+          batch.set(docRef(path), data, options),
+        update: (path, updates) => batch.update(docRef(path), updates),
+        delete: (path) => batch.delete(docRef(path)),
+        commit: () => batch.commit(),
+      };
+    },
+
+    runTransaction(updateFunction) {
+      return runTransaction(db, (transaction) =>
+        updateFunction({
+          get: async (path) =>
+            fromSnapshot(await transaction.get(docRef(path))),
+          set: (path, data, options = {}) =>
+            transaction.set(docRef(path), data, options),
+          update: (path, updates) => transaction.update(docRef(path), updates),
+          delete: (path) => transaction.delete(docRef(path)),
+        })
+      );
+    },
+
+    serverTimestamp,
+    increment,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+    timestampFromMillis: (millis) => Timestamp.fromMillis(millis),
+  };
+}
@@ -0,0 +1,95 @@
+// src/lib/data/index.js - The document store every data module reads and writes through
+import { db } from "../firebase";
+import { createFirestoreBackend } from "./firestoreBackend";
+import { createMemoryBackend } from "./memoryBackend";
+import { DATA_BACKEND, isLocalBackend, LOCAL_STORAGE_KEY } from "./backend";
+
+/**
+ * Documents are addressed by slash-separated paths ("teams/abc/prompts/xyz")
+ * and returned as plain objects with their `id`, or null when missing.
+ * Both backends share one interface: getDoc, getDocs, getGroup,
+ * subscribeDoc, subscribeDocs, addDoc, setDoc, updateDoc, deleteDoc,
+ * batch, runTransaction, newId, the field value helpers
+ * (serverTimestamp, increment, arrayUnion, arrayRemove, deleteField) and
+ * timestampFromMillis for dates to store or compare against.
+ * Queries take { where: [[field, op, value]], orderBy: [[field, dir]], limit }.
+ */
+export const store = isLocalBackend
+  ? createMemoryBackend({
+      storageKey: DATA_BACKEND === "local" ? LOCAL_STORAGE_KEY : null,
+    })
+  : createFirestoreBackend(db);
+
+export { DATA_BACKEND, isLocalBackend };
+
+// Stay under Firestore's 500 writes per batch
+export const BATCH_SIZE = 400;
+
+/**
+ * Run batch operations (each `(batch) => batch.set(...)` or similar) in
+ * sequential chunks; earlier chunks commit first, so callers put their
+ * copies before their deletes. `onProgress(done, total)` follows each chunk.
+ */
+export async function commitInChunks(operations, { onProgress } = {}) {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = store.batch();
+    operations.slice(i, i + BATCH_SIZE).forEach((op) => op(batch));
+    await batch.commit();
+    onProgress?.(
+      Math.min(i + BATCH_SIZE, operations.length),
+      operations.length
+    );
+  }
+}
+
+/**
+ * Like commitInChunks for per-item edits: each group is `{ id, operations }`
+ * and is never split across batches. When a batch fails its groups are
+ * retried one by one, so a single bad item doesn't sink the others.
+ * `onProgress(done, total)` counts groups. Resolves to
+ * `{ succeeded: [id], failed: [{ id, error }] }`.
+ */
+export async function commitGroupsInChunks(groups, { onProgress } = {}) {
+  const succeeded = [];
+  const failed = [];
+  const chunks = [];
+
+  groups.forEach((group) => {
+    const last = chunks[chunks.length - 1];
+    const size = last?.reduce((sum, g) => sum + g.operations.length, 0);
+    if (!last || size + group.operations.length > BATCH_SIZE) {
+      chunks.push([group]);
+    } else {
+      last.push(group);
+    }
+  });
+
+  async function commit(chunk) {
+    const batch = store.batch();
+    chunk.forEach((group) => group.operations.forEach((op) => op(batch)));
+    await batch.commit();
+  }
+
+  for (const chunk of chunks) {
+    try {
+      await commit(chunk);
+      succeeded.push(...chunk.map((group) => group.id));
+    } catch (error) {
+      if (chunk.length === 1) {
+        failed.push({ id: chunk[0].id, error });
+      } else {
+        for (const group of chunk) {
+          try {
+            await commit([group]);
+            succeeded.push(group.id);
+          } catch (groupError) {
+            failed.push({ id: group.id, error: groupError });
+          }
+        }
+      }
+    }
+    onProgress?.(succeeded.length + failed.length, groups.length);
+  }
+
+  return { succeeded, failed };
+}
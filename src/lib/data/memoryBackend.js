@@ -0,0 +1,452 @@
+// src/lib/data/memoryBackend.js - Document store kept in memory, optionally saved to localStorage
+import { Timestamp } from "firebase/firestore";
+
+const ID_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// Sentinel values written in place of Firestore's FieldValue helpers
+class FieldOp {
+  constructor(op, value) {
+    this.op = op;
+    this.value = value;
+  }
+}
+
+const DELETE = Symbol("delete");
+
+function notFound(path) {
+  const error = new Error(`No document to update: ${path}`);
+  error.code = "not-found";
+  return error;
+}
+
+function generateId(length = 20) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, (b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+}
+
+function splitPath(path) {
+  const parts = path.split("/").filter(Boolean);
+  return {
+    collectionPath: parts.slice(0, -1).join("/"),
+    id: parts[parts.length - 1],
+  };
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !(value instanceof Timestamp) &&
+    !(value instanceof FieldOp) &&
+    !Array.isArray(value)
+  );
+}
+
+// Timestamps are immutable, so they are shared rather than copied
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, clone(v)])
+    );
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Resolve sentinels against the value currently stored in the field
+function resolveValue(current, value) {
+  if (value instanceof FieldOp) {
+    switch (value.op) {
+      case "serverTimestamp":
+        return Timestamp.now();
+      case "increment":
+        return (typeof current === "number" ? current : 0) + value.value;
+      case "arrayUnion": {
+        const base = Array.isArray(current) ? [...current] : [];
+        value.value.forEach((item) => {
+          if (!base.some((existing) => sameValue(existing, item))) {
+            base.push(clone(item));
+          }
+        });
+        return base;
+      }
+      case "arrayRemove":
+        return (Array.isArray(current) ? current : []).filter(
+          (existing) => !value.value.some((item) => sameValue(existing, item))
+        );
+      case "deleteField":
+        return DELETE;
+      default:
+        throw new Error(`Unknown field operation: ${value.op}`);
+    }
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (isPlainObject(value)) {
+    return Object.entries(value).reduce((acc, [key, v]) => {
+      const resolved = resolveValue(undefined, v);
+      if (resolved !== DELETE) acc[key] = resolved;
+      return acc;
+    }, {});
+  }
+  return clone(value);
+}
+
+function getField(data, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => {
+    if (!isPlainObject(obj[key])) obj[key] = {};
+    return obj[key];
+  }, data);
+
+  const resolved = resolveValue(target[last], value);
+  if (resolved === DELETE) delete target[last];
+  else target[last] = resolved;
+}
+
+// setDoc with { merge: true } merges nested maps instead of replacing them
+function mergeInto(target, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      const resolved = resolveValue(target[key], value);
+      if (resolved === DELETE) delete target[key];
+      else target[key] = resolved;
+    }
+  });
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+function matches(data, [field, op, expected]) {
+  const value = getField(data, field);
+  switch (op) {
+    case "==":
+      return sameValue(comparable(value), comparable(expected));
+    case "!=":
+      return (
+        value !== undefined &&
+        !sameValue(comparable(value), comparable(expected))
+      );
+    case "<":
+      return value != null && compare(value, expected) < 0;
+    case "<=":
+      return value != null && compare(value, expected) <= 0;
+    case ">":
+      return value != null && compare(value, expected) > 0;
+    case ">=":
+      return value != null && compare(value, expected) >= 0;
+    case "in":
+      return expected.some((e) => sameValue(comparable(value), comparable(e)));
+    case "not-in":
+      return (
+        value !== undefined &&
+        !expected.some((e) => sameValue(comparable(value), comparable(e)))
+      );
+    case "array-contains":
+      return Array.isArray(value) && value.some((v) => sameValue(v, expected));
+    case "array-contains-any":
+      return (
+        Array.isArray(value) &&
+        value.some((v) => expected.some((e) => sameValue(v, e)))
+      );
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+// Apply where / orderBy / limit the way Firestore does: documents missing
+// an ordered field are left out of the results
+function runQuery(docs, { where = [], orderBy = [], limit } = {}) {
+  let results = docs.filter(({ data }) =>
+    where.every((filter) => matches(data, filter))
+  );
+
+  if (orderBy.length) {
+    results = results.filter(({ data }) =>
+      orderBy.every(([field]) => getField(data, field) !== undefined)
+    );
+    results.sort((a, b) => {
+      for (const [field, direction = "asc"] of orderBy) {
+        const result = compare(
+          getField(a.data, field),
+          getField(b.data, field)
+        );
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  return limit ? results.slice(0, limit) : results;
+}
+
+// JSON round-tripping for localStorage, keeping Timestamps
+function serialize(value) {
+  return JSON.stringify(value, function replacer(key, v) {
+    const raw = this[key];
+    return raw instanceof Timestamp ? { __timestamp: raw.toMillis() } : v;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, v) =>
+    v && typeof v === "object" && "__timestamp" in v
+      ? Timestamp.fromMillis(v.__timestamp)
+      : v
+  );
+}
+
+/**
+ * Create an in-memory document store with the same interface as the
+ * Firestore backend. With `storageKey` the data is saved to localStorage
+ * after every write and survives reloads.
+ */
+export function createMemoryBackend({ storageKey = null } = {}) {
+  // collection path -> Map(id -> data)
+  const collections = new Map();
+  const listeners = new Set();
+  let notifyScheduled = false;
+
+  if (storageKey) {
+    try {
+      const saved = localStorage.getItem(storageKey);
+      if (saved) {
+        Object.entries(deserialize(saved)).forEach(([path, docs]) => {
+          collections.set(path, new Map(Object.entries(docs)));
+        });
+      }
+    } catch (error) {
+      console.error("Error loading local data:", error);
+    }
+  }
+
+  function persist() {
+    if (!storageKey) return;
+    try {
+      const data = {};
+      collections.forEach((docs, path) => {
+        if (docs.size) data[path] = Object.fromEntries(docs);
+      });
+      localStorage.setItem(storageKey, serialize(data));
+    } catch (error) {
+      console.error("Error saving local data:", error);
+    }
+  }
+
+  function readDoc(path) {
+    const { collectionPath, id } = splitPath(path);
+    const data = collections.get(collectionPath)?.get(id);
+    return data ? { id, ...clone(data) } : null;
+  }
+
+  function listCollection(collectionPath) {
+    return Array.from(collections.get(collectionPath) || [], ([id, data]) => ({
+      id,
+      data,
+    }));
+  }
+
+  function queryDocs(collectionPath, options) {
+    return runQuery(listCollection(collectionPath), options).map(
+      ({ id, data }) => ({ id, ...clone(data) })
+    );
+  }
+
+  // Listeners are re-run after each write, asynchronously like Firestore
+  function scheduleNotify() {
+    if (notifyScheduled) return;
+    notifyScheduled = true;
+    queueMicrotask(() => {
+      notifyScheduled = false;
+      listeners.forEach((listener) => listener.run());
+    });
+  }
+
+  // Listeners only hear about writes that changed their results
+  function listen(read, onNext, onError) {
+    let last;
+    const listener = {
+      run() {
+        try {
+          const result = read();
+          const serialized = serialize(result);
+          if (serialized === last) return;
+          last = serialized;
+          onNext(result);
+        } catch (error) {
+          onError?.(error);
+        }
+      },
+    };
+    listeners.add(listener);
+    queueMicrotask(() => {
+      if (listeners.has(listener)) listener.run();
+    });
+    return () => listeners.delete(listener);
+  }
+
+  // Writes are applied as a list of operations so batches and
+  // transactions either apply completely or not at all
+  function applyWrites(writes) {
+    const staged = new Map();
+    const current = (path) => {
+      if (staged.has(path)) return staged.get(path);
+      const { collectionPath, id } = splitPath(path);
+      const data = collections.get(collectionPath)?.get(id);
+      return data ? clone(data) : null;
+    };
+
+    writes.forEach(({ type, path, data, options }) => {
+      const existing = current(path);
+      if (type === "delete") {
+        staged.set(path, null);
+      } else if (type === "update") {
+        if (!existing) throw notFound(path);
+        Object.entries(data).forEach(([field, value]) =>
+          setField(existing, field, value)
+        );
+        staged.set(path, existing);
+      } else if (options?.merge && existing) {
+        mergeInto(existing, data);
+        staged.set(path, existing);
+      } else {
+        staged.set(path, resolveValue(undefined, data));
+      }
+    });
+
+    staged.forEach((data, path) => {
+      const { collectionPath, id } = splitPath(path);
+      if (!collections.has(collectionPath)) {
+        collections.set(collectionPath, new Map());
+      }
+      if (data) collections.get(collectionPath).set(id, data);
+      else collections.get(collectionPath).delete(id);
+    });
+
+    persist();
+    scheduleNotify();
+  }
+
+  function createBatch() {
+    const writes = [];
+    return {
+      set: (path, data, options = {}) =>
+        writes.push({ type: "set", path, data, options }),
+      update: (path, updates) =>
+        writes.push({ type: "update", path, data: updates }),
+      delete: (path) => writes.push({ type: "delete", path }),
+      commit: async () => applyWrites(writes),
+    };
+  }
+
+  return {
+    name: storageKey ? "local" : "memory",
+
+    newId() {
+      return generateId();
+    },
+
+    async getDoc(path) {
+      return readDoc(path);
+    },
+
+    async getDocs(collectionPath, options) {
+      return queryDocs(collectionPath, options);
+    },
+
+    async getGroup(collectionId, options) {
+      const docs = [];
+      collections.forEach((_, path) => {
+        const parts = path.split("/");
+        if (
+          parts.length % 2 === 1 &&
+          parts[parts.length - 1] === collectionId
+        ) {
+          listCollection(path).forEach((d) =>
+            docs.push({ ...d, parentId: parts[parts.length - 2] || null })
+          );
+        }
+      });
+      return runQuery(docs, options).map(({ id, parentId, data }) => ({
+        id,
+        parentId,
+        ...clone(data),
+      }));
+    },
+
+    subscribeDoc(path, onNext, onError) {
+      return listen(() => readDoc(path), onNext, onError);
+    },
+
+    subscribeDocs(collectionPath, options, onNext, onError) {
+      return listen(
+        () => queryDocs(collectionPath, options),
+        onNext,
+        onError
+      );
+    },
+
+    async addDoc(collectionPath, data) {
+      const id = generateId();
+      applyWrites([{ type: "set", path: `${collectionPath}/${id}`, data }]);
+      return id;
+    },
+
+    async setDoc(path, data, options = {}) {
+      applyWrites([{ type: "set", path, data, options }]);
+    },
+
+    async updateDoc(path, updates) {
+      applyWrites([{ type: "update", path, data: updates }]);
+    },
+
+    async deleteDoc(path) {
+      applyWrites([{ type: "delete", path }]);
+    },
+
+    batch: createBatch,
+
+    async runTransaction(updateFunction) {
+      const batch = createBatch();
+      const result = await updateFunction({
+        get: async (path) => readDoc(path),
+        set: batch.set,
+        update: batch.update,
+        delete: batch.delete,
+      });
+      await batch.commit();
+      return result;
+    },
+
+    serverTimestamp: () => new FieldOp("serverTimestamp"),
+    increment: (n) => new FieldOp("increment", n),
+    arrayUnion: (...items) => new FieldOp("arrayUnion", items),
+    arrayRemove: (...items) => new FieldOp("arrayRemove", items),
+    deleteField: () => new FieldOp("deleteField"),
+    timestampFromMillis: (millis) => Timestamp.fromMillis(millis),
+  };
+}
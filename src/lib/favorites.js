@@ -0,0 +1,165 @@
+// src/lib/favorites.js
+import { store, commitInChunks } from "./data";
+
+function favoritesPath(userId) {
+  return `users/${userId}/favorites`;
+}
+
+function collectionsPath(userId) {
+  return `users/${userId}/favoriteCollections`;
+}
+
+// Favorites the user hasn't placed yet come first, newest first; the rest
+// follow in the order they were dragged into (see reorderFavorites)
+function compareFavorites(a, b) {
+  const aPlaced = typeof a.order === "number";
+  const bPlaced = typeof b.order === "number";
+  if (aPlaced !== bPlaced) return aPlaced ? 1 : -1;
+  if (aPlaced) return a.order - b.order;
+  return (b.addedAt?.toMillis() || 0) - (a.addedAt?.toMillis() || 0);
+}
+
+// Listen to a user's favorites, in their custom order
+export function subscribeFavorites(userId, onNext, onError) {
+  return store.subscribeDocs(
+    favoritesPath(userId),
+    {},
+    (favorites) => onNext(favorites.sort(compareFavorites)),
+    onError
+  );
+}
+
+/**
+ * What a favorite stores: a reference to the prompt, with its title and team
+ * name kept only to label the favorite once the prompt is gone. Everything
+ * else is read from the live prompt (see subscribeFavoritePrompt).
+ */
+export function favoriteReference(prompt, teamId, teamName) {
+  return {
+    promptId: prompt.id || null,
+    teamId: teamId || null,
+    teamName: teamName || "Unknown Team",
+    title: prompt.title || "Untitled Prompt",
+    originalAuthor: prompt.createdBy || null,
+  };
+}
+
+// Favorites are keyed by prompt ID
+export async function addFavorite(userId, promptId, favorite) {
+  await store.setDoc(`${favoritesPath(userId)}/${promptId}`, {
+    ...favorite,
+    addedAt: store.serverTimestamp(),
+  });
+}
+
+export async function removeFavorite(userId, favoriteId) {
+  await store.deleteDoc(`${favoritesPath(userId)}/${favoriteId}`);
+}
+
+// Remove several favorites at once, e.g. those whose prompt is gone
+export async function removeFavorites(userId, favoriteIds) {
+  await commitInChunks(
+    favoriteIds.map(
+      (favoriteId) => (batch) =>
+        batch.delete(`${favoritesPath(userId)}/${favoriteId}`)
+    )
+  );
+}
+
+/**
+ * Listen to the prompt a favorite points to. `onNext` gets null once the
+ * prompt is deleted (or moved to the trash); `onError` fires when the user
+ * can no longer read it, e.g. after leaving the team.
+ */
+export function subscribeFavoritePrompt(favorite, onNext, onError) {
+  const promptId = favorite.promptId || favorite.id;
+  return store.subscribeDoc(
+    `teams/${favorite.teamId}/prompts/${promptId}`,
+    (prompt) => onNext(prompt && { ...prompt, teamId: favorite.teamId }),
+    onError
+  );
+}
+
+// Keep the stored title in step with the prompt, for when it is gone
+export async function refreshFavorite(userId, favoriteId, prompt) {
+  await store.updateDoc(`${favoritesPath(userId)}/${favoriteId}`, {
+    title: prompt.title || "Untitled Prompt",
+  });
+}
+
+// Keep a private note on a favorite
+export async function setFavoriteNote(userId, favoriteId, note) {
+  await store.updateDoc(`${favoritesPath(userId)}/${favoriteId}`, {
+    note: note.trim(),
+  });
+}
+
+/**
+ * Put favorites in the given order, for drag-and-drop within a collection.
+ * Pass every favorite in the collection so their positions stay distinct.
+ */
+export async function reorderFavorites(userId, orderedIds) {
+  await commitInChunks(
+    orderedIds.map(
+      (favoriteId, index) => (batch) =>
+        batch.update(`${favoritesPath(userId)}/${favoriteId}`, {
+          order: index,
+        })
+    )
+  );
+}
+
+// Move a favorite into a collection (null = unsorted); it goes to the top
+export async function moveFavoriteToCollection(
+  userId,
+  favoriteId,
+  collectionId
+) {
+  await store.updateDoc(`${favoritesPath(userId)}/${favoriteId}`, {
+    collectionId: collectionId || null,
+    order: store.deleteField(),
+  });
+}
+
+// ---- Collections: personal groups of favorites, e.g. "Code review" ----
+
+// Listen to a user's collections, alphabetically
+export function subscribeFavoriteCollections(userId, onNext, onError) {
+  return store.subscribeDocs(
+    collectionsPath(userId),
+    { orderBy: [["name", "asc"]] },
+    onNext,
+    onError
+  );
+}
+
+export async function createFavoriteCollection(userId, name) {
+  return store.addDoc(collectionsPath(userId), {
+    name: name.trim(),
+    createdAt: store.serverTimestamp(),
+  });
+}
+
+export async function renameFavoriteCollection(userId, collectionId, name) {
+  await store.updateDoc(`${collectionsPath(userId)}/${collectionId}`, {
+    name: name.trim(),
+  });
+}
+
+// Delete a collection; its favorites become unsorted rather than removed
+export async function deleteFavoriteCollection(userId, collectionId) {
+  const favorites = await store.getDocs(favoritesPath(userId), {
+    where: [["collectionId", "==", collectionId]],
+  });
+
+  await commitInChunks([
+    ...favorites.map(
+      (favorite) => (batch) =>
+        batch.update(`${favoritesPath(userId)}/${favorite.id}`, {
+          collectionId: null,
+          order: store.deleteField(),
+        })
+    ),
+    (batch) => batch.delete(`${collectionsPath(userId)}/${collectionId}`),
+  ]);
+}
@@ -3,6 +3,7 @@ import { initializeApp } from "firebase/app";
 import { getAnalytics } from "firebase/analytics";
 import { getAuth } from "firebase/auth";
 import { getFirestore } from "firebase/firestore";
+import { isLocalBackend } from "./data/backend";
 
 // ✅ SECURE: Load config from environment variables
 const firebaseConfig = {
@@ -27,7 +28,8 @@ const requiredConfigKeys = [
 
 const missingKeys = requiredConfigKeys.filter(key => !firebaseConfig[key]);
 
-if (missingKeys.length > 0) {
+// The memory and local data backends run without a Firebase project
+if (missingKeys.length > 0 && !isLocalBackend) {
   console.error('❌ Missing Firebase configuration keys:', missingKeys);
   throw new Error(
     `Missing required Firebase configuration. Please check your .env file. Missing: ${missingKeys.join(', ')}`
@@ -35,7 +37,7 @@ if (missingKeys.length > 0) {
 }
 
 // Log configuration status (without exposing sensitive values)
-if (import.meta.env.DEV) {
+if (import.meta.env.DEV && !isLocalBackend) {
   console.log('🔥 Firebase Configuration Status:');
   console.log('✓ API Key:', firebaseConfig.apiKey ? `${firebaseConfig.apiKey.substring(0, 10)}...` : '❌ Missing');
   console.log('✓ Auth Domain:', firebaseConfig.authDomain || '❌ Missing');
@@ -49,27 +51,33 @@ let analytics;
 let auth;
 let db;
 
-try {
-  app = initializeApp(firebaseConfig);
-  
-  // Initialize Analytics only in production and if measurement ID exists
-  if (!import.meta.env.DEV && firebaseConfig.measurementId) {
-    analytics = getAnalytics(app);
-  }
-  
-  // Initialize Auth and Firestore
-  auth = getAuth(app);
-  db = getFirestore(app);
-  
-  // Configure Auth settings
-  auth.languageCode = 'en';
-  
+if (isLocalBackend) {
   if (import.meta.env.DEV) {
-    console.log('✅ Firebase initialized successfully');
+    console.log('💾 Using local data backend - Firebase is not initialized');
+  }
+} else {
+  try {
+    app = initializeApp(firebaseConfig);
+
+    // Initialize Analytics only in production and if measurement ID exists
+    if (!import.meta.env.DEV && firebaseConfig.measurementId) {
+      analytics = getAnalytics(app);
+    }
+
+    // Initialize Auth and Firestore
+    auth = getAuth(app);
+    db = getFirestore(app);
+
+    // Configure Auth settings
+    auth.languageCode = 'en';
+
+    if (import.meta.env.DEV) {
+      console.log('✅ Firebase initialized successfully');
+    }
+  } catch (error) {
+    console.error('❌ Firebase initialization error:', error);
+    throw new Error('Failed to initialize Firebase. Please check your configuration.');
   }
-} catch (error) {
-  console.error('❌ Firebase initialization error:', error);
-  throw new Error('Failed to initialize Firebase. Please check your configuration.');
 }
 
 // Export initialized instances
@@ -111,7 +119,7 @@ export const FirebaseHelpers = {
 };
 
 // Optional: Add connection state monitoring
-if (import.meta.env.DEV) {
+if (import.meta.env.DEV && auth) {
   import('firebase/firestore').then(({ onSnapshot, collection }) => {
     // Monitor connection state
     const unsubscribe = auth.onAuthStateChanged((user) => {
@@ -0,0 +1,86 @@
+// src/lib/folders.js
+import { store, commitInChunks } from "./data";
+import { listPrompts } from "./prompts";
+
+function folderPath(teamId, folderId) {
+  return `teams/${teamId}/folders/${folderId}`;
+}
+
+// Listen to a team's folders in no particular order; see utils/folderTree
+export function subscribeFolders(teamId, onNext, onError) {
+  return store.subscribeDocs(`teams/${teamId}/folders`, {}, onNext, onError);
+}
+
+// Create a folder; parentId null puts it at the top level
+export async function createFolder(teamId, userId, name, parentId = null) {
+  if (!teamId) throw new Error("No team selected");
+
+  return store.addDoc(`teams/${teamId}/folders`, {
+    name: name.trim(),
+    parentId,
+    order: Date.now(),
+    createdBy: userId,
+    createdAt: store.serverTimestamp(),
+  });
+}
+
+export async function renameFolder(teamId, folderId, name) {
+  await store.updateDoc(folderPath(teamId, folderId), {
+    name: name.trim(),
+    updatedAt: store.serverTimestamp(),
+  });
+}
+
+/**
+ * Place folders under a parent in the given order.
+ * Used both for drag-and-drop reordering and for moving a folder
+ * into a new parent (the moved folder is included in orderedIds).
+ */
+export async function reorderFolders(teamId, parentId, orderedIds) {
+  const batch = store.batch();
+  orderedIds.forEach((folderId, index) => {
+    batch.update(folderPath(teamId, folderId), {
+      parentId: parentId || null,
+      order: index,
+    });
+  });
+  await batch.commit();
+}
+
+// Delete a folder; its subfolders and prompts move up to the parent folder.
+// Prompts hidden from the user keep the old folderId and list as unfiled.
+// The folder goes first: the rules only let members move others' folders
+// and prompts out of a folder that no longer exists
+export async function deleteFolder(teamId, userId, folder) {
+  const parentId = folder.parentId || null;
+
+  const [childFolders, prompts] = await Promise.all([
+    store.getDocs(`teams/${teamId}/folders`, {
+      where: [["parentId", "==", folder.id]],
+    }),
+    listPrompts(teamId, userId, { where: [["folderId", "==", folder.id]] }),
+  ]);
+
+  await commitInChunks([
+    (batch) => batch.delete(folderPath(teamId, folder.id)),
+    ...childFolders.map(
+      (d) => (batch) => batch.update(folderPath(teamId, d.id), { parentId })
+    ),
+    ...prompts.map(
+      (d) => (batch) =>
+        batch.update(`teams/${teamId}/prompts/${d.id}`, { folderId: parentId })
+    ),
+  ]);
+}
+
+// Move prompts into a folder (folderId null = unfiled)
+export async function movePromptsToFolder(teamId, promptIds, folderId) {
+  await commitInChunks(
+    promptIds.map(
+      (promptId) => (batch) =>
+        batch.update(`teams/${teamId}/prompts/${promptId}`, {
+          folderId: folderId || null,
+        })
+    )
+  );
+}
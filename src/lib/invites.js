@@ -1,6 +1,99 @@
 // src/lib/invites.js
-import { db } from "./firebase";
-import { collection, addDoc, serverTimestamp, doc, deleteDoc, updateDoc } from "firebase/firestore";
+import { store } from "./data";
+import { findUserIdByEmail } from "./user";
+import { sendNotifications } from "./notifications";
+
+function invitesPath(teamId) {
+  return `teams/${teamId}/invites`;
+}
+
+// Listen to a team's pending invites, newest first
+export function subscribeTeamInvites(teamId, onNext, onError) {
+  return store.subscribeDocs(
+    invitesPath(teamId),
+    { where: [["status", "==", "pending"]] },
+    (invites) =>
+      onNext(
+        invites.sort(
+          (a, b) =>
+            (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)
+        )
+      ),
+    onError
+  );
+}
+
+// Pending invites for an email address across all teams, newest first
+export async function getPendingInvitesForEmail(email) {
+  const invites = await store.getGroup("invites", {
+    where: [
+      ["email", "==", email.toLowerCase()],
+      ["status", "==", "pending"],
+    ],
+  });
+  return invites
+    .map(({ parentId, ...invite }) => ({ ...invite, teamId: parentId }))
+    .sort(
+      (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)
+    );
+}
+
+export async function addTeamInvite(teamId, invite) {
+  return store.addDoc(invitesPath(teamId), {
+    ...invite,
+    email: invite.email.trim().toLowerCase(),
+    createdAt: store.serverTimestamp(),
+    status: "pending",
+  });
+}
+
+// Invitees who already have an account also find the invite in their inbox
+export async function notifyInvitee(teamId, inviteId, invite, actorId) {
+  const inviteeId = await findUserIdByEmail(invite.email);
+  if (!inviteeId) return;
+
+  await sendNotifications([
+    {
+      userId: inviteeId,
+      type: "invite",
+      teamId,
+      teamName: invite.teamName,
+      inviteId,
+      role: invite.role || "member",
+      actorId,
+    },
+  ]);
+}
+
+// Join the invite's team, list it on the user's profile (so teammates can
+// read it) and mark the invite accepted in one write.
+// joinedVia names the invite so security rules can check it
+export async function joinTeamFromInvite(invite, userId) {
+  const batch = store.batch();
+  batch.update(`teams/${invite.teamId}`, {
+    [`members.${userId}`]: invite.role || "member",
+    [`joinedVia.${userId}`]: invite.id,
+  });
+  batch.set(
+    `users/${userId}`,
+    { teamIds: store.arrayUnion(invite.teamId) },
+    { merge: true }
+  );
+  batch.update(`${invitesPath(invite.teamId)}/${invite.id}`, {
+    status: "accepted",
+    acceptedAt: new Date(),
+    acceptedByUid: userId,
+  });
+  await batch.commit();
+}
+
+export async function declineInvite(invite, userId) {
+  await store.updateDoc(`${invitesPath(invite.teamId)}/${invite.id}`, {
+    status: "rejected",
+    rejectedAt: new Date(),
+    rejectedByUid: userId,
+  });
+}
 
 export async function sendInvite({ 
   teamId, 
@@ -12,13 +105,13 @@ export async function sendInvite({
 }) {
   try {
     // ✅ Fixed: Using subcollection structure teams/{teamId}/invites
-    await addDoc(collection(db, "teams", teamId, "invites"), {
+    await store.addDoc(invitesPath(teamId), {
       teamName,
       email: email.toLowerCase().trim(),
       invitedBy,
       invitedByName: invitedByName || null,
       role,
-      createdAt: serverTimestamp(),
+      createdAt: store.serverTimestamp(),
       status: "pending"
     });
     return { success: true };
@@ -31,13 +124,12 @@ export async function sendInvite({
 export async function acceptInvite({ teamId, inviteId, userId, role }) {
   try {
     // Add user to team members
-    const teamRef = doc(db, "teams", teamId);
-    await updateDoc(teamRef, {
+    await store.updateDoc(`teams/${teamId}`, {
       [`members.${userId}`]: role
     });
 
     // Delete the invite
-    await deleteDoc(doc(db, "teams", teamId, "invites", inviteId));
+    await store.deleteDoc(`${invitesPath(teamId)}/${inviteId}`);
 
     return { success: true };
   } catch (err) {
@@ -48,7 +140,7 @@ export async function acceptInvite({ teamId, inviteId, userId, role }) {
 
 export async function rejectInvite({ teamId, inviteId }) {
   try {
-    await deleteDoc(doc(db, "teams", teamId, "invites", inviteId));
+    await store.deleteDoc(`${invitesPath(teamId)}/${inviteId}`);
     return { success: true };
   } catch (err) {
     console.error("Error rejecting invite:", err);
@@ -58,10 +150,10 @@ export async function rejectInvite({ teamId, inviteId }) {
 
 export async function cancelInvite({ teamId, inviteId }) {
   try {
-    await deleteDoc(doc(db, "teams", teamId, "invites", inviteId));
+    await store.deleteDoc(`${invitesPath(teamId)}/${inviteId}`);
     return { success: true };
   } catch (err) {
     console.error("Error canceling invite:", err);
     return { success: false, error: err.message };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+// src/lib/notifications.js - Per-user notification inbox at users/{uid}/notifications
+import { store, commitInChunks } from "./data";
+
+// Every kind of notification; each can be turned off in the preferences
+export const NOTIFICATION_TYPES = [
+  { type: "invite", icon: "✉️", label: "Invitations to join a team" },
+  { type: "mention", icon: "📣", label: "@mentions in comments" },
+  { type: "reply", icon: "💬", label: "Replies to my comments" },
+  { type: "rating", icon: "⭐", label: "Ratings on my prompts" },
+  { type: "approval", icon: "✅", label: "Approvals and rejections" },
+  { type: "role", icon: "🛡️", label: "Changes to my role" },
+];
+
+// How often the activity digest email is sent (see api/send-digest.js);
+// users get none unless they opt in
+export const DIGEST_FREQUENCIES = [
+  { value: "off", label: "Off" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+];
+
+// How many recent notifications the inbox shows; the unread ones are
+// counted and marked read apart from it, as they can be older
+const INBOX_LIMIT = 50;
+
+const UNREAD = { where: [["read", "==", false]] };
+
+function notificationsPath(userId) {
+  return `users/${userId}/notifications`;
+}
+
+// Types the user turned off, from notificationPrefs on their profile
+export function isNotificationEnabled(profile, type) {
+  return profile?.notificationPrefs?.[type] !== false;
+}
+
+// Invitees share no team with the sender yet, so their profile can't be
+// read and the default preferences apply
+async function recipientProfile(userId) {
+  try {
+    return await store.getDoc(`users/${userId}`);
+  } catch (error) {
+    if (error.code === "permission-denied") return null;
+    throw error;
+  }
+}
+
+/**
+ * Send notifications, each `{ userId, type, ...fields }`, e.g.
+ * { userId, type: "mention", teamId, promptId, commentId, actorId, excerpt }.
+ * `actorId` is the sender and `teamId` a team both sides belong to; the
+ * security rules check both. Users who turned a type off don't get it, and
+ * nobody is notified about their own actions.
+ */
+export async function sendNotifications(notifications) {
+  const profiles = {};
+  const wanted = [];
+
+  for (const { userId, ...notification } of notifications) {
+    if (!userId || userId === notification.actorId) continue;
+    if (!(userId in profiles)) {
+      profiles[userId] = await recipientProfile(userId);
+    }
+    if (isNotificationEnabled(profiles[userId], notification.type)) {
+      wanted.push({ userId, notification });
+    }
+  }
+
+  await commitInChunks(
+    wanted.map(({ userId, notification }) => (batch) => {
+      const path = notificationsPath(userId);
+      batch.set(`${path}/${store.newId(path)}`, {
+        ...notification,
+        read: false,
+        createdAt: store.serverTimestamp(),
+      });
+    })
+  );
+}
+
+/**
+ * Notification telling a prompt's author that a reviewer moved it through
+ * `transition` (approved, rejected, deprecated...); null for the author's
+ * own transitions such as submitting for review.
+ */
+export function statusNotification(teamId, prompt, transition, details) {
+  if (transition.by !== "reviewer") return null;
+  return {
+    userId: prompt.createdBy,
+    type: "approval",
+    teamId,
+    promptId: prompt.id,
+    promptTitle: prompt.title,
+    transition: transition.id,
+    status: transition.to,
+    comment: details.comment || null,
+    actorId: details.actorId,
+  };
+}
+
+// The same notification to each of several users
+export async function notifyUsers(userIds, notification) {
+  await sendNotifications(
+    [...new Set(userIds)].map((userId) => ({ userId, ...notification }))
+  );
+}
+
+// Listen to the user's most recent notifications, newest first
+export function subscribeNotifications(userId, onNext, onError) {
+  return store.subscribeDocs(
+    notificationsPath(userId),
+    { orderBy: [["createdAt", "desc"]], limit: INBOX_LIMIT },
+    onNext,
+    onError
+  );
+}
+
+// Listen to all of the user's unread notifications, for the unread count
+export function subscribeUnreadNotifications(userId, onNext, onError) {
+  return store.subscribeDocs(
+    notificationsPath(userId),
+    UNREAD,
+    onNext,
+    onError
+  );
+}
+
+export async function markNotificationRead(userId, notificationId) {
+  await store.updateDoc(`${notificationsPath(userId)}/${notificationId}`, {
+    read: true,
+    readAt: store.serverTimestamp(),
+  });
+}
+
+export async function markNotificationsRead(userId, notificationIds) {
+  await commitInChunks(
+    notificationIds.map(
+      (id) => (batch) =>
+        batch.update(`${notificationsPath(userId)}/${id}`, {
+          read: true,
+          readAt: store.serverTimestamp(),
+        })
+    )
+  );
+}
+
+// Mark every unread notification read, not only those the inbox shows
+export async function markAllNotificationsRead(userId) {
+  const unread = await store.getDocs(notificationsPath(userId), UNREAD);
+  await markNotificationsRead(
+    userId,
+    unread.map((n) => n.id)
+  );
+}
+
+export async function deleteNotification(userId, notificationId) {
+  await store.deleteDoc(`${notificationsPath(userId)}/${notificationId}`);
+}
+
+// Turn one type of notification on or off
+export async function setNotificationPreference(userId, type, enabled) {
+  await store.updateDoc(`users/${userId}`, {
+    [`notificationPrefs.${type}`]: enabled,
+  });
+}
+
+export async function setEmailDigest(userId, frequency) {
+  await store.updateDoc(`users/${userId}`, { emailDigest: frequency });
+}
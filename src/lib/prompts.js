@@ -1,54 +1,521 @@
-import { db } from "./firebase";
+import { store, commitGroupsInChunks } from "./data";
+import { moveToTrash } from "./trash";
+import { addFavorite, removeFavorite, favoriteReference } from "./favorites";
+import { logPromptActivities } from "./activities";
+import { unsharePrompts } from "./shareLinks";
+import { INITIAL_STATUS, getPromptStatus } from "../utils/promptStatus";
 import {
-  collection,
-  addDoc,
-  serverTimestamp,
-  doc,
-  updateDoc,
-  deleteDoc,
-  setDoc,
-  deleteDoc as fbDeleteDoc,
-} from "firebase/firestore";
-
-// Save new prompt
-export async function savePrompt(userId, prompt, teamId) {
+  getPromptVisibility,
+  visibilityClauses,
+  visibilityFields,
+} from "../utils/promptVisibility";
+import { MERGE_FIELDS } from "../utils/merge";
+import { VERSIONED_FIELDS, versionSnapshot } from "../utils/promptVersions";
+
+// Not one of STATUS_TRANSITIONS: it happens when an author (not a reviewer)
+// changes the versioned fields of an approved prompt, which the security
+// rules only allow together with this move back to review
+const EDITED_AFTER_APPROVAL = {
+  id: "edited",
+  from: "approved",
+  to: "in-review",
+};
+
+// Status fields to add to `updates` so `prompt` goes back to review, if needed
+function reapprovalUpdates(prompt, updates, { userId, canReview }) {
+  if (canReview || getPromptStatus(prompt) !== "approved") return {};
+
+  const before = versionSnapshot(prompt);
+  const after = versionSnapshot({ ...prompt, ...updates });
+  const edited = Object.keys(VERSIONED_FIELDS).some(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  return edited ? statusUpdates(EDITED_AFTER_APPROVAL, { userId }) : {};
+}
+
+function promptPath(teamId, promptId) {
+  return `teams/${teamId}/prompts/${promptId}`;
+}
+
+function versionPath(teamId, promptId, version) {
+  return `${promptPath(teamId, promptId)}/versions/${version}`;
+}
+
+// Prompts carry their teamId so they can be passed around outside the team view
+function withTeam(teamId, prompt) {
+  return prompt && { ...prompt, teamId };
+}
+
+/**
+ * The security rules only let users read the prompts they can see (see
+ * canViewPrompt), and rules are not filters: a query must ask for visible
+ * prompts only. These are the three ways a prompt is visible - shared with
+ * the whole team, written by the user, or shared with them by name - each
+ * queried on its own, with `where` added to every one. Prompts saved before
+ * visibility existed only match once api/migrate-visibility has run.
+ */
+function visiblePromptQueries(userId, where = []) {
+  return visibilityClauses(userId).map((visibility) => ({
+    where: [...visibility, ...where],
+  }));
+}
+
+// Newest first; prompts still being saved have no createdAt yet
+function compareNewestFirst(a, b) {
+  const time = (p) => p.createdAt?.toMillis() ?? Date.now();
+  return time(b) - time(a);
+}
+
+function mergeVisiblePrompts(teamId, results) {
+  const byId = new Map();
+  results.flat().forEach((p) => byId.set(p.id, withTeam(teamId, p)));
+  return [...byId.values()].sort(compareNewestFirst);
+}
+
+// Listen to the team's prompts the user can see, newest first
+export function subscribePrompts(teamId, userId, onNext, onError) {
+  const queries = visiblePromptQueries(userId);
+  const results = queries.map(() => null);
+  const unsubscribes = queries.map((options, index) =>
+    store.subscribeDocs(
+      `teams/${teamId}/prompts`,
+      options,
+      (prompts) => {
+        results[index] = prompts;
+        if (results.every(Boolean)) {
+          onNext(mergeVisiblePrompts(teamId, results));
+        }
+      },
+      onError
+    )
+  );
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+}
+
+// The team's prompts the user can see, newest first, optionally filtered by
+// `where` and cut to the newest `limit`
+export async function listPrompts(teamId, userId, { where = [], limit } = {}) {
+  const results = await Promise.all(
+    visiblePromptQueries(userId, where).map((options) =>
+      store.getDocs(`teams/${teamId}/prompts`, options)
+    )
+  );
+  return mergeVisiblePrompts(teamId, results).slice(0, limit);
+}
+
+// Null for prompts that don't exist or that the user may not see
+export async function getPrompt(teamId, promptId) {
+  try {
+    return withTeam(teamId, await store.getDoc(promptPath(teamId, promptId)));
+  } catch (error) {
+    if (error.code === "permission-denied") return null;
+    throw error;
+  }
+}
+
+// Listen to a prompt's version history, newest first
+export function subscribePromptVersions(teamId, promptId, onNext, onError) {
+  return store.subscribeDocs(
+    `${promptPath(teamId, promptId)}/versions`,
+    { orderBy: [["version", "desc"]] },
+    onNext,
+    onError
+  );
+}
+
+// Save new prompt and log it to the team's activity; `author` owns it when
+// someone else (an admin) saves it
+export async function savePrompt(
+  userId,
+  prompt,
+  teamId,
+  { changeNote = "Initial version", author = userId } = {}
+) {
   if (!teamId) throw new Error("No team selected");
 
-  await addDoc(collection(db, "teams", teamId, "prompts"), {
+  const promptId = store.newId(`teams/${teamId}/prompts`);
+  const batch = store.batch();
+
+  batch.set(promptPath(teamId, promptId), {
+    status: INITIAL_STATUS,
+    ...visibilityFields("team"),
     ...prompt,
-    createdAt: serverTimestamp(),
+    version: 1,
+    createdAt: store.serverTimestamp(),
+    createdBy: author,
+  });
+  batch.set(versionPath(teamId, promptId, 1), {
+    ...versionSnapshot(prompt),
+    version: 1,
     createdBy: userId,
+    createdAt: store.serverTimestamp(),
+    changeNote,
+  });
+
+  await batch.commit();
+  await logPromptActivities(teamId, userId, "prompt_created", [promptId]);
+  return promptId;
+}
+
+// Thrown by updatePrompt when the prompt changed after the editor loaded it;
+// `current` holds the server state so the editor can offer a merge
+function editConflictError(current) {
+  const error = new Error("This prompt was changed by someone else");
+  error.code = "edit-conflict";
+  error.current = current;
+  return error;
+}
+
+/**
+ * Update existing prompt, recording the new state as a version snapshot
+ * and logging the update to the team's activity.
+ * Pass `baseVersion` (the version the edit started from) to fail with an
+ * "edit-conflict" error instead of overwriting someone else's changes.
+ * Unless `canReview` (owners and admins), editing an approved prompt's
+ * versioned fields sends it back to review.
+ */
+export async function updatePrompt(
+  teamId,
+  promptId,
+  updates,
+  {
+    userId = null,
+    changeNote = "",
+    restoredFrom = null,
+    baseVersion = null,
+    canReview = false,
+  } = {}
+) {
+  const path = promptPath(teamId, promptId);
+
+  const version = await store.runTransaction(async (transaction) => {
+    const current = await transaction.get(path);
+    if (!current) throw new Error("Prompt not found");
+
+    let currentVersion = current.version || 0;
+
+    if (baseVersion !== null && (currentVersion || 1) !== baseVersion) {
+      throw editConflictError({ ...current, version: currentVersion || 1 });
+    }
+
+    // Prompts created before versioning have no history yet - keep their
+    // original state as version 1 so it can still be restored
+    if (currentVersion === 0) {
+      currentVersion = 1;
+      transaction.set(versionPath(teamId, promptId, 1), {
+        ...versionSnapshot(current),
+        version: 1,
+        createdBy: current.createdBy || null,
+        createdAt:
+          current.updatedAt || current.createdAt || store.serverTimestamp(),
+        changeNote: "Initial version",
+      });
+    }
+
+    const nextVersion = currentVersion + 1;
+    transaction.set(versionPath(teamId, promptId, nextVersion), {
+      ...versionSnapshot({ ...current, ...updates }),
+      version: nextVersion,
+      createdBy: userId,
+      createdAt: store.serverTimestamp(),
+      changeNote: changeNote.trim(),
+      restoredFrom,
+    });
+    transaction.update(path, {
+      ...updates,
+      ...reapprovalUpdates(current, updates, { userId, canReview }),
+      version: nextVersion,
+      updatedAt: store.serverTimestamp(),
+      updatedBy: userId,
+    });
+
+    return nextVersion;
   });
+
+  await logPromptActivities(teamId, userId, "prompt_updated", [promptId]);
+  if (stopsSharing(updates)) {
+    await unshareFromLinks(teamId, [promptId], userId);
+  }
+  return version;
 }
 
-// Update existing prompt
-export async function updatePrompt(teamId, promptId, updates) {
-  const ref = doc(db, "teams", teamId, "prompts", promptId);
-  await updateDoc(ref, updates);
+/**
+ * Batch operations for updating a prompt that was already read, for edits
+ * applied to many prompts at once (see commitInChunks). Like updatePrompt
+ * the new state is recorded as a version, but without the conflict check.
+ */
+export function promptUpdateOperations(
+  teamId,
+  prompt,
+  updates,
+  { userId = null, changeNote = "", canReview = false } = {}
+) {
+  const operations = [];
+  const currentVersion = prompt.version || 0;
+
+  if (currentVersion === 0) {
+    operations.push((batch) =>
+      batch.set(versionPath(teamId, prompt.id, 1), {
+        ...versionSnapshot(prompt),
+        version: 1,
+        createdBy: prompt.createdBy || null,
+        createdAt:
+          prompt.updatedAt || prompt.createdAt || store.serverTimestamp(),
+        changeNote: "Initial version",
+      })
+    );
+  }
+
+  const nextVersion = (currentVersion || 1) + 1;
+  operations.push((batch) =>
+    batch.set(versionPath(teamId, prompt.id, nextVersion), {
+      ...versionSnapshot({ ...prompt, ...updates }),
+      version: nextVersion,
+      createdBy: userId,
+      createdAt: store.serverTimestamp(),
+      changeNote,
+      restoredFrom: null,
+    })
+  );
+  operations.push((batch) =>
+    batch.update(promptPath(teamId, prompt.id), {
+      ...updates,
+      ...reapprovalUpdates(prompt, updates, { userId, canReview }),
+      version: nextVersion,
+      updatedAt: store.serverTimestamp(),
+      updatedBy: userId,
+    })
+  );
+  return operations;
 }
 
-// Delete prompt
-export async function deletePrompt(teamId, promptId) {
-  const ref = doc(db, "teams", teamId, "prompts", promptId);
-  await deleteDoc(ref);
+// Restore a previous version - this creates a new version rather than rewriting history
+export async function restorePromptVersion(
+  teamId,
+  promptId,
+  version,
+  userId,
+  { canReview = false } = {}
+) {
+  return updatePrompt(teamId, promptId, versionSnapshot(version), {
+    userId,
+    canReview,
+    changeNote: `Restored version ${version.version}`,
+    restoredFrom: version.version,
+  });
 }
 
-// ✅ Toggle Favorite
-export async function toggleFavorite(userId, prompt, isFav) {
-  const favRef = doc(db, "users", userId, "favorites", prompt.id);
+// Fields written by a status transition, with the review that made it
+function statusUpdates(
+  transition,
+  { userId, comment = "", replacement = null }
+) {
+  const updates = {
+    status: transition.to,
+    review: {
+      action: transition.id,
+      comment: comment.trim(),
+      by: userId,
+      at: store.serverTimestamp(),
+    },
+  };
+
+  if (transition.to === "deprecated") {
+    updates.replacedBy = replacement
+      ? { promptId: replacement.id, title: replacement.title || "" }
+      : null;
+  } else if (transition.from === "deprecated") {
+    updates.replacedBy = null;
+  }
+  return updates;
+}
+
+/**
+ * Move a prompt through the approval workflow. `transition` is one of
+ * STATUS_TRANSITIONS; callers check permissions with useTeamRole first.
+ */
+export async function setPromptStatus(teamId, promptId, transition, details) {
+  await store.updateDoc(
+    promptPath(teamId, promptId),
+    statusUpdates(transition, details)
+  );
+}
+
+/**
+ * Apply bulk edits in batched writes. Each edit is
+ * `{ prompt, updates, transition }`. Updates to fields the editor merges
+ * (versioned fields and visibility, see MERGE_FIELDS) are recorded as a new
+ * version, so an editor opened before them sees the change instead of
+ * saving over it; folder and owner changes are written as they are, and
+ * `transition` is applied like setPromptStatus.
+ * Pass `canReview` as for updatePrompt. Callers check permissions first.
+ * Prompts whose fields changed are logged to the team's activity.
+ * Resolves to `{ succeeded: [promptId], failed: [{ id, error }] }`.
+ */
+export async function bulkEditPrompts(
+  teamId,
+  edits,
+  { userId, changeNote = "", comment = "", canReview = false, onProgress } = {}
+) {
+  const groups = edits.map(({ prompt, updates = {}, transition = null }) => {
+    const operations = [];
+    const fields = Object.keys(updates);
+
+    if (fields.some((field) => MERGE_FIELDS.includes(field))) {
+      operations.push(
+        ...promptUpdateOperations(teamId, prompt, updates, {
+          userId,
+          changeNote,
+          canReview,
+        })
+      );
+    } else if (fields.length > 0) {
+      operations.push((batch) =>
+        batch.update(promptPath(teamId, prompt.id), updates)
+      );
+    }
+    if (transition) {
+      operations.push((batch) =>
+        batch.update(
+          promptPath(teamId, prompt.id),
+          statusUpdates(transition, { userId, comment })
+        )
+      );
+    }
+    return { id: prompt.id, operations };
+  });
 
+  const result = await commitGroupsInChunks(groups, { onProgress });
+  const updated = edits
+    .filter(({ updates = {} }) => Object.keys(updates).length > 0)
+    .map(({ prompt }) => prompt.id)
+    .filter((id) => result.succeeded.includes(id));
+  await logPromptActivities(teamId, userId, "prompt_updated", updated);
+  const unshared = edits
+    .filter(({ updates }) => stopsSharing(updates))
+    .map(({ prompt }) => prompt.id)
+    .filter((id) => result.succeeded.includes(id));
+  await unshareFromLinks(teamId, unshared, userId);
+  return result;
+}
+
+// Copy a prompt into another team, keeping a reference to its source
+export async function copyPromptToTeam(userId, prompt, source, targetTeamId) {
+  return savePrompt(
+    userId,
+    {
+      ...versionSnapshot(prompt),
+      forkedFrom: {
+        teamId: source.teamId,
+        teamName: source.teamName || "",
+        promptId: prompt.id,
+        version: prompt.version || 1,
+        title: prompt.title || "",
+      },
+    },
+    targetTeamId,
+    { changeNote: `Copied from ${source.teamName || "another team"}` }
+  );
+}
+
+/**
+ * Author and visibility of `prompt` once `userId` moves it into `targetTeam`.
+ * The author stays when they belong to that team and the mover may save
+ * prompts for them (they are the author, or an owner or admin there);
+ * otherwise the mover becomes the author. Prompts shared with chosen
+ * members become private, as those members may not be in the target team.
+ */
+export function movedPromptOwnership(prompt, targetTeam, userId) {
+  const members = targetTeam?.members || {};
+  const keepAuthor =
+    prompt.createdBy &&
+    members[prompt.createdBy] &&
+    (prompt.createdBy === userId ||
+      ["owner", "admin"].includes(members[userId]));
+
+  return {
+    createdBy: keepAuthor ? prompt.createdBy : userId,
+    ...visibilityFields(
+      getPromptVisibility(prompt) === "team" ? "team" : "private"
+    ),
+  };
+}
+
+/**
+ * Move a prompt into another team: it is saved there as a new draft with
+ * its content and visibility (see movedPromptOwnership), then moved to this
+ * team's trash. Versions, comments and ratings stay behind with the trashed
+ * original. When the original can't be trashed the copy is deleted again
+ * (its creation stays in the other team's activity log); should that fail
+ * too, the error says the prompt is now in both teams.
+ */
+export async function movePromptToTeam(userId, prompt, source, targetTeamId) {
+  const targetTeam = await store.getDoc(`teams/${targetTeamId}`);
+  const { createdBy, ...visibility } = movedPromptOwnership(
+    prompt,
+    targetTeam,
+    userId
+  );
+  const promptId = await savePrompt(
+    userId,
+    { ...versionSnapshot(prompt), ...visibility },
+    targetTeamId,
+    {
+      changeNote: `Moved from ${source.teamName || "another team"}`,
+      author: createdBy,
+    }
+  );
+  try {
+    await deletePrompt(source.teamId, prompt.id, userId);
+  } catch (error) {
+    try {
+      const batch = store.batch();
+      batch.delete(versionPath(targetTeamId, promptId, 1));
+      batch.delete(promptPath(targetTeamId, promptId));
+      await batch.commit();
+    } catch (rollbackError) {
+      console.error("Error removing the moved copy:", rollbackError);
+      throw new Error(
+        "Copied to the other team but not removed from this one, so it is now in both teams",
+        { cause: error }
+      );
+    }
+    throw error;
+  }
+  return promptId;
+}
+
+// Delete prompt - moves it to the team trash, where owners and admins can
+// restore it, and out of the team's share links
+export async function deletePrompt(teamId, promptId, userId = null) {
+  await moveToTrash(teamId, promptId, userId);
+  await unshareFromLinks(teamId, [promptId], userId);
+}
+
+// Visibility changes that take a prompt out of the team's share links
+function stopsSharing(updates = {}) {
+  return Boolean(updates.visibility) && updates.visibility !== "team";
+}
+
+// Share links are updated once the prompt change itself went through, so
+// a failure here is logged instead of failing the change
+async function unshareFromLinks(teamId, promptIds, userId) {
+  try {
+    await unsharePrompts(teamId, promptIds, userId);
+  } catch (error) {
+    console.error("Error removing prompts from share links:", error);
+  }
+}
+
+// ✅ Toggle Favorite - favorites keep a reference and read the live prompt
+export async function toggleFavorite(userId, prompt, isFav) {
   if (isFav) {
-    // remove favorite
-    await fbDeleteDoc(favRef);
+    await removeFavorite(userId, prompt.id);
   } else {
-    // add favorite
-    await setDoc(favRef, {
-      teamId: prompt.teamId,
-      promptId: prompt.id,
-      title: prompt.title,
-      text: prompt.text,
-      tags: prompt.tags || [],
-      createdAt: serverTimestamp(),
-    });
+    await addFavorite(
+      userId,
+      prompt.id,
+      favoriteReference(prompt, prompt.teamId, prompt.teamName)
+    );
   }
 }
@@ -0,0 +1,83 @@
+// src/lib/ratings.js
+import { store } from "./data";
+
+const EMPTY_DISTRIBUTION = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+function promptPath(teamId, promptId) {
+  return `teams/${teamId}/prompts/${promptId}`;
+}
+
+// Ratings are keyed by the rating user's uid, one per user
+export function subscribeRatings(teamId, promptId, onNext, onError) {
+  return store.subscribeDocs(
+    `${promptPath(teamId, promptId)}/ratings`,
+    {},
+    onNext,
+    onError
+  );
+}
+
+/**
+ * The rating summary to store in prompt.stats once one user's rating
+ * changes from `previous` to `next` (either may be null).
+ */
+function ratingStatsUpdates(prompt, previous, next) {
+  const ratings = { ...EMPTY_DISTRIBUTION, ...prompt.stats?.ratings };
+  if (previous) ratings[previous] = Math.max(0, (ratings[previous] || 0) - 1);
+  if (next) ratings[next] = (ratings[next] || 0) + 1;
+
+  const totalRatings = Object.values(ratings).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+  const weightedSum = Object.entries(ratings).reduce(
+    (sum, [star, count]) => sum + parseInt(star) * count,
+    0
+  );
+
+  const updates = {
+    "stats.ratings": ratings,
+    "stats.totalRatings": totalRatings,
+    "stats.averageRating": totalRatings > 0 ? weightedSum / totalRatings : 0,
+  };
+  if (next) updates["stats.lastRated"] = store.serverTimestamp();
+  return updates;
+}
+
+/**
+ * Set the user's rating, or remove it when `rating` is null, together with
+ * the prompt's rating summary: the security rules only accept a summary
+ * that moves by the change to the user's rating in the same write.
+ */
+async function writeRating(teamId, promptId, userId, rating) {
+  const ratingPath = `${promptPath(teamId, promptId)}/ratings/${userId}`;
+
+  await store.runTransaction(async (transaction) => {
+    const prompt = await transaction.get(promptPath(teamId, promptId));
+    const previous = await transaction.get(ratingPath);
+    if (!prompt) return;
+
+    if (rating) {
+      transaction.set(ratingPath, {
+        userId,
+        rating,
+        createdAt: store.serverTimestamp(),
+      });
+    } else if (previous) {
+      transaction.delete(ratingPath);
+    }
+    transaction.update(
+      promptPath(teamId, promptId),
+      ratingStatsUpdates(prompt, previous?.rating ?? null, rating)
+    );
+  });
+}
+
+// Replaces the user's existing rating, if any
+export async function ratePrompt(teamId, promptId, userId, rating) {
+  await writeRating(teamId, promptId, userId, rating);
+}
+
+export async function removeRating(teamId, promptId, userId) {
+  await writeRating(teamId, promptId, userId, null);
+}
@@ -0,0 +1,199 @@
+// src/lib/shareLinks.js - Public read-only share links for prompts and prompt sets
+import { store, isLocalBackend } from "./data";
+import { auth } from "./firebase";
+import { getPrompt } from "./prompts";
+import { isShareable, withoutPrompts } from "../utils/shareLinks";
+
+const TOKEN_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// Unguessable link token; the token is the document ID in shareLinks
+function generateToken(length = 24) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, (b) => TOKEN_ALPHABET[b % TOKEN_ALPHABET.length]).join("");
+}
+
+function sharePath(token) {
+  return `shareLinks/${token}`;
+}
+
+/**
+ * Share links hold a snapshot of the shared prompts, because visitors
+ * are not signed in and cannot read team data. Owners and admins can
+ * refresh the snapshot from the share links view after editing a prompt.
+ */
+function promptSnapshot(prompt) {
+  return {
+    id: prompt.id,
+    title: prompt.title || "",
+    text: prompt.text || "",
+    tags: prompt.tags || [],
+  };
+}
+
+export function getShareUrl(token) {
+  return `${window.location.origin}/share/${token}`;
+}
+
+// A link is usable until it is revoked or passes its expiry
+export function isShareLinkActive(link) {
+  if (!link || link.revoked) return false;
+  if (link.expiresAt && link.expiresAt.toMillis() <= Date.now()) return false;
+  return true;
+}
+
+// Listen to a team's share links, newest first
+export function subscribeShareLinks(teamId, onNext, onError) {
+  return store.subscribeDocs(
+    "shareLinks",
+    { where: [["teamId", "==", teamId]] },
+    (links) =>
+      onNext(
+        links.sort(
+          (a, b) =>
+            (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)
+        )
+      ),
+    onError
+  );
+}
+
+export async function createShareLink(
+  teamId,
+  teamName,
+  userId,
+  prompts,
+  { title = "", expiresInDays = 0 } = {}
+) {
+  if (!teamId) throw new Error("No team selected");
+  if (!prompts.length) throw new Error("Nothing to share");
+
+  const token = generateToken();
+  await store.setDoc(sharePath(token), {
+    teamId,
+    teamName: teamName || "",
+    kind: prompts.length === 1 && !title.trim() ? "prompt" : "collection",
+    title: title.trim() || prompts[0].title || "Shared prompts",
+    promptIds: prompts.map((p) => p.id),
+    prompts: prompts.map(promptSnapshot),
+    createdBy: userId,
+    createdAt: store.serverTimestamp(),
+    snapshotAt: store.serverTimestamp(),
+    expiresAt:
+      expiresInDays > 0
+        ? store.timestampFromMillis(
+            Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+          )
+        : null,
+    revoked: false,
+    viewCount: 0,
+  });
+  return token;
+}
+
+// Update the shared content from the current prompts; deleted prompts, any
+// the user can no longer see and any the team no longer shares drop out
+export async function refreshShareLink(link) {
+  const current = await Promise.all(
+    link.promptIds.map((id) => getPrompt(link.teamId, id))
+  );
+  const prompts = current.filter(isShareable).map(promptSnapshot);
+
+  await store.updateDoc(sharePath(link.id), {
+    prompts,
+    promptIds: prompts.map((p) => p.id),
+    snapshotAt: store.serverTimestamp(),
+  });
+  return prompts.length;
+}
+
+/**
+ * Take prompts out of the team's share links once they are deleted or no
+ * longer shared with the whole team, revoking links left empty. Only owners
+ * and admins may edit links, so outside local mode the server does this.
+ */
+export async function unsharePrompts(teamId, promptIds, userId) {
+  if (!promptIds.length) return 0;
+  if (!isLocalBackend) return unsharePromptsOnServer(teamId, promptIds);
+
+  const prompts = await Promise.all(
+    promptIds.map((id) => store.getDoc(`teams/${teamId}/prompts/${id}`))
+  );
+  const unshared = promptIds.filter((id, i) => !isShareable(prompts[i]));
+  if (!unshared.length) return 0;
+
+  const links = await store.getDocs("shareLinks", {
+    where: [["teamId", "==", teamId]],
+  });
+  const changes = links
+    .map((link) => ({ link, remaining: withoutPrompts(link, unshared) }))
+    .filter(({ remaining }) => remaining);
+
+  await Promise.all(
+    changes.map(({ link, remaining }) =>
+      store.updateDoc(sharePath(link.id), {
+        ...remaining,
+        snapshotAt: store.serverTimestamp(),
+        ...(remaining.promptIds.length === 0 && !link.revoked
+          ? {
+              revoked: true,
+              revokedBy: userId,
+              revokedAt: store.serverTimestamp(),
+            }
+          : {}),
+      })
+    )
+  );
+  return changes.length;
+}
+
+// The caller's ID token shows the server they belong to the team
+async function unsharePromptsOnServer(teamId, promptIds) {
+  const response = await fetch("/api/unshare-prompts", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${await auth.currentUser.getIdToken()}`,
+    },
+    body: JSON.stringify({ teamId, promptIds }),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(
+      result.error || `Updating share links failed (${response.status})`
+    );
+  }
+  return result.updated;
+}
+
+export async function revokeShareLink(token, userId) {
+  await store.updateDoc(sharePath(token), {
+    revoked: true,
+    revokedBy: userId,
+    revokedAt: store.serverTimestamp(),
+  });
+}
+
+export async function deleteShareLink(token) {
+  await store.deleteDoc(sharePath(token));
+}
+
+// Public lookup used by the share page; returns null for missing, revoked or expired links
+export async function getSharedLink(token) {
+  try {
+    const link = await store.getDoc(sharePath(token));
+    return isShareLinkActive(link) ? link : null;
+  } catch (error) {
+    // Security rules refuse revoked and expired links to visitors
+    if (error.code === "permission-denied") return null;
+    throw error;
+  }
+}
+
+// Count a view; only viewCount and lastViewedAt may be written by visitors
+export async function recordShareView(token) {
+  await store.updateDoc(sharePath(token), {
+    viewCount: store.increment(1),
+    lastViewedAt: store.serverTimestamp(),
+  });
+}
@@ -0,0 +1,141 @@
+// src/lib/tags.js - Per-team tag registry, and renaming or merging tags across prompts
+import { store, commitInChunks, isLocalBackend } from "./data";
+import { auth } from "./firebase";
+import { promptUpdateOperations } from "./prompts";
+import { logPromptActivities } from "./activities";
+import { tagKey, renameTags } from "../utils/tags";
+
+// Registered tags are keyed by tagKey(name), so variants share one entry
+function tagPath(teamId, key) {
+  return `teams/${teamId}/tags/${key}`;
+}
+
+// Listen to a team's registered tags, alphabetically
+export function subscribeTags(teamId, onNext, onError) {
+  return store.subscribeDocs(
+    `teams/${teamId}/tags`,
+    { orderBy: [["name", "asc"]] },
+    onNext,
+    onError
+  );
+}
+
+// Register a tag or update its colour and description
+export async function saveTag(teamId, userId, { name, color, description }) {
+  const key = tagKey(name);
+  if (!key) throw new Error("Tag name is required");
+
+  await store.setDoc(
+    tagPath(teamId, key),
+    {
+      name: name.trim(),
+      color: color || null,
+      description: (description || "").trim(),
+      updatedBy: userId,
+      updatedAt: store.serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+// Remove a tag from the registry; prompts keep it as a free-text tag
+export async function unregisterTag(teamId, key) {
+  await store.deleteDoc(tagPath(teamId, key));
+}
+
+/**
+ * Rename `sourceNames` to `targetName` on every prompt in the team.
+ * Renaming one tag to another existing tag merges them. Each prompt gets a
+ * new version, so open editors see the change. The registry keeps the
+ * target entry (or takes over the first source's colour and description)
+ * and drops the sources. Returns the number of prompts changed.
+ *
+ * Some prompts are private to their author or shared with chosen members,
+ * which not even admins can read, so with Firestore the server renames
+ * them all (api/merge-tags.js). The local backends have no such rules and
+ * rename in batched writes here.
+ */
+export async function mergeTags(
+  teamId,
+  userId,
+  sourceNames,
+  targetName,
+  { onProgress } = {}
+) {
+  const target = targetName.trim();
+  if (!tagKey(target)) throw new Error("Tag name is required");
+
+  const sources = [...new Set(sourceNames)];
+  if (!isLocalBackend) return mergeTagsOnServer(teamId, sources, target);
+
+  const targetKey = tagKey(target);
+  const sourceKeys = new Set(sources.map(tagKey));
+  const [prompts, registry] = await Promise.all([
+    store.getDocs(`teams/${teamId}/prompts`),
+    store.getDocs(`teams/${teamId}/tags`),
+  ]);
+
+  const changeNote =
+    sources.length === 1
+      ? `Renamed tag "${sources[0]}" to "${target}"`
+      : `Merged tags ${sources.map((n) => `"${n}"`).join(", ")} into "${target}"`;
+
+  const changed = prompts
+    .map((prompt) => ({
+      prompt,
+      tags: renameTags(prompt.tags, sources, target),
+    }))
+    .filter(({ tags }) => tags);
+  const operations = changed.flatMap(({ prompt, tags }) =>
+    promptUpdateOperations(
+      teamId,
+      prompt,
+      { tags },
+      // Only owners and admins manage tags (see firestore.rules)
+      { userId, changeNote, canReview: true }
+    )
+  );
+
+  const existing = registry.find((tag) => tag.id === targetKey);
+  const inherited = registry.find((tag) => sourceKeys.has(tag.id));
+  operations.push((batch) =>
+    batch.set(tagPath(teamId, targetKey), {
+      name: target,
+      color: existing?.color || inherited?.color || null,
+      description: existing?.description || inherited?.description || "",
+      updatedBy: userId,
+      updatedAt: store.serverTimestamp(),
+    })
+  );
+  registry
+    .filter((tag) => sourceKeys.has(tag.id) && tag.id !== targetKey)
+    .forEach((tag) =>
+      operations.push((batch) => batch.delete(tagPath(teamId, tag.id)))
+    );
+
+  await commitInChunks(operations, { onProgress });
+  await logPromptActivities(
+    teamId,
+    userId,
+    "prompt_updated",
+    changed.map(({ prompt }) => prompt.id)
+  );
+  return changed.length;
+}
+
+// The caller's ID token shows the server they manage the team's tags
+async function mergeTagsOnServer(teamId, sourceNames, targetName) {
+  const response = await fetch("/api/merge-tags", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${await auth.currentUser.getIdToken()}`,
+    },
+    body: JSON.stringify({ teamId, sourceNames, targetName }),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Tag merge failed (${response.status})`);
+  }
+  return result.changed;
+}
@@ -0,0 +1,65 @@
+// src/lib/teams.js
+import { store } from "./data";
+import { listPrompts } from "./prompts";
+
+function teamPath(teamId) {
+  return `teams/${teamId}`;
+}
+
+// Listen to the teams the user is a member of
+export function subscribeUserTeams(userId, onNext, onError) {
+  return store.subscribeDocs(
+    "teams",
+    { where: [[`members.${userId}`, "!=", null]] },
+    onNext,
+    onError
+  );
+}
+
+export function subscribeTeam(teamId, onNext, onError) {
+  return store.subscribeDoc(teamPath(teamId), onNext, onError);
+}
+
+export async function getTeam(teamId) {
+  return store.getDoc(teamPath(teamId));
+}
+
+export async function createTeam(userId, name) {
+  return store.addDoc("teams", {
+    name,
+    ownerId: userId,
+    members: {
+      [userId]: "owner",
+    },
+    createdAt: store.serverTimestamp(),
+  });
+}
+
+export async function deleteTeam(teamId) {
+  await store.deleteDoc(teamPath(teamId));
+}
+
+// Counts only the prompts the user can see
+export async function countTeamPrompts(teamId, userId) {
+  const prompts = await listPrompts(teamId, userId);
+  return prompts.length;
+}
+
+export async function setMemberRole(teamId, userId, role) {
+  await store.updateDoc(teamPath(teamId), {
+    [`members.${userId}`]: role,
+  });
+}
+
+export async function removeMember(teamId, userId) {
+  await store.updateDoc(teamPath(teamId), {
+    [`members.${userId}`]: store.deleteField(),
+  });
+}
+
+// Save a team's override for one lint rule; null restores the defaults
+export async function setLintRule(teamId, ruleId, override) {
+  await store.updateDoc(teamPath(teamId), {
+    [`lintRules.${ruleId}`]: override ?? store.deleteField(),
+  });
+}
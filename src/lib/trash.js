@@ -0,0 +1,138 @@
+// src/lib/trash.js - Soft deletion of prompts into a per-team trash
+import { store, commitInChunks } from "./data";
+import { visibilityClauses } from "../utils/promptVisibility";
+
+// Prompt subcollections that travel with the prompt into the trash and back
+const TRASHED_SUBCOLLECTIONS = ["comments", "ratings", "versions", "usage"];
+
+function trashPath(teamId, promptId) {
+  return `teams/${teamId}/trash/${promptId}`;
+}
+
+// Most recently deleted first; items still being trashed have no deletedAt
+function compareNewestFirst(a, b) {
+  const time = (item) => item.deletedAt?.toMillis() ?? Date.now();
+  return time(b) - time(a);
+}
+
+// Listen to the trashed prompts the user could see before they were
+// deleted, most recently deleted first. Like the prompt list it takes one
+// query per way a prompt is visible, as the rules check each trashed prompt.
+export function subscribeTrash(teamId, userId, onNext, onError) {
+  const queries = visibilityClauses(userId, "prompt.");
+  const results = queries.map(() => null);
+  const unsubscribes = queries.map((where, index) =>
+    store.subscribeDocs(
+      `teams/${teamId}/trash`,
+      { where },
+      (items) => {
+        results[index] = items;
+        if (results.every(Boolean)) {
+          const byId = new Map(results.flat().map((item) => [item.id, item]));
+          onNext([...byId.values()].sort(compareNewestFirst));
+        }
+      },
+      onError
+    )
+  );
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+}
+
+async function loadSubcollections(parentPath) {
+  const results = await Promise.all(
+    TRASHED_SUBCOLLECTIONS.map((name) => store.getDocs(`${parentPath}/${name}`))
+  );
+  return TRASHED_SUBCOLLECTIONS.map((name, index) => ({
+    name,
+    docs: results[index],
+  }));
+}
+
+// Document data without the id the store adds when reading
+function docData(document) {
+  const data = { ...document };
+  delete data.id;
+  return data;
+}
+
+// Move a prompt and its comments, ratings and versions into the trash
+export async function moveToTrash(teamId, promptId, userId) {
+  const promptPath = `teams/${teamId}/prompts/${promptId}`;
+  const prompt = await store.getDoc(promptPath);
+  if (!prompt) throw new Error("Prompt not found");
+
+  const targetPath = trashPath(teamId, promptId);
+  const subcollections = await loadSubcollections(promptPath);
+  const count = (name) =>
+    subcollections.find((s) => s.name === name).docs.length;
+
+  const copies = [
+    (batch) =>
+      batch.set(targetPath, {
+        prompt: docData(prompt),
+        deletedAt: store.serverTimestamp(),
+        deletedBy: userId,
+        commentCount: count("comments"),
+        ratingCount: count("ratings"),
+      }),
+  ];
+  const deletes = [];
+
+  subcollections.forEach(({ name, docs }) => {
+    docs.forEach((d) => {
+      copies.push((batch) =>
+        batch.set(`${targetPath}/${name}/${d.id}`, docData(d))
+      );
+      deletes.push((batch) => batch.delete(`${promptPath}/${name}/${d.id}`));
+    });
+  });
+  deletes.push((batch) => batch.delete(promptPath));
+
+  await commitInChunks([...copies, ...deletes]);
+}
+
+// Put a trashed prompt back in the library with the same ID
+export async function restoreFromTrash(teamId, promptId) {
+  const sourcePath = trashPath(teamId, promptId);
+  const trashed = await store.getDoc(sourcePath);
+  if (!trashed) throw new Error("Trashed prompt not found");
+
+  const promptPath = `teams/${teamId}/prompts/${promptId}`;
+  const subcollections = await loadSubcollections(sourcePath);
+
+  // The prompt goes in the first batch: the rules check a version against
+  // its prompt, which must exist by the time later batches write versions
+  const copies = [(batch) => batch.set(promptPath, trashed.prompt)];
+  const deletes = [];
+
+  subcollections.forEach(({ name, docs }) => {
+    docs.forEach((d) => {
+      copies.push((batch) =>
+        batch.set(`${promptPath}/${name}/${d.id}`, docData(d))
+      );
+      deletes.push((batch) => batch.delete(`${sourcePath}/${name}/${d.id}`));
+    });
+  });
+  deletes.push((batch) => batch.delete(sourcePath));
+
+  await commitInChunks([...copies, ...deletes]);
+}
+
+// Permanently delete a trashed prompt and everything that came with it
+export async function purgeFromTrash(teamId, promptId) {
+  const sourcePath = trashPath(teamId, promptId);
+  const subcollections = await loadSubcollections(sourcePath);
+
+  const deletes = subcollections.flatMap(({ name, docs }) =>
+    docs.map((d) => (batch) => batch.delete(`${sourcePath}/${name}/${d.id}`))
+  );
+  deletes.push((batch) => batch.delete(sourcePath));
+
+  await commitInChunks(deletes);
+}
+
+export async function setTrashRetention(teamId, days) {
+  await store.updateDoc(`teams/${teamId}`, {
+    trashRetentionDays: days,
+  });
+}
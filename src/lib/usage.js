@@ -0,0 +1,66 @@
+// src/lib/usage.js - Prompt views, copies and AI enhancement runs
+import { store } from "./data";
+
+// Usage events, stored as counters in prompt.stats
+export const USAGE_EVENTS = ["views", "copies", "enhancements"];
+
+function promptPath(teamId, promptId) {
+  return `teams/${teamId}/prompts/${promptId}`;
+}
+
+// Calendar day in UTC, so rollups line up for the whole team
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Events already counted in this session, to skip needless transactions
+const recorded = new Set();
+
+/**
+ * Record one usage event. Each user counts at most once per prompt, event
+ * and day in prompt.stats; repeats from later sessions only raise the count
+ * on their daily rollup at prompts/{promptId}/usage/{userId}_{day}, and
+ * repeats within a session are not written at all.
+ */
+export async function recordUsage(teamId, promptId, userId, event) {
+  if (!USAGE_EVENTS.includes(event)) throw new Error(`Unknown event ${event}`);
+
+  const day = usageDay();
+  const rollupId = `${userId}_${day}`;
+  const sessionKey = `${teamId}/${promptId}/${rollupId}/${event}`;
+  if (recorded.has(sessionKey)) return;
+  recorded.add(sessionKey);
+
+  const rollupPath = `${promptPath(teamId, promptId)}/usage/${rollupId}`;
+
+  try {
+    await store.runTransaction(async (transaction) => {
+      const rollup = await transaction.get(rollupPath);
+
+      if (rollup) {
+        transaction.update(rollupPath, {
+          [event]: store.increment(1),
+          updatedAt: store.serverTimestamp(),
+        });
+      } else {
+        transaction.set(rollupPath, {
+          userId,
+          day,
+          ...Object.fromEntries(USAGE_EVENTS.map((name) => [name, 0])),
+          [event]: 1,
+          updatedAt: store.serverTimestamp(),
+        });
+      }
+
+      if (!rollup?.[event]) {
+        transaction.update(promptPath(teamId, promptId), {
+          [`stats.${event}`]: store.increment(1),
+        });
+      }
+    });
+  } catch (error) {
+    // Let a later attempt in this session try again
+    recorded.delete(sessionKey);
+    throw error;
+  }
+}
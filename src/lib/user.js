@@ -1,15 +1,68 @@
 // src/lib/user.js
-import { doc, setDoc, serverTimestamp } from "firebase/firestore";
-import { db } from "./firebase";
+import { store } from "./data";
 
 export async function createUserDoc(user) {
   if (!user) return;
-  const ref = doc(db, "users", user.uid);
-  await setDoc(ref, {
+  await store.setDoc(`users/${user.uid}`, {
     uid: user.uid,
     email: user.email,
     displayName: user.displayName || null,
     photoURL: user.photoURL || null,
-    lastSeen: serverTimestamp()
+    lastSeen: store.serverTimestamp()
   }, { merge: true });
 }
+
+// Profile fields the rest of the app reads: name, email, avatar
+export async function saveUserProfile(user) {
+  await store.setDoc(
+    `users/${user.uid}`,
+    {
+      name: user.displayName,
+      email: user.email,
+      avatar: user.photoURL,
+      lastSeen: store.serverTimestamp(),
+    },
+    { merge: true }
+  );
+  // Addresses with a "/" can't name a document, so they aren't indexed
+  if (user.email && !user.email.includes("/")) {
+    await store.setDoc(`userEmails/${user.email.trim().toLowerCase()}`, {
+      uid: user.uid,
+    });
+  }
+}
+
+// Teammates read a profile through the teams it lists (see firestore.rules)
+export async function setProfileTeams(uid, teamIds) {
+  await store.setDoc(`users/${uid}`, { teamIds }, { merge: true });
+}
+
+export async function getUserProfile(uid) {
+  return store.getDoc(`users/${uid}`);
+}
+
+// The uid of the user with this email address, if they have signed in
+// before. Profiles are only readable by teammates, so this goes through
+// the userEmails index that saveUserProfile keeps
+export async function findUserIdByEmail(email) {
+  const entry = await store.getDoc(`userEmails/${email.trim().toLowerCase()}`);
+  return entry?.uid || null;
+}
+
+// Profiles for several users keyed by uid; missing ones and those of users
+// who share no team with the current user are left out
+export async function getUserProfiles(uids) {
+  const profiles = {};
+  for (const uid of new Set(uids)) {
+    if (!uid) continue;
+    try {
+      const profile = await getUserProfile(uid);
+      if (profile) profiles[uid] = profile;
+    } catch (error) {
+      if (error.code !== "permission-denied") {
+        console.error("Error loading user profile:", error);
+      }
+    }
+  }
+  return profiles;
+}
@@ -1,7 +1,9 @@
 // src/main.jsx
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { BrowserRouter, Routes, Route } from "react-router-dom";
 import App from "./App";
+import SharedPrompts from "./pages/SharedPrompts";
 import { AuthProvider } from "./context/AuthContext";
 import ErrorBoundary, { ConnectionStatus } from "./components/ErrorBoundary";
 import "./index.css";
@@ -82,11 +84,22 @@ ReactDOM.createRoot(document.getElementById("root")).render(
       showDetails={process.env.NODE_ENV === "development"}
     >
       <ConnectionStatus />
-      <AuthProvider>
-        <ErrorBoundary>
-          <App />
-        </ErrorBoundary>
-      </AuthProvider>
+      <BrowserRouter>
+        <Routes>
+          {/* Public read-only share links, no sign-in required */}
+          <Route path="/share/:token" element={<SharedPrompts />} />
+          <Route
+            path="*"
+            element={
+              <AuthProvider>
+                <ErrorBoundary>
+                  <App />
+                </ErrorBoundary>
+              </AuthProvider>
+            }
+          />
+        </Routes>
+      </BrowserRouter>
     </ErrorBoundary>
   </React.StrictMode>
 );
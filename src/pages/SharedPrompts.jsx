@@ -0,0 +1,186 @@
+// src/pages/SharedPrompts.jsx - Public read-only page for a share link, no sign-in required
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { getSharedLink, recordShareView } from "../lib/shareLinks";
+
+export default function SharedPrompts() {
+  const { token } = useParams();
+  const [link, setLink] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadLink() {
+      try {
+        const data = await getSharedLink(token);
+        if (cancelled) return;
+
+        if (!data) {
+          setStatus("unavailable");
+          return;
+        }
+        setLink(data);
+        setStatus("ready");
+
+        // Count each visitor once per browser session
+        const viewedKey = `share-viewed-${token}`;
+        if (!sessionStorage.getItem(viewedKey)) {
+          sessionStorage.setItem(viewedKey, "1");
+          recordShareView(token).catch((error) =>
+            console.error("Error recording view:", error)
+          );
+        }
+      } catch (error) {
+        console.error("Error loading shared prompts:", error);
+        if (!cancelled) setStatus("unavailable");
+      }
+    }
+
+    loadLink();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function handleCopy(prompt) {
+    try {
+      await navigator.clipboard.writeText(prompt.text);
+      setCopiedId(prompt.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      console.error("Error copying to clipboard:", error);
+    }
+  }
+
+  if (status === "loading") {
+    return (
+      <div
+        className="min-h-screen flex items-center justify-center"
+        style={{ backgroundColor: "var(--background)" }}
+      >
+        <div className="glass-card p-8 text-center">
+          <div className="neo-spinner mx-auto mb-4"></div>
+          <p style={{ color: "var(--muted-foreground)" }}>Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === "unavailable") {
+    return (
+      <div
+        className="min-h-screen flex items-center justify-center p-6"
+        style={{ backgroundColor: "var(--background)" }}
+      >
+        <div className="glass-card p-8 max-w-md text-center">
+          <div className="text-5xl mb-4">🔒</div>
+          <h1
+            className="text-xl font-semibold mb-2"
+            style={{ color: "var(--foreground)" }}
+          >
+            Link unavailable
+          </h1>
+          <p style={{ color: "var(--muted-foreground)" }}>
+            This share link does not exist, has expired or was revoked.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="min-h-screen p-6"
+      style={{ backgroundColor: "var(--background)" }}
+    >
+      <div className="max-w-3xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="glass-card p-6">
+          <p
+            className="text-xs uppercase tracking-wide mb-1"
+            style={{ color: "var(--primary)" }}
+          >
+            Shared from {link.teamName || "Prompt Teams"}
+          </p>
+          <h1
+            className="text-2xl font-bold"
+            style={{ color: "var(--foreground)" }}
+          >
+            {link.title}
+          </h1>
+          {link.kind === "collection" && (
+            <p
+              className="text-sm mt-1"
+              style={{ color: "var(--muted-foreground)" }}
+            >
+              {link.prompts.length}{" "}
+              {link.prompts.length === 1 ? "prompt" : "prompts"}
+            </p>
+          )}
+        </div>
+
+        {/* Prompts */}
+        {link.prompts.map((prompt) => (
+          <div key={prompt.id} className="glass-card p-6">
+            <div className="flex items-start justify-between gap-4 mb-4">
+              <h2
+                className="text-lg font-semibold"
+                style={{ color: "var(--foreground)" }}
+              >
+                {prompt.title}
+              </h2>
+              <button
+                onClick={() => handleCopy(prompt)}
+                className="btn-primary text-sm px-4 py-2"
+              >
+                {copiedId === prompt.id ? "Copied!" : "Copy"}
+              </button>
+            </div>
+
+            <div
+              className="p-4 rounded-lg border"
+              style={{
+                backgroundColor: "var(--muted)",
+                borderColor: "var(--border)",
+              }}
+            >
+              <pre
+                className="whitespace-pre-wrap text-sm font-mono"
+                style={{ color: "var(--foreground)" }}
+              >
+                {prompt.text}
+              </pre>
+            </div>
+
+            {prompt.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                {prompt.tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className="inline-block px-2 py-1 rounded-full text-xs font-medium border"
+                    style={{
+                      backgroundColor: "var(--secondary)",
+                      color: "var(--secondary-foreground)",
+                      borderColor: "var(--border)",
+                    }}
+                  >
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <p
+          className="text-center text-xs"
+          style={{ color: "var(--muted-foreground)" }}
+        >
+          Read-only view shared with Prompt Teams
+        </p>
+      </div>
+    </div>
+  );
+}
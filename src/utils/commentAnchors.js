@@ -0,0 +1,108 @@
+// src/utils/commentAnchors.js - Comments attached to a span of the prompt text
+
+// Characters of surrounding text kept to find the span again after edits
+const CONTEXT_LENGTH = 32;
+
+/**
+ * Anchor for the text between `start` and `end`, trimmed of surrounding
+ * whitespace: { quote, prefix, suffix, start, end, version }. Returns null
+ * for an empty selection.
+ */
+export function createAnchor(text, start, end, version = 1) {
+  const selected = text.slice(start, end);
+  const from = start + (selected.length - selected.trimStart().length);
+  const to = end - (selected.length - selected.trimEnd().length);
+  if (to <= from) return null;
+
+  return {
+    quote: text.slice(from, to),
+    prefix: text.slice(Math.max(0, from - CONTEXT_LENGTH), from),
+    suffix: text.slice(to, to + CONTEXT_LENGTH),
+    start: from,
+    end: to,
+    version,
+  };
+}
+
+function sharedSuffixLength(a, b) {
+  let n = 0;
+  while (
+    n < a.length &&
+    n < b.length &&
+    a[a.length - 1 - n] === b[b.length - 1 - n]
+  ) {
+    n++;
+  }
+  return n;
+}
+
+function sharedPrefixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+/**
+ * Find an anchor in the current prompt text. Returns { start, end, status }:
+ * "anchored" when the quote is still where it was, "moved" when the text
+ * around it changed and it was matched again (preferring the occurrence
+ * whose surrounding text matches best, then the nearest), or "orphaned"
+ * when the quoted text no longer exists.
+ */
+export function locateAnchor(text, anchor) {
+  const { quote, prefix = "", suffix = "", start = 0 } = anchor;
+  if (!quote) return { status: "orphaned" };
+
+  if (text.slice(start, start + quote.length) === quote) {
+    return { start, end: start + quote.length, status: "anchored" };
+  }
+
+  let best = null;
+  for (
+    let index = text.indexOf(quote);
+    index !== -1;
+    index = text.indexOf(quote, index + 1)
+  ) {
+    const context =
+      sharedSuffixLength(text.slice(0, index), prefix) +
+      sharedPrefixLength(text.slice(index + quote.length), suffix);
+    const distance = Math.abs(index - start);
+    if (
+      !best ||
+      context > best.context ||
+      (context === best.context && distance < best.distance)
+    ) {
+      best = { index, context, distance };
+    }
+  }
+
+  if (!best) return { status: "orphaned" };
+  return {
+    start: best.index,
+    end: best.index + quote.length,
+    status: "moved",
+  };
+}
+
+/**
+ * Split text into segments for highlighting anchored ranges
+ * ([{ start, end, threadId }]); each segment lists the threads covering it.
+ */
+export function annotateText(text, ranges) {
+  const bounds = new Set([0, text.length]);
+  ranges.forEach((range) => {
+    bounds.add(range.start);
+    bounds.add(range.end);
+  });
+  const points = [...bounds].sort((a, b) => a - b);
+
+  return points.slice(0, -1).map((start, i) => {
+    const end = points[i + 1];
+    return {
+      text: text.slice(start, end),
+      threadIds: ranges
+        .filter((range) => range.start <= start && range.end >= end)
+        .map((range) => range.threadId),
+    };
+  });
+}
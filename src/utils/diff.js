@@ -0,0 +1,127 @@
+// src/utils/diff.js - Word-level text diffing for prompt versions
+
+// Split text into word and whitespace tokens so a diff can be rendered
+// back into the original text without losing line breaks
+export function tokenize(text) {
+  return (text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+// Table sizes (tokens × tokens) above which the word diff of the changed
+// region falls back to a line diff, and the line diff to replacing it whole
+const MAX_TABLE_CELLS = 1000000;
+
+// Split text into lines, each keeping its line break
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+/g) || [];
+}
+
+// Longest-common-subsequence table over two token arrays
+function lcsTable(a, b) {
+  const table = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  return table;
+}
+
+// Push a token onto the diff, merging it with the previous part if the type matches
+function pushPart(parts, type, value) {
+  if (!value) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+}
+
+function replaceAll(a, b, parts) {
+  pushPart(parts, "removed", a.join(""));
+  pushPart(parts, "added", b.join(""));
+}
+
+function diffLines(a, b, parts) {
+  diffTokens(splitLines(a.join("")), splitLines(b.join("")), parts, replaceAll);
+}
+
+/**
+ * Diff two token arrays onto `parts`. The common prefix and suffix are
+ * skipped before building the LCS table, and `tooLarge(a, b, parts)`
+ * handles changed regions whose table would exceed MAX_TABLE_CELLS.
+ */
+function diffTokens(a, b, parts, tooLarge) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  pushPart(parts, "equal", a.slice(0, start).join(""));
+
+  const oldTokens = a.slice(start, endA);
+  const newTokens = b.slice(start, endB);
+  if ((oldTokens.length + 1) * (newTokens.length + 1) > MAX_TABLE_CELLS) {
+    tooLarge(oldTokens, newTokens, parts);
+  } else {
+    const table = lcsTable(oldTokens, newTokens);
+    let i = 0;
+    let j = 0;
+    while (i < oldTokens.length && j < newTokens.length) {
+      if (oldTokens[i] === newTokens[j]) {
+        pushPart(parts, "equal", oldTokens[i]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        pushPart(parts, "removed", oldTokens[i]);
+        i++;
+      } else {
+        pushPart(parts, "added", newTokens[j]);
+        j++;
+      }
+    }
+
+    while (i < oldTokens.length) pushPart(parts, "removed", oldTokens[i++]);
+    while (j < newTokens.length) pushPart(parts, "added", newTokens[j++]);
+  }
+
+  pushPart(parts, "equal", a.slice(endA).join(""));
+}
+
+/**
+ * Compute a word-level diff between two strings.
+ * Returns an array of { type: "equal" | "added" | "removed", value } parts.
+ * Very large rewrites are diffed line by line instead.
+ */
+export function diffWords(oldText, newText) {
+  const parts = [];
+  diffTokens(tokenize(oldText), tokenize(newText), parts, diffLines);
+  return parts;
+}
+
+// Count added and removed words in a diff (whitespace-only parts are ignored)
+export function diffStats(parts) {
+  return parts.reduce(
+    (acc, part) => {
+      if (part.type === "equal") return acc;
+      const words = part.value.split(/\s+/).filter(Boolean).length;
+      acc[part.type] += words;
+      return acc;
+    },
+    { added: 0, removed: 0 }
+  );
+}
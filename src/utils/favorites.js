@@ -0,0 +1,33 @@
+// src/utils/favorites.js - Grouping favorites into personal collections
+
+// Drag payload for favorite cards, dropped on other cards or on collections
+export const FAVORITE_DRAG_TYPE = "application/x-favorite-id";
+
+// Collection a favorite is shown under; favorites whose collection was
+// deleted count as unsorted
+export function favoriteCollectionKey(favorite, collections) {
+  return collections.some((c) => c.id === favorite.collectionId)
+    ? favorite.collectionId
+    : "unsorted";
+}
+
+// Number of favorites under "all", "unsorted" and each collection
+export function countByCollection(favorites, collections) {
+  const counts = { all: favorites.length, unsorted: 0 };
+  favorites.forEach((favorite) => {
+    const key = favoriteCollectionKey(favorite, collections);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Order after dropping `draggedId` onto `targetId` in a list of ids: the
+ * dragged favorite takes the target's place and the rest shift down.
+ */
+export function moveBefore(ids, draggedId, targetId) {
+  const rest = ids.filter((id) => id !== draggedId);
+  const index = rest.indexOf(targetId);
+  if (index === -1) return [...rest, draggedId];
+  return [...rest.slice(0, index), draggedId, ...rest.slice(index)];
+}
@@ -0,0 +1,77 @@
+// src/utils/folderTree.js - Helpers for the nested folder structure of a team library
+
+// Drag payload types, so folders and prompt cards can share drop targets
+export const FOLDER_DRAG_TYPE = "application/x-prompt-folder";
+export const PROMPT_DRAG_TYPE = "application/x-prompt-id";
+
+// Selection value for prompts that are not in any folder
+export const UNFILED = "unfiled";
+
+function byOrder(a, b) {
+  return (a.order ?? 0) - (b.order ?? 0) || (a.name || "").localeCompare(b.name || "");
+}
+
+// Direct children of a folder (parentId null = top level), sorted for display
+export function getChildFolders(folders, parentId = null) {
+  return folders
+    .filter((f) => (f.parentId || null) === parentId)
+    .sort(byOrder);
+}
+
+// Nested tree: [{ ...folder, children: [...] }]
+export function buildFolderTree(folders, parentId = null) {
+  return getChildFolders(folders, parentId).map((folder) => ({
+    ...folder,
+    children: buildFolderTree(folders, folder.id),
+  }));
+}
+
+// Folders from the top level down to the given folder, for breadcrumbs
+export function getFolderPath(folders, folderId) {
+  const byId = new Map(folders.map((f) => [f.id, f]));
+  const path = [];
+  let current = byId.get(folderId);
+
+  // The visited set guards against cycles in corrupted data
+  const visited = new Set();
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift(current);
+    current = byId.get(current.parentId);
+  }
+
+  return path;
+}
+
+// IDs of every folder nested anywhere below the given folder
+export function getDescendantIds(folders, folderId) {
+  const ids = [];
+  const stack = [folderId];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    for (const child of folders.filter((f) => f.parentId === id)) {
+      if (!ids.includes(child.id)) {
+        ids.push(child.id);
+        stack.push(child.id);
+      }
+    }
+  }
+
+  return ids;
+}
+
+// A folder can't be moved into itself or one of its own descendants
+export function canMoveFolder(folders, folderId, targetParentId) {
+  if (!targetParentId) return true;
+  if (folderId === targetParentId) return false;
+  return !getDescendantIds(folders, folderId).includes(targetParentId);
+}
+
+// Flatten the folder tree into indented <option> labels
+export function folderOptions(nodes, depth = 0) {
+  return nodes.flatMap((node) => [
+    { id: node.id, label: `${"\u00A0\u00A0".repeat(depth)}📁 ${node.name}` },
+    ...folderOptions(node.children, depth + 1),
+  ]);
+}
@@ -0,0 +1,370 @@
+// src/utils/markdown.js - Markdown parsing for prompt text and comments
+import { mentionAt } from "./mentions";
+
+/**
+ * Markdown is parsed into a small tree of blocks and inline nodes and
+ * rendered as React elements (see components/Markdown), never as HTML, so
+ * any markup in the text shows up as text. Supported: headings, paragraphs,
+ * lists (nested by indentation), block quotes, rules, fenced code blocks,
+ * inline code, bold, italics, strikethrough, links and @mentions.
+ */
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Only these link targets are rendered as links
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+export function safeHref(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function startsBlock(line) {
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line)
+  );
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = line.match(LIST_ITEM);
+
+    if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+      items.push({
+        lines: [item[3]],
+        contentIndent: item[1].length + item[2].length + 1,
+      });
+    } else if (line.trim() && indentOf(line) > indent) {
+      // Nested lists and continuation lines belong to the item above
+      const current = items[items.length - 1];
+      current.lines.push(
+        line.slice(Math.min(indentOf(line), current.contentIndent))
+      );
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  return {
+    block: {
+      type: "list",
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      items: items.map((item) => parseBlocks(item.lines)),
+    },
+    next: i,
+  };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({
+        type: "code",
+        language: fence[2].toLowerCase(),
+        text: code.join("\n"),
+      });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ""));
+        i++;
+      }
+      blocks.push({ type: "quote", children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    // Paragraphs keep their line breaks; prompts rely on them
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({
+      type: "paragraph",
+      children: parseInline(paragraph.join("\n")),
+    });
+  }
+
+  return blocks;
+}
+
+export function parseMarkdown(text) {
+  return parseBlocks(
+    String(text || "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+  );
+}
+
+const EMPHASIS = [
+  { delimiter: "**", type: "strong" },
+  { delimiter: "__", type: "strong" },
+  { delimiter: "~~", type: "strike" },
+  { delimiter: "*", type: "em" },
+  { delimiter: "_", type: "em" },
+];
+
+// Closing delimiter for emphasis opened at `start`, or -1
+function closingDelimiter(text, start, delimiter) {
+  const from = start + delimiter.length;
+  if (!text[from] || /\s/.test(text[from])) return -1;
+
+  let close = text.indexOf(delimiter, from + 1);
+  // A single * or _ shouldn't close on half of a ** or __
+  while (
+    close !== -1 &&
+    delimiter.length === 1 &&
+    text[close + 1] === delimiter
+  ) {
+    close = text.indexOf(delimiter, close + 2);
+  }
+  if (close === -1 || /\s/.test(text[close - 1])) return -1;
+  // snake_case words aren't emphasis
+  if (delimiter[0] === "_" && /\w/.test(text[close + delimiter.length] || "")) {
+    return -1;
+  }
+  return close;
+}
+
+/**
+ * Inline nodes: text, code, strong, em, strike, link (with a safe href
+ * only) and mention. Mention tokens are matched before any Markdown, so a
+ * mention's `[Name](uid)` never turns into a link.
+ */
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = "";
+  let i = 0;
+
+  function flush() {
+    if (buffer) nodes.push({ type: "text", text: buffer });
+    buffer = "";
+  }
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    if (char === "\\" && /[\\`*_~[\]()#>!@-]/.test(text[i + 1] || "")) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    const mention = char === "@" ? mentionAt(text, i) : null;
+    if (mention) {
+      flush();
+      nodes.push({ type: "mention", name: mention.name, uid: mention.uid });
+      i += mention.length;
+      continue;
+    }
+
+    if (char === "`") {
+      const close = text.indexOf("`", i + 1);
+      if (close > i + 1) {
+        flush();
+        nodes.push({ type: "code", text: text.slice(i + 1, close) });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    const link = char === "[" && rest.match(/^\[([^\]\n]+)\]\(([^)\s]+)\)/);
+    if (link) {
+      const href = safeHref(link[2]);
+      flush();
+      nodes.push(
+        href
+          ? { type: "link", href, children: parseInline(link[1]) }
+          : { type: "text", text: link[1] }
+      );
+      i += link[0].length;
+      continue;
+    }
+
+    const url =
+      (i === 0 || /[\s(]/.test(text[i - 1])) &&
+      rest.match(/^https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/);
+    if (url && safeHref(url[0])) {
+      flush();
+      nodes.push({
+        type: "link",
+        href: safeHref(url[0]),
+        children: [{ type: "text", text: url[0] }],
+      });
+      i += url[0].length;
+      continue;
+    }
+
+    const emphasis = EMPHASIS.find(
+      ({ delimiter }) =>
+        rest.startsWith(delimiter) &&
+        !(delimiter[0] === "_" && /\w/.test(text[i - 1] || ""))
+    );
+    const close = emphasis ? closingDelimiter(text, i, emphasis.delimiter) : -1;
+    if (close !== -1) {
+      flush();
+      nodes.push({
+        type: emphasis.type,
+        children: parseInline(text.slice(i + emphasis.delimiter.length, close)),
+      });
+      i = close + emphasis.delimiter.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+const KEYWORDS = {
+  js: "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield",
+  python:
+    "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+  bash: "case do done echo elif else esac exit export fi for function if in local return then until while",
+  sql: "and as asc by count create delete desc distinct from group having in inner insert into is join left like limit not null on or order outer right select set table update values where",
+  json: "true false null",
+  yaml: "true false null yes no",
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  tsx: "js",
+  typescript: "js",
+  py: "python",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  yml: "yaml",
+};
+
+function commentPattern(language) {
+  if (["python", "bash", "yaml"].includes(language)) return "#[^\\n]*";
+  if (language === "sql") return "--[^\\n]*";
+  return "\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/";
+}
+
+/**
+ * Split code into [{ type, text }] tokens for highlighting, with type
+ * "comment", "string", "number", "keyword" or "plain". Languages without
+ * highlighting come back as a single plain token.
+ */
+export function highlightCode(code, language) {
+  const name = LANGUAGE_ALIASES[language] || language;
+  if (!KEYWORDS[name]) return [{ type: "plain", text: code }];
+
+  const keywords = new Set(KEYWORDS[name].split(" "));
+  const caseInsensitive = name === "sql";
+  const pattern = new RegExp(
+    `(${commentPattern(name)})` +
+      "|(\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'|`(?:\\\\.|[^`\\\\])*`)" +
+      "|(\\b\\d+(?:\\.\\d+)?\\b)" +
+      "|([A-Za-z_$][\\w$]*)",
+    "g"
+  );
+
+  const tokens = [];
+  function push(type, text) {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.text += text;
+    else tokens.push({ type, text });
+  }
+
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > last) push("plain", code.slice(last, match.index));
+    const [text, comment, string, number] = match;
+    const word = caseInsensitive ? text.toLowerCase() : text;
+    push(
+      comment
+        ? "comment"
+        : string
+          ? "string"
+          : number
+            ? "number"
+            : keywords.has(word)
+              ? "keyword"
+              : "plain",
+      text
+    );
+    last = match.index + text.length;
+  }
+  if (last < code.length) push("plain", code.slice(last));
+  return tokens;
+}
@@ -0,0 +1,109 @@
+// src/utils/mentions.js - @mentions in comment text
+
+/**
+ * Mentions are stored in the text as `@[Display Name](uid)`, so they keep
+ * pointing at the right member after a rename and still read sensibly as
+ * plain text. The mentioned uids are also stored on the comment.
+ */
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+export function mentionToken(name, uid) {
+  return `@[${name.replace(/[[\]\n]/g, "")}](${uid})`;
+}
+
+// Unique uids mentioned in a text, in order of appearance
+export function parseMentions(text) {
+  const uids = [];
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    if (!uids.includes(match[2])) uids.push(match[2]);
+  }
+  return uids;
+}
+
+// The mention token starting at `index`, as { name, uid, length }, or null
+export function mentionAt(text, index) {
+  const pattern = new RegExp(MENTION_PATTERN.source, "y");
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match
+    ? { name: match[1], uid: match[2], length: match[0].length }
+    : null;
+}
+
+/**
+ * Split text into segments for rendering:
+ * [{ type: "text", text }] and [{ type: "mention", uid, name }].
+ */
+export function splitMentions(text) {
+  const segments = [];
+  let last = 0;
+  const source = String(text || "");
+
+  for (const match of source.matchAll(MENTION_PATTERN)) {
+    if (match.index > last) {
+      segments.push({ type: "text", text: source.slice(last, match.index) });
+    }
+    segments.push({ type: "mention", name: match[1], uid: match[2] });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) {
+    segments.push({ type: "text", text: source.slice(last) });
+  }
+  return segments;
+}
+
+// Text with mentions shown as "@Display Name", for previews and lengths
+export function mentionPlainText(text) {
+  return String(text || "").replace(MENTION_PATTERN, "@$1");
+}
+
+/**
+ * The mention being typed just before the caret, as { start, query }
+ * where `start` is the index of the "@", or null when not in a mention.
+ */
+export function activeMentionQuery(text, caret) {
+  const before = String(text || "").slice(0, caret);
+  const match = before.match(/(^|\s)@([^\s@[\]()]*)$/);
+  if (!match) return null;
+  return { start: before.length - match[2].length - 1, query: match[2] };
+}
+
+/**
+ * Team members matching a partial name or email, best matches first.
+ * `members` maps uid to profile ({ name, email }).
+ */
+export function suggestMembers(
+  query,
+  members,
+  { exclude = [], limit = 6 } = {}
+) {
+  const q = query.toLowerCase();
+  return Object.entries(members)
+    .filter(([uid]) => !exclude.includes(uid))
+    .map(([uid, profile]) => ({
+      uid,
+      name: profile?.name || profile?.email || "Unknown user",
+      email: profile?.email || "",
+    }))
+    .filter(
+      (member) =>
+        member.name.toLowerCase().includes(q) ||
+        member.email.toLowerCase().includes(q)
+    )
+    .sort(
+      (a, b) =>
+        Number(!a.name.toLowerCase().startsWith(q)) -
+          Number(!b.name.toLowerCase().startsWith(q)) ||
+        a.name.localeCompare(b.name)
+    )
+    .slice(0, limit);
+}
+
+// Replace the mention being typed with a token; returns the new text and caret
+export function insertMention(text, { start }, caret, member) {
+  const token = `${mentionToken(member.name, member.uid)} `;
+  return {
+    text: text.slice(0, start) + token + text.slice(caret),
+    caret: start + token.length,
+  };
+}
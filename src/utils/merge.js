@@ -0,0 +1,49 @@
+// src/utils/merge.js - Field-level three-way merge for concurrent prompt edits
+
+// Prompt fields that the editor can change
+export const MERGE_FIELDS = [
+  "title",
+  "text",
+  "tags",
+  "variables",
+  "examples",
+  "visibility",
+  "sharedWith",
+];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Merge two edits of the same base. A field changed on only one side takes
+ * that side's value; a field changed differently on both sides is a conflict
+ * and provisionally takes "yours".
+ * Returns { merged, conflicts } where conflicts lists the conflicting fields.
+ */
+export function threeWayMerge(base, theirs, yours, fields = MERGE_FIELDS) {
+  const merged = {};
+  const conflicts = [];
+
+  fields.forEach((field) => {
+    const b = base[field];
+    const t = theirs[field];
+    const y = yours[field];
+
+    if (sameValue(y, b)) {
+      merged[field] = t;
+    } else if (sameValue(t, b) || sameValue(t, y)) {
+      merged[field] = y;
+    } else {
+      merged[field] = y;
+      conflicts.push(field);
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+// Fields that differ between two versions
+export function changedFields(a, b, fields = MERGE_FIELDS) {
+  return fields.filter((field) => !sameValue(a[field], b[field]));
+}
@@ -0,0 +1,43 @@
+// src/utils/notifications.js - Wording for inbox notifications
+
+const STATUS_VERBS = {
+  approve: "approved",
+  publish: "approved",
+  reject: "sent back",
+  deprecate: "deprecated",
+  reinstate: "reinstated",
+};
+
+/**
+ * One line describing a notification, e.g. `Ann replied to your comment on
+ * "Summarizer"`. `actorName` is the sender's display name.
+ */
+export function describeNotification(notification, actorName = "Someone") {
+  const prompt = `"${notification.promptTitle || "a prompt"}"`;
+  const team = notification.teamName || "a team";
+
+  switch (notification.type) {
+    case "invite":
+      return `${actorName} invited you to join ${team} as ${
+        notification.role || "member"
+      }`;
+    case "mention":
+      return `${actorName} mentioned you on ${prompt}`;
+    case "reply":
+      return `${actorName} replied to your comment on ${prompt}`;
+    case "rating":
+      return `${actorName} rated ${prompt} ${"★".repeat(
+        notification.rating || 0
+      )}`;
+    case "approval":
+      return `${actorName} ${
+        STATUS_VERBS[notification.transition] || "changed the status of"
+      } ${prompt}`;
+    case "role":
+      return `${actorName} made you ${
+        notification.role === "admin" ? "an admin" : "a member"
+      } of ${team}`;
+    default:
+      return `${actorName} sent you a notification`;
+  }
+}
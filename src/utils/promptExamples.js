@@ -0,0 +1,71 @@
+// src/utils/promptExamples.js - Example input/output pairs stored on prompts
+
+// Whether the output is what the prompt should produce or what a model did produce
+export const OUTPUT_KINDS = {
+  expected: { label: "Expected output" },
+  observed: { label: "Observed output" },
+};
+
+/**
+ * An example holds either values for the prompt's {{variables}} or, for
+ * prompts without variables, free-form input text that goes with the prompt.
+ */
+export function createExample(variableNames = []) {
+  return {
+    id: crypto.randomUUID(),
+    variables: Object.fromEntries(variableNames.map((name) => [name, ""])),
+    input: "",
+    output: "",
+    outputKind: "expected",
+    model: "",
+  };
+}
+
+function isEmptyExample(example) {
+  return (
+    !example.input.trim() &&
+    !example.output.trim() &&
+    Object.values(example.variables).every((value) => !value.trim())
+  );
+}
+
+/**
+ * Examples in the shape they are saved: trimmed, blank ones dropped, and
+ * variable values kept only for variables still used in the prompt text.
+ * Also accepts examples from imported files, which may be missing fields.
+ */
+export function cleanExamples(examples, variableNames) {
+  if (!Array.isArray(examples)) return [];
+
+  return examples
+    .filter((example) => example && typeof example === "object")
+    .map((example) => {
+      const values = example.variables || {};
+      return {
+        id: example.id || crypto.randomUUID(),
+        variables: Object.fromEntries(
+          variableNames
+            .filter((name) => values[name] !== undefined)
+            .map((name) => [name, String(values[name]).trim()])
+        ),
+        input: String(example.input || "").trim(),
+        output: String(example.output || "").trim(),
+        outputKind: OUTPUT_KINDS[example.outputKind]
+          ? example.outputKind
+          : "expected",
+        model: String(example.model || "").trim(),
+      };
+    })
+    .filter((example) => !isEmptyExample(example));
+}
+
+// Examples without ids, for exports and fixtures
+export function exportExamples(examples = []) {
+  return examples.map(({ variables, input, output, outputKind, model }) => ({
+    variables,
+    input,
+    output,
+    outputKind,
+    model,
+  }));
+}
@@ -0,0 +1,232 @@
+// src/utils/promptLint.js - Configurable lint rules checked against prompt text
+import { TokenEstimator } from "../components/AIModelTools";
+
+// What a prompt says about itself, shared with AIEnhancementService
+export const PROMPT_SIGNALS = {
+  hasInstructions: /please|must|should|need to|required|ensure|make sure/i,
+  hasExamples: /example|for instance|such as|like|e\.g\.|i\.e\./i,
+  hasContext: /context|background|about|regarding|concerning/i,
+  hasConstraints: /don't|avoid|without|except|only|limit|maximum|minimum/i,
+  hasFormat: /format|structure|organize|list|table|bullet|numbered/i,
+};
+
+export function detectSignals(text) {
+  return Object.fromEntries(
+    Object.entries(PROMPT_SIGNALS).map(([key, pattern]) => [
+      key,
+      pattern.test(text),
+    ])
+  );
+}
+
+export const SEVERITIES = {
+  error: { label: "Error", icon: "⛔", color: "var(--destructive)", rank: 0 },
+  warning: { label: "Warning", icon: "⚠️", color: "#eab308", rank: 1 },
+  info: { label: "Suggestion", icon: "💡", color: "var(--primary)", rank: 2 },
+};
+
+function wordCount(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+const minWordsOption = {
+  key: "minWords",
+  label: "Only for prompts longer than (words)",
+};
+
+// Rule for a signal the prompt should contain once it is long enough.
+// `satisfied` lets a rule accept something other than the text.
+function signalRule(id, signal, fields, satisfied = () => false) {
+  const { minWords = 50, ...rest } = fields;
+  return {
+    id,
+    ...rest,
+    options: [{ ...minWordsOption, default: minWords }],
+    check: (prompt, { minWords }) =>
+      wordCount(prompt.text) > minWords &&
+      !detectSignals(prompt.text)[signal] &&
+      !satisfied(prompt),
+  };
+}
+
+/**
+ * Every rule has an id, a default severity and a message. `check` returns
+ * true when the prompt breaks the rule; `options` are the numbers owners
+ * can tune per team.
+ */
+export const LINT_RULES = [
+  {
+    id: "min-length",
+    label: "Minimum length",
+    description: "Very short prompts rarely give the model enough to go on",
+    severity: "warning",
+    enabled: true,
+    options: [{ key: "minChars", label: "Minimum characters", default: 50 }],
+    message: ({ minChars }) => `Prompt is shorter than ${minChars} characters`,
+    check: ({ text }, { minChars }) => text.trim().length < minChars,
+  },
+  {
+    id: "max-tokens",
+    label: "Maximum tokens",
+    description: "Keep prompts within a token budget",
+    severity: "warning",
+    enabled: false,
+    options: [{ key: "maxTokens", label: "Maximum tokens", default: 800 }],
+    message: ({ maxTokens }, { text }) =>
+      `Prompt is about ${TokenEstimator.estimateTokens(
+        text
+      )} tokens, over the ${maxTokens} token limit`,
+    check: ({ text }, { maxTokens }) =>
+      TokenEstimator.estimateTokens(text) > maxTokens,
+  },
+  signalRule("require-instructions", "hasInstructions", {
+    label: "Clear instructions",
+    description: "Says what the model must or should do",
+    severity: "info",
+    enabled: true,
+    minWords: 0,
+    message: () =>
+      "No clear instruction - add action words like 'must', 'should' or 'make sure'",
+  }),
+  // Example pairs saved with the prompt count as examples too
+  signalRule(
+    "require-examples",
+    "hasExamples",
+    {
+      label: "Examples",
+      description: "Shows the model what a good answer looks like",
+      severity: "info",
+      enabled: true,
+      message: () => "No examples - add 'For example: ...' or example pairs",
+    },
+    (prompt) => prompt.examples?.length > 0
+  ),
+  signalRule("require-context", "hasContext", {
+    label: "Background context",
+    description: "Explains the situation the prompt is used in",
+    severity: "info",
+    enabled: true,
+    message: () => "No background context - add 'Context: ...'",
+  }),
+  signalRule("require-constraints", "hasConstraints", {
+    label: "Constraints",
+    description: "Says what to avoid or limit",
+    severity: "info",
+    enabled: true,
+    message: () => "No constraints - add 'Avoid X' or 'Limit to Y'",
+  }),
+  signalRule("require-format", "hasFormat", {
+    label: "Output format",
+    description: "Declares how the answer should be formatted",
+    severity: "info",
+    enabled: true,
+    message: () =>
+      "No output format - add 'Provide as bullet points' or 'Format: JSON'",
+  }),
+  {
+    id: "vague-language",
+    label: "Vague language",
+    description: "Short prompts that lean on words like 'this' or 'stuff'",
+    severity: "warning",
+    enabled: true,
+    options: [
+      {
+        key: "maxWords",
+        label: "Only for prompts shorter than (words)",
+        default: 30,
+      },
+    ],
+    message: () =>
+      "Vague words like 'it', 'this' or 'stuff' - name the subject",
+    check: ({ text }, { maxWords }) =>
+      wordCount(text) < maxWords &&
+      /\b(it|this|that|thing|stuff)\b/i.test(text),
+  },
+  {
+    id: "paragraph-breaks",
+    label: "Paragraph breaks",
+    description: "Long prompts split into sections",
+    severity: "info",
+    enabled: true,
+    options: [
+      {
+        key: "minChars",
+        label: "Only for prompts longer than (characters)",
+        default: 200,
+      },
+    ],
+    message: () =>
+      "No paragraph breaks - separate task, requirements and format",
+    check: ({ text }, { minChars }) =>
+      text.trim().length > minChars && !/\n/.test(text.trim()),
+  },
+  {
+    id: "ending-punctuation",
+    label: "Ending punctuation",
+    description: "Prompt ends with . ! or ?",
+    severity: "info",
+    enabled: false,
+    options: [],
+    message: () => "Missing ending punctuation",
+    check: ({ text }) => !/[.!?]$/.test(text.trim()),
+  },
+];
+
+const RULES_BY_ID = Object.fromEntries(
+  LINT_RULES.map((rule) => [rule.id, rule])
+);
+
+/**
+ * Rules with a team's overrides applied. Teams store only what they changed,
+ * as { [ruleId]: { enabled, severity, options } }, so new rules and new
+ * defaults reach every team.
+ */
+export function resolveLintRules(overrides = {}) {
+  return LINT_RULES.map((rule) => {
+    const override = overrides?.[rule.id] || {};
+    const options = Object.fromEntries(
+      rule.options.map((option) => {
+        const value = Number(override.options?.[option.key]);
+        return [
+          option.key,
+          Number.isFinite(value) && value >= 0 ? value : option.default,
+        ];
+      })
+    );
+    return {
+      ...rule,
+      enabled: override.enabled ?? rule.enabled,
+      severity: SEVERITIES[override.severity]
+        ? override.severity
+        : rule.severity,
+      values: options,
+    };
+  });
+}
+
+/**
+ * Check a prompt ({ text, examples, ... }) against a team's rules.
+ * Returns [{ ruleId, severity, message }], most severe first.
+ */
+export function lintPrompt(prompt, overrides) {
+  const subject = { ...prompt, text: String(prompt?.text || "") };
+  if (!subject.text.trim()) return [];
+
+  return resolveLintRules(overrides)
+    .filter((rule) => rule.enabled && rule.check(subject, rule.values))
+    .map((rule) => ({
+      ruleId: rule.id,
+      severity: rule.severity,
+      message: rule.message(rule.values, subject),
+    }))
+    .sort((a, b) => SEVERITIES[a.severity].rank - SEVERITIES[b.severity].rank);
+}
+
+// Violations that stop a prompt from being saved
+export function blockingViolations(violations) {
+  return violations.filter((violation) => violation.severity === "error");
+}
+
+export function getLintRule(ruleId) {
+  return RULES_BY_ID[ruleId];
+}
@@ -0,0 +1,35 @@
+// src/utils/promptStatus.js - Prompt lifecycle statuses and the transitions between them
+
+export const PROMPT_STATUSES = {
+  draft: { label: "Draft", icon: "📝", color: "var(--muted-foreground)" },
+  "in-review": { label: "In Review", icon: "👀", color: "#eab308" },
+  approved: { label: "Approved", icon: "✅", color: "#22c55e" },
+  deprecated: { label: "Deprecated", icon: "⛔", color: "var(--destructive)" },
+};
+
+// Status given to newly saved prompts
+export const INITIAL_STATUS = "draft";
+
+/**
+ * Allowed transitions. `by` says who may make them:
+ * "author" - the prompt's creator (or anyone who can edit all prompts),
+ * "reviewer" - owners and admins. Role checks live in useTeamRole.
+ */
+export const STATUS_TRANSITIONS = [
+  { id: "submit", from: "draft", to: "in-review", label: "Submit for Review", by: "author" },
+  { id: "withdraw", from: "in-review", to: "draft", label: "Withdraw", by: "author" },
+  { id: "approve", from: "in-review", to: "approved", label: "Approve", by: "reviewer" },
+  { id: "reject", from: "in-review", to: "draft", label: "Reject", by: "reviewer", requiresComment: true },
+  { id: "publish", from: "draft", to: "approved", label: "Approve Directly", by: "reviewer" },
+  { id: "deprecate", from: "approved", to: "deprecated", label: "Deprecate", by: "reviewer", allowsReplacement: true },
+  { id: "reinstate", from: "deprecated", to: "approved", label: "Reinstate", by: "reviewer" },
+];
+
+// Prompts saved before statuses existed were live, so they count as approved
+export function getPromptStatus(prompt) {
+  return PROMPT_STATUSES[prompt?.status] ? prompt.status : "approved";
+}
+
+export function getTransitionsFrom(status) {
+  return STATUS_TRANSITIONS.filter((t) => t.from === status);
+}
@@ -0,0 +1,17 @@
+// src/utils/promptVersions.js - What a prompt version records
+
+// Fields captured in each version snapshot, with their empty values
+export const VERSIONED_FIELDS = {
+  title: "",
+  text: "",
+  tags: [],
+  variables: [],
+  examples: [],
+};
+
+export function versionSnapshot(data) {
+  return Object.entries(VERSIONED_FIELDS).reduce((acc, [field, empty]) => {
+    acc[field] = data[field] ?? empty;
+    return acc;
+  }, {});
+}
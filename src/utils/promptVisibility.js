@@ -0,0 +1,58 @@
+// src/utils/promptVisibility.js - Who can see a prompt inside its team
+// (canReadPrompt in firestore.rules enforces the same)
+
+export const PROMPT_VISIBILITY = {
+  team: {
+    label: "Whole team",
+    icon: "👥",
+    description: "Every team member can see this prompt",
+  },
+  members: {
+    label: "Chosen members",
+    icon: "🔗",
+    description: "Only you and the members you pick can see this prompt",
+  },
+  private: {
+    label: "Only me",
+    icon: "🔒",
+    description: "Work on this prompt privately before sharing it",
+  },
+};
+
+// Prompts saved before visibility existed were visible to the whole team
+export function getPromptVisibility(prompt) {
+  return PROMPT_VISIBILITY[prompt?.visibility] ? prompt.visibility : "team";
+}
+
+export function canViewPrompt(prompt, userId) {
+  if (!prompt) return false;
+  if (prompt.createdBy && prompt.createdBy === userId) return true;
+
+  switch (getPromptVisibility(prompt)) {
+    case "private":
+      return false;
+    case "members":
+      return Array.isArray(prompt.sharedWith) && prompt.sharedWith.includes(userId);
+    default:
+      return true;
+  }
+}
+
+// Visibility fields to store on a prompt; sharedWith only applies to "members"
+export function visibilityFields(visibility, sharedWith = []) {
+  return {
+    visibility,
+    sharedWith: visibility === "members" ? sharedWith : [],
+  };
+}
+
+// One where clause per way a prompt is visible to the user (see
+// visiblePromptQueries); `prefix` reaches a prompt copied into another
+// document, like a trashed one
+export function visibilityClauses(userId, prefix = "") {
+  return [
+    [[`${prefix}visibility`, "==", "team"]],
+    [[`${prefix}createdBy`, "==", userId]],
+    [[`${prefix}sharedWith`, "array-contains", userId]],
+  ];
+}
@@ -0,0 +1,19 @@
+// src/utils/shareLinks.js - Which prompts public share links may keep
+import { getPromptVisibility } from "./promptVisibility.js";
+
+// Share links are public, so they only keep prompts the whole team shares
+export function isShareable(prompt) {
+  return Boolean(prompt) && getPromptVisibility(prompt) === "team";
+}
+
+// The prompt IDs and snapshots a link keeps once `promptIds` leave it, or
+// null when it holds none of them
+export function withoutPrompts(link, promptIds) {
+  const dropped = new Set(promptIds);
+  if (!(link.promptIds || []).some((id) => dropped.has(id))) return null;
+
+  return {
+    promptIds: link.promptIds.filter((id) => !dropped.has(id)),
+    prompts: (link.prompts || []).filter((p) => !dropped.has(p.id)),
+  };
+}
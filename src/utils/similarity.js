@@ -0,0 +1,154 @@
+// src/utils/similarity.js - TF-IDF cosine similarity for spotting near-duplicate prompts
+
+// Prompts at least this similar are flagged as likely duplicates
+export const DUPLICATE_THRESHOLD = 0.7;
+
+// Words plus neighbouring word pairs, so reordered text scores lower
+// than a copy with a few words changed
+function terms(prompt) {
+  const words =
+    `${prompt.title || ""} ${prompt.text || ""}`
+      .toLowerCase()
+      .match(/[\p{L}\p{N}_]+/gu) || [];
+  const bigrams = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+  return [...words, ...bigrams];
+}
+
+function termCounts(prompt) {
+  const counts = new Map();
+  terms(prompt).forEach((term) =>
+    counts.set(term, (counts.get(term) || 0) + 1)
+  );
+  return counts;
+}
+
+/**
+ * Build TF-IDF vectors for a set of prompts. Terms that appear in most of
+ * the library ("the", "you", ...) weigh little, so shared boilerplate does
+ * not make unrelated prompts look alike.
+ */
+function buildVectors(prompts) {
+  const counts = prompts.map(termCounts);
+  const documentFrequency = new Map();
+  counts.forEach((termMap) =>
+    termMap.forEach((_, term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+
+  const total = prompts.length;
+  return counts.map((termMap) => {
+    const vector = new Map();
+    let norm = 0;
+    termMap.forEach((count, term) => {
+      const idf = Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1;
+      const weight = count * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    return { vector, norm: Math.sqrt(norm) };
+  });
+}
+
+function cosine(a, b) {
+  if (!a.norm || !b.norm) return 0;
+  const [small, large] =
+    a.vector.size <= b.vector.size
+      ? [a.vector, b.vector]
+      : [b.vector, a.vector];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot / (a.norm * b.norm);
+}
+
+// Prompts the author marked as deliberate variants of each other
+export function isLinkedPair(a, b) {
+  const linked = (from, to) =>
+    (from.linkedPrompts || []).some((link) => link.promptId === to.id);
+  return linked(a, b) || linked(b, a);
+}
+
+/**
+ * Prompts in `library` similar to `prompt`, most similar first.
+ * Returns [{ prompt, score }] with scores between 0 and 1.
+ */
+export function findSimilarPrompts(
+  prompt,
+  library,
+  { threshold = DUPLICATE_THRESHOLD, limit = 5 } = {}
+) {
+  const others = library.filter((p) => !prompt.id || p.id !== prompt.id);
+  if (others.length === 0) return [];
+
+  const [target, ...vectors] = buildVectors([prompt, ...others]);
+  return others
+    .map((p, i) => ({ prompt: p, score: cosine(target, vectors[i]) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Group a library into clusters of similar prompts. Similarity is chained,
+ * so A~B and B~C put all three in one cluster. Linked variants are left out.
+ * Returns [{ prompts, pairs: [{ a, b, score }], score }] largest first.
+ */
+export function findDuplicateClusters(
+  prompts,
+  { threshold = DUPLICATE_THRESHOLD } = {}
+) {
+  const vectors = buildVectors(prompts);
+  const parent = prompts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = [];
+
+  for (let i = 0; i < prompts.length; i++) {
+    for (let j = i + 1; j < prompts.length; j++) {
+      if (isLinkedPair(prompts[i], prompts[j])) continue;
+      const score = cosine(vectors[i], vectors[j]);
+      if (score < threshold) continue;
+      pairs.push({ a: prompts[i], b: prompts[j], score, root: i });
+      parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  prompts.forEach((prompt, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, { prompts: [], pairs: [] });
+    clusters.get(root).prompts.push(prompt);
+  });
+  pairs.forEach(({ root, ...pair }) =>
+    clusters.get(find(root)).pairs.push(pair)
+  );
+
+  return Array.from(clusters.values())
+    .filter((cluster) => cluster.pairs.length > 0)
+    .map((cluster) => ({
+      ...cluster,
+      pairs: cluster.pairs.sort((x, y) => y.score - x.score),
+      score: Math.max(...cluster.pairs.map((pair) => pair.score)),
+    }))
+    .sort((x, y) => y.prompts.length - x.prompts.length || y.score - x.score);
+}
+
+/**
+ * Fold an incoming prompt into an existing one: tags, template variables
+ * and examples are combined, the text is the caller's choice.
+ */
+export function mergePromptValues(existing, incoming, text) {
+  const tags = [
+    ...new Set([...(existing.tags || []), ...(incoming.tags || [])]),
+  ];
+  const variables = [...(existing.variables || [])];
+  (incoming.variables || []).forEach((variable) => {
+    if (!variables.some((v) => v.name === variable.name)) {
+      variables.push(variable);
+    }
+  });
+  const examples = [...(existing.examples || []), ...(incoming.examples || [])];
+  return { text, tags, variables, examples };
+}
@@ -0,0 +1,149 @@
+// src/utils/tags.js - Tag normalisation against a team's tag registry
+
+// Colours offered for registered tags
+export const TAG_COLORS = [
+  "#00c8ff",
+  "#22c55e",
+  "#eab308",
+  "#f97316",
+  "#ef4444",
+  "#ec4899",
+  "#a855f7",
+  "#64748b",
+];
+
+/**
+ * The identity of a tag: case, whitespace and the separators "-", "_" and
+ * "." (except a leading one) are ignored, so "SEO", "seo" and "s.e.o" are
+ * the same tag while "C", "C++" and "C#", or ".NET" and "NET", are not.
+ * "/" is ignored too, as keys name registry documents. Tags made only of
+ * separators keep their lowercased name, with "/", "." and "_" encoded so it
+ * can name a document too (IDs can't hold "/", be "." or ".." or start and
+ * end with "__").
+ */
+export function tagKey(name) {
+  const trimmed = String(name || "")
+    .trim()
+    .toLowerCase();
+  const key = trimmed.replace(/[\s\-_/]+|(?<!^)\.+/gu, "");
+  if (key && key !== ".") return key;
+  return trimmed.replace(
+    /[/._]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+// Split comma-separated input into tags
+export function parseTags(input) {
+  return String(input || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+// Registered tag for a name, or undefined
+export function findTag(registry, name) {
+  const key = tagKey(name);
+  return registry.find((tag) => tag.id === key);
+}
+
+/**
+ * Tags spelled the way the registry spells them, with variants of the same
+ * tag collapsed into one. Unregistered tags are kept as typed.
+ */
+export function canonicalTags(tags, registry = []) {
+  const seen = new Set();
+  const result = [];
+  (tags || []).forEach((tag) => {
+    const key = tagKey(tag);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    result.push(findTag(registry, tag)?.name || tag.trim());
+  });
+  return result;
+}
+
+/**
+ * `tags` with every variant of `sourceNames` renamed to `targetName`, or
+ * null when there is none to rename (see mergeTags in src/lib/tags.js)
+ */
+export function renameTags(tags, sourceNames, targetName) {
+  const sourceKeys = new Set(sourceNames.map(tagKey));
+  const target = targetName.trim();
+  if (!(tags || []).some((tag) => sourceKeys.has(tagKey(tag)))) return null;
+
+  return canonicalTags(
+    tags.map((tag) => (sourceKeys.has(tagKey(tag)) ? target : tag)),
+    [{ id: tagKey(target), name: target }]
+  );
+}
+
+/**
+ * Tags used by a set of prompts, most used first:
+ * [{ key, name, variants, count }]. `name` is the registry spelling, or
+ * the most common spelling for unregistered tags.
+ */
+export function countTags(prompts, registry = []) {
+  const byKey = new Map();
+  prompts.forEach((prompt) => {
+    const counted = new Set();
+    (prompt.tags || []).forEach((tag) => {
+      const key = tagKey(tag);
+      if (!key) return;
+      if (!byKey.has(key)) byKey.set(key, { key, count: 0, spellings: {} });
+      const entry = byKey.get(key);
+      entry.spellings[tag] = (entry.spellings[tag] || 0) + 1;
+      if (!counted.has(key)) entry.count += 1;
+      counted.add(key);
+    });
+  });
+
+  return Array.from(byKey.values())
+    .map(({ key, count, spellings }) => {
+      const variants = Object.keys(spellings).sort(
+        (a, b) => spellings[b] - spellings[a]
+      );
+      return {
+        key,
+        name: registry.find((tag) => tag.id === key)?.name || variants[0],
+        variants,
+        count,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Suggestions for the tag being typed at the end of comma-separated input,
+ * registered tags first. Tags already entered are left out.
+ */
+export function suggestTags(input, registry = [], usedTags = [], limit = 6) {
+  const parts = String(input || "").split(",");
+  const partial = tagKey(parts[parts.length - 1]);
+  if (!partial) return [];
+
+  const entered = new Set(parts.slice(0, -1).map(tagKey));
+  const names = [
+    ...registry.map((tag) => tag.name),
+    ...usedTags.filter((name) => !findTag(registry, name)),
+  ];
+
+  return names
+    .filter((name) => {
+      const key = tagKey(name);
+      return key.includes(partial) && key !== partial && !entered.has(key);
+    })
+    .sort(
+      (a, b) =>
+        Number(!tagKey(a).startsWith(partial)) -
+        Number(!tagKey(b).startsWith(partial))
+    )
+    .slice(0, limit);
+}
+
+// Replace the tag being typed with a suggestion
+export function completeTag(input, name) {
+  const parts = String(input || "").split(",");
+  parts[parts.length - 1] = ` ${name}`;
+  return `${parts.join(",").trim()}, `;
+}
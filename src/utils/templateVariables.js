@@ -0,0 +1,79 @@
+// src/utils/templateVariables.js - {{variable}} detection and rendering for prompt templates
+
+// Matches {{ name }} placeholders; names may contain letters, digits, _ . and -
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w.-]*)\s*\}\}/g;
+
+// Find the unique variable names used in a prompt, in order of first appearance
+export function extractVariables(text) {
+  const names = [];
+  for (const match of (text || "").matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+export function createVariableMeta(name) {
+  return { name, defaultValue: "", description: "", required: false };
+}
+
+/**
+ * Merge the variables detected in the text with stored metadata.
+ * Returns { used, unused } where `used` has one entry per detected variable
+ * (keeping any stored metadata) and `unused` holds metadata for variables
+ * that are declared but no longer appear in the text.
+ */
+export function syncVariables(text, variables = []) {
+  const detected = extractVariables(text);
+  const byName = new Map(variables.map((v) => [v.name, v]));
+
+  return {
+    used: detected.map((name) => ({
+      ...createVariableMeta(name),
+      ...byName.get(name),
+    })),
+    unused: variables.filter((v) => !detected.includes(v.name)),
+  };
+}
+
+// Initial form values for a template: each variable's default value
+export function defaultValues(variables = []) {
+  return variables.reduce((acc, v) => {
+    acc[v.name] = v.defaultValue || "";
+    return acc;
+  }, {});
+}
+
+// Names of required variables that have no value
+export function missingRequired(variables = [], values = {}) {
+  return variables
+    .filter((v) => v.required && !String(values[v.name] ?? "").trim())
+    .map((v) => v.name);
+}
+
+// Replace placeholders with values; unknown or empty variables are left as-is
+export function renderTemplate(text, values = {}) {
+  return (text || "").replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    return value === undefined || value === "" ? placeholder : String(value);
+  });
+}
+
+// Split text into plain and variable segments for highlighting
+export function splitTemplate(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of (text || "").matchAll(VARIABLE_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", value: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: "variable", value: match[0], name: match[1] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (text || "").length) {
+    segments.push({ type: "text", value: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
@@ -0,0 +1,10 @@
+// src/utils/trash.js - Trash retention, shared by the app and the purge job
+
+// Days a trashed prompt is kept when the team hasn't configured a retention
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Retention configured on a team document, falling back to the default;
+// 0 keeps trashed prompts until they are purged by hand
+export function getTrashRetention(teamData) {
+  return teamData?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+}
@@ -0,0 +1,58 @@
+// tests/diff.test.js - Word diffs between prompt versions, run with `npm test`
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { diffStats, diffWords } from "../src/utils/diff.js";
+
+// The old and new text, rebuilt from a diff
+function sides(parts) {
+  const text = (type) =>
+    parts
+      .filter((p) => p.type === "equal" || p.type === type)
+      .map((p) => p.value)
+      .join("");
+  return [text("removed"), text("added")];
+}
+
+describe("diffWords", () => {
+  it("marks changed words", () => {
+    assert.deepEqual(diffWords("Write a short poem", "Write a long poem"), [
+      { type: "equal", value: "Write a " },
+      { type: "removed", value: "short" },
+      { type: "added", value: "long" },
+      { type: "equal", value: " poem" },
+    ]);
+  });
+
+  it("handles empty and identical texts", () => {
+    assert.deepEqual(diffWords("", ""), []);
+    assert.deepEqual(diffWords("", "Hi"), [{ type: "added", value: "Hi" }]);
+    assert.deepEqual(diffWords("Same text", "Same text"), [
+      { type: "equal", value: "Same text" },
+    ]);
+  });
+
+  it("falls back to whole lines for very large rewrites", () => {
+    const lines = (prefix) =>
+      Array.from({ length: 900 }, (_, i) => `${prefix} ${i} one two\n`);
+    const oldText = lines("old").join("");
+    const newLines = lines("new");
+    newLines[400] = "old 400 one two\n";
+    const newText = newLines.join("");
+
+    const parts = diffWords(oldText, newText);
+    assert.deepEqual(sides(parts), [oldText, newText]);
+    assert.ok(
+      parts.some((p) => p.type === "equal" && p.value === "old 400 one two\n")
+    );
+  });
+
+  it("keeps unchanged ends out of the table", () => {
+    const common = "word ".repeat(5000);
+    const parts = diffWords(`${common}cat ${common}`, `${common}dog ${common}`);
+    assert.deepEqual(diffStats(parts), { added: 1, removed: 1 });
+    assert.deepEqual(sides(parts), [
+      `${common}cat ${common}`,
+      `${common}dog ${common}`,
+    ]);
+  });
+});
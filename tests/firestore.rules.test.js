@@ -0,0 +1,1074 @@
+// tests/firestore.rules.test.js - Security rules tests, run against the Firestore emulator
+// with `npm run test:rules` (needs the Firebase CLI and Java for the emulator)
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  Timestamp,
+  arrayRemove,
+  arrayUnion,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  collectionGroup,
+  increment,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+
+const TEAM = "team-1";
+const PROMPT = "prompt-1";
+
+// uid -> role on TEAM; "outsider" belongs to no team
+const USERS = {
+  owner: "owner",
+  admin: "admin",
+  alice: "member",
+  bob: "member",
+};
+
+let testEnv;
+
+function dbFor(uid, email = `${uid}@example.com`) {
+  return testEnv.authenticatedContext(uid, { email }).firestore();
+}
+
+const ownerDb = () => dbFor("owner");
+const adminDb = () => dbFor("admin");
+const aliceDb = () => dbFor("alice");
+const bobDb = () => dbFor("bob");
+const outsiderDb = () => dbFor("outsider");
+const anonDb = () => testEnv.unauthenticatedContext().firestore();
+
+async function seed(write) {
+  await testEnv.withSecurityRulesDisabled((context) =>
+    write(context.firestore())
+  );
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "prompt-teams-rules",
+    firestore: {
+      rules: readFileSync(
+        new URL("../firestore.rules", import.meta.url),
+        "utf8"
+      ),
+    },
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(async (db) => {
+    await setDoc(doc(db, "teams", TEAM), {
+      name: "Team One",
+      ownerId: "owner",
+      members: USERS,
+    });
+    await setDoc(doc(db, "teams", TEAM, "prompts", PROMPT), {
+      title: "Alice's prompt",
+      text: "Hello",
+      status: "draft",
+      version: 1,
+      createdBy: "alice",
+    });
+  });
+});
+
+describe("users", () => {
+  const userRef = (db, uid) => doc(db, "users", uid);
+
+  beforeEach(async () => {
+    await seed(async (db) => {
+      await setDoc(userRef(db, "alice"), { name: "Alice", teamIds: [TEAM] });
+      await setDoc(userRef(db, "bob"), {
+        name: "Bob",
+        teamIds: ["left-team", TEAM],
+      });
+      await setDoc(userRef(db, "outsider"), { name: "Out", teamIds: [TEAM] });
+    });
+  });
+
+  it("shows profiles to their user and teammates only", async () => {
+    await assertSucceeds(getDoc(userRef(aliceDb(), "alice")));
+    await assertSucceeds(getDoc(userRef(aliceDb(), "bob")));
+    await assertSucceeds(getDoc(userRef(bobDb(), "alice")));
+    // Listing the team doesn't make the outsider a member
+    await assertFails(getDoc(userRef(outsiderDb(), "alice")));
+    await assertFails(getDocs(collection(aliceDb(), "users")));
+    await assertFails(setDoc(userRef(aliceDb(), "bob"), { name: "Hijacked" }));
+  });
+
+  it("finds users by email one address at a time", async () => {
+    const emailRef = (db, email) => doc(db, "userEmails", email);
+    await assertSucceeds(
+      setDoc(emailRef(aliceDb(), "alice@example.com"), { uid: "alice" })
+    );
+    await assertFails(
+      setDoc(emailRef(aliceDb(), "bob@example.com"), { uid: "alice" })
+    );
+    await assertFails(
+      setDoc(emailRef(aliceDb(), "alice@example.com"), { uid: "bob" })
+    );
+    await assertSucceeds(getDoc(emailRef(outsiderDb(), "alice@example.com")));
+    await assertFails(getDocs(collection(outsiderDb(), "userEmails")));
+  });
+});
+
+describe("teams", () => {
+  it("lets members read their team and keeps outsiders out", async () => {
+    await assertSucceeds(getDoc(doc(bobDb(), "teams", TEAM)));
+    await assertFails(getDoc(doc(outsiderDb(), "teams", TEAM)));
+  });
+
+  it("lists only the teams a user belongs to", async () => {
+    const db = aliceDb();
+    await assertSucceeds(
+      getDocs(
+        query(collection(db, "teams"), where("members.alice", "!=", null))
+      )
+    );
+    await assertFails(getDocs(collection(db, "teams")));
+  });
+
+  it("creates teams owned by their creator only", async () => {
+    await assertSucceeds(
+      setDoc(doc(outsiderDb(), "teams", "new"), {
+        name: "New",
+        ownerId: "outsider",
+        members: { outsider: "owner" },
+      })
+    );
+    await assertFails(
+      setDoc(doc(outsiderDb(), "teams", "stolen"), {
+        name: "Stolen",
+        ownerId: "alice",
+        members: { outsider: "owner", alice: "member" },
+      })
+    );
+  });
+
+  it("lets the owner change roles but not their own", async () => {
+    await assertSucceeds(
+      updateDoc(doc(ownerDb(), "teams", TEAM), { "members.bob": "admin" })
+    );
+    await assertFails(
+      updateDoc(doc(ownerDb(), "teams", TEAM), { "members.owner": "member" })
+    );
+    await assertFails(
+      updateDoc(doc(ownerDb(), "teams", TEAM), { "members.bob": "owner" })
+    );
+  });
+
+  it("stops members promoting themselves", async () => {
+    await assertFails(
+      updateDoc(doc(aliceDb(), "teams", TEAM), { "members.alice": "admin" })
+    );
+    await assertFails(
+      updateDoc(doc(aliceDb(), "teams", TEAM), { "members.mallory": "member" })
+    );
+    await assertFails(
+      updateDoc(doc(adminDb(), "teams", TEAM), { "members.admin": "owner" })
+    );
+  });
+
+  it("lets admins remove members but not change roles", async () => {
+    await assertSucceeds(
+      updateDoc(doc(adminDb(), "teams", TEAM), { "members.bob": deleteField() })
+    );
+    await assertFails(
+      updateDoc(doc(adminDb(), "teams", TEAM), { "members.alice": "admin" })
+    );
+    await assertFails(
+      updateDoc(doc(adminDb(), "teams", TEAM), {
+        "members.owner": deleteField(),
+      })
+    );
+  });
+
+  it("lets only the owner delete or rename the team", async () => {
+    await assertFails(updateDoc(doc(adminDb(), "teams", TEAM), { name: "X" }));
+    await assertFails(deleteDoc(doc(adminDb(), "teams", TEAM)));
+    await assertSucceeds(
+      updateDoc(doc(ownerDb(), "teams", TEAM), { name: "X" })
+    );
+    await assertSucceeds(deleteDoc(doc(ownerDb(), "teams", TEAM)));
+  });
+});
+
+describe("invites", () => {
+  beforeEach(async () => {
+    await seed((db) =>
+      setDoc(doc(db, "teams", TEAM, "invites", "invite-1"), {
+        email: "carol@example.com",
+        role: "member",
+        status: "pending",
+        invitedBy: "admin",
+      })
+    );
+  });
+
+  function acceptBatch(db, uid, role = "member") {
+    const batch = writeBatch(db);
+    batch.update(doc(db, "teams", TEAM), {
+      [`members.${uid}`]: role,
+      [`joinedVia.${uid}`]: "invite-1",
+    });
+    batch.update(doc(db, "teams", TEAM, "invites", "invite-1"), {
+      status: "accepted",
+      acceptedAt: new Date(),
+      acceptedByUid: uid,
+    });
+    return batch.commit();
+  }
+
+  it("lets admins invite and members not", async () => {
+    const invite = {
+      email: "dave@example.com",
+      role: "member",
+      status: "pending",
+    };
+    await assertSucceeds(
+      setDoc(doc(adminDb(), "teams", TEAM, "invites", "a"), {
+        ...invite,
+        invitedBy: "admin",
+      })
+    );
+    await assertFails(
+      setDoc(doc(aliceDb(), "teams", TEAM, "invites", "b"), {
+        ...invite,
+        invitedBy: "alice",
+      })
+    );
+  });
+
+  it("shows invitees their own invites across teams", async () => {
+    const db = dbFor("carol", "Carol@Example.com");
+    await assertSucceeds(
+      getDocs(
+        query(
+          collectionGroup(db, "invites"),
+          where("email", "==", "carol@example.com"),
+          where("status", "==", "pending")
+        )
+      )
+    );
+    await assertFails(getDocs(collectionGroup(outsiderDb(), "invites")));
+  });
+
+  it("lets the invitee join with the invite's role", async () => {
+    await assertSucceeds(acceptBatch(dbFor("carol"), "carol"));
+  });
+
+  it("rejects joining with a different role or someone else's invite", async () => {
+    await assertFails(acceptBatch(dbFor("carol"), "carol", "admin"));
+    await assertFails(acceptBatch(outsiderDb(), "outsider"));
+  });
+
+  it("lets the invitee decline", async () => {
+    await assertSucceeds(
+      updateDoc(doc(dbFor("carol"), "teams", TEAM, "invites", "invite-1"), {
+        status: "rejected",
+        rejectedAt: new Date(),
+        rejectedByUid: "carol",
+      })
+    );
+  });
+});
+
+describe("prompts", () => {
+  const promptRef = (db) => doc(db, "teams", TEAM, "prompts", PROMPT);
+
+  it("lets members read and outsiders not", async () => {
+    await assertSucceeds(getDoc(promptRef(bobDb())));
+    await assertFails(getDoc(promptRef(outsiderDb())));
+  });
+
+  it("tells members, and only members, that a prompt is gone", async () => {
+    const missing = (db) => doc(db, "teams", TEAM, "prompts", "missing");
+    await assertSucceeds(getDoc(missing(bobDb())));
+    await assertFails(getDoc(missing(outsiderDb())));
+  });
+
+  it("keeps private and members-only prompts from everyone else", async () => {
+    await seed(async (db) => {
+      await setDoc(doc(db, "teams", TEAM, "prompts", "private"), {
+        title: "Secret",
+        createdBy: "alice",
+        visibility: "private",
+        sharedWith: [],
+      });
+      await setDoc(doc(db, "teams", TEAM, "prompts", "shared"), {
+        title: "For Bob",
+        createdBy: "alice",
+        visibility: "members",
+        sharedWith: ["bob"],
+      });
+      await setDoc(
+        doc(db, "teams", TEAM, "prompts", "private", "versions", "1"),
+        { title: "Secret", version: 1 }
+      );
+      await setDoc(
+        doc(db, "teams", TEAM, "prompts", "private", "comments", "c1"),
+        { text: "Hmm", createdBy: "alice" }
+      );
+    });
+    const ref = (db, id) => doc(db, "teams", TEAM, "prompts", id);
+
+    await assertSucceeds(getDoc(ref(aliceDb(), "private")));
+    await assertFails(getDoc(ref(bobDb(), "private")));
+    await assertFails(getDoc(ref(ownerDb(), "private")));
+    await assertSucceeds(getDoc(ref(bobDb(), "shared")));
+    await assertFails(getDoc(ref(adminDb(), "shared")));
+
+    await assertFails(
+      getDoc(doc(bobDb(), "teams", TEAM, "prompts", "private", "versions", "1"))
+    );
+    await assertFails(
+      getDocs(
+        collection(bobDb(), "teams", TEAM, "prompts", "private", "comments")
+      )
+    );
+    await assertSucceeds(
+      getDocs(
+        collection(aliceDb(), "teams", TEAM, "prompts", "private", "comments")
+      )
+    );
+  });
+
+  it("lets members list prompts only through the visibility queries", async () => {
+    const prompts = collection(bobDb(), "teams", TEAM, "prompts");
+    await assertFails(getDocs(prompts));
+    await assertSucceeds(
+      getDocs(query(prompts, where("visibility", "==", "team")))
+    );
+    await assertSucceeds(
+      getDocs(query(prompts, where("createdBy", "==", "bob")))
+    );
+    await assertSucceeds(
+      getDocs(query(prompts, where("sharedWith", "array-contains", "bob")))
+    );
+    await assertFails(
+      getDocs(query(prompts, where("createdBy", "==", "alice")))
+    );
+  });
+
+  it("lets members create their own drafts", async () => {
+    const ref = (db, id) => doc(db, "teams", TEAM, "prompts", id);
+    await assertSucceeds(
+      setDoc(ref(bobDb(), "p2"), {
+        title: "B",
+        createdBy: "bob",
+        status: "draft",
+      })
+    );
+    await assertFails(
+      setDoc(ref(bobDb(), "p3"), { title: "B", createdBy: "alice" })
+    );
+    await assertFails(
+      setDoc(ref(bobDb(), "p4"), {
+        title: "B",
+        createdBy: "bob",
+        status: "approved",
+      })
+    );
+  });
+
+  it("lets authors and admins edit, and other members not", async () => {
+    await assertSucceeds(updateDoc(promptRef(aliceDb()), { title: "Mine" }));
+    await assertSucceeds(updateDoc(promptRef(adminDb()), { title: "Admin" }));
+    await assertFails(updateDoc(promptRef(bobDb()), { title: "Bob" }));
+    await assertFails(updateDoc(promptRef(aliceDb()), { createdBy: "bob" }));
+  });
+
+  it("lets only owners and admins reassign prompts to team members", async () => {
+    await assertSucceeds(updateDoc(promptRef(adminDb()), { createdBy: "bob" }));
+    await assertFails(updateDoc(promptRef(bobDb()), { createdBy: "alice" }));
+    await assertFails(
+      updateDoc(promptRef(ownerDb()), { createdBy: "outsider" })
+    );
+  });
+
+  it("leaves approval to owners and admins", async () => {
+    await assertSucceeds(
+      updateDoc(promptRef(aliceDb()), { status: "in-review" })
+    );
+    await assertFails(updateDoc(promptRef(aliceDb()), { status: "approved" }));
+    await assertSucceeds(
+      updateDoc(promptRef(adminDb()), { status: "approved" })
+    );
+  });
+
+  it("sends approved prompts back to review when their author edits them", async () => {
+    await seed((db) => updateDoc(promptRef(db), { status: "approved" }));
+
+    await assertFails(updateDoc(promptRef(aliceDb()), { text: "Sneaky" }));
+    await assertFails(
+      updateDoc(promptRef(aliceDb()), { text: "Sneaky", status: "draft" })
+    );
+    await assertSucceeds(
+      updateDoc(promptRef(aliceDb()), { folderId: null, visibility: "team" })
+    );
+    await assertSucceeds(
+      updateDoc(promptRef(adminDb()), { text: "Reviewed edit" })
+    );
+    await assertSucceeds(
+      updateDoc(promptRef(aliceDb()), { text: "Fixed", status: "in-review" })
+    );
+  });
+
+  it("lets authors and admins delete", async () => {
+    await assertFails(deleteDoc(promptRef(bobDb())));
+    await assertSucceeds(deleteDoc(promptRef(aliceDb())));
+  });
+
+  it("counts stats only along with the rating, usage or comment they count", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    // ratePrompt: the rating and the summary in one write
+    const rate = (db, withRating) => {
+      const batch = writeBatch(db);
+      if (withRating) {
+        batch.set(doc(promptRef(db), "ratings", "bob"), {
+          userId: "bob",
+          rating: 4,
+          createdAt: serverTimestamp(),
+        });
+      }
+      batch.update(promptRef(db), {
+        "stats.ratings": { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 },
+        "stats.totalRatings": 1,
+        "stats.averageRating": 4,
+        "stats.lastRated": serverTimestamp(),
+      });
+      return batch.commit();
+    };
+    await assertFails(rate(bobDb(), false));
+    await assertSucceeds(rate(bobDb(), true));
+
+    // recordUsage: the first view of the day on the rollup and the counter
+    const view = (db, withRollup) => {
+      const batch = writeBatch(db);
+      if (withRollup) {
+        batch.set(doc(promptRef(db), "usage", `bob_${today}`), {
+          userId: "bob",
+          day: today,
+          views: 1,
+          copies: 0,
+          enhancements: 0,
+        });
+      }
+      batch.update(promptRef(db), { "stats.views": increment(1) });
+      return batch.commit();
+    };
+    await assertFails(view(bobDb(), false));
+    await assertSucceeds(view(bobDb(), true));
+    await assertFails(view(bobDb(), false));
+
+    // addComment: the comment and the counters naming it
+    const comment = (db, id, withComment) => {
+      const batch = writeBatch(db);
+      if (withComment) {
+        batch.set(doc(promptRef(db), "comments", id), {
+          text: "Hi",
+          createdBy: "bob",
+          parentId: null,
+        });
+      }
+      batch.update(promptRef(db), {
+        "stats.comments": increment(1),
+        "stats.openThreads": increment(1),
+        "stats.lastComment": id,
+      });
+      return batch.commit();
+    };
+    await assertFails(comment(bobDb(), "c1", false));
+    await assertSucceeds(comment(bobDb(), "c1", true));
+    await assertFails(comment(bobDb(), "c1", false));
+
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.totalRatings": 1, title: "X" })
+    );
+  });
+
+  it("keeps members from writing arbitrary stats", async () => {
+    await seed(async (db) => {
+      await updateDoc(promptRef(db), {
+        stats: {
+          ratings: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 },
+          totalRatings: 1,
+          averageRating: 4,
+          views: 3,
+        },
+      });
+      await setDoc(doc(promptRef(db), "ratings", "bob"), {
+        userId: "bob",
+        rating: 4,
+      });
+    });
+
+    // Changing a 4-star rating to 5 stars
+    const batch = writeBatch(bobDb());
+    batch.update(doc(promptRef(bobDb()), "ratings", "bob"), { rating: 5 });
+    batch.update(promptRef(bobDb()), {
+      "stats.ratings": { 1: 0, 2: 0, 3: 0, 4: 0, 5: 1 },
+      "stats.averageRating": 5,
+    });
+    await assertSucceeds(batch.commit());
+
+    await assertFails(
+      updateDoc(promptRef(aliceDb()), {
+        "stats.ratings": { 1: 0, 2: 0, 3: 0, 4: 0, 5: 2 },
+        "stats.totalRatings": 2,
+        "stats.averageRating": 5,
+      })
+    );
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.averageRating": 1 })
+    );
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.totalRatings": 9 })
+    );
+    await assertFails(updateDoc(promptRef(bobDb()), { "stats.views": 1000 }));
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.views": increment(-1) })
+    );
+    await assertFails(updateDoc(promptRef(bobDb()), { "stats.views": "lots" }));
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.featured": true })
+    );
+    await assertFails(
+      updateDoc(promptRef(bobDb()), { "stats.comments": increment(5) })
+    );
+  });
+
+  it("keeps stats and reviews out of prompt edits", async () => {
+    const review = (action, by) => ({
+      action,
+      comment: "",
+      by,
+      at: serverTimestamp(),
+    });
+
+    await assertFails(updateDoc(promptRef(aliceDb()), { "stats.views": 99 }));
+    await assertFails(
+      updateDoc(promptRef(adminDb()), { "stats.totalRatings": 9 })
+    );
+    await assertFails(
+      updateDoc(promptRef(aliceDb()), { review: review("approve", "admin") })
+    );
+    await assertFails(
+      updateDoc(promptRef(aliceDb()), {
+        status: "in-review",
+        review: review("submit", "admin"),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(promptRef(aliceDb()), {
+        status: "in-review",
+        review: review("submit", "alice"),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(promptRef(adminDb()), {
+        status: "approved",
+        review: review("approve", "admin"),
+      })
+    );
+
+    // syncCommentStats resets the comment counters, for admins only
+    const sync = { "stats.comments": 2, "stats.openThreads": 1 };
+    await assertFails(updateDoc(promptRef(aliceDb()), sync));
+    await assertSucceeds(updateDoc(promptRef(adminDb()), sync));
+  });
+
+  it("accepts restored versions only once their prompt exists", async () => {
+    const restoredRef = (db) => doc(db, "teams", TEAM, "prompts", "restored");
+    const version = (db) => doc(restoredRef(db), "versions", "1");
+
+    // restoreFromTrash writes the prompt in its first batch, so versions
+    // in later batches find it
+    await assertFails(setDoc(version(adminDb()), { version: 1 }));
+    await assertSucceeds(
+      setDoc(restoredRef(adminDb()), { title: "Back", createdBy: "alice" })
+    );
+    await assertSucceeds(setDoc(version(adminDb()), { version: 1 }));
+  });
+});
+
+describe("comments and ratings", () => {
+  const commentsRef = (db) =>
+    collection(db, "teams", TEAM, "prompts", PROMPT, "comments");
+  const ratingRef = (db, uid) =>
+    doc(db, "teams", TEAM, "prompts", PROMPT, "ratings", uid);
+
+  beforeEach(async () => {
+    await seed((db) =>
+      setDoc(doc(commentsRef(db), "c1"), { text: "Nice", createdBy: "bob" })
+    );
+  });
+
+  it("lets members comment as themselves", async () => {
+    await assertSucceeds(
+      setDoc(doc(commentsRef(aliceDb()), "c2"), {
+        text: "Hi",
+        createdBy: "alice",
+      })
+    );
+    await assertFails(
+      setDoc(doc(commentsRef(aliceDb()), "c3"), {
+        text: "Hi",
+        createdBy: "bob",
+      })
+    );
+    await assertFails(
+      setDoc(doc(commentsRef(outsiderDb()), "c4"), {
+        text: "Hi",
+        createdBy: "outsider",
+      })
+    );
+    await assertFails(
+      setDoc(doc(commentsRef(adminDb()), "c5"), {
+        text: "Hi",
+        createdBy: "bob",
+      })
+    );
+  });
+
+  it("keeps members from commenting on prompts they can't see", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "teams", TEAM, "prompts", PROMPT), {
+        visibility: "private",
+        sharedWith: [],
+      })
+    );
+    await assertFails(
+      setDoc(doc(commentsRef(bobDb()), "c2"), { text: "Hi", createdBy: "bob" })
+    );
+    await assertSucceeds(
+      setDoc(doc(commentsRef(aliceDb()), "c3"), {
+        text: "Hi",
+        createdBy: "alice",
+      })
+    );
+  });
+
+  it("lets only the author edit a comment", async () => {
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(bobDb()), "c1"), { text: "Edited" })
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), { text: "Hijacked" })
+    );
+  });
+
+  it("lets the prompt's author and admins resolve threads", async () => {
+    const resolve = (uid) => ({
+      resolved: true,
+      resolvedBy: uid,
+      resolvedAt: serverTimestamp(),
+    });
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), resolve("alice"))
+    );
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(adminDb()), "c1"), resolve("admin"))
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(bobDb()), "c1"), resolve("bob"))
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), {
+        ...resolve("alice"),
+        text: "Rewritten",
+      })
+    );
+  });
+
+  it("lets members toggle only their own reactions", async () => {
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), {
+        "reactions.like": arrayUnion("alice"),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(bobDb()), "c1"), {
+        "reactions.like": arrayUnion("bob"),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), {
+        "reactions.like": arrayRemove("alice"),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), {
+        "reactions.like": arrayRemove("bob"),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(aliceDb()), "c1"), {
+        "reactions.hacked": arrayUnion("alice"),
+      })
+    );
+    await assertFails(
+      updateDoc(doc(commentsRef(outsiderDb()), "c1"), {
+        "reactions.like": arrayUnion("outsider"),
+      })
+    );
+  });
+
+  it("lets admins moderate comments", async () => {
+    await assertSucceeds(deleteDoc(doc(commentsRef(adminDb()), "c1")));
+  });
+
+  it("keeps one rating per user", async () => {
+    await assertSucceeds(
+      setDoc(ratingRef(bobDb(), "bob"), { userId: "bob", rating: 5 })
+    );
+    await assertFails(
+      setDoc(ratingRef(bobDb(), "alice"), { userId: "alice", rating: 1 })
+    );
+  });
+});
+
+describe("trash", () => {
+  const trashRef = (db) => doc(db, "teams", TEAM, "trash", PROMPT);
+  const trashed = (deletedBy) => ({
+    prompt: { title: "Forged", createdBy: deletedBy },
+    deletedBy,
+    deletedAt: serverTimestamp(),
+  });
+
+  it("takes prompts only from those who may delete the stored prompt", async () => {
+    await assertFails(setDoc(trashRef(bobDb()), trashed("bob")));
+    await assertFails(setDoc(trashRef(aliceDb()), trashed("bob")));
+    await assertSucceeds(setDoc(trashRef(aliceDb()), trashed("alice")));
+    await assertFails(
+      setDoc(doc(bobDb(), "teams", TEAM, "trash", "missing"), trashed("bob"))
+    );
+  });
+
+  it("shows admins only the trashed prompts they could see", async () => {
+    const trash = (db) => collection(db, "teams", TEAM, "trash");
+    await seed(async (db) => {
+      await setDoc(doc(trash(db), "shared"), {
+        prompt: { createdBy: "alice", visibility: "team", sharedWith: [] },
+        deletedBy: "alice",
+      });
+      await setDoc(doc(trash(db), "private"), {
+        prompt: { createdBy: "alice", visibility: "private", sharedWith: [] },
+        deletedBy: "alice",
+      });
+      await setDoc(doc(trash(db), "private", "comments", "c1"), {
+        text: "Secret",
+        createdBy: "alice",
+      });
+    });
+
+    await assertSucceeds(getDoc(doc(trash(adminDb()), "shared")));
+    await assertFails(getDoc(doc(trash(adminDb()), "private")));
+    await assertFails(
+      getDoc(doc(trash(adminDb()), "private", "comments", "c1"))
+    );
+    await assertFails(getDocs(trash(adminDb())));
+    await assertSucceeds(
+      getDocs(query(trash(adminDb()), where("prompt.visibility", "==", "team")))
+    );
+    await assertFails(getDocs(trash(bobDb())));
+    // Purging needs no read, so admins can still empty the trash
+    await assertSucceeds(deleteDoc(doc(trash(adminDb()), "private")));
+  });
+});
+
+describe("activities", () => {
+  const activitiesRef = (db) => collection(db, "teams", TEAM, "activities");
+
+  it("is an append-only log written by members", async () => {
+    await assertSucceeds(
+      setDoc(doc(activitiesRef(bobDb()), "a1"), {
+        type: "prompt_created",
+        userId: "bob",
+        timestamp: serverTimestamp(),
+      })
+    );
+    await assertFails(
+      setDoc(doc(activitiesRef(bobDb()), "a2"), { type: "x", userId: "alice" })
+    );
+    await assertFails(
+      updateDoc(doc(activitiesRef(ownerDb()), "a1"), { type: "edited" })
+    );
+    await assertFails(deleteDoc(doc(activitiesRef(ownerDb()), "a1")));
+    await assertFails(getDocs(activitiesRef(outsiderDb())));
+  });
+});
+
+describe("favorites", () => {
+  it("are private to their user", async () => {
+    const favorite = {
+      teamId: TEAM,
+      promptId: PROMPT,
+      title: "Alice's prompt",
+    };
+    await assertSucceeds(
+      setDoc(doc(aliceDb(), "users", "alice", "favorites", PROMPT), favorite)
+    );
+    await assertFails(
+      getDocs(collection(bobDb(), "users", "alice", "favorites"))
+    );
+    await assertFails(
+      setDoc(doc(bobDb(), "users", "alice", "favorites", PROMPT), favorite)
+    );
+  });
+
+  it("keep their collections private to their user", async () => {
+    const ref = (db) =>
+      doc(db, "users", "alice", "favoriteCollections", "standup");
+    await assertSucceeds(setDoc(ref(aliceDb()), { name: "Daily standup" }));
+    await assertFails(getDoc(ref(bobDb())));
+    await assertFails(setDoc(ref(bobDb()), { name: "Mine now" }));
+  });
+});
+
+describe("notifications", () => {
+  const notificationRef = (db, uid = "alice") =>
+    doc(db, "users", uid, "notifications", "n1");
+  const mention = {
+    type: "mention",
+    teamId: TEAM,
+    promptId: PROMPT,
+    actorId: "bob",
+    read: false,
+  };
+
+  it("are sent by teammates as themselves", async () => {
+    await assertSucceeds(setDoc(notificationRef(bobDb()), mention));
+    await assertFails(
+      setDoc(notificationRef(bobDb()), { ...mention, actorId: "owner" })
+    );
+    await assertFails(
+      setDoc(notificationRef(outsiderDb()), { ...mention, actorId: "outsider" })
+    );
+    await assertFails(setDoc(notificationRef(bobDb(), "outsider"), mention));
+  });
+
+  it("leave approvals and role changes to owners and admins", async () => {
+    const roleChange = { ...mention, type: "role", role: "admin" };
+    await assertSucceeds(
+      setDoc(notificationRef(adminDb()), { ...roleChange, actorId: "admin" })
+    );
+    await assertFails(setDoc(notificationRef(bobDb()), roleChange));
+    await assertFails(
+      setDoc(notificationRef(bobDb()), { ...mention, type: "approval" })
+    );
+  });
+
+  it("reach invitees through a pending invite for their email", async () => {
+    await seed(async (db) => {
+      await setDoc(doc(db, "users", "carol"), { email: "Carol@example.com" });
+      await setDoc(doc(db, "teams", TEAM, "invites", "invite-1"), {
+        email: "carol@example.com",
+        role: "member",
+        status: "pending",
+      });
+    });
+    const invite = {
+      type: "invite",
+      teamId: TEAM,
+      inviteId: "invite-1",
+      actorId: "admin",
+      read: false,
+    };
+    await assertSucceeds(setDoc(notificationRef(adminDb(), "carol"), invite));
+    await assertFails(
+      setDoc(notificationRef(bobDb(), "carol"), { ...invite, actorId: "bob" })
+    );
+    await assertFails(setDoc(notificationRef(adminDb(), "outsider"), invite));
+    await assertFails(
+      setDoc(notificationRef(adminDb(), "carol"), {
+        ...mention,
+        actorId: "admin",
+      })
+    );
+  });
+
+  it("are read and marked read only by their recipient", async () => {
+    await seed((db) => setDoc(notificationRef(db), mention));
+    await assertSucceeds(getDoc(notificationRef(aliceDb())));
+    await assertFails(getDoc(notificationRef(bobDb())));
+    await assertSucceeds(updateDoc(notificationRef(aliceDb()), { read: true }));
+    await assertFails(
+      updateDoc(notificationRef(aliceDb()), { type: "approval" })
+    );
+  });
+});
+
+describe("share links", () => {
+  const linkRef = (db) => doc(db, "shareLinks", "token-1");
+
+  beforeEach(async () => {
+    await seed((db) =>
+      setDoc(doc(db, "shareLinks", "token-1"), {
+        teamId: TEAM,
+        createdBy: "admin",
+        prompts: [],
+        viewCount: 2,
+      })
+    );
+  });
+
+  it("opens for anyone with the token and counts views", async () => {
+    await assertSucceeds(getDoc(linkRef(anonDb())));
+    await assertSucceeds(
+      updateDoc(linkRef(anonDb()), {
+        viewCount: increment(1),
+        lastViewedAt: serverTimestamp(),
+      })
+    );
+    await assertFails(updateDoc(linkRef(anonDb()), { viewCount: 1000 }));
+    await assertFails(updateDoc(linkRef(anonDb()), { revoked: false }));
+  });
+
+  it("hides revoked and expired links from everyone but admins", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "shareLinks", "token-1"), { revoked: true })
+    );
+    await assertFails(getDoc(linkRef(anonDb())));
+    await assertFails(getDoc(linkRef(aliceDb())));
+    await assertSucceeds(getDoc(linkRef(adminDb())));
+
+    await seed((db) =>
+      updateDoc(doc(db, "shareLinks", "token-1"), {
+        revoked: false,
+        expiresAt: Timestamp.fromMillis(Date.now() - 1000),
+      })
+    );
+    await assertFails(getDoc(linkRef(anonDb())));
+    await assertSucceeds(getDoc(linkRef(ownerDb())));
+  });
+
+  it("stops counting views on expired links", async () => {
+    await seed((db) =>
+      updateDoc(doc(db, "shareLinks", "token-1"), {
+        expiresAt: Timestamp.fromMillis(Date.now() - 1000),
+      })
+    );
+    await assertFails(
+      updateDoc(linkRef(anonDb()), {
+        viewCount: increment(1),
+        lastViewedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it("is managed by owners and admins", async () => {
+    await assertFails(getDocs(collection(anonDb(), "shareLinks")));
+    await assertSucceeds(
+      getDocs(
+        query(collection(adminDb(), "shareLinks"), where("teamId", "==", TEAM))
+      )
+    );
+    await assertFails(updateDoc(linkRef(aliceDb()), { revoked: true }));
+    await assertSucceeds(updateDoc(linkRef(adminDb()), { revoked: true }));
+  });
+});
+
+describe("tag registry", () => {
+  const tagRef = (db) => doc(db, "teams", TEAM, "tags", "seo");
+
+  it("is readable by members and written by owners and admins", async () => {
+    await assertSucceeds(
+      setDoc(tagRef(adminDb()), { name: "SEO", color: "#00c8ff" })
+    );
+    await assertSucceeds(getDoc(tagRef(aliceDb())));
+    await assertFails(getDoc(tagRef(outsiderDb())));
+    await assertFails(setDoc(tagRef(aliceDb()), { name: "seo" }));
+    await assertFails(deleteDoc(tagRef(aliceDb())));
+    await assertSucceeds(deleteDoc(tagRef(ownerDb())));
+  });
+});
+
+describe("usage rollups", () => {
+  const day = new Date().toISOString().slice(0, 10);
+  const rollupRef = (db, id) =>
+    doc(db, "teams", TEAM, "prompts", PROMPT, "usage", id);
+
+  it("lets members write only their own daily rollup", async () => {
+    const rollup = { userId: "bob", day, views: 1, copies: 0, enhancements: 0 };
+    await assertSucceeds(setDoc(rollupRef(bobDb(), `bob_${day}`), rollup));
+    await assertFails(setDoc(rollupRef(bobDb(), `alice_${day}`), rollup));
+    await assertFails(
+      setDoc(rollupRef(outsiderDb(), `outsider_${day}`), {
+        ...rollup,
+        userId: "outsider",
+      })
+    );
+    await assertSucceeds(
+      updateDoc(rollupRef(bobDb(), `bob_${day}`), { views: increment(1) })
+    );
+    await assertFails(
+      updateDoc(rollupRef(bobDb(), `bob_${day}`), { userId: "alice" })
+    );
+    await assertFails(
+      updateDoc(rollupRef(bobDb(), `bob_${day}`), { views: 0 })
+    );
+    await assertFails(
+      setDoc(rollupRef(bobDb(), "bob_2020-01-01"), {
+        ...rollup,
+        day: "2020-01-01",
+      })
+    );
+    await assertFails(
+      updateDoc(rollupRef(aliceDb(), `bob_${day}`), { views: increment(1) })
+    );
+  });
+
+  it("lets admins restore a prompt carrying others' rollups", async () => {
+    const trashRef = (db) => doc(db, "teams", TEAM, "trash", "trashed");
+    const rollup = { userId: "bob", day, views: 3, copies: 1, enhancements: 0 };
+    const trashedPrompt = {
+      title: "Trashed",
+      text: "Bye",
+      status: "draft",
+      version: 1,
+      createdBy: "alice",
+    };
+    await seed(async (db) => {
+      await setDoc(trashRef(db), {
+        prompt: trashedPrompt,
+        deletedBy: "alice",
+        deletedAt: serverTimestamp(),
+      });
+      await setDoc(doc(trashRef(db), "usage", `bob_${day}`), rollup);
+    });
+
+    // What restoreFromTrash writes, in one batch
+    const restore = (db) => {
+      const promptRef = doc(db, "teams", TEAM, "prompts", "trashed");
+      const batch = writeBatch(db);
+      batch.set(promptRef, trashedPrompt);
+      batch.set(doc(promptRef, "usage", `bob_${day}`), rollup);
+      batch.delete(doc(trashRef(db), "usage", `bob_${day}`));
+      batch.delete(trashRef(db));
+      return batch.commit();
+    };
+    await assertFails(restore(aliceDb()));
+    await assertSucceeds(restore(adminDb()));
+  });
+});
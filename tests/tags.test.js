@@ -0,0 +1,68 @@
+// tests/tags.test.js - Tag normalisation, run with `npm test`
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { canonicalTags, renameTags, tagKey } from "../src/utils/tags.js";
+
+describe("tagKey", () => {
+  it("ignores case, whitespace and separators", () => {
+    assert.equal(tagKey("SEO"), "seo");
+    assert.equal(tagKey(" s.e.o "), "seo");
+    assert.equal(tagKey("Machine Learning"), "machinelearning");
+    assert.equal(tagKey("machine-learning"), "machinelearning");
+    assert.equal(tagKey("machine_learning"), "machinelearning");
+    assert.equal(tagKey("CI/CD"), "cicd");
+  });
+
+  it("keeps + and # and a leading dot", () => {
+    const keys = ["C", "C++", "C#", ".NET", "NET", "F#"].map(tagKey);
+    assert.deepEqual(keys, ["c", "c++", "c#", ".net", "net", "f#"]);
+    assert.equal(new Set(keys).size, keys.length);
+    assert.equal(tagKey(".net"), tagKey(".NET"));
+  });
+
+  it("falls back to the name for tags made only of separators", () => {
+    assert.equal(tagKey("---"), "---");
+    assert.equal(tagKey(""), "");
+  });
+
+  it("gives every tag a key that can name a document", () => {
+    const names = ["/", "//", ".", "..", "./", "____", "- -"];
+    const keys = names.map(tagKey);
+    for (const key of keys) {
+      assert.ok(key, "key is empty");
+      assert.ok(!key.includes("/"), `${key} has a slash`);
+      assert.ok(key !== "." && key !== "..", `${key} is a dot name`);
+      assert.doesNotMatch(key, /^__.*__$/);
+    }
+    assert.equal(new Set(keys).size, keys.length);
+    assert.equal(tagKey("/"), "%2F");
+    assert.equal(tagKey(".."), "%2E%2E");
+  });
+});
+
+describe("canonicalTags", () => {
+  it("collapses variants but not distinct languages", () => {
+    assert.deepEqual(
+      canonicalTags(
+        ["C++", "c++", "C#", "C", " c "],
+        [{ id: "c++", name: "C++" }]
+      ),
+      ["C++", "C#", "C"]
+    );
+  });
+});
+
+describe("renameTags", () => {
+  it("renames every variant of the sources and merges into the target", () => {
+    assert.deepEqual(renameTags(["ML", "m-l", "python"], ["ml"], "AI"), [
+      "AI",
+      "python",
+    ]);
+    assert.deepEqual(renameTags(["ai", "ML"], ["ML"], " AI "), ["AI"]);
+  });
+
+  it("returns null when no tag matches", () => {
+    assert.equal(renameTags(["python"], ["ml"], "AI"), null);
+    assert.equal(renameTags(undefined, ["ml"], "AI"), null);
+  });
+});